@@ -1,15 +1,17 @@
 import React, { useState, useEffect, lazy, Suspense } from 'react';
 import { NavigationContainer } from '@react-navigation/native';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
-import { AppState, StatusBar, StyleSheet, ActivityIndicator, View } from 'react-native';
+import { AppState, StatusBar, StyleSheet, ActivityIndicator, View, SafeAreaView } from 'react-native';
 import { GestureHandlerRootView } from 'react-native-gesture-handler';
 import { getSettings } from './src/services/settingsService';
-import { isOfflineModeEnabled } from './src/services/offlineService';
+import { restoreDownloadQueue, suspendDownloads } from './src/services/downloadManagerService';
+import { subscribeToNetworkMode, refreshNetworkMode, NETWORK_MODES } from './src/services/networkPolicyService';
 import logger, { configureLogger, LOG_LEVELS } from './src/utils/logger';
 
 // Import home screen for immediate loading
 import HomeScreen from './src/screens/HomeScreen';
 import SplashScreen from './src/screens/SplashScreen';
+import NetworkModeStatus from './src/components/NetworkModeStatus';
 
 // Initialize logger at app startup
 configureLogger({
@@ -27,6 +29,10 @@ const ConversationScreen = lazy(() => import('./src/screens/ConversationScreen')
 const ConversationListScreen = lazy(() => import('./src/screens/ConversationListScreen'));
 const CameraTranslateScreen = lazy(() => import('./src/screens/CameraTranslateScreen'));
 const LanguagePacksScreen = lazy(() => import('./src/screens/LanguagePacksScreen'));
+const GlossaryScreen = lazy(() => import('./src/screens/GlossaryScreen'));
+
+// Screens that don't show the translation mode banner
+const SCREENS_WITHOUT_MODE_BANNER = ['Splash', 'Home'];
 
 // Create the stack navigator
 const Stack = createNativeStackNavigator();
@@ -40,7 +46,9 @@ const LoadingScreen = () => (
 
 export default function App() {
   const [darkMode, setDarkMode] = useState(false);
-  const [isOffline, setIsOffline] = useState(false);
+  // Effective translation mode and its reason (see networkPolicyService)
+  const [networkMode, setNetworkMode] = useState(null);
+  const [currentRouteName, setCurrentRouteName] = useState('Splash');
   
   // Handle app state changes (foreground/background)
   useEffect(() => {
@@ -50,16 +58,25 @@ export default function App() {
       logger.debug(`App state changed to: ${nextAppState}`, 'App');
       
       if (nextAppState === 'active') {
-        // App came to foreground, check settings
+        // App came to foreground, check settings and pick up queued downloads
         loadSettings();
+        restoreDownloadQueue();
+      } else if (nextAppState === 'background') {
+        // Keep the resume data of the running download in case the app is killed
+        suspendDownloads();
       }
     });
     
     // Initial settings load
     loadSettings();
+    restoreDownloadQueue();
+    
+    // Follow the translation mode as the connection changes
+    const unsubscribeNetworkMode = subscribeToNetworkMode(setNetworkMode);
     
     return () => {
       appStateSubscription.remove();
+      unsubscribeNetworkMode();
       logger.debug('App cleanup', 'App');
     };
   }, []);
@@ -72,10 +89,11 @@ export default function App() {
       setDarkMode(settings.darkMode);
       logger.debug(`Theme set to ${settings.darkMode ? 'dark' : 'light'} mode`, 'App');
       
-      // Check offline mode
-      const offline = await isOfflineModeEnabled();
-      setIsOffline(offline);
-      logger.info(`Offline mode is ${offline ? 'enabled' : 'disabled'}`, 'App');
+      // Settings may have changed the network policy or offline mode
+      const status = await refreshNetworkMode();
+      if (status) {
+        logger.info(`Translation mode is ${status.mode} (${status.description})`, 'App');
+      }
       
       // Update logger configuration based on settings
       // In a real app, you might want to adjust log levels based on user preference
@@ -108,6 +126,7 @@ export default function App() {
           const currentRouteName = state?.routes[state.index]?.name;
           if (currentRouteName) {
             logger.debug(`Navigation: Current screen is ${currentRouteName}`, 'Navigation');
+            setCurrentRouteName(currentRouteName);
           }
         }}
       >
@@ -115,6 +134,12 @@ export default function App() {
           barStyle={darkMode ? 'light-content' : 'dark-content'}
           backgroundColor={theme.colors.card}
         />
+        {/* Say why translations aren't going online; the home screen shows its own status */}
+        {networkMode && networkMode.mode !== NETWORK_MODES.ONLINE && !SCREENS_WITHOUT_MODE_BANNER.includes(currentRouteName) && (
+          <SafeAreaView style={{ backgroundColor: theme.colors.card }}>
+            <NetworkModeStatus status={networkMode} darkMode={darkMode} />
+          </SafeAreaView>
+        )}
         <Stack.Navigator 
           initialRouteName="Splash"
           screenOptions={{
@@ -183,6 +208,16 @@ export default function App() {
               </Suspense>
             )}
           </Stack.Screen>
+          <Stack.Screen 
+            name="Glossary" 
+            options={{ title: 'Glossary' }}
+          >
+            {props => (
+              <Suspense fallback={<LoadingScreen />}>
+                <GlossaryScreen {...props} />
+              </Suspense>
+            )}
+          </Stack.Screen>
           <Stack.Screen 
             name="ConversationList" 
             options={{ title: 'Conversations' }}
@@ -0,0 +1,405 @@
+#!/usr/bin/env node
+/**
+ * Build language packs for the pack server
+ *
+ * Writes one pack per language and quality, plus pair packs for the language
+ * pairs in PAIR_PACKS, in the layout the app downloads from:
+ *
+ *   <out>/catalog.json
+ *   <out>/packs/<code>/<quality>/manifest.json
+ *   <out>/packs/<code>/<quality>/content.json
+ *   <out>/packs/<code>/<quality>/patches/<from>-<to>.json
+ *
+ * Pair packs use the pair's code (e.g. "en-ja") in place of a language code.
+ *
+ * Rebuilding into the same directory with a higher --version keeps the
+ * previous content under history/ and writes delta patches from every older
+ * version, so installed packs can update without a full download.
+ *
+ * Serve <out> with any static file server and point the "Language pack server"
+ * setting at it, e.g.
+ *
+ *   node scripts/build-language-packs.js pack-server
+ *   python3 -m http.server 8080 --directory pack-server
+ *
+ * Options:
+ *   --version <n>   Pack version written to every manifest (default 1)
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Must match LANGUAGE_PACK_FORMAT_VERSION in src/utils/languagePackFormat.js
+const FORMAT_VERSION = 1;
+const CONTENT_FILE = 'content.json';
+const SECTIONS = ['phrases', 'dictionary', 'features'];
+const PAIR_SECTIONS = ['entries', 'lexicon', 'features'];
+// Sections that are lists of entries keyed by id; patches only carry changed entries
+const LIST_SECTIONS = ['phrases', 'dictionary'];
+const PAIR_LIST_SECTIONS = ['entries', 'lexicon'];
+
+// Phrase and dictionary ids are built against English, so non-English packs
+// only translate directly to and from English; other pairs pivot through it
+const ALIGNMENT_LANGUAGE = 'en';
+
+// Capabilities advertised by each quality level
+const QUALITY_FEATURES = {
+  basic: ['text-only', 'common-phrases'],
+  standard: ['text', 'speech-recognition', 'basic-ocr'],
+  premium: ['text', 'speech-recognition', 'advanced-ocr', 'context-aware']
+};
+
+const LANGUAGE_NAMES = {
+  en: 'English',
+  es: 'Spanish',
+  fr: 'French',
+  de: 'German',
+  it: 'Italian',
+  ja: 'Japanese',
+  zh: 'Chinese'
+};
+
+// Phrase table; phrases whose wording depends on register carry variants: { formal, informal }
+const PHRASES = {
+  en: [
+    { id: 'greeting', text: 'Hello' },
+    { id: 'thanks', text: 'Thank you' },
+    { id: 'goodbye', text: 'Goodbye' },
+    { id: 'help', text: 'I need help' },
+    { id: 'yes', text: 'Yes' },
+    { id: 'no', text: 'No' },
+    { id: 'how_are_you', text: 'How are you?' },
+    { id: 'can_you_help', text: 'Can you help me?' }
+  ],
+  es: [
+    { id: 'greeting', text: 'Hola', variants: { formal: 'Buenos días', informal: 'Hola' } },
+    { id: 'thanks', text: 'Gracias' },
+    { id: 'goodbye', text: 'Adiós' },
+    { id: 'help', text: 'Necesito ayuda' },
+    { id: 'yes', text: 'Sí' },
+    { id: 'no', text: 'No' },
+    { id: 'how_are_you', text: '¿Cómo estás?', variants: { formal: '¿Cómo está usted?', informal: '¿Cómo estás?' } },
+    { id: 'can_you_help', text: '¿Puedes ayudarme?', variants: { formal: '¿Puede ayudarme?', informal: '¿Puedes ayudarme?' } }
+  ],
+  fr: [
+    { id: 'greeting', text: 'Bonjour', variants: { formal: 'Bonjour', informal: 'Salut' } },
+    { id: 'thanks', text: 'Merci' },
+    { id: 'goodbye', text: 'Au revoir', variants: { formal: 'Au revoir', informal: 'Salut' } },
+    { id: 'help', text: "J'ai besoin d'aide" },
+    { id: 'yes', text: 'Oui' },
+    { id: 'no', text: 'Non' },
+    { id: 'how_are_you', text: 'Comment allez-vous ?', variants: { formal: 'Comment allez-vous ?', informal: 'Comment vas-tu ?' } },
+    { id: 'can_you_help', text: "Pouvez-vous m'aider ?", variants: { formal: "Pouvez-vous m'aider ?", informal: "Tu peux m'aider ?" } }
+  ],
+  de: [
+    { id: 'greeting', text: 'Hallo', variants: { formal: 'Guten Tag', informal: 'Hallo' } },
+    { id: 'thanks', text: 'Danke' },
+    { id: 'goodbye', text: 'Auf Wiedersehen', variants: { formal: 'Auf Wiedersehen', informal: 'Tschüss' } },
+    { id: 'help', text: 'Ich brauche Hilfe' },
+    { id: 'yes', text: 'Ja' },
+    { id: 'no', text: 'Nein' },
+    { id: 'how_are_you', text: 'Wie geht es Ihnen?', variants: { formal: 'Wie geht es Ihnen?', informal: 'Wie geht es dir?' } },
+    { id: 'can_you_help', text: 'Können Sie mir helfen?', variants: { formal: 'Können Sie mir helfen?', informal: 'Kannst du mir helfen?' } }
+  ],
+  it: [
+    { id: 'greeting', text: 'Ciao', variants: { formal: 'Buongiorno', informal: 'Ciao' } },
+    { id: 'thanks', text: 'Grazie' },
+    { id: 'goodbye', text: 'Arrivederci', variants: { formal: 'Arrivederci', informal: 'Ciao' } },
+    { id: 'help', text: 'Ho bisogno di aiuto' },
+    { id: 'yes', text: 'Sì' },
+    { id: 'no', text: 'No' },
+    { id: 'how_are_you', text: 'Come stai?', variants: { formal: 'Come sta?', informal: 'Come stai?' } },
+    { id: 'can_you_help', text: 'Puoi aiutarmi?', variants: { formal: 'Può aiutarmi?', informal: 'Puoi aiutarmi?' } }
+  ],
+  ja: [
+    { id: 'greeting', text: 'こんにちは' },
+    { id: 'thanks', text: 'ありがとう', variants: { formal: 'ありがとうございます', informal: 'ありがとう' } },
+    { id: 'goodbye', text: 'さようなら' },
+    { id: 'help', text: '助けが必要です' },
+    { id: 'yes', text: 'はい' },
+    { id: 'no', text: 'いいえ' },
+    { id: 'how_are_you', text: 'お元気ですか', variants: { formal: 'お元気ですか', informal: '元気？' } },
+    { id: 'can_you_help', text: '手伝ってくれますか', variants: { formal: '手伝っていただけますか', informal: '手伝ってくれる？' } }
+  ],
+  zh: [
+    { id: 'greeting', text: '你好', variants: { formal: '您好', informal: '你好' } },
+    { id: 'thanks', text: '谢谢' },
+    { id: 'goodbye', text: '再见' },
+    { id: 'help', text: '我需要帮助' },
+    { id: 'yes', text: '是' },
+    { id: 'no', text: '否' },
+    { id: 'how_are_you', text: '你好吗？', variants: { formal: '您好吗？', informal: '你好吗？' } },
+    { id: 'can_you_help', text: '你能帮我吗？', variants: { formal: '您能帮我吗？', informal: '你能帮我吗？' } }
+  ]
+};
+
+// Dictionary concepts, aligned across languages by id. Each language gives
+// [lemma] or [lemma, forms]; nouns list their plural and verbs their present tense
+// (1sg, 2sg, 3sg, 1pl) so inflected words can be looked up and carried over
+const noun = (singular, plural) => (plural ? [singular, { plural }] : [singular]);
+const verb = (lemma, sg1, sg2, sg3, pl1) => [lemma, { '1sg': sg1, '2sg': sg2, '3sg': sg3, '1pl': pl1 }];
+
+const DICTIONARY = [
+  { id: 'water', pos: 'noun', en: noun('water', 'waters'), es: noun('agua', 'aguas'), fr: noun('eau', 'eaux'), de: noun('Wasser', 'Wasser'), it: noun('acqua', 'acque'), ja: noun('水'), zh: noun('水') },
+  { id: 'bread', pos: 'noun', en: noun('bread', 'breads'), es: noun('pan', 'panes'), fr: noun('pain', 'pains'), de: noun('Brot', 'Brote'), it: noun('pane', 'pani'), ja: noun('パン'), zh: noun('面包') },
+  { id: 'coffee', pos: 'noun', en: noun('coffee', 'coffees'), es: noun('café', 'cafés'), fr: noun('café', 'cafés'), de: noun('Kaffee', 'Kaffees'), it: noun('caffè', 'caffè'), ja: noun('コーヒー'), zh: noun('咖啡') },
+  { id: 'beer', pos: 'noun', en: noun('beer', 'beers'), es: noun('cerveza', 'cervezas'), fr: noun('bière', 'bières'), de: noun('Bier', 'Biere'), it: noun('birra', 'birre'), ja: noun('ビール'), zh: noun('啤酒') },
+  { id: 'train', pos: 'noun', en: noun('train', 'trains'), es: noun('tren', 'trenes'), fr: noun('train', 'trains'), de: noun('Zug', 'Züge'), it: noun('treno', 'treni'), ja: noun('電車'), zh: noun('火车') },
+  { id: 'station', pos: 'noun', en: noun('station', 'stations'), es: noun('estación', 'estaciones'), fr: noun('gare', 'gares'), de: noun('Bahnhof', 'Bahnhöfe'), it: noun('stazione', 'stazioni'), ja: noun('駅'), zh: noun('车站') },
+  { id: 'hotel', pos: 'noun', en: noun('hotel', 'hotels'), es: noun('hotel', 'hoteles'), fr: noun('hôtel', 'hôtels'), de: noun('Hotel', 'Hotels'), it: noun('albergo', 'alberghi'), ja: noun('ホテル'), zh: noun('酒店') },
+  { id: 'room', pos: 'noun', en: noun('room', 'rooms'), es: noun('habitación', 'habitaciones'), fr: noun('chambre', 'chambres'), de: noun('Zimmer', 'Zimmer'), it: noun('camera', 'camere'), ja: noun('部屋'), zh: noun('房间') },
+  { id: 'ticket', pos: 'noun', en: noun('ticket', 'tickets'), es: noun('billete', 'billetes'), fr: noun('billet', 'billets'), de: noun('Fahrkarte', 'Fahrkarten'), it: noun('biglietto', 'biglietti'), ja: noun('切符'), zh: noun('票') },
+  { id: 'toilet', pos: 'noun', en: noun('toilet', 'toilets'), es: noun('baño', 'baños'), fr: noun('toilettes'), de: noun('Toilette', 'Toiletten'), it: noun('bagno', 'bagni'), ja: noun('トイレ'), zh: noun('厕所') },
+  { id: 'be', pos: 'verb', en: verb('be', 'am', 'are', 'is', 'are'), es: verb('ser', 'soy', 'eres', 'es', 'somos'), fr: verb('être', 'suis', 'es', 'est', 'sommes'), de: verb('sein', 'bin', 'bist', 'ist', 'sind'), it: verb('essere', 'sono', 'sei', 'è', 'siamo'), ja: ['です'], zh: ['是'] },
+  { id: 'want', pos: 'verb', en: verb('want', 'want', 'want', 'wants', 'want'), es: verb('querer', 'quiero', 'quieres', 'quiere', 'queremos'), fr: verb('vouloir', 'veux', 'veux', 'veut', 'voulons'), de: verb('wollen', 'will', 'willst', 'will', 'wollen'), it: verb('volere', 'voglio', 'vuoi', 'vuole', 'vogliamo'), ja: ['欲しい'], zh: ['想要'] },
+  { id: 'have', pos: 'verb', en: verb('have', 'have', 'have', 'has', 'have'), es: verb('tener', 'tengo', 'tienes', 'tiene', 'tenemos'), fr: verb('avoir', 'ai', 'as', 'a', 'avons'), de: verb('haben', 'habe', 'hast', 'hat', 'haben'), it: verb('avere', 'ho', 'hai', 'ha', 'abbiamo'), ja: ['持つ'], zh: ['有'] },
+  { id: 'eat', pos: 'verb', en: verb('eat', 'eat', 'eat', 'eats', 'eat'), es: verb('comer', 'como', 'comes', 'come', 'comemos'), fr: verb('manger', 'mange', 'manges', 'mange', 'mangeons'), de: verb('essen', 'esse', 'isst', 'isst', 'essen'), it: verb('mangiare', 'mangio', 'mangi', 'mangia', 'mangiamo'), ja: ['食べる'], zh: ['吃'] },
+  { id: 'i', pos: 'pronoun', en: ['I'], es: ['yo'], fr: ['je'], de: ['ich'], it: ['io'], ja: ['私'], zh: ['我'] },
+  { id: 'you', pos: 'pronoun', en: ['you'], es: ['tú'], fr: ['tu'], de: ['du'], it: ['tu'], ja: ['あなた'], zh: ['你'] },
+  { id: 'where', pos: 'adverb', en: ['where'], es: ['dónde'], fr: ['où'], de: ['wo'], it: ['dove'], ja: ['どこ'], zh: ['哪里'] },
+  { id: 'how_much', pos: 'adverb', en: ['how much'], es: ['cuánto'], fr: ['combien'], de: ['wie viel'], it: ['quanto'], ja: ['いくら'], zh: ['多少'] },
+  { id: 'please', pos: 'interjection', en: ['please'], es: ['por favor'], fr: ["s'il vous plaît"], de: ['bitte'], it: ['per favore'], ja: ['お願いします'], zh: ['请'] },
+  { id: 'and', pos: 'conjunction', en: ['and'], es: ['y'], fr: ['et'], de: ['und'], it: ['e'], ja: ['と'], zh: ['和'] }
+];
+
+// Idioms only make sense between specific languages, so they ship in pair packs.
+// alignment links the part of each text that carries the idiom
+const IDIOMS = [
+  {
+    id: 'piece_of_cake',
+    texts: { en: "It's a piece of cake", es: 'Es pan comido', ja: '朝飯前です' },
+    alignment: { en: 'piece of cake', es: 'pan comido', ja: '朝飯前' }
+  },
+  {
+    id: 'raining_cats_and_dogs',
+    texts: { en: "It's raining cats and dogs", es: 'Está lloviendo a cántaros', ja: '土砂降りです' },
+    alignment: { en: 'raining cats and dogs', es: 'lloviendo a cántaros', ja: '土砂降り' }
+  },
+  {
+    id: 'under_the_weather',
+    texts: { en: "I'm feeling under the weather", es: 'Estoy un poco pachucho', ja: '体調が優れません' },
+    alignment: { en: 'under the weather', es: 'pachucho', ja: '体調が優れません' }
+  },
+  {
+    id: 'break_a_leg',
+    texts: { en: 'Break a leg!', es: '¡Mucha suerte!', ja: '頑張って！' }
+  }
+];
+
+// Language pairs that get a pair pack; codes in alphabetical order, as the app expects
+const PAIR_PACKS = [['en', 'es'], ['en', 'ja']];
+
+const parseArgs = (argv) => {
+  const options = { outDir: 'pack-server', version: 1 };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--version') {
+      options.version = Number(argv[++i]);
+    } else {
+      options.outDir = argv[i];
+    }
+  }
+  if (!Number.isInteger(options.version) || options.version < 1) {
+    throw new Error('--version must be a positive integer');
+  }
+  return options;
+};
+
+// Describe a monolingual pack
+const languagePack = (code) => ({
+  code,
+  name: LANGUAGE_NAMES[code],
+  listSections: LIST_SECTIONS,
+  manifest: {
+    kind: 'language',
+    alignedLanguages: code === ALIGNMENT_LANGUAGE ? ['*'] : [ALIGNMENT_LANGUAGE],
+    sections: SECTIONS
+  },
+  buildContent: (quality, version) => ({
+    formatVersion: FORMAT_VERSION,
+    code,
+    version,
+    phrases: PHRASES[code],
+    dictionary: DICTIONARY.map(({ id, pos, [code]: [lemma, forms] }) => (forms ? { id, lemma, pos, forms } : { id, lemma, pos })),
+    features: {
+      capabilities: QUALITY_FEATURES[quality],
+      formalityVariants: PHRASES[code].some(phrase => phrase.variants)
+    }
+  })
+});
+
+// Describe a pair pack: the shared phrases and dictionary of both languages, plus idioms
+const pairPack = (languages) => {
+  const [first, second] = languages;
+  const code = `${first}-${second}`;
+
+  const buildEntries = () => {
+    const phrases = PHRASES[first]
+      .map(phrase => [phrase, PHRASES[second].find(other => other.id === phrase.id)])
+      .filter(([, other]) => other)
+      .map(([phrase, other]) => {
+        const entry = { id: phrase.id, texts: { [first]: phrase.text, [second]: other.text } };
+        const variants = {};
+        if (phrase.variants) variants[first] = phrase.variants;
+        if (other.variants) variants[second] = other.variants;
+        return Object.keys(variants).length > 0 ? { ...entry, variants } : entry;
+      });
+
+    const idioms = IDIOMS
+      .filter(idiom => idiom.texts[first] && idiom.texts[second])
+      .map(idiom => {
+        const entry = { id: idiom.id, idiom: true, texts: { [first]: idiom.texts[first], [second]: idiom.texts[second] } };
+        return idiom.alignment
+          ? { ...entry, alignment: [{ [first]: idiom.alignment[first], [second]: idiom.alignment[second] }] }
+          : entry;
+      });
+
+    return [...phrases, ...idioms];
+  };
+
+  const term = ([lemma, forms]) => (forms ? { lemma, forms } : { lemma });
+
+  return {
+    code,
+    name: `${LANGUAGE_NAMES[first]} ↔ ${LANGUAGE_NAMES[second]}`,
+    listSections: PAIR_LIST_SECTIONS,
+    manifest: {
+      kind: 'pair',
+      languages,
+      sections: PAIR_SECTIONS
+    },
+    buildContent: (quality, version) => {
+      const entries = buildEntries();
+      return {
+        formatVersion: FORMAT_VERSION,
+        code,
+        version,
+        entries,
+        lexicon: DICTIONARY.map(entry => ({
+          id: entry.id,
+          pos: entry.pos,
+          terms: { [first]: term(entry[first]), [second]: term(entry[second]) }
+        })),
+        features: {
+          capabilities: QUALITY_FEATURES[quality],
+          formalityVariants: entries.some(entry => entry.variants),
+          idioms: entries.filter(entry => entry.idiom).length
+        }
+      };
+    }
+  };
+};
+
+const md5 = (data) => crypto.createHash('md5').update(data).digest('hex');
+
+// Describe how to turn one version's content into another's
+const createPatch = (code, quality, listSections, fromRaw, toContent) => {
+  const fromContent = JSON.parse(fromRaw);
+  const sections = {};
+
+  listSections.forEach(section => {
+    const previous = new Map(fromContent[section].map(entry => [entry.id, JSON.stringify(entry)]));
+    sections[section] = {
+      order: toContent[section].map(entry => entry.id),
+      upsert: toContent[section].filter(entry => previous.get(entry.id) !== JSON.stringify(entry))
+    };
+  });
+
+  if (JSON.stringify(fromContent.features) !== JSON.stringify(toContent.features)) {
+    sections.features = { replace: toContent.features };
+  }
+
+  return {
+    formatVersion: FORMAT_VERSION,
+    code,
+    quality,
+    fromVersion: fromContent.version,
+    toVersion: toContent.version,
+    baseChecksum: md5(fromRaw),
+    sections
+  };
+};
+
+// Build one pack (from languagePack or pairPack) and return its catalog entry
+const buildPack = (outDir, pack, quality, version) => {
+  const { code } = pack;
+  const packDir = path.join(outDir, 'packs', code, quality);
+  const historyDir = path.join(packDir, 'history');
+  const patchesDir = path.join(packDir, 'patches');
+  const contentPath = path.join(packDir, CONTENT_FILE);
+  fs.mkdirSync(historyDir, { recursive: true });
+
+  // Keep the previous version's content so patches can be made from it
+  if (fs.existsSync(contentPath)) {
+    const previousRaw = fs.readFileSync(contentPath, 'utf8');
+    const previousVersion = JSON.parse(previousRaw).version;
+    if (previousVersion < version) {
+      fs.writeFileSync(path.join(historyDir, `${previousVersion}.json`), previousRaw);
+    }
+  }
+
+  const contentObject = pack.buildContent(quality, version);
+  const content = JSON.stringify(contentObject);
+  fs.writeFileSync(contentPath, content);
+
+  fs.rmSync(patchesDir, { recursive: true, force: true });
+  fs.mkdirSync(patchesDir);
+  const patches = fs.readdirSync(historyDir)
+    .map(file => fs.readFileSync(path.join(historyDir, file), 'utf8'))
+    .filter(raw => JSON.parse(raw).version < version)
+    .map(raw => {
+      const patch = JSON.stringify(createPatch(code, quality, pack.listSections, raw, contentObject));
+      const fromVersion = JSON.parse(raw).version;
+      fs.writeFileSync(path.join(patchesDir, `${fromVersion}-${version}.json`), patch);
+      return { fromVersion, size: Buffer.byteLength(patch) };
+    })
+    .sort((a, b) => a.fromVersion - b.fromVersion);
+
+  const manifest = {
+    formatVersion: FORMAT_VERSION,
+    code,
+    name: pack.name,
+    quality,
+    version,
+    features: QUALITY_FEATURES[quality],
+    ...pack.manifest,
+    content: {
+      file: CONTENT_FILE,
+      size: Buffer.byteLength(content),
+      checksum: {
+        algorithm: 'md5',
+        value: md5(content)
+      }
+    },
+    createdAt: new Date().toISOString()
+  };
+  fs.writeFileSync(path.join(packDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+
+  return {
+    kind: manifest.kind,
+    name: manifest.name,
+    ...(manifest.languages ? { languages: manifest.languages } : {}),
+    version,
+    size: manifest.content.size,
+    checksum: manifest.content.checksum.value,
+    patches
+  };
+};
+
+const main = () => {
+  const { outDir, version } = parseArgs(process.argv.slice(2));
+  const packs = [...Object.keys(PHRASES).map(languagePack), ...PAIR_PACKS.map(pairPack)];
+  const catalog = { formatVersion: FORMAT_VERSION, generatedAt: new Date().toISOString(), packs: {} };
+
+  packs.forEach(pack => {
+    catalog.packs[pack.code] = {};
+    Object.keys(QUALITY_FEATURES).forEach(quality => {
+      catalog.packs[pack.code][quality] = buildPack(outDir, pack, quality, version);
+    });
+  });
+
+  fs.writeFileSync(path.join(outDir, 'catalog.json'), JSON.stringify(catalog, null, 2));
+
+  console.log(`Built ${Object.keys(PHRASES).length} language packs and ${PAIR_PACKS.length} pair packs (version ${version}) in ${outDir}`);
+};
+
+main();
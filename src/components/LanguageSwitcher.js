@@ -13,11 +13,14 @@ import {
   Animated
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import { getSupportedLanguages } from '../services/translationService';
+import { getSupportedLanguages, AUTO_DETECT_LANGUAGE } from '../services/translationService';
 import logger from '../utils/logger';
 
 const { width } = Dimensions.get('window');
 
+// Source-only option that lets the translator detect the input language
+const AUTO_DETECT_OPTION = { code: AUTO_DETECT_LANGUAGE, name: 'Detect language' };
+
 const LanguageSwitcher = ({ onLanguageChange, darkMode = false, style }) => {
   const [sourceLanguage, setSourceLanguage] = useState('en');
   const [targetLanguage, setTargetLanguage] = useState('zh');
@@ -70,6 +73,9 @@ const LanguageSwitcher = ({ onLanguageChange, darkMode = false, style }) => {
   
   // Get language name by code
   const getLanguageName = (code) => {
+    if (code === AUTO_DETECT_LANGUAGE) {
+      return AUTO_DETECT_OPTION.name;
+    }
     const language = availableLanguages.find(lang => lang.code === code);
     return language ? language.name : code.toUpperCase();
   };
@@ -93,6 +99,11 @@ const LanguageSwitcher = ({ onLanguageChange, darkMode = false, style }) => {
   
   // Swap source and target languages
   const swapLanguages = () => {
+    // A detected source language has no fixed counterpart to swap with
+    if (sourceLanguage === AUTO_DETECT_LANGUAGE) {
+      logger.debug('Swap ignored while source language is auto-detected', 'LanguageSwitcher');
+      return;
+    }
     logger.debug(`Swapping languages ${sourceLanguage} ↔ ${targetLanguage}`, 'LanguageSwitcher');
     setSourceLanguage(targetLanguage);
     setTargetLanguage(sourceLanguage);
@@ -157,6 +168,7 @@ const LanguageSwitcher = ({ onLanguageChange, darkMode = false, style }) => {
             pressedButton === 'swap' && (darkMode ? styles.darkPressedSwapButton : styles.pressedSwapButton)
           ]}
           onPress={swapLanguages}
+          disabled={sourceLanguage === AUTO_DETECT_LANGUAGE}
           activeOpacity={0.5}
           onPressIn={() => handlePressIn('swap')}
           onPressOut={handlePressOut}
@@ -231,7 +243,7 @@ const LanguageSwitcher = ({ onLanguageChange, darkMode = false, style }) => {
             </View>
             
             <FlatList
-              data={availableLanguages}
+              data={[AUTO_DETECT_OPTION, ...availableLanguages]}
               keyExtractor={(item) => item.code}
               renderItem={({ item }) => (
                 <TouchableOpacity
@@ -0,0 +1,63 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { NETWORK_MODES, NETWORK_MODE_LABELS } from '../services/networkPolicyService';
+
+// Icon and color per translation mode
+const MODE_APPEARANCE = {
+  [NETWORK_MODES.ONLINE]: { icon: 'cloud-done-outline', color: '#4CAF50' },
+  [NETWORK_MODES.OFFLINE_FIRST]: { icon: 'cloud-offline-outline', color: '#FF9800' },
+  [NETWORK_MODES.OFFLINE]: { icon: 'cloud-offline', color: '#ff3b30' },
+};
+
+// Shows the effective translation mode and why it applies
+// (status comes from networkPolicyService.subscribeToNetworkMode)
+const NetworkModeStatus = ({ status, darkMode = false, style, onPress }) => {
+  if (!status) {
+    return null;
+  }
+
+  const appearance = MODE_APPEARANCE[status.mode] || MODE_APPEARANCE[NETWORK_MODES.ONLINE];
+  const Container = onPress ? TouchableOpacity : View;
+
+  return (
+    <Container style={[styles.container, darkMode && styles.darkContainer, style]} onPress={onPress}>
+      <Ionicons name={appearance.icon} size={16} color={appearance.color} />
+      <Text style={[styles.modeText, { color: appearance.color }]}>
+        {NETWORK_MODE_LABELS[status.mode]}
+      </Text>
+      <Text style={[styles.reasonText, darkMode && styles.darkReasonText]} numberOfLines={1}>
+        {status.description}
+      </Text>
+    </Container>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    backgroundColor: '#f0f0f0',
+  },
+  darkContainer: {
+    backgroundColor: '#2a2a2a',
+  },
+  modeText: {
+    fontSize: 13,
+    fontWeight: '600',
+    marginLeft: 6,
+  },
+  reasonText: {
+    flex: 1,
+    fontSize: 13,
+    color: '#666',
+    marginLeft: 6,
+  },
+  darkReasonText: {
+    color: '#aaa',
+  },
+});
+
+export default NetworkModeStatus;
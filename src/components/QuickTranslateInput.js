@@ -12,7 +12,8 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import * as Speech from 'expo-speech';
-import { translateText } from '../services/translationService';
+import { translateText, AUTO_DETECT_LANGUAGE } from '../services/translationService';
+import { isTranslationError, isCancelledResult } from '../services/translationResult';
 import logger from '../utils/logger';
 
 /**
@@ -31,22 +32,37 @@ const QuickTranslateInput = ({ sourceLanguage, targetLanguage, onFocusChange, da
   // State management
   const [inputText, setInputText] = useState('');
   const [translatedText, setTranslatedText] = useState('');
+  const [detectedLanguage, setDetectedLanguage] = useState(null);
   const [examples, setExamples] = useState([]);
+  const [suggestions, setSuggestions] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [inputFocused, setInputFocused] = useState(false);
   
   // Refs
   const inputRef = useRef(null);
   const translationTimeoutRef = useRef(null);
+  const abortControllerRef = useRef(null);
+  const latestRequestIdRef = useRef(0);
   
   /**
-   * Clean up any timeouts when component unmounts
+   * Cancel the in-flight translation, if any, so its result is never shown
+   */
+  const cancelPendingTranslation = useCallback(() => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+      abortControllerRef.current = null;
+    }
+  }, []);
+  
+  /**
+   * Clean up any timeouts and pending requests when component unmounts
    */
   useEffect(() => {
     return () => {
       if (translationTimeoutRef.current) {
         clearTimeout(translationTimeoutRef.current);
       }
+      cancelPendingTranslation();
     };
   }, []);
   
@@ -54,15 +70,20 @@ const QuickTranslateInput = ({ sourceLanguage, targetLanguage, onFocusChange, da
    * Handle input text change with debounce for translation
    */
   useEffect(() => {
-    // Clear any previous translation request
+    // Clear any previous translation request, including one already running
     if (translationTimeoutRef.current) {
       clearTimeout(translationTimeoutRef.current);
     }
+    cancelPendingTranslation();
     
     // If input is empty, clear results
     if (!inputText.trim()) {
+      latestRequestIdRef.current += 1;
+      setIsLoading(false);
       setTranslatedText('');
+      setDetectedLanguage(null);
       setExamples([]);
+      setSuggestions([]);
       return;
     }
     
@@ -85,25 +106,48 @@ const QuickTranslateInput = ({ sourceLanguage, targetLanguage, onFocusChange, da
   const performTranslation = useCallback(async (text) => {
     if (!text.trim()) return;
     
+    // Only the most recent request may update the UI
+    cancelPendingTranslation();
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    latestRequestIdRef.current += 1;
+    const requestId = latestRequestIdRef.current;
+    const isLatest = () => requestId === latestRequestIdRef.current;
+    
     try {
       setIsLoading(true);
       logger.debug(`Translating: "${text.substring(0, 30)}${text.length > 30 ? '...' : ''}"`, 'QuickTranslateInput');
       
-      const result = await translateText(text, sourceLanguage, targetLanguage);
+      const result = await translateText(text, sourceLanguage, targetLanguage, null, {
+        signal: controller.signal,
+        requestId
+      });
+      
+      if (!isLatest() || isCancelledResult(result)) {
+        logger.debug(`Discarding stale translation #${result.requestId}`, 'QuickTranslateInput');
+        return;
+      }
       
-      if (typeof result === 'string') {
-        setTranslatedText(result);
-        logger.debug(`Translation successful: "${result.substring(0, 30)}${result.length > 30 ? '...' : ''}"`, 'QuickTranslateInput');
+      setTranslatedText(result.text);
+      setSuggestions(result.suggestions || []);
+      setDetectedLanguage(sourceLanguage === AUTO_DETECT_LANGUAGE ? result.detectedLanguage : null);
+      if (isTranslationError(result)) {
+        logger.warn(`Translation returned ${result.errorCode}`, 'QuickTranslateInput');
+        setExamples([]);
+      } else {
+        logger.debug(`Translation successful: "${result.text.substring(0, 30)}${result.text.length > 30 ? '...' : ''}"`, 'QuickTranslateInput');
         generateExamples(text);
-      } else if (result && result.translatedText) {
-        setTranslatedText(result.translatedText);
-        logger.debug('Translation successful with metadata', 'QuickTranslateInput');
       }
     } catch (error) {
+      if (!isLatest()) return;
       logger.error(`Translation failed: ${error.message}`, 'QuickTranslateInput', error);
       setTranslatedText(`Error translating text: ${error.message}`);
+      setSuggestions([]);
     } finally {
-      setIsLoading(false);
+      if (isLatest()) {
+        abortControllerRef.current = null;
+        setIsLoading(false);
+      }
     }
   }, [sourceLanguage, targetLanguage]);
   
@@ -186,7 +230,9 @@ const QuickTranslateInput = ({ sourceLanguage, targetLanguage, onFocusChange, da
     logger.debug('Clearing translation input', 'QuickTranslateInput');
     setInputText('');
     setTranslatedText('');
+    setDetectedLanguage(null);
     setExamples([]);
+    setSuggestions([]);
     Keyboard.dismiss();
     
     if (onFocusChange) {
@@ -339,10 +385,18 @@ const QuickTranslateInput = ({ sourceLanguage, targetLanguage, onFocusChange, da
           styles.translationHeader,
           !darkMode && styles.lightTranslationHeader
         ]}>
-          <Text style={[
-            styles.translationTitle,
-            !darkMode && styles.lightTranslationTitle
-          ]}>Translation</Text>
+          <View>
+            <Text style={[
+              styles.translationTitle,
+              !darkMode && styles.lightTranslationTitle
+            ]}>Translation</Text>
+            {detectedLanguage && (
+              <Text style={[
+                styles.detectedLanguageText,
+                !darkMode && styles.lightDetectedLanguageText
+              ]}>Detected: {detectedLanguage.toUpperCase()}</Text>
+            )}
+          </View>
           <TouchableOpacity 
             style={[
               styles.pronounceButton,
@@ -359,11 +413,35 @@ const QuickTranslateInput = ({ sourceLanguage, targetLanguage, onFocusChange, da
           !darkMode && styles.lightTranslatedText
         ]}>{translatedText}</Text>
         
+        {suggestions.length > 0 && renderSuggestions()}
         {examples.length > 0 && renderExamples()}
       </View>
     );
   };
   
+  /**
+   * Render the closest offline phrases when the input had no exact match
+   */
+  const renderSuggestions = () => {
+    return (
+      <View style={[
+        styles.examplesContainer,
+        !darkMode && styles.lightExamplesContainer
+      ]}>
+        <Text style={[
+          styles.examplesTitle,
+          !darkMode && styles.lightExamplesTitle
+        ]}>Closest phrases</Text>
+        {suggestions.map((suggestion, index) => (
+          <Text key={index} style={[
+            styles.exampleText,
+            !darkMode && styles.lightExampleText
+          ]}>{suggestion.source} → {suggestion.text}</Text>
+        ))}
+      </View>
+    );
+  };
+  
   /**
    * Render example usages
    */
@@ -587,6 +665,14 @@ const styles = StyleSheet.create({
   lightTranslationTitle: {
     color: '#333',
   },
+  detectedLanguageText: {
+    fontSize: 13,
+    color: '#888',
+    marginTop: 2,
+  },
+  lightDetectedLanguageText: {
+    color: '#666',
+  },
   pronounceButton: {
     padding: 6,
     backgroundColor: 'rgba(58, 123, 255, 0.1)',
@@ -0,0 +1,115 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { STORAGE_CATEGORIES, bytesToMB } from '../services/storageService';
+
+// Bar colors per storage category
+const CATEGORY_COLORS = {
+  languagePacks: '#4a6ea9',
+  history: '#4CAF50',
+  conversations: '#FF9800',
+  cameraImages: '#9C27B0',
+  cache: '#00BCD4',
+  other: '#9E9E9E',
+};
+
+// Shows measured storage per category (usage comes from storageService.getStorageUsage)
+const StorageBreakdown = ({ usage, darkMode = false, style }) => {
+  if (!usage) {
+    return (
+      <Text style={[styles.totalText, darkMode && styles.darkText, style]}>
+        Measuring storage...
+      </Text>
+    );
+  }
+
+  const { total, categories, budget, overBudget } = usage;
+
+  return (
+    <View style={style}>
+      <Text style={[styles.totalText, darkMode && styles.darkText]}>
+        Storage Used: {bytesToMB(total)} MB
+      </Text>
+
+      <View style={[styles.bar, darkMode && styles.darkBar]}>
+        {total > 0 && STORAGE_CATEGORIES.map(category => (
+          <View
+            key={category.id}
+            style={{
+              flex: categories[category.id] / total,
+              backgroundColor: CATEGORY_COLORS[category.id],
+            }}
+          />
+        ))}
+      </View>
+
+      {STORAGE_CATEGORIES.map(category => (
+        <View key={category.id} style={styles.categoryRow}>
+          <View style={[styles.swatch, { backgroundColor: CATEGORY_COLORS[category.id] }]} />
+          <Text style={[styles.categoryName, darkMode && styles.darkText]}>{category.name}</Text>
+          <Text style={[styles.categorySize, darkMode && styles.darkText]}>
+            {bytesToMB(categories[category.id])} MB
+          </Text>
+        </View>
+      ))}
+
+      {budget !== null && (
+        <Text style={[styles.budgetText, overBudget && styles.overBudgetText]}>
+          Language packs: {bytesToMB(categories.languagePacks)} of {bytesToMB(budget)} MB allowed
+        </Text>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  totalText: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 5,
+  },
+  darkText: {
+    color: '#bbb',
+  },
+  bar: {
+    flexDirection: 'row',
+    height: 6,
+    backgroundColor: '#eee',
+    borderRadius: 3,
+    overflow: 'hidden',
+    marginBottom: 8,
+  },
+  darkBar: {
+    backgroundColor: '#333',
+  },
+  categoryRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 2,
+  },
+  swatch: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    marginRight: 8,
+  },
+  categoryName: {
+    flex: 1,
+    fontSize: 12,
+    color: '#666',
+  },
+  categorySize: {
+    fontSize: 12,
+    color: '#666',
+  },
+  budgetText: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 6,
+  },
+  overBudgetText: {
+    color: '#ff3b30',
+    fontWeight: '500',
+  },
+});
+
+export default StorageBreakdown;
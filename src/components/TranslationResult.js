@@ -1,13 +1,51 @@
 import React from 'react';
 import { StyleSheet, View, Text, TouchableOpacity, Share } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
+import { TRANSLATION_PATHS } from '../services/translationResult';
+import { getLanguageName } from '../services/translationService';
+import { splitByGlossaryTerms } from '../utils/glossaryUtils';
+
+// Badge shown for each translation path; online results need no badge
+const PATH_BADGES = {
+  [TRANSLATION_PATHS.OFFLINE]: { icon: 'cloud-offline-outline', label: 'Offline' },
+  [TRANSLATION_PATHS.OFFLINE_FALLBACK]: { icon: 'cloud-offline-outline', label: 'Offline fallback' },
+  [TRANSLATION_PATHS.CACHE]: { icon: 'time-outline', label: 'From memory' },
+};
 
 const TranslationResult = ({ 
   translatedText, 
   sourceLanguage, 
   targetLanguage,
-  isOfflineMessage
+  isOfflineMessage,
+  result = null
 }) => {
+  const alternatives = result && !isOfflineMessage ? result.alternatives || [] : [];
+  const pathBadge = result && !isOfflineMessage
+    ? PATH_BADGES[result.path] || (result.isOffline ? PATH_BADGES[TRANSLATION_PATHS.OFFLINE] : null)
+    : null;
+  const pivotLanguage = result && !isOfflineMessage ? result.pivotLanguage : null;
+  const glossaryTerms = result && !isOfflineMessage ? result.glossaryTerms || [] : [];
+  // Offline phrase matches that weren't exact say what they matched, and near misses are listed
+  const matchQuality = result && !isOfflineMessage && typeof result.matchQuality === 'number' && result.matchQuality < 1
+    ? result.matchQuality
+    : null;
+  const suggestions = result ? result.suggestions || [] : [];
+  const isGloss = Boolean(result && !isOfflineMessage && result.gloss);
+  // Pair packs line up parts of a phrase (usually an idiom) with its translation
+  const alignment = result && !isOfflineMessage ? result.alignment || [] : [];
+  
+  // In word-by-word glosses, words the dictionary didn't know are bracketed; dim them
+  const renderGlossSegment = (text, key) => {
+    if (!isGloss) return text;
+    return text.split(/(\[[^\]]+\])/).filter(Boolean).map((part, index) => (
+      /^\[[^\]]+\]$/.test(part) ? (
+        <Text key={`${key}-${index}`} style={styles.unknownWord}>{part.slice(1, -1)}</Text>
+      ) : (
+        part
+      )
+    ));
+  };
+  
   // Share the translation
   const handleShare = async () => {
     try {
@@ -33,7 +71,23 @@ const TranslationResult = ({
   
   return (
     <View style={styles.container}>
-      <Text style={styles.label}>Translation:</Text>
+      <View style={styles.labelRow}>
+        <View style={styles.labelGroup}>
+          <Text style={styles.label}>Translation:</Text>
+          {pivotLanguage && (
+            <Text style={styles.pivotText}>via {getLanguageName(pivotLanguage)}</Text>
+          )}
+          {isGloss && (
+            <Text style={styles.pivotText}>word by word</Text>
+          )}
+        </View>
+        {pathBadge && (
+          <View style={styles.offlineBadge}>
+            <Ionicons name={pathBadge.icon} size={12} color="#4a6ea9" />
+            <Text style={styles.offlineBadgeText}>{pathBadge.label}</Text>
+          </View>
+        )}
+      </View>
       <View style={[
         styles.translationBox,
         isOfflineMessage && styles.offlineMessageBox
@@ -44,10 +98,58 @@ const TranslationResult = ({
             <Text style={styles.offlineMessage}>{translatedText}</Text>
           </>
         ) : (
-          <Text style={styles.translatedText}>{translatedText}</Text>
+          <Text style={styles.translatedText}>
+            {splitByGlossaryTerms(translatedText, glossaryTerms).map((segment, index) => (
+              segment.isGlossaryTerm ? (
+                <Text key={`seg-${index}`} style={styles.glossaryTerm}>{segment.text}</Text>
+              ) : (
+                renderGlossSegment(segment.text, `seg-${index}`)
+              )
+            ))}
+          </Text>
         )}
       </View>
       
+      {matchQuality !== null && (
+        <Text style={styles.matchText}>
+          Closest phrase: "{result.matchedText}" ({Math.round(matchQuality * 100)}% match)
+        </Text>
+      )}
+      
+      {alignment.length > 0 && (
+        <View style={styles.alternativesContainer}>
+          <Text style={styles.alternativesLabel}>Matched parts:</Text>
+          {alignment.map((segment, index) => (
+            <Text key={`align-${index}`} style={styles.alternativeText}>
+              {segment.source} ↔ {segment.target}
+            </Text>
+          ))}
+        </View>
+      )}
+      
+      {suggestions.length > 0 && (
+        <View style={styles.alternativesContainer}>
+          <Text style={styles.alternativesLabel}>
+            {isOfflineMessage ? 'Closest phrases:' : 'Other close phrases:'}
+          </Text>
+          {suggestions.map((suggestion, index) => (
+            <Text key={`sug-${index}`} style={styles.alternativeText}>
+              {suggestion.source} → {suggestion.text}
+              <Text style={styles.suggestionQuality}> ({Math.round(suggestion.matchQuality * 100)}%)</Text>
+            </Text>
+          ))}
+        </View>
+      )}
+      
+      {alternatives.length > 0 && (
+        <View style={styles.alternativesContainer}>
+          <Text style={styles.alternativesLabel}>Alternatives:</Text>
+          {alternatives.map((alternative, index) => (
+            <Text key={`alt-${index}`} style={styles.alternativeText}>{alternative}</Text>
+          ))}
+        </View>
+      )}
+      
       <View style={styles.actionButtons}>
         {!isOfflineMessage && (
           <>
@@ -77,12 +179,70 @@ const styles = StyleSheet.create({
   container: {
     marginTop: 20,
   },
+  labelRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  labelGroup: {
+    flexDirection: 'row',
+    alignItems: 'baseline',
+  },
   label: {
     fontSize: 16,
     fontWeight: '600',
-    marginBottom: 8,
     color: '#333',
   },
+  pivotText: {
+    fontSize: 12,
+    color: '#999',
+    marginLeft: 6,
+  },
+  offlineBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#eef2fb',
+    borderRadius: 10,
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+  },
+  offlineBadgeText: {
+    fontSize: 12,
+    color: '#4a6ea9',
+    marginLeft: 4,
+  },
+  unknownWord: {
+    color: '#999',
+    fontStyle: 'italic',
+  },
+  glossaryTerm: {
+    backgroundColor: '#fff3c4',
+    fontWeight: '600',
+  },
+  matchText: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 6,
+  },
+  suggestionQuality: {
+    fontSize: 12,
+    color: '#999',
+  },
+  alternativesContainer: {
+    marginTop: 10,
+  },
+  alternativesLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#666',
+    marginBottom: 4,
+  },
+  alternativeText: {
+    fontSize: 14,
+    color: '#555',
+    lineHeight: 20,
+  },
   translationBox: {
     backgroundColor: 'white',
     borderWidth: 1,
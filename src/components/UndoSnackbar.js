@@ -0,0 +1,69 @@
+import React, { useEffect, useRef } from 'react';
+import { Animated, Text, TouchableOpacity, StyleSheet } from 'react-native';
+
+// How long the snackbar stays up before the action can no longer be undone
+const SNACKBAR_DURATION = 5000;
+
+// Bar at the bottom of the screen offering to undo the last action
+// Shown while message is set; onDismiss is called once it times out, onUndo when Undo is tapped.
+// Give it a new key for each action so the timer starts again.
+const UndoSnackbar = ({ message, onUndo, onDismiss, duration = SNACKBAR_DURATION }) => {
+  const opacity = useRef(new Animated.Value(0)).current;
+
+  useEffect(() => {
+    if (!message) return undefined;
+
+    opacity.setValue(0);
+    Animated.timing(opacity, { toValue: 1, duration: 150, useNativeDriver: true }).start();
+    const timer = setTimeout(onDismiss, duration);
+    return () => clearTimeout(timer);
+  }, [message]);
+
+  if (!message) {
+    return null;
+  }
+
+  return (
+    <Animated.View style={[styles.container, { opacity }]}>
+      <Text style={styles.message} numberOfLines={2}>{message}</Text>
+      <TouchableOpacity onPress={onUndo} style={styles.undoButton}>
+        <Text style={styles.undoText}>UNDO</Text>
+      </TouchableOpacity>
+    </Animated.View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    position: 'absolute',
+    left: 15,
+    right: 15,
+    bottom: 20,
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#323232',
+    borderRadius: 8,
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    elevation: 4,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.25,
+    shadowRadius: 4,
+  },
+  message: {
+    flex: 1,
+    color: 'white',
+    fontSize: 14,
+  },
+  undoButton: {
+    marginLeft: 16,
+  },
+  undoText: {
+    color: '#8fa8d6',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+});
+
+export default UndoSnackbar;
@@ -19,7 +19,7 @@ import {
   processImageWithOverlay
 } from '../services/cameraTranslationService';
 import { getSupportedLanguages } from '../services/translationService';
-import { isOfflineModeEnabled, isLanguageDownloaded } from '../services/offlineService';
+import { isOfflineModeEnabled, isLanguageDownloaded, isPairAvailableOffline } from '../services/offlineService';
 import LanguageSelector from '../components/LanguageSelector';
 
 const CameraTranslateScreen = ({ navigation }) => {
@@ -117,12 +117,15 @@ const CameraTranslateScreen = ({ navigation }) => {
       
       // Check if required languages are downloaded for offline mode
       if (offlineMode) {
+        const getLabel = (code) => languages.find(l => l.value === code)?.label || code;
+        
+        // A pair pack covers both languages on its own
         if (sourceLanguage !== 'auto') {
-          const isSourceAvailable = await isLanguageDownloaded(sourceLanguage);
-          if (!isSourceAvailable) {
+          const isPairAvailable = await isPairAvailableOffline(sourceLanguage, targetLanguage);
+          if (!isPairAvailable) {
             Alert.alert(
-              'Language Pack Required',
-              `The ${languages.find(l => l.value === sourceLanguage)?.label || sourceLanguage} language pack is required for offline translation.`,
+              'Language Packs Required',
+              `Translating ${getLabel(sourceLanguage)} to ${getLabel(targetLanguage)} offline needs a pack for each language or a pair pack for both.`,
               [
                 { text: 'Cancel', style: 'cancel' },
                 { 
@@ -136,7 +139,8 @@ const CameraTranslateScreen = ({ navigation }) => {
           }
         }
         
-        const isTargetAvailable = await isLanguageDownloaded(targetLanguage);
+        // The source language isn't known until the text is detected, so the target's own pack is needed
+        const isTargetAvailable = sourceLanguage !== 'auto' || await isLanguageDownloaded(targetLanguage);
         if (!isTargetAvailable) {
           Alert.alert(
             'Language Pack Required',
@@ -165,7 +169,7 @@ const CameraTranslateScreen = ({ navigation }) => {
         );
         
         setRecognizedText(result.recognizedText);
-        setTranslatedText(result.translatedText);
+        setTranslatedText(result.text);
         setBoundingBoxes(result.boundingBoxes);
         
         // Set detected language if auto was selected
@@ -196,7 +200,7 @@ const CameraTranslateScreen = ({ navigation }) => {
           targetLanguage
         );
         
-        setTranslatedText(translationResult.translatedText);
+        setTranslatedText(translationResult.text);
       }
     } catch (error) {
       console.error('Error processing image:', error);
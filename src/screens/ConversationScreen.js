@@ -16,10 +16,19 @@ import { Ionicons } from '@expo/vector-icons';
 import { 
   getConversation, 
   addMessageToConversation, 
-  recognizeSpeech 
+  recognizeSpeech,
+  updateParticipantFormality
 } from '../services/conversationService';
-import { getSupportedLanguages } from '../services/translationService';
-import { isOfflineModeEnabled, isLanguageDownloaded } from '../services/offlineService';
+import { getSupportedLanguages, FORMALITY_LEVELS } from '../services/translationService';
+
+// Order in which the register toggle cycles, with display labels
+const FORMALITY_CYCLE = [FORMALITY_LEVELS.DEFAULT, FORMALITY_LEVELS.FORMAL, FORMALITY_LEVELS.INFORMAL];
+const FORMALITY_LABELS = {
+  [FORMALITY_LEVELS.DEFAULT]: 'Default',
+  [FORMALITY_LEVELS.FORMAL]: 'Formal',
+  [FORMALITY_LEVELS.INFORMAL]: 'Informal',
+};
+import { isOfflineModeEnabled, isPairAvailableOffline } from '../services/offlineService';
 
 const ConversationScreen = ({ navigation, route }) => {
   const { conversationId } = route.params || {};
@@ -102,18 +111,18 @@ const ConversationScreen = ({ navigation, route }) => {
   const sendMessage = async () => {
     if (!messageText.trim()) return;
     
-    // Check if offline mode is enabled and required languages are downloaded
+    // Check if offline mode is enabled and the installed packs cover this pair
+    // (a pair pack, both language packs, or both chained through the pivot language)
     if (offlineMode) {
       const participant = conversation.participants.find(p => p.id === selectedParticipant);
       const otherParticipant = conversation.participants.find(p => p.id !== selectedParticipant);
       
-      const sourceLanguageDownloaded = await isLanguageDownloaded(participant.language);
-      const targetLanguageDownloaded = await isLanguageDownloaded(otherParticipant.language);
+      const pairAvailable = await isPairAvailableOffline(participant.language, otherParticipant.language);
       
-      if (!sourceLanguageDownloaded || !targetLanguageDownloaded) {
+      if (!pairAvailable) {
         Alert.alert(
           'Language Packs Required',
-          'The required language packs are not downloaded for offline translation.',
+          'The required language packs are not downloaded for offline translation. Download a pack for each language, or a pair pack for both.',
           [
             { text: 'Cancel', style: 'cancel' },
             { 
@@ -211,7 +220,10 @@ const ConversationScreen = ({ navigation, route }) => {
         </View>
         
         <Text style={styles.messageText}>{item.text}</Text>
-        <Text style={styles.translatedText}>{item.translatedText}</Text>
+        <Text style={[
+          styles.translatedText,
+          item.errorCode && styles.failedTranslationText
+        ]}>{item.translatedText}</Text>
         
         <Text style={styles.timestamp}>
           {new Date(item.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
@@ -233,6 +245,17 @@ const ConversationScreen = ({ navigation, route }) => {
   // Get the current participant
   const currentParticipant = conversation.participants.find(p => p.id === selectedParticipant);
   const otherParticipant = conversation.participants.find(p => p.id !== selectedParticipant);
+  const otherLanguage = languages.find(lang => lang.code === otherParticipant.language);
+  const otherFormality = otherParticipant.formality || FORMALITY_LEVELS.DEFAULT;
+  
+  // Cycle how the recipient is addressed: default -> formal -> informal
+  const handleCycleFormality = async () => {
+    const nextFormality = FORMALITY_CYCLE[(FORMALITY_CYCLE.indexOf(otherFormality) + 1) % FORMALITY_CYCLE.length];
+    const updatedConversation = await updateParticipantFormality(conversationId, otherParticipant.id, nextFormality);
+    if (updatedConversation) {
+      setConversation(updatedConversation);
+    }
+  };
   
   return (
     <SafeAreaView style={styles.container}>
@@ -269,6 +292,16 @@ const ConversationScreen = ({ navigation, route }) => {
         </TouchableOpacity>
       </View>
       
+      {/* Register used when addressing the other participant */}
+      {otherLanguage && otherLanguage.hasFormality && (
+        <TouchableOpacity style={styles.formalityBar} onPress={handleCycleFormality}>
+          <Ionicons name="people-outline" size={14} color="#666" />
+          <Text style={styles.formalityText}>
+            Address {otherParticipant.name}: <Text style={styles.formalityValue}>{FORMALITY_LABELS[otherFormality]}</Text>
+          </Text>
+        </TouchableOpacity>
+      )}
+      
       {/* Message list */}
       <FlatList
         ref={flatListRef}
@@ -396,6 +429,24 @@ const styles = StyleSheet.create({
     fontSize: 11,
     color: '#666',
   },
+  formalityBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 6,
+    backgroundColor: '#fafafa',
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  formalityText: {
+    fontSize: 12,
+    color: '#666',
+    marginLeft: 6,
+  },
+  formalityValue: {
+    fontWeight: '600',
+    color: '#4a6ea9',
+  },
   messagesList: {
     padding: 15,
   },
@@ -442,6 +493,10 @@ const styles = StyleSheet.create({
     fontStyle: 'italic',
     marginBottom: 5,
   },
+  failedTranslationText: {
+    color: '#e67e00',
+    fontStyle: 'italic',
+  },
   timestamp: {
     fontSize: 10,
     color: '#999',
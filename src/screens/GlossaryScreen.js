@@ -0,0 +1,353 @@
+// GlossaryScreen component - Manages enforced terminology per language pair
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  StyleSheet,
+  View,
+  Text,
+  FlatList,
+  TouchableOpacity,
+  TextInput,
+  Alert,
+  Switch
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { StatusBar } from 'expo-status-bar';
+import { useFocusEffect } from '@react-navigation/native';
+import {
+  getGlossaryForPair,
+  saveGlossaryTerm,
+  deleteGlossaryTerm
+} from '../services/glossaryService';
+import { getCurrentLanguagePair } from '../services/phrasebookService';
+import { getSupportedLanguages } from '../services/translationService';
+
+const GlossaryScreen = ({ route }) => {
+  const [languages, setLanguages] = useState([]);
+  const [sourceLanguage, setSourceLanguage] = useState(route?.params?.sourceLanguage || 'en');
+  const [targetLanguage, setTargetLanguage] = useState(route?.params?.targetLanguage || 'es');
+  const [entries, setEntries] = useState([]);
+  const [term, setTerm] = useState('');
+  const [translation, setTranslation] = useState('');
+  const [caseSensitive, setCaseSensitive] = useState(false);
+
+  // Load languages and the current phrasebook pair on mount
+  useEffect(() => {
+    const loadLanguages = async () => {
+      try {
+        setLanguages(await getSupportedLanguages());
+        if (!route?.params?.sourceLanguage) {
+          const { sourceLang, targetLang } = await getCurrentLanguagePair();
+          setSourceLanguage(sourceLang);
+          setTargetLanguage(targetLang);
+        }
+      } catch (error) {
+        console.error('Error loading glossary languages:', error);
+      }
+    };
+
+    loadLanguages();
+  }, []);
+
+  // Reload terms whenever the pair changes or the screen regains focus
+  const loadEntries = useCallback(async () => {
+    try {
+      setEntries(await getGlossaryForPair(sourceLanguage, targetLanguage));
+    } catch (error) {
+      console.error('Error loading glossary:', error);
+    }
+  }, [sourceLanguage, targetLanguage]);
+
+  useFocusEffect(
+    useCallback(() => {
+      loadEntries();
+    }, [loadEntries])
+  );
+
+  // Add (or update) a term for the selected pair
+  const handleAddTerm = async () => {
+    if (!term.trim()) return;
+
+    const saved = await saveGlossaryTerm({
+      term,
+      translation,
+      caseSensitive,
+      sourceLanguage,
+      targetLanguage
+    });
+
+    if (saved) {
+      setTerm('');
+      setTranslation('');
+      setCaseSensitive(false);
+      loadEntries();
+    } else {
+      Alert.alert('Error', 'Could not save the glossary term. Please try again.');
+    }
+  };
+
+  // Delete a term after confirmation
+  const handleDeleteTerm = (entry) => {
+    Alert.alert(
+      'Delete Term',
+      `Remove "${entry.term}" from the glossary?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            await deleteGlossaryTerm(entry.id);
+            loadEntries();
+          }
+        }
+      ]
+    );
+  };
+
+  // Render a row of selectable language pills
+  const renderLanguagePills = (selected, onSelect, disabledCode) => (
+    <FlatList
+      horizontal
+      showsHorizontalScrollIndicator={false}
+      data={languages}
+      keyExtractor={(item) => item.code}
+      contentContainerStyle={styles.pillList}
+      renderItem={({ item }) => {
+        const isSelected = item.code === selected;
+        const isDisabled = item.code === disabledCode;
+        return (
+          <TouchableOpacity
+            style={[
+              styles.languagePill,
+              isSelected && styles.selectedPill,
+              isDisabled && styles.disabledPill
+            ]}
+            onPress={() => onSelect(item.code)}
+            disabled={isDisabled}
+          >
+            <Text style={[styles.pillText, isSelected && styles.selectedPillText]}>
+              {item.name}
+            </Text>
+          </TouchableOpacity>
+        );
+      }}
+    />
+  );
+
+  // Render a glossary entry
+  const renderEntry = ({ item }) => (
+    <View style={styles.entryItem}>
+      <View style={styles.entryContent}>
+        <Text style={styles.entryTerm}>{item.term}</Text>
+        <View style={styles.entryRenderingRow}>
+          <Ionicons name="arrow-forward" size={14} color="#999" />
+          <Text style={[styles.entryRendering, !item.translation && styles.keepAsIsText]}>
+            {item.translation || 'Keep as is'}
+          </Text>
+        </View>
+        {item.caseSensitive && <Text style={styles.entryMeta}>Case sensitive</Text>}
+      </View>
+      <TouchableOpacity onPress={() => handleDeleteTerm(item)} style={styles.deleteButton}>
+        <Ionicons name="trash-outline" size={20} color="#ff3b30" />
+      </TouchableOpacity>
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      <StatusBar style="auto" />
+
+      <Text style={styles.sectionLabel}>From</Text>
+      {renderLanguagePills(sourceLanguage, setSourceLanguage, targetLanguage)}
+      <Text style={styles.sectionLabel}>To</Text>
+      {renderLanguagePills(targetLanguage, setTargetLanguage, sourceLanguage)}
+
+      {/* Add term form */}
+      <View style={styles.form}>
+        <TextInput
+          style={styles.input}
+          placeholder="Term (e.g. a product or hotel name)"
+          placeholderTextColor="#999"
+          value={term}
+          onChangeText={setTerm}
+        />
+        <TextInput
+          style={styles.input}
+          placeholder="Fixed translation (leave empty to keep as is)"
+          placeholderTextColor="#999"
+          value={translation}
+          onChangeText={setTranslation}
+        />
+        <View style={styles.formRow}>
+          <View style={styles.switchRow}>
+            <Switch
+              value={caseSensitive}
+              onValueChange={setCaseSensitive}
+              trackColor={{ false: '#d3d3d3', true: '#6889c4' }}
+              thumbColor={caseSensitive ? '#4a6ea9' : '#f4f3f4'}
+            />
+            <Text style={styles.switchLabel}>Case sensitive</Text>
+          </View>
+          <TouchableOpacity
+            style={[styles.addButton, !term.trim() && styles.addButtonDisabled]}
+            onPress={handleAddTerm}
+            disabled={!term.trim()}
+          >
+            <Text style={styles.addButtonText}>Add Term</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+
+      <FlatList
+        data={entries}
+        keyExtractor={(item) => item.id}
+        renderItem={renderEntry}
+        contentContainerStyle={styles.listContainer}
+        ListEmptyComponent={
+          <Text style={styles.emptyText}>
+            No glossary terms for this language pair yet
+          </Text>
+        }
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  sectionLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#666',
+    marginHorizontal: 16,
+    marginTop: 12,
+    marginBottom: 6,
+  },
+  pillList: {
+    paddingHorizontal: 16,
+  },
+  languagePill: {
+    backgroundColor: 'white',
+    borderRadius: 20,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginRight: 8,
+    borderWidth: 1,
+    borderColor: '#ddd',
+  },
+  selectedPill: {
+    backgroundColor: '#4a6ea9',
+    borderColor: '#4a6ea9',
+  },
+  disabledPill: {
+    opacity: 0.4,
+  },
+  pillText: {
+    fontSize: 14,
+    color: '#666',
+  },
+  selectedPillText: {
+    color: 'white',
+  },
+  form: {
+    backgroundColor: 'white',
+    borderRadius: 8,
+    margin: 16,
+    padding: 12,
+    borderWidth: 1,
+    borderColor: '#ddd',
+  },
+  input: {
+    height: 44,
+    fontSize: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+    marginBottom: 8,
+  },
+  formRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  switchLabel: {
+    fontSize: 14,
+    color: '#666',
+    marginLeft: 8,
+  },
+  addButton: {
+    backgroundColor: '#4a6ea9',
+    borderRadius: 8,
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+  },
+  addButtonDisabled: {
+    opacity: 0.5,
+  },
+  addButtonText: {
+    color: 'white',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  listContainer: {
+    paddingHorizontal: 16,
+    paddingBottom: 20,
+  },
+  entryItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 15,
+    marginBottom: 8,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 1,
+  },
+  entryContent: {
+    flex: 1,
+  },
+  entryTerm: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: '#333',
+  },
+  entryRenderingRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  entryRendering: {
+    fontSize: 14,
+    color: '#4a6ea9',
+    marginLeft: 6,
+  },
+  keepAsIsText: {
+    color: '#999',
+    fontStyle: 'italic',
+  },
+  entryMeta: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 4,
+  },
+  deleteButton: {
+    padding: 8,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#999',
+    textAlign: 'center',
+    marginTop: 20,
+  },
+});
+
+export default GlossaryScreen;
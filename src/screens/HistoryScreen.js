@@ -1,36 +1,143 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { 
   StyleSheet, 
   View, 
   Text, 
   FlatList, 
+  ScrollView,
+  TextInput,
   TouchableOpacity, 
   Alert,
-  SafeAreaView 
+  Modal,
+  SafeAreaView,
+  ActivityIndicator,
+  Platform
 } from 'react-native';
-import { getHistory, clearHistory } from '../services/historyService';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import { Swipeable } from 'react-native-gesture-handler';
+import { Ionicons } from '@expo/vector-icons';
+import * as DocumentPicker from 'expo-document-picker';
+import Share from 'react-native-share';
+import {
+  searchHistory,
+  getHistoryFilterOptions,
+  clearHistory,
+  retranslateHistory,
+  exportHistory,
+  importHistory,
+  deleteHistoryItems,
+  restoreHistoryItems,
+  setHistoryItemsStarred,
+  HISTORY_SOURCE_TYPES,
+  HISTORY_SOURCE_TYPE_LABELS,
+  HISTORY_SORTS
+} from '../services/historyService';
+import { getTranslationContexts } from '../services/translationService';
+import { saveManyToPhrasebook } from '../services/phrasebookService';
+import UndoSnackbar from '../components/UndoSnackbar';
+import { splitBySearchMatches } from '../utils/textMatching';
+import { HISTORY_EXPORT_FORMATS } from '../utils/historyFormat';
+
+// Date range shortcuts, as how far back they reach in days (null for any time)
+// Picking a start or end date instead sets the range to CUSTOM_DATE_RANGE.
+const DATE_RANGES = [
+  { id: 'any', label: 'Any time', days: null },
+  { id: 'day', label: 'Past 24 hours', days: 1 },
+  { id: 'week', label: 'Past week', days: 7 },
+  { id: 'month', label: 'Past month', days: 30 },
+  { id: 'year', label: 'Past year', days: 365 },
+];
+const CUSTOM_DATE_RANGE = 'custom';
+
+// Wait this long after typing stops before searching
+const SEARCH_DELAY = 300;
+
+// from and to are the first and last day of a custom date range
+const NO_FILTERS = { pair: null, context: null, contextType: null, dateRange: 'any', from: null, to: null };
+
+// Orders the list can be shown in; most used brings up phrases worth keeping at hand
+const SORT_OPTIONS = [
+  { id: HISTORY_SORTS.RECENT, label: 'Recent' },
+  { id: HISTORY_SORTS.MOST_USED, label: 'Most used' },
+];
 
 const HistoryScreen = ({ navigation }) => {
   const [history, setHistory] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [retranslating, setRetranslating] = useState(false);
+  // Where the next page starts; null once everything is loaded
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [query, setQuery] = useState('');
+  const [filters, setFilters] = useState(NO_FILTERS);
+  const [showFilters, setShowFilters] = useState(false);
+  const [sort, setSort] = useState(HISTORY_SORTS.RECENT);
+  // Which end of the custom date range is being picked ('from' or 'to'), if any
+  const [datePickerField, setDatePickerField] = useState(null);
+  // Pairs and source types history has entries for
+  const [filterOptions, setFilterOptions] = useState({ pairs: [], contextTypes: [] });
+  // Ids of the entries picked with a long press; while any are picked, taps select too
+  const [selectedIds, setSelectedIds] = useState(new Set());
+  const [showExportModal, setShowExportModal] = useState(false);
+  const [transferring, setTransferring] = useState(false);
+  // Deletions that can still be undone: { key, message, entries }
+  const [undo, setUndo] = useState(null);
+  // Only the latest search may update the list
+  const searchRequest = useRef(0);
+  const contexts = getTranslationContexts();
+  
+  const activeFilterCount = ['pair', 'context', 'contextType'].filter(key => filters[key]).length +
+    (filters.dateRange !== 'any' ? 1 : 0);
+  const isSearching = query.trim().length > 0 || activeFilterCount > 0;
   
-  // Load history when component mounts
+  // Search again shortly after the query or a filter changes
+  useEffect(() => {
+    const timer = setTimeout(loadHistory, SEARCH_DELAY);
+    return () => clearTimeout(timer);
+  }, [query, filters, sort]);
+  
+  // Refresh history when the screen comes into focus
   useEffect(() => {
-    loadHistory();
-    
-    // Refresh history when the screen comes into focus
     const unsubscribe = navigation.addListener('focus', () => {
       loadHistory();
     });
     
     return unsubscribe;
-  }, [navigation]);
+  }, [navigation, query, filters, sort]);
+  
+  // Build search options from the query and filters
+  // A custom range runs from the start of its first day to the end of its last
+  const getSearchOptions = () => {
+    const range = DATE_RANGES.find(option => option.id === filters.dateRange);
+    let from = range && range.days ? new Date(Date.now() - range.days * 24 * 60 * 60 * 1000) : null;
+    let to = null;
+    if (filters.dateRange === CUSTOM_DATE_RANGE) {
+      from = filters.from ? new Date(new Date(filters.from).setHours(0, 0, 0, 0)) : null;
+      to = filters.to ? new Date(new Date(filters.to).setHours(23, 59, 59, 999)) : null;
+    }
+    return {
+      query,
+      sort,
+      pair: filters.pair,
+      context: filters.context,
+      contextType: filters.contextType,
+      from,
+      to
+    };
+  };
   
-  // Load translation history
+  // Load the first page of matching history (most recent first)
   const loadHistory = async () => {
+    const request = ++searchRequest.current;
     try {
-      const historyData = await getHistory();
-      setHistory(historyData.reverse()); // Show most recent first
+      const [page, options] = await Promise.all([
+        searchHistory(getSearchOptions()),
+        getHistoryFilterOptions()
+      ]);
+      if (request !== searchRequest.current) return;
+      setHistory(page.items);
+      setNextCursor(page.nextCursor);
+      setFilterOptions(options);
     } catch (error) {
       console.error('Failed to load history:', error);
     } finally {
@@ -38,6 +145,185 @@ const HistoryScreen = ({ navigation }) => {
     }
   };
   
+  // Load the next page when the list is scrolled near its end
+  const loadMoreHistory = async () => {
+    if (!nextCursor || loadingMore) return;
+    
+    const request = searchRequest.current;
+    setLoadingMore(true);
+    try {
+      const page = await searchHistory({ ...getSearchOptions(), cursor: nextCursor });
+      if (request !== searchRequest.current) return;
+      setHistory(current => [...current, ...page.items]);
+      setNextCursor(page.nextCursor);
+    } catch (error) {
+      console.error('Failed to load more history:', error);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+  
+  // Set a filter; choosing the active value again clears it
+  const toggleFilter = (key, value) => {
+    setFilters(current => ({
+      ...current,
+      [key]: current[key] === value ? NO_FILTERS[key] : value,
+      // A shortcut replaces any custom date range
+      ...(key === 'dateRange' ? { from: null, to: null } : {})
+    }));
+  };
+  
+  // Set one end of a custom date range from the date picker
+  // If the range would end before it starts, both ends move to the picked day
+  const handleDatePicked = (event, date) => {
+    const field = datePickerField;
+    setDatePickerField(null);
+    if (event.type !== 'set' || !date) return;
+    
+    setFilters(current => {
+      const updated = { ...current, dateRange: CUSTOM_DATE_RANGE, [field]: date };
+      if (updated.from && updated.to && updated.from > updated.to) {
+        updated[field === 'from' ? 'to' : 'from'] = date;
+      }
+      return updated;
+    });
+  };
+  
+  const clearSearch = () => {
+    setQuery('');
+    setFilters(NO_FILTERS);
+  };
+  
+  // Pick or unpick an entry
+  const toggleSelected = (id) => {
+    setSelectedIds(current => {
+      const updated = new Set(current);
+      if (updated.has(id)) {
+        updated.delete(id);
+      } else {
+        updated.add(id);
+      }
+      return updated;
+    });
+  };
+  
+  // Selected entries among those loaded
+  const getSelectedEntries = () => history.filter(item => selectedIds.has(item.id));
+  
+  // Delete entries straight away and offer to undo it
+  // Deleting again while the snackbar is up adds to the same undo, so nothing deleted can be lost
+  const handleDelete = async (ids) => {
+    const removed = new Set(ids);
+    setHistory(current => current.filter(item => !removed.has(item.id)));
+    setSelectedIds(new Set());
+    
+    const entries = await deleteHistoryItems(ids);
+    if (entries.length > 0) {
+      setUndo(current => {
+        const pending = [...(current ? current.entries : []), ...entries];
+        return {
+          key: Date.now(),
+          message: pending.length === 1 ? 'Translation deleted' : `${pending.length} translations deleted`,
+          entries: pending
+        };
+      });
+    }
+  };
+  
+  // Put back everything deleted since the snackbar appeared
+  const handleUndo = async () => {
+    if (!undo) return;
+    const { entries } = undo;
+    setUndo(null);
+    await restoreHistoryItems(entries);
+    await loadHistory();
+  };
+  
+  // Star the selected entries, or unstar them if they are all starred already
+  const handleStarSelected = async () => {
+    const selected = getSelectedEntries();
+    const starred = !(selected.length > 0 && selected.every(item => item.starred));
+    await setHistoryItemsStarred([...selectedIds], starred);
+    setHistory(current => current.map(item => (
+      selectedIds.has(item.id) ? { ...item, starred } : item
+    )));
+    setSelectedIds(new Set());
+  };
+  
+  // Copy the selected translations into the phrasebook, filed under their context
+  const handleAddSelectedToPhrasebook = async () => {
+    const phrases = getSelectedEntries().map(item => {
+      const context = contexts.find(c => c.id === item.context);
+      return {
+        sourceText: item.sourceText,
+        targetText: item.translatedText,
+        translatedText: item.translatedText,
+        sourceLanguage: item.sourceLanguage,
+        targetLanguage: item.targetLanguage,
+        ...(context ? { category: context.name } : {})
+      };
+    });
+    
+    const { added, updated } = await saveManyToPhrasebook(phrases);
+    setSelectedIds(new Set());
+    Alert.alert(
+      'Added to Phrasebook',
+      `${added} phrases added.` + (updated > 0 ? ` ${updated} were already in your phrasebook and have been updated.` : '')
+    );
+  };
+  
+  // Export the selected entries, or all history when none are selected, and share the file
+  const handleExport = async (format) => {
+    setShowExportModal(false);
+    setTransferring(true);
+    try {
+      const ids = selectedIds.size > 0 ? [...selectedIds] : null;
+      const { uri } = await exportHistory(format.id, ids);
+      
+      await Share.open({
+        url: uri,
+        type: format.mimeType,
+        filename: uri.split('/').pop(),
+        title: 'Translation history',
+        failOnCancel: false,
+      });
+      setSelectedIds(new Set());
+    } catch (error) {
+      console.error('Failed to export history:', error);
+      Alert.alert('Export Failed', error.message);
+    } finally {
+      setTransferring(false);
+    }
+  };
+  
+  // Merge a JSON export, e.g. from another device, into history
+  const handleImport = async () => {
+    try {
+      const result = await DocumentPicker.getDocumentAsync({
+        type: ['application/json', '*/*'],
+        copyToCacheDirectory: true,
+      });
+      if (result.canceled) return;
+      
+      setTransferring(true);
+      const { added, merged, duplicates, invalid } = await importHistory(result.assets[0].uri);
+      await loadHistory();
+      
+      Alert.alert(
+        'History Imported',
+        `${added} translations added.` +
+          (merged > 0 ? ` ${merged} were merged into translations already in your history.` : '') +
+          (duplicates > 0 ? ` ${duplicates} were already in your history.` : '') +
+          (invalid > 0 ? ` ${invalid} could not be read.` : '')
+      );
+    } catch (error) {
+      console.error('Failed to import history:', error);
+      Alert.alert('Import Failed', error.message);
+    } finally {
+      setTransferring(false);
+    }
+  };
+  
   // Format date for display
   const formatDate = (dateString) => {
     const date = new Date(dateString);
@@ -58,6 +344,7 @@ const HistoryScreen = ({ navigation }) => {
             try {
               await clearHistory();
               setHistory([]);
+              setNextCursor(null);
             } catch (error) {
               console.error('Failed to clear history:', error);
             }
@@ -67,51 +354,277 @@ const HistoryScreen = ({ navigation }) => {
     );
   };
   
+  // Re-translate all history entries with the current provider
+  const handleRetranslate = async () => {
+    setRetranslating(true);
+    try {
+      const { updated, failed } = await retranslateHistory();
+      await loadHistory();
+      if (failed > 0) {
+        Alert.alert(
+          'Re-translation incomplete',
+          `${updated} translations updated, ${failed} failed.`
+        );
+      }
+    } catch (error) {
+      console.error('Failed to re-translate history:', error);
+    } finally {
+      setRetranslating(false);
+    }
+  };
+  
+  // Render text with the search matches highlighted
+  const renderHighlighted = (text, ranges) => (
+    splitBySearchMatches(text, ranges).map((segment, index) => (
+      segment.isMatch ? (
+        <Text key={`match-${index}`} style={styles.highlight}>{segment.text}</Text>
+      ) : (
+        segment.text
+      )
+    ))
+  );
+  
+  // Render a row of filter chips; the first chip clears the filter
+  const renderFilterRow = (key, allLabel, options) => (
+    <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.filterRow}>
+      {[{ value: NO_FILTERS[key], label: allLabel }, ...options].map(option => (
+        <TouchableOpacity
+          key={`${key}-${option.value}`}
+          style={[styles.filterChip, filters[key] === option.value && styles.selectedFilterChip]}
+          onPress={() => toggleFilter(key, option.value)}
+        >
+          <Text style={[styles.filterChipText, filters[key] === option.value && styles.selectedFilterChipText]}>
+            {option.label}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </ScrollView>
+  );
+  
   // Render a history item
   const renderHistoryItem = ({ item }) => {
     const sourceLang = item.sourceLanguage.toUpperCase();
     const targetLang = item.targetLanguage.toUpperCase();
+    const matches = item.matches || {};
+    const context = contexts.find(c => c.id === item.context);
+    const isSelected = selectedIds.has(item.id);
     
     return (
-      <TouchableOpacity 
-        style={styles.historyItem}
-        onPress={() => {
-          navigation.navigate('Translate', {
-            sourceText: item.sourceText,
-            translatedText: item.translatedText,
-            sourceLanguage: item.sourceLanguage,
-            targetLanguage: item.targetLanguage
-          });
-        }}
+      <Swipeable
+        enabled={selectedIds.size === 0}
+        overshootRight={false}
+        renderRightActions={() => (
+          <TouchableOpacity
+            style={styles.deleteAction}
+            onPress={() => handleDelete([item.id])}
+          >
+            <Ionicons name="trash-outline" size={24} color="white" />
+            <Text style={styles.deleteActionText}>Delete</Text>
+          </TouchableOpacity>
+        )}
       >
-        <View style={styles.historyHeader}>
-          <Text style={styles.languageInfo}>{sourceLang} → {targetLang}</Text>
-          <Text style={styles.dateText}>{formatDate(item.timestamp)}</Text>
-        </View>
-        
-        <View style={styles.translationContainer}>
-          <Text style={styles.sourceText} numberOfLines={1}>{item.sourceText}</Text>
-          <Text style={styles.translatedText} numberOfLines={1}>{item.translatedText}</Text>
-        </View>
-      </TouchableOpacity>
+        <TouchableOpacity 
+          style={[styles.historyItem, isSelected && styles.selectedHistoryItem]}
+          onLongPress={() => toggleSelected(item.id)}
+          onPress={() => {
+            if (selectedIds.size > 0) {
+              toggleSelected(item.id);
+              return;
+            }
+            navigation.navigate('Translate', {
+              sourceText: item.sourceText,
+              translatedText: item.translatedText,
+              sourceLanguage: item.sourceLanguage,
+              targetLanguage: item.targetLanguage
+            });
+          }}
+        >
+          <View style={styles.historyHeader}>
+            <Text style={styles.languageInfo}>
+              {item.starred && <Ionicons name="star" size={13} color="#FFC107" />}
+              {item.starred ? ' ' : ''}{sourceLang} → {targetLang}
+              {context && <Text style={styles.contextInfo}>  {context.name}</Text>}
+            </Text>
+            <View style={styles.headerActions}>
+              {item.useCount > 1 && (
+                <Text style={styles.useCountText}>×{item.useCount}</Text>
+              )}
+              <Text style={styles.dateText}>{formatDate(item.lastUsed || item.timestamp)}</Text>
+              {selectedIds.size > 0 && (
+                <Ionicons
+                  name={isSelected ? 'checkmark-circle' : 'ellipse-outline'}
+                  size={18}
+                  color="#4a6ea9"
+                  style={styles.selectionMark}
+                />
+              )}
+            </View>
+          </View>
+          
+          <View style={styles.translationContainer}>
+            <Text style={styles.sourceText} numberOfLines={isSearching ? 2 : 1}>
+              {renderHighlighted(item.sourceText, matches.sourceText)}
+            </Text>
+            <Text style={styles.translatedText} numberOfLines={isSearching ? 2 : 1}>
+              {renderHighlighted(item.translatedText, matches.translatedText)}
+            </Text>
+          </View>
+        </TouchableOpacity>
+      </Swipeable>
     );
   };
   
   return (
     <SafeAreaView style={styles.container}>
-      <View style={styles.header}>
-        <Text style={styles.title}>Translation History</Text>
-        {history.length > 0 && (
-          <TouchableOpacity onPress={handleClearHistory}>
-            <Text style={styles.clearButton}>Clear All</Text>
+      {selectedIds.size > 0 ? (
+        <View style={styles.header}>
+          <Text style={styles.title}>{selectedIds.size} selected</Text>
+          <View style={styles.headerActions}>
+            <TouchableOpacity onPress={handleStarSelected} style={styles.headerAction}>
+              <Ionicons name="star-outline" size={20} color="#4a6ea9" />
+            </TouchableOpacity>
+            <TouchableOpacity onPress={handleAddSelectedToPhrasebook} style={styles.headerAction}>
+              <Ionicons name="book-outline" size={20} color="#4a6ea9" />
+            </TouchableOpacity>
+            <TouchableOpacity onPress={() => setShowExportModal(true)} style={styles.headerAction}>
+              <Ionicons name="share-outline" size={20} color="#4a6ea9" />
+            </TouchableOpacity>
+            <TouchableOpacity onPress={() => handleDelete([...selectedIds])} style={styles.headerAction}>
+              <Ionicons name="trash-outline" size={20} color="#ff3b30" />
+            </TouchableOpacity>
+            <TouchableOpacity onPress={() => setSelectedIds(new Set())}>
+              <Text style={styles.clearButton}>Cancel</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      ) : (
+        <View style={styles.header}>
+          <Text style={styles.title}>Translation History</Text>
+          <View style={styles.headerActions}>
+            {transferring ? (
+              <ActivityIndicator size="small" color="#4a6ea9" style={styles.headerAction} />
+            ) : (
+              <>
+                <TouchableOpacity onPress={handleImport} style={styles.headerAction}>
+                  <Ionicons name="download-outline" size={20} color="#4a6ea9" />
+                </TouchableOpacity>
+                {history.length > 0 && (
+                  <TouchableOpacity onPress={() => setShowExportModal(true)} style={styles.headerAction}>
+                    <Ionicons name="share-outline" size={20} color="#4a6ea9" />
+                  </TouchableOpacity>
+                )}
+              </>
+            )}
+            {(history.length > 0 || isSearching) && (
+              <>
+                {retranslating ? (
+                  <ActivityIndicator size="small" color="#4a6ea9" style={styles.headerAction} />
+                ) : (
+                  <TouchableOpacity onPress={handleRetranslate} style={styles.headerAction}>
+                    <Text style={styles.clearButton}>Re-translate</Text>
+                  </TouchableOpacity>
+                )}
+                <TouchableOpacity onPress={handleClearHistory}>
+                  <Text style={styles.clearButton}>Clear All</Text>
+                </TouchableOpacity>
+              </>
+            )}
+          </View>
+        </View>
+      )}
+      
+      <View style={styles.searchBar}>
+        <Ionicons name="search" size={18} color="#999" />
+        <TextInput
+          style={styles.searchInput}
+          value={query}
+          onChangeText={setQuery}
+          placeholder="Search translations"
+          placeholderTextColor="#999"
+          autoCorrect={false}
+          returnKeyType="search"
+        />
+        {query.length > 0 && (
+          <TouchableOpacity onPress={() => setQuery('')}>
+            <Ionicons name="close-circle" size={18} color="#999" />
           </TouchableOpacity>
         )}
+        <TouchableOpacity onPress={() => setShowFilters(!showFilters)} style={styles.filterToggle}>
+          <Ionicons name="options-outline" size={20} color="#4a6ea9" />
+          {activeFilterCount > 0 && (
+            <Text style={styles.filterCount}>{activeFilterCount}</Text>
+          )}
+        </TouchableOpacity>
+      </View>
+      
+      <View style={styles.sortRow}>
+        {SORT_OPTIONS.map(option => (
+          <TouchableOpacity
+            key={option.id}
+            style={[styles.filterChip, sort === option.id && styles.selectedFilterChip]}
+            onPress={() => setSort(option.id)}
+          >
+            <Text style={[styles.filterChipText, sort === option.id && styles.selectedFilterChipText]}>
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
       </View>
       
+      {showFilters && (
+        <View style={styles.filters}>
+          {renderFilterRow('dateRange', DATE_RANGES[0].label, DATE_RANGES.slice(1).map(range => ({
+            value: range.id,
+            label: range.label
+          })))}
+          <View style={styles.dateRangeRow}>
+            {['from', 'to'].map(field => (
+              <TouchableOpacity
+                key={field}
+                style={[styles.filterChip, filters[field] && styles.selectedFilterChip]}
+                onPress={() => setDatePickerField(datePickerField === field ? null : field)}
+              >
+                <Text style={[styles.filterChipText, filters[field] && styles.selectedFilterChipText]}>
+                  {field === 'from' ? 'From' : 'To'}: {filters[field] ? new Date(filters[field]).toLocaleDateString() : 'Any day'}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          {datePickerField && (
+            <DateTimePicker
+              value={filters[datePickerField] ? new Date(filters[datePickerField]) : new Date()}
+              mode="date"
+              display={Platform.OS === 'ios' ? 'inline' : 'default'}
+              maximumDate={new Date()}
+              onChange={handleDatePicked}
+            />
+          )}
+          {renderFilterRow('contextType', 'All sources', Object.values(HISTORY_SOURCE_TYPES).map(type => ({
+            value: type,
+            label: HISTORY_SOURCE_TYPE_LABELS[type]
+          })))}
+          {filterOptions.pairs.length > 1 && renderFilterRow('pair', 'All languages', filterOptions.pairs.map(pair => ({
+            value: pair,
+            label: pair.toUpperCase().replace('-', ' → ')
+          })))}
+          {renderFilterRow('context', 'All contexts', contexts.map(c => ({
+            value: c.id,
+            label: c.name
+          })))}
+        </View>
+      )}
+      
       {loading ? (
         <View style={styles.centerContent}>
           <Text>Loading history...</Text>
         </View>
+      ) : history.length === 0 && isSearching ? (
+        <View style={styles.centerContent}>
+          <Text style={styles.emptyText}>No translations match your search</Text>
+          <TouchableOpacity onPress={clearSearch}>
+            <Text style={styles.clearButton}>Clear search and filters</Text>
+          </TouchableOpacity>
+        </View>
       ) : history.length === 0 ? (
         <View style={styles.centerContent}>
           <Text style={styles.emptyText}>No translation history yet</Text>
@@ -126,10 +639,66 @@ const HistoryScreen = ({ navigation }) => {
         <FlatList
           data={history}
           renderItem={renderHistoryItem}
-          keyExtractor={(item, index) => `history-${index}`}
+          keyExtractor={(item, index) => item.id || `history-${index}`}
           contentContainerStyle={styles.listContainer}
+          keyboardShouldPersistTaps="handled"
+          onEndReached={loadMoreHistory}
+          onEndReachedThreshold={0.5}
+          ListFooterComponent={loadingMore ? (
+            <ActivityIndicator size="small" color="#4a6ea9" style={styles.listFooter} />
+          ) : null}
         />
       )}
+      
+      {undo && (
+        <UndoSnackbar
+          key={undo.key}
+          message={undo.message}
+          onUndo={handleUndo}
+          onDismiss={() => setUndo(null)}
+        />
+      )}
+      
+      <Modal
+        visible={showExportModal}
+        animationType="slide"
+        transparent={true}
+        onRequestClose={() => setShowExportModal(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <View style={styles.modalHeader}>
+              <Text style={styles.modalTitle}>
+                {selectedIds.size > 0 ? `Export ${selectedIds.size} Translations` : 'Export History'}
+              </Text>
+              <TouchableOpacity onPress={() => setShowExportModal(false)} style={styles.closeButton}>
+                <Ionicons name="close" size={24} color="#333" />
+              </TouchableOpacity>
+            </View>
+            
+            <Text style={styles.modalDescription}>
+              {selectedIds.size > 0
+                ? 'Choose a format for the selected translations.'
+                : 'Choose a format for all your translation history. Select translations with a long press to export only those.'}
+            </Text>
+            
+            {[
+              { format: HISTORY_EXPORT_FORMATS.CSV, description: 'For spreadsheets' },
+              { format: HISTORY_EXPORT_FORMATS.JSON, description: 'Can be imported into this app on another device' },
+              { format: HISTORY_EXPORT_FORMATS.ANKI, description: 'Flashcards for Anki, original on the front' },
+            ].map(({ format, description }) => (
+              <TouchableOpacity
+                key={format.id}
+                style={styles.formatOption}
+                onPress={() => handleExport(format)}
+              >
+                <Text style={styles.formatName}>{format.name}</Text>
+                <Text style={styles.formatDescription}>{description}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+      </Modal>
     </SafeAreaView>
   );
 };
@@ -152,10 +721,79 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     color: '#333',
   },
+  headerActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  headerAction: {
+    marginRight: 16,
+  },
   clearButton: {
     color: '#4a6ea9',
     fontWeight: '600',
   },
+  searchBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    borderRadius: 8,
+    marginHorizontal: 20,
+    marginBottom: 5,
+    paddingHorizontal: 10,
+  },
+  searchInput: {
+    flex: 1,
+    fontSize: 15,
+    color: '#333',
+    paddingVertical: 8,
+    paddingHorizontal: 8,
+  },
+  filterToggle: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginLeft: 10,
+  },
+  filterCount: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#4a6ea9',
+    marginLeft: 2,
+  },
+  sortRow: {
+    flexDirection: 'row',
+    paddingHorizontal: 20,
+    marginTop: 6,
+  },
+  filters: {
+    paddingHorizontal: 20,
+    paddingBottom: 5,
+  },
+  filterRow: {
+    flexGrow: 0,
+    marginTop: 6,
+  },
+  dateRangeRow: {
+    flexDirection: 'row',
+    marginTop: 6,
+  },
+  filterChip: {
+    borderWidth: 1,
+    borderColor: '#4a6ea9',
+    borderRadius: 14,
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    marginRight: 6,
+  },
+  selectedFilterChip: {
+    backgroundColor: '#4a6ea9',
+  },
+  filterChipText: {
+    fontSize: 12,
+    color: '#4a6ea9',
+  },
+  selectedFilterChipText: {
+    color: 'white',
+  },
   centerContent: {
     flex: 1,
     justifyContent: 'center',
@@ -183,6 +821,9 @@ const styles = StyleSheet.create({
   listContainer: {
     padding: 10,
   },
+  listFooter: {
+    marginVertical: 15,
+  },
   historyItem: {
     backgroundColor: 'white',
     borderRadius: 8,
@@ -195,6 +836,28 @@ const styles = StyleSheet.create({
     shadowRadius: 2,
     elevation: 1,
   },
+  selectedHistoryItem: {
+    borderWidth: 2,
+    borderColor: '#4a6ea9',
+  },
+  deleteAction: {
+    width: 90,
+    backgroundColor: '#ff3b30',
+    justifyContent: 'center',
+    alignItems: 'center',
+    borderRadius: 8,
+    marginVertical: 5,
+    marginRight: 10,
+  },
+  deleteActionText: {
+    color: 'white',
+    fontSize: 12,
+    fontWeight: '600',
+    marginTop: 4,
+  },
+  selectionMark: {
+    marginLeft: 8,
+  },
   historyHeader: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -205,6 +868,16 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     color: '#4a6ea9',
   },
+  contextInfo: {
+    fontWeight: 'normal',
+    color: '#999',
+  },
+  useCountText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#4a6ea9',
+    marginRight: 8,
+  },
   dateText: {
     fontSize: 12,
     color: '#999',
@@ -224,6 +897,58 @@ const styles = StyleSheet.create({
     fontWeight: '500',
     color: '#333',
   },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalContent: {
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 20,
+    width: '90%',
+    maxWidth: 400,
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333',
+    flex: 1,
+  },
+  closeButton: {
+    padding: 5,
+  },
+  modalDescription: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 15,
+  },
+  formatOption: {
+    backgroundColor: '#f5f5f5',
+    borderRadius: 8,
+    padding: 15,
+    marginBottom: 10,
+  },
+  formatName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#4a6ea9',
+    marginBottom: 4,
+  },
+  formatDescription: {
+    fontSize: 13,
+    color: '#666',
+  },
+  highlight: {
+    backgroundColor: '#fff3b0',
+  },
 });
 
 export default HistoryScreen;
\ No newline at end of file
@@ -25,6 +25,8 @@ import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import ProfileAvatar from '../components/ProfileAvatar';
 import AppLogo from '../components/AppLogo';
 import ProfileMenu from '../components/ProfileMenu';
+import NetworkModeStatus from '../components/NetworkModeStatus';
+import { subscribeToNetworkMode } from '../services/networkPolicyService';
 import logger from '../utils/logger';
 import { getSettings } from '../services/settingsService';
 
@@ -41,6 +43,7 @@ const HomeScreen = ({ navigation }) => {
   const [darkMode, setDarkMode] = useState(true);
   const [languageModalVisible, setLanguageModalVisible] = useState(false);
   const [uiMode, setUiMode] = useState('normal');
+  const [networkMode, setNetworkMode] = useState(null);
   const insets = useSafeAreaInsets();
   
   // Animation value for bottom toolbar
@@ -131,6 +134,12 @@ const HomeScreen = ({ navigation }) => {
     };
   }, [navigation, keyboardVisible]);
   
+  // Show whether translations go online or use language packs, and why
+  useEffect(() => {
+    const unsubscribe = subscribeToNetworkMode(setNetworkMode);
+    return unsubscribe;
+  }, []);
+  
   // Force keyboard visibility when input is focused
   useEffect(() => {
     if (isInputFocused && !keyboardVisible && Platform.OS === 'android') {
@@ -313,6 +322,14 @@ const HomeScreen = ({ navigation }) => {
         />
       </View>
       
+      {/* Effective translation mode; tap to change the network policy */}
+      <NetworkModeStatus
+        status={networkMode}
+        darkMode={darkMode}
+        style={{ backgroundColor: theme.card }}
+        onPress={() => navigation.navigate('Settings')}
+      />
+      
       <KeyboardAvoidingView 
         style={{ flex: 1 }} 
         behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
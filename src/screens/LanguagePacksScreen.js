@@ -3,7 +3,7 @@ import {
   StyleSheet,
   View,
   Text,
-  FlatList,
+  SectionList,
   TouchableOpacity,
   ActivityIndicator,
   Alert,
@@ -13,16 +13,43 @@ import {
   ScrollView,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
+import * as DocumentPicker from 'expo-document-picker';
+import Share from 'react-native-share';
 import { 
   isOfflineModeEnabled, 
   setOfflineMode, 
   getDownloadedLanguages, 
-  downloadLanguagePack, 
   deleteLanguagePack,
-  getTotalStorageUsed,
+  checkForPackUpdates,
+  updateLanguagePack,
+  updateAllLanguagePacks,
+  isPackOutdated,
+  importLanguagePack,
+  exportLanguagePack,
+  getAvailablePairPacks,
+  getOfflinePairCoverage,
   LANGUAGE_PACK_SIZES
 } from '../services/offlineService';
 import { getSupportedLanguages } from '../services/translationService';
+import { getSettings } from '../services/settingsService';
+import { refreshNetworkMode } from '../services/networkPolicyService';
+import {
+  enqueueDownload,
+  pauseDownload,
+  resumeDownload,
+  cancelDownload,
+  subscribeToDownloads,
+  DOWNLOAD_STATUS
+} from '../services/downloadManagerService';
+import {
+  getStorageUsage,
+  enforceStorageBudget,
+  getEvictionCandidates,
+  describeEvictedPacks,
+  evictLanguagePacks,
+  bytesToMB
+} from '../services/storageService';
+import StorageBreakdown from '../components/StorageBreakdown';
 
 const LanguagePacksScreen = ({ navigation, route }) => {
   const { highlightLanguage } = route.params || {};
@@ -31,7 +58,15 @@ const LanguagePacksScreen = ({ navigation, route }) => {
   const [downloadedLanguages, setDownloadedLanguages] = useState([]);
   const [loading, setLoading] = useState(true);
   const [downloading, setDownloading] = useState(null);
-  const [storageUsed, setStorageUsed] = useState(0);
+  const [downloadProgress, setDownloadProgress] = useState(0);
+  const [downloadQueue, setDownloadQueue] = useState([]);
+  const [checkingUpdates, setCheckingUpdates] = useState(false);
+  const [updatingAll, setUpdatingAll] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [exporting, setExporting] = useState(null);
+  const [storageUsage, setStorageUsage] = useState(null);
+  const [availablePairs, setAvailablePairs] = useState([]);
+  const [pairCoverage, setPairCoverage] = useState([]);
   const [showQualityModal, setShowQualityModal] = useState(false);
   const [selectedLanguage, setSelectedLanguage] = useState(null);
   const [selectedQuality, setSelectedQuality] = useState('standard');
@@ -48,6 +83,31 @@ const LanguagePacksScreen = ({ navigation, route }) => {
     return unsubscribe;
   }, [navigation]);
   
+  // Look for pack updates and the server's pair packs once when the screen opens
+  useEffect(() => {
+    checkUpdates(false);
+    loadPairPacks();
+  }, []);
+  
+  // Follow the download queue; refresh the list when a pack finishes
+  useEffect(() => {
+    const unsubscribe = subscribeToDownloads((queue, event) => {
+      setDownloadQueue(queue);
+      
+      if (event?.type === 'completed') {
+        loadData();
+        
+        if (event.evicted?.length > 0) {
+          Alert.alert('Language Packs Removed', describeEvictedPacks(event.evicted));
+        }
+      } else if (event?.type === 'failed') {
+        Alert.alert('Download Failed', `${event.item.languageName}: ${event.item.error}`);
+      }
+    });
+    
+    return unsubscribe;
+  }, []);
+  
   // Load languages and settings
   const loadData = async () => {
     try {
@@ -72,16 +132,26 @@ const LanguagePacksScreen = ({ navigation, route }) => {
           isDownloaded: Boolean(downloadedLang),
           downloadedSize: downloadedLang?.size || 0,
           quality: downloadedLang?.quality || 'standard',
+          version: downloadedLang?.version,
+          latestVersion: downloadedLang?.latestVersion,
+          updateAvailable: isPackOutdated(downloadedLang),
           features: downloadedLang?.features || [],
           downloadDate: downloadedLang?.downloaded
         };
       });
       
-      setLanguages(languagesWithStatus);
+      // Measure storage, including the real size of each installed pack
+      const usage = await getStorageUsage();
+      setStorageUsage(usage);
+      
+      setLanguages(languagesWithStatus.map(lang => {
+        const measured = usage.packs.find(pack => pack.code === lang.code);
+        return measured ? { ...lang, downloadedSize: bytesToMB(measured.size) } : lang;
+      }));
       
-      // Get total storage used
-      const totalStorage = await getTotalStorageUsed();
-      setStorageUsed(totalStorage);
+      // Work out which pairs the installed packs can translate offline
+      const settings = await getSettings();
+      setPairCoverage(await getOfflinePairCoverage(settings.pivotLanguage));
       
       // If highlightLanguage is provided, scroll to that language
       if (highlightLanguage) {
@@ -94,11 +164,81 @@ const LanguagePacksScreen = ({ navigation, route }) => {
     }
   };
   
+  // Get the pair packs the server offers; without a connection only installed ones are listed
+  const loadPairPacks = async () => {
+    try {
+      setAvailablePairs(await getAvailablePairPacks());
+    } catch (error) {
+      setAvailablePairs([]);
+    }
+  };
+  
+  // Get a language's display name from its code
+  const getLanguageLabel = (code) => {
+    const language = languages.find(lang => lang.code === code);
+    return language ? language.name : code.toUpperCase();
+  };
+  
+  // Pair packs offered by the server plus any installed ones it no longer lists,
+  // shaped like the language items so they share renderLanguageItem
+  const getPairItems = () => {
+    const installedPairs = downloadedLanguages.filter(pack => pack.kind === 'pair');
+    const pairs = [
+      ...availablePairs,
+      ...installedPairs.filter(pack => !availablePairs.some(pair => pair.code === pack.code))
+    ];
+    
+    return pairs.map(pair => {
+      const downloadedPair = installedPairs.find(pack => pack.code === pair.code);
+      const measured = storageUsage?.packs.find(pack => pack.code === pair.code);
+      return {
+        code: pair.code,
+        name: pair.name,
+        isPair: true,
+        isDownloaded: Boolean(downloadedPair),
+        downloadedSize: measured ? bytesToMB(measured.size) : 0,
+        quality: downloadedPair?.quality || 'standard',
+        version: downloadedPair?.version,
+        latestVersion: downloadedPair?.latestVersion,
+        updateAvailable: isPackOutdated(downloadedPair)
+      };
+    });
+  };
+  
+  // Describe how a covered pair is translated offline
+  const getCoverageText = (coverage) => {
+    if (coverage.type === 'pair') return 'Pair pack';
+    if (coverage.pivotLanguage) return `Language packs, via ${getLanguageLabel(coverage.pivotLanguage)}`;
+    return 'Language packs';
+  };
+  
+  // List every pair the installed packs can translate offline, in both directions
+  const renderPairCoverage = () => {
+    if (pairCoverage.length === 0) return null;
+    
+    return (
+      <View style={styles.coverageContainer}>
+        <Text style={styles.sectionTitle}>Available Offline</Text>
+        {pairCoverage.map(coverage => (
+          <View key={coverage.languages.join('-')} style={styles.coverageItem}>
+            <Text style={styles.coveragePair}>
+              {getLanguageLabel(coverage.languages[0])} ↔ {getLanguageLabel(coverage.languages[1])}
+            </Text>
+            <Text style={[styles.coverageType, coverage.type === 'pair' && styles.coveragePairType]}>
+              {getCoverageText(coverage)}
+            </Text>
+          </View>
+        ))}
+      </View>
+    );
+  };
+  
   // Toggle offline mode
   const toggleOfflineMode = async (value) => {
     try {
       await setOfflineMode(value);
       setOfflineModeState(value);
+      refreshNetworkMode();
       
       if (value && downloadedLanguages.length === 0) {
         Alert.alert(
@@ -112,44 +252,276 @@ const LanguagePacksScreen = ({ navigation, route }) => {
     }
   };
   
+  // Check the pack server for newer versions of installed packs
+  // Failures are only reported when the user asked for the check
+  const checkUpdates = async (showResult = true) => {
+    try {
+      setCheckingUpdates(true);
+      const outdated = await checkForPackUpdates();
+      await loadData();
+      
+      if (showResult && outdated.length === 0) {
+        Alert.alert('Up to Date', 'All language packs are up to date.');
+      }
+    } catch (error) {
+      if (showResult) {
+        Alert.alert('Error', `Could not check for updates: ${error.message}`);
+      }
+    } finally {
+      setCheckingUpdates(false);
+    }
+  };
+  
+  // Update a single pack
+  const handleUpdate = async (language) => {
+    try {
+      setDownloading(language.code);
+      setDownloadProgress(0);
+      const { updated } = await updateLanguagePack(language.code, { onProgress: setDownloadProgress });
+      const { evicted } = updated
+        ? await enforceStorageBudget({ keep: [language.code] })
+        : { evicted: [] };
+      await loadData();
+      
+      if (evicted.length > 0) {
+        Alert.alert('Language Packs Removed', describeEvictedPacks(evicted));
+      }
+    } catch (error) {
+      Alert.alert('Error', `Failed to update language pack: ${error.message}`);
+    } finally {
+      setDownloading(null);
+    }
+  };
+  
+  // Update every outdated pack
+  const handleUpdateAll = async () => {
+    try {
+      setUpdatingAll(true);
+      const updatedCodes = [];
+      const { updated, failed } = await updateAllLanguagePacks({
+        onPackStart: (code) => {
+          updatedCodes.push(code);
+          setDownloading(code);
+          setDownloadProgress(0);
+        },
+        onProgress: setDownloadProgress
+      });
+      const { evicted } = updated > 0
+        ? await enforceStorageBudget({ keep: updatedCodes })
+        : { evicted: [] };
+      await loadData();
+      
+      if (failed > 0) {
+        Alert.alert(
+          'Update Incomplete',
+          `${updated} language packs updated, ${failed} failed. Please try again.` +
+            (evicted.length > 0 ? ` ${describeEvictedPacks(evicted)}` : '')
+        );
+      } else if (evicted.length > 0) {
+        Alert.alert('Language Packs Removed', describeEvictedPacks(evicted));
+      }
+    } catch (error) {
+      Alert.alert('Error', `Failed to update language packs: ${error.message}`);
+    } finally {
+      setDownloading(null);
+      setUpdatingAll(false);
+    }
+  };
+  
   // Start downloading a language pack
   const handleDownload = (language) => {
     setSelectedLanguage(language);
     setShowQualityModal(true);
   };
   
-  // Download with selected quality
+  // Queue a download with the selected quality
   const downloadWithQuality = async () => {
     if (!selectedLanguage) return;
     
     setShowQualityModal(false);
     
     try {
-      setDownloading(selectedLanguage.code);
-      
-      // Start download
-      await downloadLanguagePack(
-        selectedLanguage.code,
-        selectedLanguage.name,
-        selectedQuality
-      );
+      await enqueueDownload(selectedLanguage.code, selectedLanguage.name, selectedQuality);
+    } catch (error) {
+      console.error('Failed to queue language pack download:', error);
+      Alert.alert('Error', `Failed to queue language pack download: ${error.message}`);
+    }
+  };
+  
+  // Pause, resume or cancel a queued download
+  const handleQueueAction = async (action, queueItem) => {
+    try {
+      await action(queueItem.id);
+    } catch (error) {
+      console.error('Failed to change download:', error);
+      Alert.alert('Error', `Failed to change download: ${error.message}`);
+    }
+  };
+  
+  // Get a queue item's progress from 0 to 1
+  const getQueueProgress = (queueItem) => {
+    return queueItem.totalBytes > 0 ? Math.min(1, queueItem.bytesWritten / queueItem.totalBytes) : 0;
+  };
+  
+  // Describe where a queued download is up to
+  const getQueueStatusText = (queueItem) => {
+    switch (queueItem.status) {
+      case DOWNLOAD_STATUS.DOWNLOADING:
+        return queueItem.totalBytes > 0
+          ? `${Math.round(getQueueProgress(queueItem) * 100)}% of ${(queueItem.totalBytes / (1024 * 1024)).toFixed(2)} MB`
+          : 'Starting...';
+      case DOWNLOAD_STATUS.PAUSED:
+        return `Paused at ${Math.round(getQueueProgress(queueItem) * 100)}%`;
+      case DOWNLOAD_STATUS.FAILED:
+        return `Failed: ${queueItem.error}`;
+      default:
+        return 'Waiting...';
+    }
+  };
+  
+  // Render the progress bar of a queued download
+  const renderQueueProgress = (queueItem) => (
+    <View style={styles.queueProgress}>
+      <View style={styles.storageBarContainer}>
+        <View 
+          style={[
+            styles.storageBar,
+            queueItem.status === DOWNLOAD_STATUS.PAUSED && styles.pausedBar,
+            queueItem.status === DOWNLOAD_STATUS.FAILED && styles.failedBar,
+            { width: `${Math.round(getQueueProgress(queueItem) * 100)}%` }
+          ]} 
+        />
+      </View>
+      <Text style={[
+        styles.queueStatusText,
+        queueItem.status === DOWNLOAD_STATUS.FAILED && styles.failedText
+      ]}>
+        {getQueueStatusText(queueItem)}
+      </Text>
+    </View>
+  );
+  
+  // Render pause/resume and cancel buttons for a queued download
+  const renderQueueControls = (queueItem) => {
+    const canResume = queueItem.status === DOWNLOAD_STATUS.PAUSED || queueItem.status === DOWNLOAD_STATUS.FAILED;
+    
+    return (
+      <View style={styles.queueControls}>
+        <TouchableOpacity
+          style={styles.queueControlButton}
+          onPress={() => handleQueueAction(canResume ? resumeDownload : pauseDownload, queueItem)}
+        >
+          <Ionicons
+            name={queueItem.status === DOWNLOAD_STATUS.FAILED ? 'refresh' : canResume ? 'play' : 'pause'}
+            size={20}
+            color="#4a6ea9"
+          />
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.queueControlButton}
+          onPress={() => handleQueueAction(cancelDownload, queueItem)}
+        >
+          <Ionicons name="close" size={20} color="#ff3b30" />
+        </TouchableOpacity>
+      </View>
+    );
+  };
+  
+  // Render the download queue above the language list
+  const renderDownloadQueue = () => {
+    if (downloadQueue.length === 0) return null;
+    
+    return (
+      <View style={styles.queueContainer}>
+        <Text style={styles.sectionTitle}>Download Queue</Text>
+        {downloadQueue.map(queueItem => (
+          <View key={queueItem.id} style={styles.queueItem}>
+            <View style={styles.languageInfo}>
+              <Text style={styles.languageName}>
+                {queueItem.languageName}
+                <Text style={styles.qualityText}>
+                  {'  '}{queueItem.quality.charAt(0).toUpperCase() + queueItem.quality.slice(1)}
+                </Text>
+              </Text>
+              {renderQueueProgress(queueItem)}
+            </View>
+            {renderQueueControls(queueItem)}
+          </View>
+        ))}
+      </View>
+    );
+  };
+  
+  // Install a pack from an archive file, e.g. copied from another device or an SD card
+  const handleImport = async () => {
+    try {
+      const result = await DocumentPicker.getDocumentAsync({
+        type: '*/*',
+        copyToCacheDirectory: true,
+      });
+      if (result.canceled) return;
       
-      // Refresh data
+      setImporting(true);
+      const manifest = await importLanguagePack(result.assets[0].uri);
+      const { evicted } = await enforceStorageBudget({ keep: [manifest.code] });
       await loadData();
       
       Alert.alert(
-        'Download Complete',
-        `${selectedLanguage.name} language pack has been downloaded for offline use.`,
-        [{ text: 'OK' }]
+        'Pack Imported',
+        `${manifest.name} (version ${manifest.version}) is installed and ready for offline use.` +
+          (evicted.length > 0 ? ` ${describeEvictedPacks(evicted)}` : '')
       );
     } catch (error) {
-      console.error('Failed to download language pack:', error);
-      Alert.alert('Error', `Failed to download language pack: ${error.message}`);
+      console.error('Failed to import language pack:', error);
+      Alert.alert('Import Failed', error.message);
     } finally {
-      setDownloading(null);
+      setImporting(false);
+    }
+  };
+  
+  // Share an installed pack as an archive file
+  const handleExport = async (language) => {
+    try {
+      setExporting(language.code);
+      const archiveUri = await exportLanguagePack(language.code);
+      
+      await Share.open({
+        url: archiveUri,
+        type: 'application/json',
+        filename: archiveUri.split('/').pop(),
+        title: `${language.name} language pack`,
+        failOnCancel: false,
+      });
+    } catch (error) {
+      console.error('Failed to export language pack:', error);
+      Alert.alert('Export Failed', error.message);
+    } finally {
+      setExporting(null);
     }
   };
   
+  // Offer to remove the least recently used packs when over the storage limit
+  const handleFreeUpSpace = () => {
+    const candidates = getEvictionCandidates(storageUsage);
+    if (candidates.length === 0) return;
+    
+    Alert.alert(
+      'Free Up Space',
+      `Language packs are over your storage limit. Remove the least recently used packs (${candidates.map(pack => pack.name).join(', ')})?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            await evictLanguagePacks(candidates);
+            await loadData();
+          }
+        },
+      ]
+    );
+  };
+  
   // Delete a language pack
   const handleDelete = (language) => {
     Alert.alert(
@@ -178,6 +550,7 @@ const LanguagePacksScreen = ({ navigation, route }) => {
   // Render a language item
   const renderLanguageItem = ({ item }) => {
     const isCurrentlyDownloading = downloading === item.code;
+    const queueItem = downloadQueue.find(queued => queued.languageCode === item.code);
     
     return (
       <View style={[
@@ -205,24 +578,61 @@ const LanguagePacksScreen = ({ navigation, route }) => {
               <Text style={styles.sizeText}>
                 Size: {item.downloadedSize} MB
               </Text>
+              {item.version && (
+                <Text style={[styles.sizeText, item.updateAvailable && styles.updateAvailableText]}>
+                  {item.updateAvailable
+                    ? `Version ${item.version} (${item.latestVersion} available)`
+                    : `Version ${item.version}`}
+                </Text>
+              )}
             </View>
           )}
+          
+          {queueItem && renderQueueProgress(queueItem)}
         </View>
         
         <View style={styles.languageActions}>
-          {isCurrentlyDownloading ? (
+          {queueItem ? (
+            renderQueueControls(queueItem)
+          ) : isCurrentlyDownloading ? (
             <View style={styles.downloadingContainer}>
               <ActivityIndicator size="small" color="#4a6ea9" />
-              <Text style={styles.downloadingText}>Downloading...</Text>
+              <Text style={styles.downloadingText}>
+                {downloadProgress > 0 ? `${Math.round(downloadProgress * 100)}%` : 'Downloading...'}
+              </Text>
             </View>
           ) : item.isDownloaded ? (
-            <TouchableOpacity 
-              style={styles.deleteButton}
-              onPress={() => handleDelete(item)}
-            >
-              <Ionicons name="trash-outline" size={18} color="#ff3b30" />
-              <Text style={styles.deleteButtonText}>Delete</Text>
-            </TouchableOpacity>
+            <View>
+              {item.updateAvailable && (
+                <TouchableOpacity 
+                  style={[styles.downloadButton, styles.updateButton]}
+                  onPress={() => handleUpdate(item)}
+                  disabled={updatingAll}
+                >
+                  <Ionicons name="refresh" size={18} color="#4a6ea9" />
+                  <Text style={styles.downloadButtonText}>Update</Text>
+                </TouchableOpacity>
+              )}
+              <TouchableOpacity 
+                style={[styles.downloadButton, styles.updateButton]}
+                onPress={() => handleExport(item)}
+                disabled={exporting === item.code}
+              >
+                {exporting === item.code ? (
+                  <ActivityIndicator size="small" color="#4a6ea9" />
+                ) : (
+                  <Ionicons name="share-outline" size={18} color="#4a6ea9" />
+                )}
+                <Text style={styles.downloadButtonText}>Export</Text>
+              </TouchableOpacity>
+              <TouchableOpacity 
+                style={styles.deleteButton}
+                onPress={() => handleDelete(item)}
+              >
+                <Ionicons name="trash-outline" size={18} color="#ff3b30" />
+                <Text style={styles.deleteButtonText}>Delete</Text>
+              </TouchableOpacity>
+            </View>
           ) : (
             <TouchableOpacity 
               style={styles.downloadButton}
@@ -248,7 +658,7 @@ const LanguagePacksScreen = ({ navigation, route }) => {
         <View style={styles.modalContent}>
           <View style={styles.modalHeader}>
             <Text style={styles.modalTitle}>
-              Download {selectedLanguage?.name} Language Pack
+              Download {selectedLanguage?.name} {selectedLanguage?.isPair ? 'Pair Pack' : 'Language Pack'}
             </Text>
             <TouchableOpacity
               onPress={() => setShowQualityModal(false)}
@@ -313,6 +723,13 @@ const LanguagePacksScreen = ({ navigation, route }) => {
     </Modal>
   );
   
+  const outdatedCount = downloadedLanguages.filter(isPackOutdated).length;
+  const lastChecked = downloadedLanguages
+    .map(lang => lang.lastChecked)
+    .filter(Boolean)
+    .sort()
+    .pop();
+  
   return (
     <SafeAreaView style={styles.container}>
       {/* Header */}
@@ -331,34 +748,79 @@ const LanguagePacksScreen = ({ navigation, route }) => {
         </View>
         
         <View style={styles.storageContainer}>
-          <Text style={styles.storageTitle}>
-            Storage Used: {storageUsed} MB
+          <StorageBreakdown usage={storageUsage} />
+          {storageUsage?.overBudget && (
+            <TouchableOpacity style={styles.freeUpSpaceButton} onPress={handleFreeUpSpace}>
+              <Ionicons name="trash-outline" size={16} color="#ff3b30" />
+              <Text style={styles.freeUpSpaceText}>Free up space</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+        
+        <TouchableOpacity
+          style={styles.importButton}
+          onPress={handleImport}
+          disabled={importing}
+        >
+          {importing ? (
+            <ActivityIndicator size="small" color="#4a6ea9" />
+          ) : (
+            <Ionicons name="folder-open-outline" size={18} color="#4a6ea9" />
+          )}
+          <Text style={[styles.updatesAction, styles.importText]}>
+            {importing ? 'Importing...' : 'Import pack from file'}
           </Text>
-          <View style={styles.storageBarContainer}>
-            <View 
-              style={[
-                styles.storageBar, 
-                { width: `${Math.min(100, (storageUsed / 100) * 100)}%` }
-              ]} 
-            />
+        </TouchableOpacity>
+        
+        {downloadedLanguages.length > 0 && (
+          <View style={styles.updatesContainer}>
+            <Text style={styles.updatesText}>
+              {outdatedCount > 0
+                ? `${outdatedCount} ${outdatedCount === 1 ? 'update' : 'updates'} available`
+                : lastChecked
+                  ? `Checked for updates ${new Date(lastChecked).toLocaleDateString()}`
+                  : 'Not checked for updates yet'}
+            </Text>
+            {checkingUpdates || updatingAll ? (
+              <ActivityIndicator size="small" color="#4a6ea9" />
+            ) : (
+              <TouchableOpacity
+                onPress={outdatedCount > 0 ? handleUpdateAll : () => checkUpdates(true)}
+                disabled={Boolean(downloading)}
+              >
+                <Text style={styles.updatesAction}>
+                  {outdatedCount > 0 ? 'Update all' : 'Check for updates'}
+                </Text>
+              </TouchableOpacity>
+            )}
           </View>
-        </View>
+        )}
       </View>
       
-      {/* Languages List */}
+      {/* Pair packs and languages */}
       {loading ? (
         <View style={styles.centerContent}>
           <ActivityIndicator size="large" color="#4a6ea9" />
           <Text style={{ marginTop: 10 }}>Loading languages...</Text>
         </View>
       ) : (
-        <FlatList
-          data={languages}
+        <SectionList
+          sections={[
+            { title: 'Language Pairs', data: getPairItems() },
+            { title: 'Available Languages', data: languages }
+          ].filter(section => section.data.length > 0)}
           renderItem={renderLanguageItem}
+          renderSectionHeader={({ section }) => (
+            <Text style={styles.sectionTitle}>{section.title}</Text>
+          )}
+          stickySectionHeadersEnabled={false}
           keyExtractor={item => item.code}
           contentContainerStyle={styles.list}
           ListHeaderComponent={
-            <Text style={styles.sectionTitle}>Available Languages</Text>
+            <View>
+              {renderDownloadQueue()}
+              {renderPairCoverage()}
+            </View>
           }
         />
       )}
@@ -401,10 +863,39 @@ const styles = StyleSheet.create({
   storageContainer: {
     marginBottom: 10,
   },
-  storageTitle: {
+  importButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  importText: {
+    marginLeft: 5,
+  },
+  freeUpSpaceButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    marginTop: 8,
+  },
+  freeUpSpaceText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#ff3b30',
+    marginLeft: 5,
+  },
+  updatesContainer: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  updatesText: {
     fontSize: 14,
     color: '#666',
-    marginBottom: 5,
+  },
+  updatesAction: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#4a6ea9',
   },
   storageBarContainer: {
     height: 6,
@@ -425,6 +916,31 @@ const styles = StyleSheet.create({
     color: '#333',
     marginBottom: 12,
   },
+  coverageContainer: {
+    marginBottom: 12,
+  },
+  coverageItem: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    borderRadius: 8,
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    marginBottom: 6,
+  },
+  coveragePair: {
+    fontSize: 15,
+    color: '#333',
+  },
+  coverageType: {
+    fontSize: 12,
+    color: '#999',
+  },
+  coveragePairType: {
+    color: '#4a6ea9',
+    fontWeight: '600',
+  },
   languageItem: {
     flexDirection: 'row',
     backgroundColor: 'white',
@@ -502,6 +1018,13 @@ const styles = StyleSheet.create({
     color: '#4a6ea9',
     marginLeft: 5,
   },
+  updateAvailableText: {
+    color: '#4a6ea9',
+    fontWeight: '500',
+  },
+  updateButton: {
+    marginBottom: 8,
+  },
   deleteButton: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -526,6 +1049,45 @@ const styles = StyleSheet.create({
     color: '#4a6ea9',
     marginLeft: 8,
   },
+  queueContainer: {
+    marginBottom: 12,
+  },
+  queueItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 8,
+    borderWidth: 1,
+    borderColor: '#eee',
+  },
+  queueProgress: {
+    marginTop: 8,
+  },
+  queueStatusText: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 4,
+  },
+  queueControls: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginLeft: 10,
+  },
+  queueControlButton: {
+    padding: 6,
+    marginLeft: 4,
+  },
+  pausedBar: {
+    backgroundColor: '#999',
+  },
+  failedBar: {
+    backgroundColor: '#ff3b30',
+  },
+  failedText: {
+    color: '#ff3b30',
+  },
   centerContent: {
     flex: 1,
     justifyContent: 'center',
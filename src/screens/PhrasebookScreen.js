@@ -28,7 +28,8 @@ import {
   searchPhrasebook,
   getCategories,
   getCurrentLanguagePair,
-  switchLanguagePair
+  switchLanguagePair,
+  translateUntranslatedPhrases
 } from '../services/phrasebookService';
 import { getTranslationContexts, getContextPhrases } from '../services/translationService';
 
@@ -50,6 +51,7 @@ const PhrasebookScreen = ({ navigation, route }) => {
   const [phraseToDelete, setPhraseToDelete] = useState(null);
   const itemRefs = useRef({});
   const [openedRowId, setOpenedRowId] = useState(null);
+  const [translatingAll, setTranslatingAll] = useState(false);
   
   // Available language pairs for quick switching
   const languagePairs = [
@@ -254,6 +256,28 @@ const PhrasebookScreen = ({ navigation, route }) => {
     }
   };
   
+  // Phrases saved without a translation yet
+  const untranslatedCount = phrases.filter(p => !p.targetText && !p.translatedText).length;
+  
+  // Translate every untranslated phrase in one batch
+  const handleTranslateAll = async () => {
+    setTranslatingAll(true);
+    try {
+      const { translated, failed } = await translateUntranslatedPhrases();
+      await loadPhrasebook();
+      if (failed > 0) {
+        Alert.alert(
+          'Some phrases were not translated',
+          `${translated} translated, ${failed} failed. Check your connection or language packs and try again.`
+        );
+      }
+    } catch (error) {
+      console.error('Error translating phrases:', error);
+    } finally {
+      setTranslatingAll(false);
+    }
+  };
+  
   const showLanguageSwitchNotification = () => {
     setShowSwitchNotification(true);
     
@@ -430,8 +454,34 @@ const PhrasebookScreen = ({ navigation, route }) => {
           value={searchQuery}
           onChangeText={handleSearch}
         />
+        <TouchableOpacity
+          style={styles.glossaryButton}
+          onPress={() => navigation.navigate('Glossary', { sourceLanguage, targetLanguage })}
+        >
+          <Ionicons name="book-outline" size={20} color="#4a6ea9" />
+        </TouchableOpacity>
       </View>
       
+      {/* Untranslated phrases */}
+      {untranslatedCount > 0 && (
+        <View style={styles.untranslatedBanner}>
+          <Text style={styles.untranslatedBannerText}>
+            {untranslatedCount} {untranslatedCount === 1 ? 'phrase' : 'phrases'} not translated yet
+          </Text>
+          <TouchableOpacity
+            style={styles.translateAllButton}
+            onPress={handleTranslateAll}
+            disabled={translatingAll}
+          >
+            {translatingAll ? (
+              <ActivityIndicator size="small" color="white" />
+            ) : (
+              <Text style={styles.translateAllText}>Translate all</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+      )}
+      
       {/* Language Switcher - Hidden for now but preserved for future use */}
       {/* 
       <View style={styles.languageSwitcherContainer}>
@@ -678,6 +728,40 @@ const styles = StyleSheet.create({
     height: 44,
     fontSize: 16,
   },
+  glossaryButton: {
+    paddingLeft: 8,
+  },
+  untranslatedBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    backgroundColor: 'white',
+    borderRadius: 8,
+    marginHorizontal: 16,
+    marginBottom: 12,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderWidth: 1,
+    borderColor: '#ddd',
+  },
+  untranslatedBannerText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#666',
+  },
+  translateAllButton: {
+    backgroundColor: '#4a6ea9',
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    minWidth: 100,
+    alignItems: 'center',
+  },
+  translateAllText: {
+    color: 'white',
+    fontSize: 14,
+    fontWeight: '500',
+  },
   categoriesContainer: {
     marginBottom: 8,
   },
@@ -5,28 +5,90 @@ import {
   Text, 
   Switch, 
   TouchableOpacity, 
+  TextInput,
   ScrollView, 
   Alert,
   Linking,
   useColorScheme
 } from 'react-native';
 import { getSettings, updateSettings } from '../services/settingsService';
+import { getAvailableProviders } from '../services/translationProviders';
+import { getSupportedLanguages, FORMALITY_LEVELS } from '../services/translationService';
+import { getTranslationMemoryStats, clearTranslationMemory } from '../services/translationMemoryService';
+import { getStorageUsage, enforceStorageBudget, describeEvictedPacks } from '../services/storageService';
+import { pruneHistory, countExpiredHistory } from '../services/historyService';
+import StorageBreakdown from '../components/StorageBreakdown';
+import {
+  refreshNetworkMode,
+  getHomeCarrier,
+  resetHomeCarrier,
+  NETWORK_CONDITIONS,
+  NETWORK_MODES,
+  NETWORK_MODE_LABELS
+} from '../services/networkPolicyService';
 import logger from '../utils/logger';
 
+// How long translation history can be kept, in days (0 keeps it forever)
+const HISTORY_RETENTION_OPTIONS = [
+  { days: 30, label: '30 days' },
+  { days: 90, label: '90 days' },
+  { days: 365, label: '1 year' },
+  { days: 0, label: 'Forever' },
+];
+
 const SettingsScreen = () => {
   const [settings, setSettings] = useState({
     saveHistory: true,
+    historyRetentionDays: 0,
     autoTranslate: false,
     darkMode: false,
     apiKey: '',
     useFreeApi: true,
+    translationProvider: 'mock',
+    providerEndpoint: '',
+    translationCacheSize: 500,
+    packServerUrl: '',
+    packStorageBudgetMB: 0,
+    autoEvictPacks: false,
+    networkPolicy: {},
+    slowNetworkLatencyMs: 3000,
   });
+  const [cacheStats, setCacheStats] = useState(null);
+  const [storageUsage, setStorageUsage] = useState(null);
+  const [formalityLanguages, setFormalityLanguages] = useState([]);
+  const [homeCarrier, setHomeCarrier] = useState(null);
+  const providers = getAvailableProviders();
   
   // Load settings when component mounts
   useEffect(() => {
     loadSettings();
+    loadCacheStats();
+    loadStorageUsage();
+    loadFormalityLanguages();
+    getHomeCarrier().then(setHomeCarrier);
   }, []);
   
+  // Measure storage used per category
+  const loadStorageUsage = async () => {
+    try {
+      setStorageUsage(await getStorageUsage());
+    } catch (error) {
+      logger.error('Failed to measure storage usage', 'SettingsScreen', error);
+    }
+  };
+  
+  // Load the languages that distinguish formal and informal address
+  const loadFormalityLanguages = async () => {
+    const languages = await getSupportedLanguages();
+    setFormalityLanguages(languages.filter(lang => lang.hasFormality));
+  };
+  
+  // Load translation memory statistics
+  const loadCacheStats = async () => {
+    const stats = await getTranslationMemoryStats();
+    setCacheStats(stats);
+  };
+  
   // Load user settings
   const loadSettings = async () => {
     try {
@@ -83,6 +145,177 @@ const SettingsScreen = () => {
     logger.debug(`API selection changed to: ${useFree ? 'Free' : 'Premium'}`, 'SettingsScreen');
   };
   
+  // Handle translation provider selection
+  const handleProviderSelection = (providerId) => {
+    const updatedSettings = {
+      ...settings,
+      translationProvider: providerId
+    };
+    
+    setSettings(updatedSettings);
+    saveSettings(updatedSettings);
+    logger.debug(`Translation provider changed to: ${providerId}`, 'SettingsScreen');
+  };
+  
+  // Persist the provider endpoint once editing is finished
+  const handleEndpointSubmit = () => {
+    const endpoint = settings.providerEndpoint.trim();
+    const updatedSettings = {
+      ...settings,
+      providerEndpoint: endpoint
+    };
+    
+    setSettings(updatedSettings);
+    saveSettings(updatedSettings);
+    logger.debug(`Provider endpoint set to: ${endpoint || '(none)'}`, 'SettingsScreen');
+  };
+  
+  // Persist the language pack server once editing is finished
+  const handlePackServerSubmit = () => {
+    const packServerUrl = (settings.packServerUrl || '').trim();
+    const updatedSettings = {
+      ...settings,
+      packServerUrl
+    };
+    
+    setSettings(updatedSettings);
+    saveSettings(updatedSettings);
+    logger.debug(`Language pack server set to: ${packServerUrl || '(none)'}`, 'SettingsScreen');
+  };
+  
+  // Persist the language pack storage limit and apply it straight away
+  const handleStorageBudgetSubmit = async () => {
+    const budgetMB = Math.max(0, parseInt(settings.packStorageBudgetMB, 10) || 0);
+    const updatedSettings = {
+      ...settings,
+      packStorageBudgetMB: budgetMB
+    };
+    
+    setSettings(updatedSettings);
+    await saveSettings(updatedSettings);
+    logger.debug(`Language pack storage limit set to: ${budgetMB || 'none'}`, 'SettingsScreen');
+    
+    try {
+      const { evicted } = await enforceStorageBudget();
+      if (evicted.length > 0) {
+        Alert.alert('Language Packs Removed', describeEvictedPacks(evicted));
+      }
+    } catch (error) {
+      logger.error('Failed to apply storage limit', 'SettingsScreen', error);
+    }
+    await loadStorageUsage();
+  };
+  
+  // Set the default register for a target language
+  const handleFormalityChange = (languageCode, formality) => {
+    const updatedSettings = {
+      ...settings,
+      formalityByLanguage: {
+        ...(settings.formalityByLanguage || {}),
+        [languageCode]: formality
+      }
+    };
+    
+    setSettings(updatedSettings);
+    saveSettings(updatedSettings);
+    logger.debug(`Formality for ${languageCode} set to: ${formality}`, 'SettingsScreen');
+  };
+  
+  // Set how long history is kept and remove anything older straight away
+  // Entries that would be removed are counted first and only deleted once the user confirms
+  const handleHistoryRetentionChange = async (days) => {
+    if (days === settings.historyRetentionDays) return;
+    
+    const applyRetention = async () => {
+      const updatedSettings = {
+        ...settings,
+        historyRetentionDays: days
+      };
+      
+      setSettings(updatedSettings);
+      await saveSettings(updatedSettings);
+      const removed = await pruneHistory(true);
+      logger.debug(`History retention set to: ${days} days, ${removed} entries removed`, 'SettingsScreen');
+    };
+    
+    const { count, newest } = await countExpiredHistory(days);
+    if (count === 0) {
+      await applyRetention();
+      return;
+    }
+    
+    Alert.alert(
+      'Delete Old History?',
+      `${count} ${count === 1 ? 'entry' : 'entries'} last used on or before ${new Date(newest).toLocaleDateString()} will be permanently deleted.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Delete', style: 'destructive', onPress: applyRetention }
+      ]
+    );
+  };
+  
+  // Set the translation mode for a network condition and apply it straight away
+  const handleNetworkPolicyChange = async (conditionId, mode) => {
+    const updatedSettings = {
+      ...settings,
+      networkPolicy: {
+        ...(settings.networkPolicy || {}),
+        [conditionId]: mode
+      }
+    };
+    
+    setSettings(updatedSettings);
+    await saveSettings(updatedSettings);
+    await refreshNetworkMode();
+    logger.debug(`Network policy for ${conditionId} set to: ${mode}`, 'SettingsScreen');
+  };
+  
+  // Persist the slow connection threshold once editing is finished
+  const handleSlowLatencySubmit = async () => {
+    const latencyMs = Math.max(500, parseInt(settings.slowNetworkLatencyMs, 10) || 3000);
+    const updatedSettings = {
+      ...settings,
+      slowNetworkLatencyMs: latencyMs
+    };
+    
+    setSettings(updatedSettings);
+    await saveSettings(updatedSettings);
+    await refreshNetworkMode();
+    logger.debug(`Slow connection threshold set to: ${latencyMs}ms`, 'SettingsScreen');
+  };
+  
+  // Forget the home carrier so the current one is used from now on
+  const handleResetHomeCarrier = async () => {
+    try {
+      await resetHomeCarrier();
+      setHomeCarrier(await getHomeCarrier());
+    } catch (error) {
+      Alert.alert('Error', 'Failed to reset the home network');
+    }
+  };
+  
+  const selectedProvider = providers.find(p => p.id === settings.translationProvider) || providers[0];
+  
+  // Clear the translation cache after confirmation
+  const handleClearTranslationCache = () => {
+    Alert.alert(
+      'Clear Translation Cache',
+      'Remembered translations will be removed. Repeated phrases will be translated again.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Clear',
+          style: 'destructive',
+          onPress: async () => {
+            await clearTranslationMemory();
+            await loadCacheStats();
+            logger.info('Translation cache cleared', 'SettingsScreen');
+          }
+        }
+      ]
+    );
+  };
+  
   // Open privacy policy
   const openPrivacyPolicy = () => {
     Linking.openURL('https://example.com/privacy-policy');
@@ -133,6 +366,35 @@ const SettingsScreen = () => {
           />
         </View>
         
+        {settings.saveHistory && (
+          <View style={styles.policyItem}>
+            <Text style={[
+              styles.settingText,
+              isDarkMode && styles.darkSettingText
+            ]}>Keep History For</Text>
+            <View style={[styles.segmentedControl, styles.policyControl]}>
+              {HISTORY_RETENTION_OPTIONS.map(option => (
+                <TouchableOpacity
+                  key={option.days}
+                  style={[
+                    styles.segment,
+                    settings.historyRetentionDays === option.days && styles.selectedSegment
+                  ]}
+                  onPress={() => handleHistoryRetentionChange(option.days)}
+                >
+                  <Text style={[
+                    styles.segmentText,
+                    isDarkMode && styles.darkSegmentText,
+                    settings.historyRetentionDays === option.days && styles.selectedSegmentText
+                  ]}>
+                    {option.label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </View>
+        )}
+        
         <View style={styles.settingItem}>
           <View>
             <Text style={[
@@ -179,6 +441,84 @@ const SettingsScreen = () => {
         </View>
       </View>
       
+      <View style={[
+        styles.section,
+        isDarkMode && styles.darkSection
+      ]}>
+        <Text style={[
+          styles.sectionTitle,
+          isDarkMode && styles.darkSectionTitle
+        ]}>Translation Provider</Text>
+        
+        {providers.map(provider => {
+          const isSelected = selectedProvider.id === provider.id;
+          return (
+            <TouchableOpacity 
+              key={provider.id}
+              style={[
+                styles.apiOption,
+                isSelected && styles.selectedApiOption,
+                isDarkMode && styles.darkApiOption,
+                isSelected && isDarkMode && styles.darkSelectedApiOption
+              ]}
+              onPress={() => handleProviderSelection(provider.id)}
+            >
+              <View style={styles.apiOptionInfo}>
+                <Text style={[
+                  styles.apiOptionTitle,
+                  isDarkMode && styles.darkApiOptionTitle
+                ]}>{provider.name}</Text>
+                <Text style={[
+                  styles.apiOptionDescription,
+                  isDarkMode && styles.darkApiOptionDescription
+                ]}>
+                  {provider.description}
+                </Text>
+              </View>
+              <View style={[
+                styles.radioButton,
+                isSelected && styles.radioButtonSelected,
+                isDarkMode && styles.darkRadioButton,
+                isSelected && isDarkMode && styles.darkRadioButtonSelected
+              ]}>
+                {isSelected && <View style={styles.radioButtonInner} />}
+              </View>
+            </TouchableOpacity>
+          );
+        })}
+        
+        {selectedProvider.requiresEndpoint && (
+          <View style={styles.endpointContainer}>
+            <Text style={[
+              styles.settingText,
+              isDarkMode && styles.darkSettingText
+            ]}>Server URL</Text>
+            <TextInput
+              style={[
+                styles.endpointInput,
+                isDarkMode && styles.darkEndpointInput
+              ]}
+              value={settings.providerEndpoint}
+              onChangeText={(text) => setSettings({ ...settings, providerEndpoint: text })}
+              onEndEditing={handleEndpointSubmit}
+              placeholder="http://localhost:5000"
+              placeholderTextColor={isDarkMode ? '#777' : '#999'}
+              autoCapitalize="none"
+              autoCorrect={false}
+              keyboardType="url"
+            />
+            {!settings.providerEndpoint && (
+              <Text style={[
+                styles.settingDescription,
+                isDarkMode && styles.darkSettingDescription
+              ]}>
+                Without a server URL the built-in demo provider is used
+              </Text>
+            )}
+          </View>
+        )}
+      </View>
+      
       <View style={[
         styles.section,
         isDarkMode && styles.darkSection
@@ -251,6 +591,289 @@ const SettingsScreen = () => {
         </TouchableOpacity>
       </View>
       
+      <View style={[
+        styles.section,
+        isDarkMode && styles.darkSection
+      ]}>
+        <Text style={[
+          styles.sectionTitle,
+          isDarkMode && styles.darkSectionTitle
+        ]}>Formality</Text>
+        <Text style={[
+          styles.settingDescription,
+          isDarkMode && styles.darkSettingDescription
+        ]}>
+          How translations address people in languages with formal and informal forms. Conversations can override this per person.
+        </Text>
+        
+        {formalityLanguages.map((language, index) => {
+          const current = (settings.formalityByLanguage || {})[language.code] || FORMALITY_LEVELS.DEFAULT;
+          return (
+            <View 
+              key={language.code}
+              style={[
+                styles.settingItem,
+                index === formalityLanguages.length - 1 && { borderBottomWidth: 0 }
+              ]}
+            >
+              <Text style={[
+                styles.settingText,
+                isDarkMode && styles.darkSettingText
+              ]}>{language.name}</Text>
+              <View style={styles.segmentedControl}>
+                {[FORMALITY_LEVELS.DEFAULT, FORMALITY_LEVELS.FORMAL, FORMALITY_LEVELS.INFORMAL].map(level => (
+                  <TouchableOpacity
+                    key={level}
+                    style={[
+                      styles.segment,
+                      current === level && styles.selectedSegment
+                    ]}
+                    onPress={() => handleFormalityChange(language.code, level)}
+                  >
+                    <Text style={[
+                      styles.segmentText,
+                      isDarkMode && styles.darkSegmentText,
+                      current === level && styles.selectedSegmentText
+                    ]}>
+                      {level.charAt(0).toUpperCase() + level.slice(1)}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </View>
+          );
+        })}
+      </View>
+      
+      <View style={[
+        styles.section,
+        isDarkMode && styles.darkSection
+      ]}>
+        <Text style={[
+          styles.sectionTitle,
+          isDarkMode && styles.darkSectionTitle
+        ]}>Network</Text>
+        <Text style={[
+          styles.settingDescription,
+          isDarkMode && styles.darkSettingDescription
+        ]}>
+          When to use offline language packs instead of the translation service. Offline first only goes online for text the packs can't translate.
+        </Text>
+        
+        {NETWORK_CONDITIONS.map(condition => {
+          const current = (settings.networkPolicy || {})[condition.id] || NETWORK_MODES.ONLINE;
+          return (
+            <View key={condition.id} style={styles.policyItem}>
+              <Text style={[
+                styles.settingText,
+                isDarkMode && styles.darkSettingText
+              ]}>{condition.name}</Text>
+              <View style={[styles.segmentedControl, styles.policyControl]}>
+                {[NETWORK_MODES.ONLINE, NETWORK_MODES.OFFLINE_FIRST, NETWORK_MODES.OFFLINE].map(mode => (
+                  <TouchableOpacity
+                    key={mode}
+                    style={[
+                      styles.segment,
+                      current === mode && styles.selectedSegment
+                    ]}
+                    onPress={() => handleNetworkPolicyChange(condition.id, mode)}
+                  >
+                    <Text style={[
+                      styles.segmentText,
+                      isDarkMode && styles.darkSegmentText,
+                      current === mode && styles.selectedSegmentText
+                    ]}>
+                      {NETWORK_MODE_LABELS[mode]}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </View>
+          );
+        })}
+        
+        <View style={styles.endpointContainer}>
+          <Text style={[
+            styles.settingText,
+            isDarkMode && styles.darkSettingText
+          ]}>Slow connection threshold (ms)</Text>
+          <TextInput
+            style={[
+              styles.endpointInput,
+              isDarkMode && styles.darkEndpointInput
+            ]}
+            value={settings.slowNetworkLatencyMs ? String(settings.slowNetworkLatencyMs) : ''}
+            onChangeText={(text) => setSettings({ ...settings, slowNetworkLatencyMs: text.replace(/[^0-9]/g, '') })}
+            onEndEditing={handleSlowLatencySubmit}
+            placeholder="3000"
+            placeholderTextColor={isDarkMode ? '#777' : '#999'}
+            keyboardType="number-pad"
+          />
+          <Text style={[
+            styles.settingDescription,
+            isDarkMode && styles.darkSettingDescription
+          ]}>
+            The connection counts as slow when recent translations take longer than this, or as unreliable when half of them fail
+          </Text>
+        </View>
+        
+        <View style={[
+          styles.settingItem,
+          { borderBottomWidth: 0 }
+        ]}>
+          <View>
+            <Text style={[
+              styles.settingText,
+              isDarkMode && styles.darkSettingText
+            ]}>Home network</Text>
+            <Text style={[
+              styles.settingDescription,
+              isDarkMode && styles.darkSettingDescription
+            ]}>
+              {homeCarrier
+                ? `Other mobile networks than ${homeCarrier} count as roaming`
+                : 'The first mobile network used counts as home'}
+            </Text>
+          </View>
+          {homeCarrier && (
+            <TouchableOpacity onPress={handleResetHomeCarrier}>
+              <Text style={styles.resetText}>Reset</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+      
+      <View style={[
+        styles.section,
+        isDarkMode && styles.darkSection
+      ]}>
+        <Text style={[
+          styles.sectionTitle,
+          isDarkMode && styles.darkSectionTitle
+        ]}>Language Packs</Text>
+        
+        <View style={styles.endpointContainer}>
+          <Text style={[
+            styles.settingText,
+            isDarkMode && styles.darkSettingText
+          ]}>Pack server URL</Text>
+          <TextInput
+            style={[
+              styles.endpointInput,
+              isDarkMode && styles.darkEndpointInput
+            ]}
+            value={settings.packServerUrl}
+            onChangeText={(text) => setSettings({ ...settings, packServerUrl: text })}
+            onEndEditing={handlePackServerSubmit}
+            placeholder="http://localhost:8080"
+            placeholderTextColor={isDarkMode ? '#777' : '#999'}
+            autoCapitalize="none"
+            autoCorrect={false}
+            keyboardType="url"
+          />
+          <Text style={[
+            styles.settingDescription,
+            isDarkMode && styles.darkSettingDescription
+          ]}>
+            Offline language packs are downloaded from this server
+          </Text>
+        </View>
+      </View>
+      
+      <View style={[
+        styles.section,
+        isDarkMode && styles.darkSection
+      ]}>
+        <Text style={[
+          styles.sectionTitle,
+          isDarkMode && styles.darkSectionTitle
+        ]}>Storage</Text>
+        
+        <StorageBreakdown usage={storageUsage} darkMode={isDarkMode} />
+        
+        <View style={styles.endpointContainer}>
+          <Text style={[
+            styles.settingText,
+            isDarkMode && styles.darkSettingText
+          ]}>Language pack limit (MB)</Text>
+          <TextInput
+            style={[
+              styles.endpointInput,
+              isDarkMode && styles.darkEndpointInput
+            ]}
+            value={settings.packStorageBudgetMB ? String(settings.packStorageBudgetMB) : ''}
+            onChangeText={(text) => setSettings({ ...settings, packStorageBudgetMB: text.replace(/[^0-9]/g, '') })}
+            onEndEditing={handleStorageBudgetSubmit}
+            placeholder="No limit"
+            placeholderTextColor={isDarkMode ? '#777' : '#999'}
+            keyboardType="number-pad"
+          />
+        </View>
+        
+        <View style={[
+          styles.settingItem,
+          { borderBottomWidth: 0 }
+        ]}>
+          <View>
+            <Text style={[
+              styles.settingText,
+              isDarkMode && styles.darkSettingText
+            ]}>Remove Unused Packs</Text>
+            <Text style={[
+              styles.settingDescription,
+              isDarkMode && styles.darkSettingDescription
+            ]}>
+              Delete the least recently used packs over the limit
+            </Text>
+          </View>
+          <Switch
+            value={settings.autoEvictPacks}
+            onValueChange={() => handleToggleSetting('autoEvictPacks')}
+            trackColor={{ false: '#d3d3d3', true: '#6889c4' }}
+            thumbColor={settings.autoEvictPacks ? '#4a6ea9' : '#f4f3f4'}
+          />
+        </View>
+      </View>
+      
+      <View style={[
+        styles.section,
+        isDarkMode && styles.darkSection
+      ]}>
+        <Text style={[
+          styles.sectionTitle,
+          isDarkMode && styles.darkSectionTitle
+        ]}>Translation Cache</Text>
+        
+        <View style={styles.settingItem}>
+          <View>
+            <Text style={[
+              styles.settingText,
+              isDarkMode && styles.darkSettingText
+            ]}>
+              {cacheStats ? `${cacheStats.entries} of ${settings.translationCacheSize || 0} translations stored` : 'Loading...'}
+            </Text>
+            {cacheStats && (
+              <Text style={[
+                styles.settingDescription,
+                isDarkMode && styles.darkSettingDescription
+              ]}>
+                {`Hit rate ${Math.round(cacheStats.hitRate * 100)}% (${cacheStats.hits} hits, ${cacheStats.misses} misses)`}
+              </Text>
+            )}
+          </View>
+        </View>
+        
+        <TouchableOpacity 
+          style={styles.aboutItem}
+          onPress={handleClearTranslationCache}
+        >
+          <Text style={[
+            styles.destructiveItemText,
+            isDarkMode && styles.darkDestructiveItemText
+          ]}>Clear translation cache</Text>
+        </TouchableOpacity>
+      </View>
+      
       <View style={[
         styles.section,
         isDarkMode && styles.darkSection
@@ -330,6 +953,44 @@ const styles = StyleSheet.create({
   darkSectionTitle: {
     color: '#f5f5f5',
   },
+  segmentedControl: {
+    flexDirection: 'row',
+    borderWidth: 1,
+    borderColor: '#4a6ea9',
+    borderRadius: 6,
+    overflow: 'hidden',
+  },
+  segment: {
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+  },
+  selectedSegment: {
+    backgroundColor: '#4a6ea9',
+  },
+  segmentText: {
+    fontSize: 12,
+    color: '#4a6ea9',
+  },
+  darkSegmentText: {
+    color: '#8fa8d6',
+  },
+  selectedSegmentText: {
+    color: 'white',
+  },
+  policyItem: {
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  policyControl: {
+    alignSelf: 'flex-start',
+    marginTop: 8,
+  },
+  resetText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#4a6ea9',
+  },
   settingItem: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -370,6 +1031,10 @@ const styles = StyleSheet.create({
   darkSelectedApiOption: {
     backgroundColor: '#252525',
   },
+  apiOptionInfo: {
+    flex: 1,
+    marginRight: 10,
+  },
   apiOptionTitle: {
     fontSize: 16,
     color: '#333',
@@ -385,6 +1050,23 @@ const styles = StyleSheet.create({
   darkApiOptionDescription: {
     color: '#aaa',
   },
+  endpointContainer: {
+    paddingTop: 15,
+  },
+  endpointInput: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    fontSize: 15,
+    color: '#333',
+    marginBottom: 5,
+  },
+  darkEndpointInput: {
+    borderColor: '#444',
+    color: '#f5f5f5',
+  },
   radioButton: {
     width: 20,
     height: 20,
@@ -421,6 +1103,13 @@ const styles = StyleSheet.create({
   darkAboutItemText: {
     color: '#6889c4',
   },
+  destructiveItemText: {
+    fontSize: 16,
+    color: '#ff3b30',
+  },
+  darkDestructiveItemText: {
+    color: '#ff6b61',
+  },
   versionContainer: {
     alignItems: 'center',
     justifyContent: 'center',
@@ -8,13 +8,40 @@ import {
   SafeAreaView,
   StatusBar,
   Platform,
-  Image
+  Image,
+  Alert
 } from 'react-native';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { verifyLanguagePacks } from '../services/offlineService';
+import { enqueueDownload } from '../services/downloadManagerService';
 import logger from '../utils/logger';
 
 const { width, height } = Dimensions.get('window');
 
+// Check installed language packs while the splash animation plays
+// Broken packs are removed and queued for download again; the user is told what was repaired
+const runPackIntegrityCheck = async () => {
+  try {
+    const report = await verifyLanguagePacks();
+    logger.info(`Checked ${report.checked} language packs: ${report.broken.length} broken, ${report.restored.length} restored`, 'SplashScreen');
+    
+    for (const pack of report.broken) {
+      await enqueueDownload(pack.code, pack.name, pack.quality);
+    }
+    
+    const repairs = [
+      ...report.broken.map(pack => `${pack.name} was ${pack.problem === 'missing' ? 'missing files' : 'damaged'} and is being downloaded again.`),
+      ...report.restored.map(pack => `${pack.name} was found on the device and restored.`)
+    ];
+    
+    if (repairs.length > 0) {
+      Alert.alert('Language Packs Repaired', repairs.join('\n'));
+    }
+  } catch (error) {
+    logger.error('Language pack integrity check failed', 'SplashScreen', error);
+  }
+};
+
 const SplashScreen = ({ navigation }) => {
   const insets = useSafeAreaInsets();
   
@@ -35,6 +62,7 @@ const SplashScreen = ({ navigation }) => {
   
   useEffect(() => {
     logger.info('SplashScreen mounted, starting animations', 'SplashScreen');
+    runPackIntegrityCheck();
     
     // Set initial values to ensure proper animation
     fadeAnim.setValue(0);
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { 
   StyleSheet, 
   View, 
@@ -14,6 +14,7 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { translateText } from '../services/translationService';
+import { isTranslationError, isCancelledResult } from '../services/translationResult';
 import { saveToHistory } from '../services/historyService';
 import LanguageSelector from '../components/LanguageSelector';
 import TranslationResult from '../components/TranslationResult';
@@ -45,9 +46,22 @@ const TranslateScreen = ({ navigation, route }) => {
   const [sourceLanguage, setSourceLanguage] = useState('en');
   const [targetLanguage, setTargetLanguage] = useState('es');
   const [autoTranslate, setAutoTranslate] = useState(false);
-  const [isOfflineMessage, setIsOfflineMessage] = useState(false);
+  const [translationResult, setTranslationResult] = useState(null);
   const [profileMenuVisible, setProfileMenuVisible] = useState(false);
   const insets = useSafeAreaInsets();
+  const isOfflineMessage = isTranslationError(translationResult);
+  // Track the in-flight request so a slow earlier response never overwrites a newer one
+  const abortControllerRef = useRef(null);
+  const latestRequestIdRef = useRef(0);
+  
+  // Cancel any pending translation when leaving the screen
+  useEffect(() => {
+    return () => {
+      if (abortControllerRef.current) {
+        abortControllerRef.current.abort();
+      }
+    };
+  }, []);
   
   // Process route params if coming from history screen or phrasebook
   useEffect(() => {
@@ -99,6 +113,14 @@ const TranslateScreen = ({ navigation, route }) => {
   
   // Auto-translate when text changes if enabled
   useEffect(() => {
+    if (autoTranslate && abortControllerRef.current) {
+      // The input changed, so the running request is already stale
+      abortControllerRef.current.abort();
+      abortControllerRef.current = null;
+      latestRequestIdRef.current += 1;
+      setIsLoading(false);
+    }
+    
     if (autoTranslate && sourceText.trim()) {
       const debounceTimer = setTimeout(() => {
         handleTranslate();
@@ -112,37 +134,52 @@ const TranslateScreen = ({ navigation, route }) => {
   const handleTranslate = async () => {
     if (!sourceText.trim()) return;
     
+    // Cancel the previous request; only the latest one may update the screen
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    latestRequestIdRef.current += 1;
+    const requestId = latestRequestIdRef.current;
+    const isLatest = () => requestId === latestRequestIdRef.current;
+    
     setIsLoading(true);
     setError(null);
     
     try {
-      const result = await translateText(sourceText, sourceLanguage, targetLanguage, selectedContext);
+      const result = await translateText(sourceText, sourceLanguage, targetLanguage, selectedContext, {
+        signal: controller.signal,
+        requestId
+      });
       
-      // Check if result is an object with isOfflineMessage flag
-      if (result && typeof result === 'object' && result.isOfflineMessage) {
-        setTranslatedText(result.translatedText);
-        setIsOfflineMessage(true);
-      } else {
-        setTranslatedText(result);
-        setIsOfflineMessage(false);
-        
-        // Save to history if not an offline message
-        if (!isOfflineMessage) {
-          saveToHistory({
-            sourceText,
-            translatedText: result,
-            sourceLanguage,
-            targetLanguage,
-            timestamp: new Date().toISOString(),
-            context: selectedContext
-          });
-        }
+      if (!isLatest() || isCancelledResult(result)) {
+        return;
+      }
+      
+      setTranslatedText(result.text);
+      setTranslationResult(result);
+      
+      // Only successful translations are saved to history
+      if (!isTranslationError(result)) {
+        saveToHistory({
+          sourceText,
+          translatedText: result.text,
+          sourceLanguage,
+          targetLanguage,
+          timestamp: new Date().toISOString(),
+          context: selectedContext
+        });
       }
     } catch (error) {
+      if (!isLatest()) return;
       console.error('Translation error:', error);
       setError('Failed to translate text. Please try again.');
     } finally {
-      setIsLoading(false);
+      if (isLatest()) {
+        abortControllerRef.current = null;
+        setIsLoading(false);
+      }
     }
   };
   
@@ -159,9 +196,10 @@ const TranslateScreen = ({ navigation, route }) => {
     });
     
     // If there's already translated text, swap that too
-    if (translatedText) {
+    if (translatedText && !isOfflineMessage) {
       setSourceText(translatedText);
       setTranslatedText(sourceText);
+      setTranslationResult(null);
     }
   };
   
@@ -237,6 +275,7 @@ const TranslateScreen = ({ navigation, route }) => {
                   handleTranslate(text);
                 } else if (text.length === 0) {
                   setTranslatedText('');
+                  setTranslationResult(null);
                 }
               }}
             />
@@ -246,6 +285,7 @@ const TranslateScreen = ({ navigation, route }) => {
                 onPress={() => {
                   setSourceText('');
                   setTranslatedText('');
+                  setTranslationResult(null);
                 }}
               >
                 <Ionicons name="close-circle" size={20} color="#999" />
@@ -282,6 +322,7 @@ const TranslateScreen = ({ navigation, route }) => {
               sourceLanguage={sourceLanguage}
               targetLanguage={targetLanguage}
               isOfflineMessage={isOfflineMessage}
+              result={translationResult}
             />
           )}
           
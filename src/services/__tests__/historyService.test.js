@@ -0,0 +1,172 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system';
+import {
+  saveToHistory,
+  getHistory,
+  importHistory,
+  clearHistory,
+  setHistoryItemsStarred,
+  countExpiredHistory,
+  pruneHistory,
+} from '../historyService';
+import { getSettings } from '../settingsService';
+import { historyToJSON } from '../../utils/historyFormat';
+
+jest.mock('@react-native-async-storage/async-storage', () => (
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+));
+jest.mock('expo-file-system', () => ({
+  cacheDirectory: 'file:///cache/',
+  readAsStringAsync: jest.fn(),
+  writeAsStringAsync: jest.fn(),
+}));
+jest.mock('../settingsService', () => ({
+  getSettings: jest.fn(() => Promise.resolve({ saveHistory: true, historyRetentionDays: 0 })),
+}));
+jest.mock('../translationService', () => ({
+  translateBatch: jest.fn(),
+}));
+
+const createTranslation = (overrides = {}) => ({
+  sourceLanguage: 'en',
+  targetLanguage: 'es',
+  sourceText: 'Good morning',
+  translatedText: 'Buenos días',
+  timestamp: '2026-10-01T09:30:00.000Z',
+  ...overrides,
+});
+
+const importEntries = (entries) => {
+  FileSystem.readAsStringAsync.mockResolvedValueOnce(historyToJSON(entries));
+  return importHistory('file:///history.json');
+};
+
+// clearHistory is queued behind any write still pending from the previous test
+beforeEach(() => clearHistory());
+
+describe('merging repeated translations', () => {
+  it('merges a repeat into the first entry and counts its uses', async () => {
+    const first = await saveToHistory(createTranslation());
+    await saveToHistory(createTranslation({ timestamp: '2026-10-03T18:00:00.000Z', context: 'hotel' }));
+
+    const history = await getHistory();
+    expect(history).toHaveLength(1);
+    expect(history[0]).toMatchObject({
+      id: first.id,
+      timestamp: '2026-10-01T09:30:00.000Z',
+      lastUsed: '2026-10-03T18:00:00.000Z',
+      useCount: 2,
+      context: 'hotel',
+    });
+  });
+
+  it('ignores surrounding whitespace when comparing texts', async () => {
+    await saveToHistory(createTranslation());
+    await saveToHistory(createTranslation({ sourceText: '  Good morning\n', translatedText: 'Buenos días ' }));
+    expect(await getHistory()).toHaveLength(1);
+  });
+
+  it('keeps other translations and language pairs apart', async () => {
+    await saveToHistory(createTranslation());
+    await saveToHistory(createTranslation({ translatedText: 'Buen día' }));
+    await saveToHistory(createTranslation({ targetLanguage: 'pt', translatedText: 'Buenos días' }));
+    expect(await getHistory()).toHaveLength(3);
+  });
+
+  it('keeps a merged entry starred', async () => {
+    const first = await saveToHistory(createTranslation());
+    await setHistoryItemsStarred([first.id], true);
+    await saveToHistory(createTranslation({ timestamp: '2026-10-02T09:30:00.000Z' }));
+
+    const [entry] = await getHistory();
+    expect(entry.starred).toBe(true);
+    expect(entry.useCount).toBe(2);
+  });
+});
+
+describe('importHistory', () => {
+  it('merges imported repeats into the stored entry and adds up their counts', async () => {
+    const stored = await saveToHistory(createTranslation());
+    const result = await importEntries([
+      createTranslation({ id: 'other-device-1', timestamp: '2026-09-20T08:00:00.000Z', useCount: 3 }),
+      createTranslation({ id: 'other-device-2', sourceText: 'Thank you', translatedText: 'Gracias' }),
+    ]);
+
+    expect(result).toEqual({ added: 1, merged: 1, duplicates: 0, invalid: 0 });
+    const history = await getHistory();
+    expect(history).toHaveLength(2);
+    expect(history.find(entry => entry.id === stored.id)).toMatchObject({
+      timestamp: '2026-09-20T08:00:00.000Z',
+      useCount: 4,
+    });
+  });
+
+  it('adds up use counts written as strings', async () => {
+    await saveToHistory(createTranslation());
+    await importEntries([createTranslation({ id: 'other-device-1', useCount: '3' })]);
+    expect((await getHistory())[0].useCount).toBe(4);
+  });
+
+  it('adds nothing when the same file is imported again', async () => {
+    await saveToHistory(createTranslation());
+    const entries = [
+      createTranslation({ id: 'other-device-1', useCount: 3 }),
+      createTranslation({ id: 'other-device-2', sourceText: 'Thank you', translatedText: 'Gracias' }),
+    ];
+    await importEntries(entries);
+    const before = await getHistory();
+
+    expect(await importEntries(entries)).toEqual({ added: 0, merged: 0, duplicates: 2, invalid: 0 });
+    expect(await getHistory()).toEqual(before);
+  });
+
+  it('recognises entries exported without an id when they are imported again', async () => {
+    const entries = [
+      createTranslation(),
+      createTranslation({ timestamp: '2026-10-02T09:30:00.000Z' }),
+    ];
+    expect(await importEntries(entries)).toMatchObject({ added: 1, merged: 1, duplicates: 0 });
+    expect(await importEntries(entries)).toMatchObject({ added: 0, merged: 0, duplicates: 2 });
+
+    const history = await getHistory();
+    expect(history).toHaveLength(1);
+    expect(history[0].useCount).toBe(2);
+  });
+
+  it('counts entries the store cannot use as invalid', async () => {
+    const result = await importEntries([createTranslation(), createTranslation({ sourceText: '' })]);
+    expect(result).toEqual({ added: 1, merged: 0, duplicates: 0, invalid: 1 });
+  });
+
+  it('refuses to import while history is switched off', async () => {
+    getSettings.mockResolvedValueOnce({ saveHistory: false });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await expect(importHistory('file:///history.json')).rejects.toThrow('Turn on Save Translation History');
+    console.error.mockRestore();
+    expect(await AsyncStorage.getAllKeys()).toEqual([]);
+  });
+});
+
+describe('history retention', () => {
+  const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+  it('counts what a shorter retention period would delete without deleting it', async () => {
+    const lastExpired = daysAgo(40);
+    await saveToHistory(createTranslation({ timestamp: daysAgo(100) }));
+    await saveToHistory(createTranslation({ timestamp: lastExpired, sourceText: 'Thank you', translatedText: 'Gracias' }));
+    await saveToHistory(createTranslation({ timestamp: daysAgo(1), sourceText: 'Hello', translatedText: 'Hola' }));
+
+    expect(await countExpiredHistory(30)).toEqual({ count: 2, newest: lastExpired });
+    expect(await countExpiredHistory(0)).toEqual({ count: 0, newest: null });
+    expect(await getHistory()).toHaveLength(3);
+  });
+
+  it('deletes entries past the retention period when pruning', async () => {
+    await saveToHistory(createTranslation({ timestamp: daysAgo(100) }));
+    await saveToHistory(createTranslation({ timestamp: daysAgo(1), sourceText: 'Hello', translatedText: 'Hola' }));
+
+    getSettings.mockResolvedValueOnce({ saveHistory: true, historyRetentionDays: 30 });
+    expect(await pruneHistory(true)).toBe(1);
+    expect((await getHistory()).map(entry => entry.sourceText)).toEqual(['Hello']);
+  });
+});
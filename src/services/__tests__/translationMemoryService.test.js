@@ -0,0 +1,37 @@
+import { buildMemoryKey, normalizeMemoryText } from '../translationMemoryService';
+
+jest.mock('@react-native-async-storage/async-storage', () => (
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+));
+
+const createRequest = (overrides = {}) => ({
+  text: 'Apple',
+  sourceLanguage: 'en',
+  targetLanguage: 'de',
+  provider: 'libretranslate',
+  endpoint: 'https://translate.example.com',
+  ...overrides,
+});
+
+describe('normalizeMemoryText', () => {
+  it('collapses whitespace but keeps case', () => {
+    expect(normalizeMemoryText('  New \n York  ')).toBe('New York');
+    expect(normalizeMemoryText('APPLE')).toBe('APPLE');
+  });
+});
+
+describe('buildMemoryKey', () => {
+  it('shares a key between texts that only differ in whitespace', () => {
+    expect(buildMemoryKey(createRequest({ text: ' Apple  ' }))).toBe(buildMemoryKey(createRequest()));
+  });
+
+  it('keeps texts that differ in case apart', () => {
+    const keys = ['Apple', 'apple', 'APPLE'].map(text => buildMemoryKey(createRequest({ text })));
+    expect(new Set(keys).size).toBe(3);
+  });
+
+  it('keeps results from different provider endpoints apart', () => {
+    expect(buildMemoryKey(createRequest({ endpoint: 'http://localhost:5000' })))
+      .not.toBe(buildMemoryKey(createRequest()));
+  });
+});
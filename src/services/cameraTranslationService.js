@@ -1,5 +1,7 @@
-import { translateText, detectLanguage } from './translationService';
+import { translateBatch, detectLanguage } from './translationService';
 import { saveToHistory } from './historyService';
+import { createTranslationResult, isTranslationError } from './translationResult';
+import { detectLanguageOffline } from '../utils/languageDetector';
 import { isOfflineModeEnabled, isLanguageDownloaded } from './offlineService';
 
 // Mock OCR (Optical Character Recognition) function
@@ -41,9 +43,16 @@ export const recognizeTextFromImage = async (imageUri, options = {}) => {
         break;
     }
     
+    // Use the caller's hint when given, otherwise detect from the recognized text
+    const detection = options.languageHint
+      ? { language: options.languageHint, confidence: 1, candidates: [] }
+      : detectLanguageOffline(recognizedText);
+    
     return {
       text: recognizedText,
-      languageDetected: options.languageHint || 'en',
+      languageDetected: detection.language,
+      languageConfidence: detection.confidence,
+      languageCandidates: detection.candidates,
       boundingBoxes: generateMockBoundingBoxes(recognizedText)
     };
   } catch (error) {
@@ -53,6 +62,7 @@ export const recognizeTextFromImage = async (imageUri, options = {}) => {
 };
 
 // Translate text recognized from image
+// Resolves to a TranslationResult extended with the original text
 export const translateImageText = async (
   recognizedText, 
   sourceLanguage, 
@@ -62,23 +72,37 @@ export const translateImageText = async (
   try {
     // Detect language if not provided
     let detectedSourceLanguage = sourceLanguage;
+    let detection = null;
     if (!sourceLanguage || sourceLanguage === 'auto') {
-      detectedSourceLanguage = await detectLanguage(recognizedText);
+      detection = await detectLanguage(recognizedText);
+      detectedSourceLanguage = detection.language;
     }
     
-    // Translate the text
-    const translatedText = await translateText(
-      recognizedText, 
-      detectedSourceLanguage, 
-      targetLanguage,
-      options.context
-    );
+    // Translate line by line so repeated lines (menu headings, prices) are only sent once
+    // and each translated line stays aligned with its bounding box
+    const lines = recognizedText.split('\n');
+    const batch = await translateBatch(lines, detectedSourceLanguage, targetLanguage, {
+      context: options.context
+    });
+    
+    // Only fail the whole image when no line could be translated;
+    // otherwise untranslated lines keep their original text
+    const textItems = batch.filter(item => item.source.trim());
+    const translatedItem = textItems.find(item => !item.error);
+    const result = !translatedItem && textItems.length > 0
+      ? textItems[0].result
+      : createTranslationResult({
+          ...(translatedItem ? translatedItem.result : {}),
+          text: batch.map(item => (item.error ? item.source : item.result.text)).join('\n'),
+          sourceLanguage: detectedSourceLanguage,
+          targetLanguage
+        });
     
     // Save to history if requested
-    if (options.saveToHistory !== false) {
+    if (options.saveToHistory !== false && !isTranslationError(result)) {
       await saveToHistory({
         sourceText: recognizedText,
-        translatedText: translatedText,
+        translatedText: result.text,
         sourceLanguage: detectedSourceLanguage,
         targetLanguage: targetLanguage,
         contextType: 'camera',
@@ -87,10 +111,13 @@ export const translateImageText = async (
     }
     
     return {
+      ...result,
+      lines: batch.map(item => ({ index: item.index, text: item.result.text, error: item.error })),
       originalText: recognizedText,
-      translatedText: translatedText,
       sourceLanguage: detectedSourceLanguage,
-      targetLanguage: targetLanguage
+      targetLanguage: targetLanguage,
+      detectedLanguage: detection ? detection.language : result.detectedLanguage,
+      detectionConfidence: detection ? detection.confidence : null
     };
   } catch (error) {
     console.error('Image translation error:', error);
@@ -120,14 +147,12 @@ export const processImageWithOverlay = async (
       { saveToHistory: options.saveToHistory, context: options.context }
     );
     
-    // 3. Return combined results
+    // 3. Return the translation result combined with the recognition data
     return {
+      ...translationResult,
       originalImage: imageUri,
       recognizedText: recognitionResult.text,
-      translatedText: translationResult.translatedText,
-      boundingBoxes: recognitionResult.boundingBoxes,
-      sourceLanguage: translationResult.sourceLanguage,
-      targetLanguage: translationResult.targetLanguage
+      boundingBoxes: recognitionResult.boundingBoxes
     };
   } catch (error) {
     console.error('Image processing error:', error);
@@ -1,6 +1,7 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { translateText } from './translationService';
 import { saveToHistory } from './historyService';
+import { isTranslationError } from './translationResult';
 
 const CONVERSATIONS_STORAGE_KEY = 'translator_conversations';
 
@@ -9,22 +10,40 @@ const CONVERSATIONS_STORAGE_KEY = 'translator_conversations';
 //   id: string,
 //   title: string,
 //   participants: [
-//     { id: string, language: string, name: string },
-//     { id: string, language: string, name: string }
+//     { id: string, language: string, name: string, formality: string|null },
+//     { id: string, language: string, name: string, formality: string|null }
 //   ],
+//   (a participant's formality is how messages addressed to them are phrased)
 //   messages: [
-//     { id: string, text: string, translatedText: string, from: string, to: string, timestamp: string },
+//     { id: string, text: string, translatedText: string, fromLanguage: string, toLanguage: string,
+//       fromParticipantId: string, provider: string, isOffline: boolean, errorCode: string|null, timestamp: string },
 //   ],
 //   createdAt: string,
 //   updatedAt: string
 // }
 
+// Older versions could store the raw translateText return value as translatedText,
+// including error objects. Flatten those into the current message shape.
+const normalizeMessage = (message) => {
+  if (message.translatedText && typeof message.translatedText === 'object') {
+    return {
+      ...message,
+      translatedText: message.translatedText.translatedText || '',
+      errorCode: message.translatedText.isOfflineMessage ? 'LEGACY_ERROR' : null
+    };
+  }
+  return message;
+};
+
 // Get all saved conversations
 export const getConversations = async () => {
   try {
     const conversationsData = await AsyncStorage.getItem(CONVERSATIONS_STORAGE_KEY);
     if (conversationsData) {
-      return JSON.parse(conversationsData);
+      return JSON.parse(conversationsData).map(conversation => ({
+        ...conversation,
+        messages: (conversation.messages || []).map(normalizeMessage)
+      }));
     }
     return [];
   } catch (error) {
@@ -53,8 +72,8 @@ export const createConversation = async (title, participant1, participant2) => {
       id: Date.now().toString(),
       title: title || `Conversation (${new Date().toLocaleDateString()})`,
       participants: [
-        { id: '1', language: participant1.language, name: participant1.name || 'You' },
-        { id: '2', language: participant2.language, name: participant2.name || 'Partner' }
+        { id: '1', language: participant1.language, name: participant1.name || 'You', formality: participant1.formality || null },
+        { id: '2', language: participant2.language, name: participant2.name || 'Partner', formality: participant2.formality || null }
       ],
       messages: [],
       createdAt: new Date().toISOString(),
@@ -94,21 +113,26 @@ export const addMessageToConversation = async (
       throw new Error('Participant not found');
     }
     
-    // Translate the message
-    const translatedText = await translateText(
+    // Translate the message, addressing the recipient in their preferred register
+    const result = await translateText(
       text,
       fromParticipant.language,
-      toParticipant.language
+      toParticipant.language,
+      null,
+      { formality: toParticipant.formality }
     );
     
     // Create the message
     const newMessage = {
       id: Date.now().toString(),
       text: text,
-      translatedText: translatedText,
+      translatedText: result.text,
       fromLanguage: fromParticipant.language,
       toLanguage: toParticipant.language,
       fromParticipantId: fromParticipantId,
+      provider: result.provider,
+      isOffline: result.isOffline,
+      errorCode: result.errorCode,
       timestamp: new Date().toISOString()
     };
     
@@ -119,16 +143,18 @@ export const addMessageToConversation = async (
     // Save updated conversations
     await AsyncStorage.setItem(CONVERSATIONS_STORAGE_KEY, JSON.stringify(conversations));
     
-    // Save to translation history
-    await saveToHistory({
-      sourceText: text,
-      translatedText: translatedText,
-      sourceLanguage: fromParticipant.language,
-      targetLanguage: toParticipant.language,
-      contextType: 'conversation',
-      conversationId: conversationId,
-      timestamp: new Date().toISOString()
-    });
+    // Save successful translations to history
+    if (!isTranslationError(result)) {
+      await saveToHistory({
+        sourceText: text,
+        translatedText: result.text,
+        sourceLanguage: fromParticipant.language,
+        targetLanguage: toParticipant.language,
+        contextType: 'conversation',
+        conversationId: conversationId,
+        timestamp: new Date().toISOString()
+      });
+    }
     
     return newMessage;
   } catch (error) {
@@ -137,6 +163,29 @@ export const addMessageToConversation = async (
   }
 };
 
+// Set how a participant should be addressed ('default', 'formal' or 'informal')
+export const updateParticipantFormality = async (conversationId, participantId, formality) => {
+  try {
+    const conversations = await getConversations();
+    const conversation = conversations.find(conv => conv.id === conversationId);
+    
+    if (!conversation) {
+      throw new Error('Conversation not found');
+    }
+    
+    conversation.participants = conversation.participants.map(participant =>
+      participant.id === participantId ? { ...participant, formality } : participant
+    );
+    conversation.updatedAt = new Date().toISOString();
+    
+    await AsyncStorage.setItem(CONVERSATIONS_STORAGE_KEY, JSON.stringify(conversations));
+    return conversation;
+  } catch (error) {
+    console.error('Failed to update participant formality:', error);
+    return null;
+  }
+};
+
 // Delete a conversation
 export const deleteConversation = async (conversationId) => {
   try {
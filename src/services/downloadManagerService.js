@@ -0,0 +1,382 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system';
+import {
+  preparePackDownload,
+  installDownloadedPack,
+  discardPackDownload
+} from './offlineService';
+import { enforceStorageBudget } from './storageService';
+import logger from '../utils/logger';
+
+// Persisted so queued and paused downloads survive an app restart
+const DOWNLOAD_QUEUE_KEY = 'translator_download_queue';
+// Resume data is saved each time another share of the content has been downloaded, so a download
+// continues close to where it was even if the app is killed without being paused
+const RESUME_CHECKPOINT_SHARE = 0.1;
+
+// Queue item: {
+//   id, languageCode, languageName, quality,
+//   status: 'queued' | 'downloading' | 'paused' | 'failed',
+//   bytesWritten, totalBytes,   // progress of the pack's content file
+//   manifest: Object|null,      // pack manifest, fetched when the download first starts
+//   contentUrl, contentPath,    // where the content comes from and is written to
+//   resumeData: string|null,    // saved when paused and at checkpoints so the download continues where it stopped
+//   error: string|null,         // message of the last failure
+//   addedAt
+// }
+// Finished downloads leave the queue; the pack then shows up in getDownloadedLanguages.
+
+export const DOWNLOAD_STATUS = {
+  QUEUED: 'queued',
+  DOWNLOADING: 'downloading',
+  PAUSED: 'paused',
+  FAILED: 'failed',
+};
+
+let queue = null;
+// The download in progress: { id, resumable, pauseRequested, cancelRequested, checkpointBytes }
+let activeDownload = null;
+let processing = false;
+// Set while the app is in the background so no new download starts
+let suspended = false;
+const listeners = new Set();
+
+// Load the saved queue once
+const loadQueue = async () => {
+  if (queue) return queue;
+  try {
+    const queueData = await AsyncStorage.getItem(DOWNLOAD_QUEUE_KEY);
+    queue = queueData ? JSON.parse(queueData) : [];
+  } catch (error) {
+    logger.error('Failed to load download queue', 'DownloadManager', error);
+    queue = [];
+  }
+  return queue;
+};
+
+// Save the queue; progress is only kept in memory between status changes
+const saveQueue = async () => {
+  try {
+    await AsyncStorage.setItem(DOWNLOAD_QUEUE_KEY, JSON.stringify(queue));
+  } catch (error) {
+    logger.error('Failed to save download queue', 'DownloadManager', error);
+  }
+};
+
+// Tell every subscriber about a change
+// event: { type: 'added' | 'started' | 'progress' | 'paused' | 'resumed' | 'cancelled' | 'completed' | 'failed', item }
+// 'completed' events also carry the packs evicted to stay within the storage budget
+const notify = (event = null) => {
+  const snapshot = queue.map(item => ({ ...item }));
+  listeners.forEach(listener => {
+    try {
+      listener(snapshot, event);
+    } catch (error) {
+      logger.warn('Download listener failed', 'DownloadManager', error);
+    }
+  });
+};
+
+const findItem = (id) => queue.find(item => item.id === id);
+
+const updateItem = (id, changes) => {
+  queue = queue.map(item => (item.id === id ? { ...item, ...changes } : item));
+  return findItem(id);
+};
+
+const removeItem = (id) => {
+  queue = queue.filter(item => item.id !== id);
+};
+
+// Subscribe to queue changes; the listener is called with (queue, event) and straight away
+// with the current queue. Returns an unsubscribe function.
+export const subscribeToDownloads = (listener) => {
+  listeners.add(listener);
+  loadQueue().then(() => {
+    if (listeners.has(listener)) {
+      listener(queue.map(item => ({ ...item })), null);
+    }
+  });
+  return () => listeners.delete(listener);
+};
+
+// Get the current download queue
+export const getDownloadQueue = async () => {
+  await loadQueue();
+  return queue.map(item => ({ ...item }));
+};
+
+// Save the active download's resume data once another RESUME_CHECKPOINT_SHARE of it has arrived
+const saveCheckpoint = (active, item) => {
+  if (!active.resumable || active.pauseRequested || active.cancelRequested || !item.totalBytes) return;
+  if (item.bytesWritten - active.checkpointBytes < item.totalBytes * RESUME_CHECKPOINT_SHARE) return;
+
+  active.checkpointBytes = item.bytesWritten;
+  try {
+    const { resumeData } = active.resumable.savable();
+    if (resumeData) {
+      updateItem(item.id, { resumeData });
+      saveQueue();
+    }
+  } catch (error) {
+    logger.warn(`Could not save resume data for ${item.languageCode} download`, 'DownloadManager', error);
+  }
+};
+
+// Download one queue item: fetch its manifest, download (or resume) the content, then install it
+const runDownload = async (item) => {
+  const active = { id: item.id, resumable: null, pauseRequested: false, cancelRequested: false, checkpointBytes: 0 };
+  activeDownload = active;
+
+  try {
+    updateItem(item.id, { status: DOWNLOAD_STATUS.DOWNLOADING, error: null });
+    await saveQueue();
+    notify({ type: 'started', item: findItem(item.id) });
+
+    // Partial content only belongs to the manifest it was started with, so keep both together
+    if (!item.manifest || !item.resumeData) {
+      const { manifest, contentUrl, contentPath } = await preparePackDownload(item.languageCode, item.quality);
+      updateItem(item.id, {
+        manifest,
+        contentUrl,
+        contentPath,
+        totalBytes: manifest.content.size,
+        bytesWritten: 0,
+        resumeData: null
+      });
+      await saveQueue();
+    }
+
+    if (active.cancelRequested || active.pauseRequested) {
+      return;
+    }
+
+    const current = findItem(item.id);
+    const onProgress = ({ totalBytesWritten, totalBytesExpectedToWrite }) => {
+      if (!findItem(item.id)) return;
+      const updated = updateItem(item.id, {
+        bytesWritten: totalBytesWritten,
+        totalBytes: totalBytesExpectedToWrite > 0 ? totalBytesExpectedToWrite : current.manifest.content.size
+      });
+      notify({ type: 'progress', item: updated });
+      saveCheckpoint(active, updated);
+    };
+
+    active.resumable = FileSystem.createDownloadResumable(
+      current.contentUrl,
+      current.contentPath,
+      {},
+      onProgress,
+      current.resumeData || undefined
+    );
+
+    logger.info(`${current.resumeData ? 'Resuming' : 'Starting'} download of ${item.languageCode} language pack`, 'DownloadManager');
+    const result = current.resumeData
+      ? await active.resumable.resumeAsync()
+      : await active.resumable.downloadAsync();
+
+    // pauseDownload and cancelDownload update the queue themselves
+    if (active.cancelRequested || active.pauseRequested) {
+      return;
+    }
+    if (!result || result.status < 200 || result.status >= 300) {
+      throw new Error(`Pack server responded with status ${result ? result.status : 'unknown'}`);
+    }
+
+    await installDownloadedPack(item.languageCode, item.languageName, item.quality, current.manifest);
+
+    removeItem(item.id);
+    await saveQueue();
+    logger.info(`Installed ${item.languageCode} language pack`, 'DownloadManager');
+
+    // Make room for the new pack if it took pack storage over the budget
+    const { evicted } = await enforceStorageBudget({ keep: [item.languageCode] })
+      .catch(() => ({ evicted: [] }));
+    notify({ type: 'completed', item: { ...current, bytesWritten: current.totalBytes }, evicted });
+  } catch (error) {
+    if (active.cancelRequested || active.pauseRequested) {
+      return;
+    }
+
+    logger.error(`Download of ${item.languageCode} language pack failed`, 'DownloadManager', error);
+    await discardPackDownload(item.languageCode);
+
+    const failed = updateItem(item.id, {
+      status: DOWNLOAD_STATUS.FAILED,
+      error: error.message,
+      manifest: null,
+      resumeData: null,
+      bytesWritten: 0
+    });
+    await saveQueue();
+    notify({ type: 'failed', item: failed });
+  } finally {
+    if (activeDownload === active) {
+      activeDownload = null;
+    }
+  }
+};
+
+// Work through queued items one at a time
+const processQueue = async () => {
+  if (processing) return;
+  processing = true;
+
+  try {
+    await loadQueue();
+    let next = queue.find(item => item.status === DOWNLOAD_STATUS.QUEUED);
+    while (next && !suspended) {
+      await runDownload(next);
+      next = queue.find(item => item.status === DOWNLOAD_STATUS.QUEUED);
+    }
+  } finally {
+    processing = false;
+  }
+};
+
+// Add a language pack to the download queue
+// A pack that is already queued isn't added twice, but a failed download of it is tried again;
+// resolves to its queue item
+export const enqueueDownload = async (languageCode, languageName, quality = 'standard') => {
+  await loadQueue();
+
+  const existing = queue.find(item => item.languageCode === languageCode);
+  if (existing) {
+    if (existing.status === DOWNLOAD_STATUS.FAILED) {
+      await resumeDownload(existing.id);
+    }
+    return { ...findItem(existing.id) };
+  }
+
+  const item = {
+    id: `${languageCode}-${Date.now()}`,
+    languageCode,
+    languageName,
+    quality,
+    status: DOWNLOAD_STATUS.QUEUED,
+    bytesWritten: 0,
+    totalBytes: 0,
+    manifest: null,
+    contentUrl: null,
+    contentPath: null,
+    resumeData: null,
+    error: null,
+    addedAt: new Date().toISOString()
+  };
+
+  queue = [...queue, item];
+  await saveQueue();
+  notify({ type: 'added', item });
+
+  processQueue();
+  return { ...item };
+};
+
+// Pause a download; an active download keeps its resume data so it can continue later
+export const pauseDownload = async (id) => {
+  await loadQueue();
+  const item = findItem(id);
+  if (!item || item.status === DOWNLOAD_STATUS.PAUSED || item.status === DOWNLOAD_STATUS.FAILED) {
+    return false;
+  }
+
+  let resumeData = item.resumeData;
+  if (activeDownload && activeDownload.id === id) {
+    activeDownload.pauseRequested = true;
+    if (activeDownload.resumable) {
+      try {
+        const state = await activeDownload.resumable.pauseAsync();
+        resumeData = state && state.resumeData ? state.resumeData : null;
+      } catch (error) {
+        logger.warn(`Could not pause ${item.languageCode} download cleanly; it will restart`, 'DownloadManager', error);
+        resumeData = null;
+      }
+    }
+  }
+
+  const paused = updateItem(id, { status: DOWNLOAD_STATUS.PAUSED, resumeData });
+  await saveQueue();
+  notify({ type: 'paused', item: paused });
+  return true;
+};
+
+// Resume a paused download or retry a failed one
+export const resumeDownload = async (id) => {
+  await loadQueue();
+  const item = findItem(id);
+  if (!item || (item.status !== DOWNLOAD_STATUS.PAUSED && item.status !== DOWNLOAD_STATUS.FAILED)) {
+    return false;
+  }
+
+  const resumed = updateItem(id, { status: DOWNLOAD_STATUS.QUEUED, error: null });
+  await saveQueue();
+  notify({ type: 'resumed', item: resumed });
+
+  processQueue();
+  return true;
+};
+
+// Cancel a download and remove it from the queue, discarding anything downloaded so far
+export const cancelDownload = async (id) => {
+  await loadQueue();
+  const item = findItem(id);
+  if (!item) {
+    return false;
+  }
+
+  if (activeDownload && activeDownload.id === id) {
+    activeDownload.cancelRequested = true;
+    if (activeDownload.resumable) {
+      try {
+        await activeDownload.resumable.cancelAsync();
+      } catch (error) {
+        logger.warn(`Could not cancel ${item.languageCode} download cleanly`, 'DownloadManager', error);
+      }
+    }
+  }
+
+  removeItem(id);
+  await saveQueue();
+  await discardPackDownload(item.languageCode);
+  notify({ type: 'cancelled', item });
+  return true;
+};
+
+// Pick up the saved queue when the app starts or returns to the foreground
+// Downloads that were running when the app was closed continue from their last checkpoint; paused
+// ones stay paused
+export const restoreDownloadQueue = async () => {
+  await loadQueue();
+  suspended = false;
+
+  let interrupted = false;
+  queue = queue.map(item => {
+    const isRunning = activeDownload && activeDownload.id === item.id;
+    if (item.status === DOWNLOAD_STATUS.DOWNLOADING && !isRunning) {
+      interrupted = true;
+      return { ...item, status: DOWNLOAD_STATUS.QUEUED };
+    }
+    return item;
+  });
+
+  if (interrupted) {
+    await saveQueue();
+  }
+  notify(null);
+  processQueue();
+};
+
+// Pause the active download when the app goes to the background
+// Its resume data is saved and it is queued again, so it continues from the same point on the
+// next restoreDownloadQueue even if the app is killed in the meantime
+export const suspendDownloads = async () => {
+  suspended = true;
+  if (!activeDownload) return;
+
+  const { id } = activeDownload;
+  if (await pauseDownload(id)) {
+    updateItem(id, { status: DOWNLOAD_STATUS.QUEUED });
+    await saveQueue();
+    notify(null);
+  }
+};
@@ -0,0 +1,129 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { protectGlossaryTerms, restoreGlossaryTerms } from '../utils/glossaryUtils';
+
+// Stored alongside the phrasebook (translator_phrasebook)
+const GLOSSARY_STORAGE_KEY = 'translator_glossary';
+
+// Glossary entry: {
+//   id, sourceLanguage, targetLanguage,
+//   term: string,              // text to look for in the source
+//   translation: string|null,  // fixed rendering; empty keeps the term untranslated
+//   caseSensitive: boolean,
+//   createdAt, updatedAt
+// }
+
+// Get all glossary entries
+export const getGlossary = async () => {
+  try {
+    const glossaryData = await AsyncStorage.getItem(GLOSSARY_STORAGE_KEY);
+    if (glossaryData) {
+      return JSON.parse(glossaryData);
+    }
+    return [];
+  } catch (error) {
+    console.error('Failed to load glossary:', error);
+    return [];
+  }
+};
+
+// Get glossary entries for a language pair
+export const getGlossaryForPair = async (sourceLanguage, targetLanguage) => {
+  try {
+    const glossary = await getGlossary();
+    return glossary.filter(entry =>
+      entry.sourceLanguage === sourceLanguage && entry.targetLanguage === targetLanguage
+    );
+  } catch (error) {
+    console.error('Failed to get glossary for language pair:', error);
+    return [];
+  }
+};
+
+// Add a glossary term, or update the existing entry for the same term and pair
+export const saveGlossaryTerm = async (entry) => {
+  try {
+    const glossary = await getGlossary();
+    const term = (entry.term || '').trim();
+    if (!term) {
+      throw new Error('Glossary term cannot be empty');
+    }
+
+    const existingIndex = glossary.findIndex(e =>
+      (entry.id && e.id === entry.id) || (
+        e.term.toLowerCase() === term.toLowerCase() &&
+        e.sourceLanguage === entry.sourceLanguage &&
+        e.targetLanguage === entry.targetLanguage
+      )
+    );
+
+    const fields = {
+      ...entry,
+      term,
+      translation: entry.translation ? entry.translation.trim() : null,
+      caseSensitive: Boolean(entry.caseSensitive)
+    };
+
+    if (existingIndex !== -1) {
+      glossary[existingIndex] = {
+        ...glossary[existingIndex],
+        ...fields,
+        updatedAt: new Date().toISOString()
+      };
+    } else {
+      glossary.push({
+        ...fields,
+        id: Date.now().toString(),
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      });
+    }
+
+    await AsyncStorage.setItem(GLOSSARY_STORAGE_KEY, JSON.stringify(glossary));
+    return true;
+  } catch (error) {
+    console.error('Failed to save glossary term:', error);
+    return false;
+  }
+};
+
+// Delete a glossary term
+export const deleteGlossaryTerm = async (termId) => {
+  try {
+    const glossary = await getGlossary();
+    const updatedGlossary = glossary.filter(entry => entry.id !== termId);
+    await AsyncStorage.setItem(GLOSSARY_STORAGE_KEY, JSON.stringify(updatedGlossary));
+    return true;
+  } catch (error) {
+    console.error('Failed to delete glossary term:', error);
+    return false;
+  }
+};
+
+// Prepare a translation request for the glossary of its language pair
+// Returns the text to send to the translator (terms replaced by placeholders), a signature
+// that changes whenever the glossary does (for cache keys), and apply(result) which
+// restores the fixed renderings and records the applied terms as result.glossaryTerms
+export const prepareGlossary = async (text, sourceLanguage, targetLanguage) => {
+  const entries = await getGlossaryForPair(sourceLanguage, targetLanguage);
+  const { text: protectedText, placeholders } = protectGlossaryTerms(text, entries);
+
+  const signature = placeholders.length > 0
+    ? placeholders.map(p => `${p.entry.term}=${p.entry.translation || ''}`).join(';')
+    : null;
+
+  const apply = (result) => {
+    if (placeholders.length === 0 || !result || result.errorCode) {
+      return result;
+    }
+
+    const restored = restoreGlossaryTerms(result.text, placeholders);
+    return {
+      ...result,
+      text: restored.text,
+      alternatives: (result.alternatives || []).map(alt => restoreGlossaryTerms(alt, placeholders).text),
+      glossaryTerms: restored.appliedTerms
+    };
+  };
+
+  return { text: protectedText, signature, apply };
+};
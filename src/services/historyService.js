@@ -1,72 +1,885 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system';
 import { getSettings } from './settingsService';
+import { translateBatch } from './translationService';
+import { createSerialQueue } from '../utils/asyncUtils';
+import { getSearchTerms, foldForSearch, findSearchMatches } from '../utils/textMatching';
+import { HISTORY_EXPORT_FORMATS, formatHistoryExport, readHistoryExport } from '../utils/historyFormat';
+import logger from '../utils/logger';
 
-const HISTORY_STORAGE_KEY = 'translator_history';
-const MAX_HISTORY_ITEMS = 100;
+// History is stored one record per entry, with indexes so a page can be read without
+// loading everything and a save never rewrites the whole history:
+// - translator_history_index: { version, months: ['2026-10', ...] newest first, lastPruned }
+// - translator_history_month_<YYYY-MM>: index entries for the month an entry was last used in,
+//   most recently used first: [{ id, timestamp (last used), pair: 'en-es', contextType, useCount, key }]
+//   They index history by date, language pair, source type and use count.
+// - translator_history_item_<id>: the entry itself
+// - translator_history_key_<hash>: id of the entry for a source text, translation and language pair,
+//   so translating the same thing again updates that entry instead of adding another
+//
+// HistoryEntry: {
+//   id, sourceText, translatedText, sourceLanguage, targetLanguage,
+//   timestamp,                 // ISO date of the first translation
+//   lastUsed,                  // ISO date of the latest one
+//   useCount,                  // how many times it has been translated
+//   context: string|null,      // translation context such as 'restaurant'
+//   contextType,               // where it came from, one of HISTORY_SOURCE_TYPES
+//   starred?,                  // marked by the user
+//   importedIds?,              // ids of imported entries merged into this one, so they aren't imported again
+//   conversationId?            // set for conversation messages
+// }
 
-// Get all translation history
+// Every history key starts with this (storageService counts them as history)
+export const HISTORY_KEY_PREFIX = 'translator_history';
+// Single blob with all entries, used before the indexed store; migrated on first use
+const LEGACY_HISTORY_KEY = 'translator_history';
+const HISTORY_INDEX_KEY = 'translator_history_index';
+const MONTH_KEY_PREFIX = 'translator_history_month_';
+const ITEM_KEY_PREFIX = 'translator_history_item_';
+const MERGE_KEY_PREFIX = 'translator_history_key_';
+// Version 2 added use counts and merged repeated translations
+const HISTORY_FORMAT_VERSION = 2;
+
+export const HISTORY_SOURCE_TYPES = {
+  MANUAL: 'manual',
+  CAMERA: 'camera',
+  CONVERSATION: 'conversation',
+};
+
+export const HISTORY_SOURCE_TYPE_LABELS = {
+  [HISTORY_SOURCE_TYPES.MANUAL]: 'Typed',
+  [HISTORY_SOURCE_TYPES.CAMERA]: 'Camera',
+  [HISTORY_SOURCE_TYPES.CONVERSATION]: 'Conversation',
+};
+
+// Orders history can be listed in
+export const HISTORY_SORTS = {
+  RECENT: 'recent',         // most recently used first
+  MOST_USED: 'mostUsed',    // highest use count first, then most recently used
+};
+
+export const DEFAULT_HISTORY_PAGE_SIZE = 30;
+// Records loaded at a time while searching or re-translating their text
+const SEARCH_BATCH_SIZE = 50;
+// Old entries are removed at most once a day (see settings.historyRetentionDays)
+const PRUNE_INTERVAL = 24 * 60 * 60 * 1000;
+
+// Writes go through one queue so concurrent saves can't overwrite each other's index updates
+const enqueueWrite = createSerialQueue();
+let migration = null;
+
+const getItemKey = (id) => `${ITEM_KEY_PREFIX}${id}`;
+const getMonthKey = (month) => `${MONTH_KEY_PREFIX}${month}`;
+const getMonth = (timestamp) => new Date(timestamp).toISOString().slice(0, 7);
+
+// Unique per entry even when two are saved in the same millisecond, so entries can be told apart
+// by id (timestamps can collide). Entries saved before ids existed get one when migrated.
+let idCounter = 0;
+const createHistoryId = () => {
+  idCounter = (idCounter + 1) % 1296;
+  return `${Date.now().toString(36)}-${idCounter.toString(36).padStart(2, '0')}${Math.random().toString(36).slice(2, 6)}`;
+};
+
+// Fill in what the store relies on: an id, timestamps, a use count and a source type
+const createHistoryEntry = (translation) => {
+  const timestamp = translation.timestamp || new Date().toISOString();
+  return {
+    ...translation,
+    id: translation.id || createHistoryId(),
+    timestamp,
+    lastUsed: translation.lastUsed || timestamp,
+    useCount: translation.useCount || 1,
+    context: translation.context || null,
+    contextType: translation.contextType || HISTORY_SOURCE_TYPES.MANUAL
+  };
+};
+
+const getLastUsed = (entry) => entry.lastUsed || entry.timestamp;
+
+// Entries with the same merge key are the same translation
+const getMergeKey = (entry) => [
+  entry.sourceLanguage,
+  entry.targetLanguage,
+  (entry.sourceText || '').trim(),
+  (entry.translatedText || '').trim()
+].join('\n');
+
+// 53-bit string hash (cyrb53), short enough for a storage key; matches are checked against the full key
+const hashText = (text) => {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ code, 2654435761);
+    h2 = Math.imul(h2 ^ code, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+};
+
+const getMergeKeyKey = (entry) => `${MERGE_KEY_PREFIX}${hashText(getMergeKey(entry))}`;
+
+// Combine two records of the same translation into the first one's record
+// The later use decides the details (context, provider, ...) and use counts are added up
+const mergeEntries = (existing, entry) => {
+  const entryIsLater = getLastUsed(entry) >= getLastUsed(existing);
+  const importedIds = [...new Set([...(existing.importedIds || []), ...(entry.importedIds || [])])];
+  return {
+    ...(entryIsLater ? { ...existing, ...entry } : { ...entry, ...existing }),
+    ...(importedIds.length > 0 ? { importedIds } : {}),
+    id: existing.id,
+    timestamp: entry.timestamp < existing.timestamp ? entry.timestamp : existing.timestamp,
+    lastUsed: entryIsLater ? getLastUsed(entry) : getLastUsed(existing),
+    useCount: (existing.useCount || 1) + (entry.useCount || 1),
+    starred: Boolean(existing.starred || entry.starred)
+  };
+};
+
+const toIndexEntry = (entry) => ({
+  id: entry.id,
+  timestamp: getLastUsed(entry),
+  pair: `${entry.sourceLanguage}-${entry.targetLanguage}`,
+  contextType: entry.contextType,
+  useCount: entry.useCount || 1,
+  key: getMergeKeyKey(entry),
+  importedIds: entry.importedIds
+});
+
+// Most recently used first; the id breaks ties between entries used at the same time
+const compareIndexEntries = (a, b) => b.timestamp.localeCompare(a.timestamp) || b.id.localeCompare(a.id);
+// Most used first, then most recently used
+const compareByUseCount = (a, b) => (b.useCount || 1) - (a.useCount || 1) || compareIndexEntries(a, b);
+
+const readJSON = async (key, fallback) => {
+  const data = await AsyncStorage.getItem(key);
+  return data ? JSON.parse(data) : fallback;
+};
+
+const readIndex = () => readJSON(HISTORY_INDEX_KEY, { version: HISTORY_FORMAT_VERSION, months: [], lastPruned: null });
+const readMonth = (month) => readJSON(getMonthKey(month), []);
+
+// Take index entries out of their months and put new ones in, updating the list of months
+const updateIndex = async (removed, added) => {
+  const index = await readIndex();
+  const months = {};
+  const loadMonth = async (month) => {
+    if (!months[month]) {
+      months[month] = await readMonth(month);
+    }
+    return months[month];
+  };
+
+  for (const entry of removed) {
+    const month = getMonth(entry.timestamp);
+    months[month] = (await loadMonth(month)).filter(item => item.id !== entry.id);
+  }
+  for (const entry of added) {
+    const month = getMonth(entry.timestamp);
+    months[month] = [...(await loadMonth(month)).filter(item => item.id !== entry.id), entry];
+  }
+
+  const writes = [];
+  const emptyMonths = [];
+  Object.entries(months).forEach(([month, entries]) => {
+    if (entries.length > 0) {
+      writes.push([getMonthKey(month), JSON.stringify(entries.sort(compareIndexEntries))]);
+    } else {
+      emptyMonths.push(month);
+    }
+  });
+  const monthList = [...new Set([...index.months, ...Object.keys(months)])]
+    .filter(month => !emptyMonths.includes(month))
+    .sort()
+    .reverse();
+  writes.push([HISTORY_INDEX_KEY, JSON.stringify({ ...index, months: monthList })]);
+
+  await AsyncStorage.multiSet(writes);
+  if (emptyMonths.length > 0) {
+    await AsyncStorage.multiRemove(emptyMonths.map(getMonthKey));
+  }
+};
+
+// Store entries, merging each into the stored entry for the same translation if there is one
+// Resolves to { stored, merged }: the records as stored, in the order given, and how many were
+// merged into existing entries.
+const addEntries = async (entries) => {
+  const byKey = new Map();
+  const previous = new Map();
+  const stored = [];
+  let merged = 0;
+
+  for (const entry of entries) {
+    const mergeKey = getMergeKey(entry);
+    let existing = byKey.get(mergeKey);
+    if (!existing) {
+      const id = await AsyncStorage.getItem(getMergeKeyKey(entry));
+      const [record] = id ? await loadEntries([{ id }]) : [];
+      if (record && getMergeKey(record) === mergeKey) {
+        existing = record;
+        previous.set(record.id, toIndexEntry(record));
+      }
+    }
+
+    let record = entry;
+    if (existing && existing.id !== entry.id) {
+      record = mergeEntries(existing, entry);
+      merged += 1;
+    }
+    byKey.set(mergeKey, record);
+    stored.push(record);
+  }
+
+  const records = [...byKey.values()];
+  if (records.length > 0) {
+    await AsyncStorage.multiSet(records.flatMap(record => [
+      [getItemKey(record.id), JSON.stringify(record)],
+      [getMergeKeyKey(record), record.id]
+    ]));
+    await updateIndex([...previous.values()], records.map(toIndexEntry));
+  }
+  return { stored: stored.map(entry => byKey.get(getMergeKey(entry))), merged };
+};
+
+// Delete stored records along with their index entries and merge keys
+const removeEntries = async (records) => {
+  if (records.length === 0) return;
+  await updateIndex(records.map(toIndexEntry), []);
+
+  // A merge key only goes if it still points at a removed entry
+  const ids = new Set(records.map(record => record.id));
+  const mergeKeys = [...new Set(records.map(getMergeKeyKey))];
+  const keyTargets = await AsyncStorage.multiGet(mergeKeys);
+  await AsyncStorage.multiRemove([
+    ...records.map(record => getItemKey(record.id)),
+    ...keyTargets.filter(([, id]) => ids.has(id)).map(([key]) => key)
+  ]);
+};
+
+// Load every stored record, most recently used first
+const loadAllEntries = async () => {
+  const index = await readIndex();
+  const indexEntries = [];
+  for (const month of index.months) {
+    indexEntries.push(...await readMonth(month));
+  }
+  return loadEntries(indexEntries);
+};
+
+// Write the whole store again from a list of entries, merging repeated translations
+// Used by migrations, which can turn entries into repeats
+const rebuildHistory = async (entries) => {
+  const byKey = new Map();
+  entries.forEach(entry => {
+    const mergeKey = getMergeKey(entry);
+    byKey.set(mergeKey, byKey.has(mergeKey) ? mergeEntries(byKey.get(mergeKey), entry) : entry);
+  });
+  const records = [...byKey.values()];
+
+  const byMonth = {};
+  records.forEach(record => {
+    const month = getMonth(getLastUsed(record));
+    byMonth[month] = [...(byMonth[month] || []), toIndexEntry(record)];
+  });
+
+  const index = await readIndex();
+  const writes = [
+    ...records.flatMap(record => [
+      [getItemKey(record.id), JSON.stringify(record)],
+      [getMergeKeyKey(record), record.id]
+    ]),
+    ...Object.entries(byMonth).map(([month, monthEntries]) => [
+      getMonthKey(month),
+      JSON.stringify(monthEntries.sort(compareIndexEntries))
+    ]),
+    [HISTORY_INDEX_KEY, JSON.stringify({
+      ...index,
+      version: HISTORY_FORMAT_VERSION,
+      months: Object.keys(byMonth).sort().reverse()
+    })]
+  ];
+  await AsyncStorage.multiSet(writes);
+
+  // Then drop whatever the new store doesn't use: merged-away records, old months and keys
+  const written = new Set(writes.map(([key]) => key));
+  const stale = (await AsyncStorage.getAllKeys()).filter(key => (
+    !written.has(key) &&
+    (key.startsWith(ITEM_KEY_PREFIX) || key.startsWith(MONTH_KEY_PREFIX) || key.startsWith(MERGE_KEY_PREFIX))
+  ));
+  if (stale.length > 0) {
+    await AsyncStorage.multiRemove(stale);
+  }
+  return records.length;
+};
+
+// Move history from the single blob used before the indexed store, once
+const migrateLegacyHistory = async () => {
+  const legacy = await readJSON(LEGACY_HISTORY_KEY, null);
+  if (!legacy) return;
+
+  const entries = (Array.isArray(legacy) ? legacy : [])
+    .filter(item => item && item.sourceLanguage && item.targetLanguage)
+    .map(createHistoryEntry);
+  const count = await rebuildHistory([...(await loadAllEntries()), ...entries]);
+  await AsyncStorage.removeItem(LEGACY_HISTORY_KEY);
+  logger.info(`Migrated ${entries.length} history entries to the indexed store (${count} after merging repeats)`, 'HistoryService');
+};
+
+// Give entries saved before use counts existed a count, and merge repeated translations
+const upgradeHistoryIndex = async () => {
+  const index = await readIndex();
+  if (index.version >= HISTORY_FORMAT_VERSION) return;
+
+  const entries = await loadAllEntries();
+  const count = await rebuildHistory(entries.map(createHistoryEntry));
+  logger.info(`Upgraded history to version ${HISTORY_FORMAT_VERSION}: ${entries.length} entries merged into ${count}`, 'HistoryService');
+};
+
+// Make sure legacy history has been migrated and the store is in the current format
+// before anything reads or writes it
+const ensureMigrated = () => {
+  if (!migration) {
+    migration = enqueueWrite(async () => {
+      await migrateLegacyHistory();
+      await upgradeHistoryIndex();
+    }).catch(error => {
+      migration = null;
+      throw error;
+    });
+  }
+  return migration;
+};
+
+// Load the records for index entries, in the same order; missing records are skipped
+const loadEntries = async (indexEntries) => {
+  if (indexEntries.length === 0) return [];
+  const records = await AsyncStorage.multiGet(indexEntries.map(entry => getItemKey(entry.id)));
+  return records
+    .map(([, value]) => (value ? JSON.parse(value) : null))
+    .filter(Boolean);
+};
+
+// Check an index entry against page filters
+const matchesFilters = (entry, { pair = null, contextType = null, from = null, to = null }) => {
+  if (pair && entry.pair !== pair) return false;
+  if (contextType && entry.contextType !== contextType) return false;
+  if (from && entry.timestamp < from) return false;
+  if (to && entry.timestamp > to) return false;
+  return true;
+};
+
+// Encode where a page ended so the next one carries on after it
+const encodeCursor = (entry) => {
+  const { useCount, timestamp, id } = toIndexEntry(entry);
+  return `${useCount}|${timestamp}|${id}`;
+};
+const decodeCursor = (cursor) => {
+  const [useCount, timestamp, id] = cursor.split('|');
+  return { useCount: Number(useCount), timestamp, id };
+};
+
+// Walk the index in the given order (one of HISTORY_SORTS), collecting records after the cursor
+// that match the filters and, if given, test(record). One more than limit is collected to tell
+// whether there is another page. Months outside the date range are never read. Sorted by
+// recent use, months newer than the cursor are skipped and the walk stops once the page is full;
+// by use count, the whole index has to be sorted first. Without a test only the records needed
+// are loaded.
+const scanHistory = async (filters, cursor, limit, test = null, sort = HISTORY_SORTS.RECENT) => {
+  const index = await readIndex();
+  const after = cursor ? decodeCursor(cursor) : null;
+  const byUseCount = sort === HISTORY_SORTS.MOST_USED;
+  const compare = byUseCount ? compareByUseCount : compareIndexEntries;
+  const fromMonth = filters.from ? filters.from.slice(0, 7) : null;
+  const toMonth = filters.to ? filters.to.slice(0, 7) : null;
+  const startMonth = after && !byUseCount ? after.timestamp.slice(0, 7) : null;
+  const months = index.months.filter(month => (
+    !(toMonth && month > toMonth) && !(startMonth && month > startMonth) && !(fromMonth && month < fromMonth)
+  ));
+
+  const found = [];
+  // Load candidates' records in order until the page is full; resolves to true once it is
+  const collect = async (candidates) => {
+    let position = 0;
+    while (position < candidates.length) {
+      const batchSize = test ? SEARCH_BATCH_SIZE : limit + 1 - found.length;
+      const records = await loadEntries(candidates.slice(position, position + batchSize));
+      position += batchSize;
+
+      for (const record of records) {
+        if (test && !test(record)) continue;
+        found.push(record);
+        if (found.length > limit) return true;
+      }
+    }
+    return false;
+  };
+  const isCandidate = (entry) => (!after || compare(after, entry) < 0) && matchesFilters(entry, filters);
+
+  if (byUseCount) {
+    const candidates = [];
+    for (const month of months) {
+      candidates.push(...(await readMonth(month)).filter(isCandidate));
+    }
+    await collect(candidates.sort(compare));
+  } else {
+    for (const month of months) {
+      if (await collect((await readMonth(month)).filter(isCandidate))) break;
+    }
+  }
+  return found;
+};
+
+const toISODate = (date) => (date ? new Date(date).toISOString() : null);
+
+// Index filters from page or search options
+const getIndexFilters = (options) => ({
+  pair: options.pair || null,
+  contextType: options.contextType || null,
+  from: toISODate(options.from),
+  to: toISODate(options.to)
+});
+
+// Cut what scanHistory found down to a page
+const toPage = (found, limit) => {
+  const items = found.slice(0, limit);
+  return {
+    items,
+    nextCursor: found.length > limit ? encodeCursor(items[items.length - 1]) : null
+  };
+};
+
+// Get a page of history, most recently used first
+// options: {
+//   cursor,                // nextCursor from the previous page; omit for the first page
+//   limit,                 // entries per page (DEFAULT_HISTORY_PAGE_SIZE)
+//   sort,                  // one of HISTORY_SORTS (recent by default)
+//   pair,                  // language pair such as 'en-es'
+//   contextType,           // one of HISTORY_SOURCE_TYPES
+//   from, to               // range (Date or ISO string) the entry was last used in, inclusive
+// }
+// Resolves to { items, nextCursor }; nextCursor is null on the last page
+export const getHistoryPage = async (options = {}) => {
+  try {
+    const settings = await getSettings();
+    if (!settings.saveHistory) {
+      return { items: [], nextCursor: null };
+    }
+    await ensureMigrated();
+
+    const { cursor = null, limit = DEFAULT_HISTORY_PAGE_SIZE, sort } = options;
+    return toPage(await scanHistory(getIndexFilters(options), cursor, limit, null, sort), limit);
+  } catch (error) {
+    console.error('Failed to load history page:', error);
+    return { items: [], nextCursor: null };
+  }
+};
+
+// Search history, in the order given by options.sort
+// Takes the getHistoryPage options plus:
+//   query,                 // words to find in the source or translated text; every word must occur
+//                          // in one of them. Case and diacritics are ignored ("cafe" finds "Café").
+//   context                // translation context id such as 'restaurant'
+// Resolves to { items, nextCursor }. Each item is a history entry with
+// matches: { sourceText, translatedText }, the [start, end) ranges of the query in each text.
+export const searchHistory = async (options = {}) => {
+  try {
+    const settings = await getSettings();
+    if (!settings.saveHistory) {
+      return { items: [], nextCursor: null };
+    }
+    await ensureMigrated();
+
+    const { cursor = null, limit = DEFAULT_HISTORY_PAGE_SIZE, context = null, sort } = options;
+    const terms = getSearchTerms(options.query || '');
+
+    const matchesSearch = (entry) => {
+      if (context && entry.context !== context) return false;
+      const text = `${foldForSearch(entry.sourceText)}\n${foldForSearch(entry.translatedText)}`;
+      return terms.every(term => text.includes(term));
+    };
+
+    const found = await scanHistory(getIndexFilters(options), cursor, limit, matchesSearch, sort);
+    const page = toPage(found, limit);
+    return {
+      ...page,
+      items: page.items.map(entry => ({
+        ...entry,
+        matches: {
+          sourceText: findSearchMatches(entry.sourceText, terms),
+          translatedText: findSearchMatches(entry.translatedText, terms)
+        }
+      }))
+    };
+  } catch (error) {
+    console.error('Failed to search history:', error);
+    return { items: [], nextCursor: null };
+  }
+};
+
+// Get the language pairs and source types history has entries for, to offer as filters
+// Only reads the index. Resolves to { pairs: ['en-es', ...], contextTypes: ['manual', ...] }
+export const getHistoryFilterOptions = async () => {
+  try {
+    await ensureMigrated();
+    const index = await readIndex();
+    const pairs = new Set();
+    const contextTypes = new Set();
+    for (const month of index.months) {
+      (await readMonth(month)).forEach(entry => {
+        pairs.add(entry.pair);
+        contextTypes.add(entry.contextType);
+      });
+    }
+    return { pairs: [...pairs].sort(), contextTypes: [...contextTypes] };
+  } catch (error) {
+    console.error('Failed to load history filters:', error);
+    return { pairs: [], contextTypes: [] };
+  }
+};
+
+// Get all translation history, most recently used first
+// Loads every record; lists should use getHistoryPage instead
 export const getHistory = async () => {
   try {
-    // Check if history saving is enabled in settings
     const settings = await getSettings();
     if (!settings.saveHistory) {
       return [];
     }
-    
-    const historyData = await AsyncStorage.getItem(HISTORY_STORAGE_KEY);
-    if (historyData) {
-      return JSON.parse(historyData);
-    }
-    return [];
+    await ensureMigrated();
+
+    return await loadAllEntries();
   } catch (error) {
     console.error('Failed to load history:', error);
     return [];
   }
 };
 
+// Index entries not used within retentionDays of now (none when retentionDays is 0)
+const findExpiredEntries = async (index, retentionDays, now) => {
+  const expired = [];
+  if (retentionDays > 0) {
+    const cutoff = new Date(now - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    const cutoffMonth = cutoff.slice(0, 7);
+    for (const month of index.months.filter(month => month <= cutoffMonth)) {
+      expired.push(...(await readMonth(month)).filter(entry => entry.timestamp < cutoff));
+    }
+  }
+  return expired;
+};
+
+// Count the entries a retention period would remove, so the change can be confirmed first
+// Resolves to { count, newest }: how many entries and the last use of the most recent one (or null)
+export const countExpiredHistory = async (retentionDays) => {
+  try {
+    await ensureMigrated();
+    const expired = await findExpiredEntries(await readIndex(), Number(retentionDays) || 0, Date.now());
+    const newest = expired.reduce((latest, entry) => (
+      !latest || entry.timestamp > latest ? entry.timestamp : latest
+    ), null);
+    return { count: expired.length, newest };
+  } catch (error) {
+    console.error('Failed to count expired history:', error);
+    return { count: 0, newest: null };
+  }
+};
+
+// Remove entries not used within the retention period in settings (historyRetentionDays, 0 keeps everything)
+// Only runs once a day unless force is set. Resolves to the number of entries removed.
+export const pruneHistory = async (force = false) => {
+  try {
+    const settings = await getSettings();
+    await ensureMigrated();
+
+    return await enqueueWrite(async () => {
+      const index = await readIndex();
+      const now = Date.now();
+      if (!force && index.lastPruned && now - new Date(index.lastPruned).getTime() < PRUNE_INTERVAL) {
+        return 0;
+      }
+
+      const expired = await findExpiredEntries(index, Number(settings.historyRetentionDays) || 0, now);
+      await removeEntries(await loadEntries(expired));
+
+      await AsyncStorage.setItem(HISTORY_INDEX_KEY, JSON.stringify({
+        ...(await readIndex()),
+        lastPruned: new Date(now).toISOString()
+      }));
+      return expired.length;
+    });
+  } catch (error) {
+    console.error('Failed to prune history:', error);
+    return 0;
+  }
+};
+
 // Save a translation to history
+// Translating the same text into the same translation again updates the earlier entry's use count
+// and last use instead of adding an entry. Resolves to the stored entry, or null when history is
+// switched off.
 export const saveToHistory = async (translation) => {
   try {
     // Check if history saving is enabled in settings
     const settings = await getSettings();
     if (!settings.saveHistory) {
-      return;
-    }
-    
-    // Get existing history
-    const history = await getHistory();
-    
-    // Add new translation to the beginning of the array
-    const updatedHistory = [translation, ...history];
-    
-    // Limit the number of history items
-    if (updatedHistory.length > MAX_HISTORY_ITEMS) {
-      updatedHistory.splice(MAX_HISTORY_ITEMS);
-    }
-    
-    // Save updated history
-    await AsyncStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(updatedHistory));
+      return null;
+    }
+    await ensureMigrated();
+
+    const { stored } = await enqueueWrite(() => addEntries([createHistoryEntry(translation)]));
+
+    // Drop entries past the retention period now and then
+    pruneHistory();
+    return stored[0];
   } catch (error) {
     console.error('Failed to save to history:', error);
+    return null;
   }
 };
 
 // Clear all translation history
 export const clearHistory = async () => {
   try {
-    await AsyncStorage.removeItem(HISTORY_STORAGE_KEY);
+    await enqueueWrite(async () => {
+      const keys = await AsyncStorage.getAllKeys();
+      await AsyncStorage.multiRemove(keys.filter(key => key.startsWith(HISTORY_KEY_PREFIX)));
+    });
   } catch (error) {
     console.error('Failed to clear history:', error);
   }
 };
 
+// Write history to a file in the cache directory, ready to be shared
+// formatId is an id from HISTORY_EXPORT_FORMATS; ids limits the export to those entries
+// (otherwise everything is exported). Resolves to { uri, format, count }.
+export const exportHistory = async (formatId, ids = null) => {
+  try {
+    const format = Object.values(HISTORY_EXPORT_FORMATS).find(f => f.id === formatId);
+    if (!format) {
+      throw new Error(`Unknown history export format: ${formatId}`);
+    }
+    await ensureMigrated();
+
+    const entries = ids
+      ? (await loadEntries(ids.map(id => ({ id })))).sort((a, b) => compareIndexEntries(toIndexEntry(a), toIndexEntry(b)))
+      : await getHistory();
+    if (entries.length === 0) {
+      throw new Error('There is no history to export.');
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    const suffix = format.id === HISTORY_EXPORT_FORMATS.ANKI.id ? '-anki' : '';
+    const uri = `${FileSystem.cacheDirectory}translation-history-${date}${suffix}${format.extension}`;
+    await FileSystem.writeAsStringAsync(uri, formatHistoryExport(entries, format.id));
+    return { uri, format, count: entries.length };
+  } catch (error) {
+    console.error('Failed to export history:', error);
+    throw error;
+  }
+};
+
+// Merge the entries of a JSON history export into history
+// Entries already in history are skipped by id, including imported entries that were merged into
+// another one before, so importing the same file twice adds nothing. Other translations history
+// already has are merged into the existing entry by merge key, adding up their use counts.
+// Resolves to { added, merged, duplicates, invalid } counts: added entries are new to history, merged
+// ones were folded into an entry history already had.
+export const importHistory = async (fileUri) => {
+  try {
+    const settings = await getSettings();
+    if (!settings.saveHistory) {
+      throw new Error('Turn on Save Translation History to import history.');
+    }
+    const { entries, invalid } = readHistoryExport(await FileSystem.readAsStringAsync(fileUri));
+    await ensureMigrated();
+
+    return await enqueueWrite(async () => {
+      const index = await readIndex();
+      const ids = new Set();
+      for (const month of index.months) {
+        (await readMonth(month)).forEach(entry => {
+          ids.add(entry.id);
+          (entry.importedIds || []).forEach(id => ids.add(id));
+        });
+      }
+
+      const added = [];
+      entries.forEach(item => {
+        // Entries exported without an id get one derived from their content, so they too are
+        // recognised when the file is imported again
+        const entry = createHistoryEntry({
+          ...item,
+          id: item.id || `import-${hashText(`${item.timestamp}\n${getMergeKey(item)}`)}`
+        });
+        if (ids.has(entry.id)) return;
+        ids.add(entry.id);
+        added.push(entry);
+      });
+
+      // Remember the ids of entries merged into another record, so they count as imported next time
+      const { stored, merged } = await addEntries(added);
+      const aliases = new Map();
+      stored.forEach((record, i) => {
+        if (record.id === added[i].id) return;
+        const target = aliases.get(record.id) || { ...record, importedIds: [...(record.importedIds || [])] };
+        target.importedIds.push(added[i].id);
+        aliases.set(record.id, target);
+      });
+      if (aliases.size > 0) {
+        const records = [...aliases.values()];
+        await AsyncStorage.multiSet(records.map(record => [getItemKey(record.id), JSON.stringify(record)]));
+        await updateIndex([], records.map(toIndexEntry));
+      }
+      return {
+        added: added.length - merged,
+        merged,
+        duplicates: entries.length - added.length,
+        invalid
+      };
+    });
+  } catch (error) {
+    console.error('Failed to import history:', error);
+    throw error;
+  }
+};
+
+// Delete entries by id
+// Resolves to the deleted entries, which restoreHistoryItems can put back (e.g. to undo)
+export const deleteHistoryItems = async (ids) => {
+  try {
+    await ensureMigrated();
+    return await enqueueWrite(async () => {
+      const entries = await loadEntries(ids.map(id => ({ id })));
+      await removeEntries(entries);
+      return entries;
+    });
+  } catch (error) {
+    console.error('Failed to delete history items:', error);
+    return [];
+  }
+};
+
 // Delete a specific translation from history
-export const deleteHistoryItem = async (timestamp) => {
+export const deleteHistoryItem = async (id) => {
+  const [entry] = await deleteHistoryItems([id]);
+  return entry || null;
+};
+
+// Put deleted entries back, with their ids and timestamps
+// If a translation was used again in the meantime, the two entries are merged
+export const restoreHistoryItems = async (entries) => {
+  try {
+    await ensureMigrated();
+    await enqueueWrite(() => addEntries(entries));
+  } catch (error) {
+    console.error('Failed to restore history items:', error);
+  }
+};
+
+// Star or unstar entries by id
+export const setHistoryItemsStarred = async (ids, starred) => {
+  try {
+    await ensureMigrated();
+    await enqueueWrite(async () => {
+      const entries = await loadEntries(ids.map(id => ({ id })));
+      await AsyncStorage.multiSet(entries.map(entry => [
+        getItemKey(entry.id),
+        JSON.stringify({ ...entry, starred })
+      ]));
+    });
+  } catch (error) {
+    console.error('Failed to star history items:', error);
+  }
+};
+
+// Re-translate a batch of stored records and write back the ones whose translation changed
+// Records whose merge key changes are stored again through addEntries, since the new translation
+// can make them repeats of other entries. Resolves to { updated, failed } counts.
+const retranslateRecords = async (records) => {
+  const groups = {};
+  records.forEach(record => {
+    const pairKey = `${record.sourceLanguage}-${record.targetLanguage}`;
+    if (!groups[pairKey]) {
+      groups[pairKey] = { sourceLanguage: record.sourceLanguage, targetLanguage: record.targetLanguage, records: [] };
+    }
+    groups[pairKey].records.push(record);
+  });
+
+  let updated = 0;
+  let failed = 0;
+  const changes = new Map();
+
+  for (const group of Object.values(groups)) {
+    const batch = await translateBatch(
+      group.records.map(record => record.sourceText),
+      group.sourceLanguage,
+      group.targetLanguage
+    );
+
+    batch.forEach(entry => {
+      if (entry.error) {
+        failed += 1;
+        return;
+      }
+      updated += 1;
+      const record = group.records[entry.index];
+      const { text, provider, isOffline } = entry.result;
+      if (text !== record.translatedText || provider !== record.provider || isOffline !== record.isOffline) {
+        changes.set(record.id, { translatedText: text, provider, isOffline });
+      }
+    });
+  }
+
+  if (changes.size > 0) {
+    // Apply the changes to the records as they are now, in case they changed while translating
+    await enqueueWrite(async () => {
+      const current = await loadEntries([...changes.keys()].map(id => ({ id })));
+      const rekeyed = [];
+      const rewritten = [];
+      current.forEach(record => {
+        const next = { ...record, ...changes.get(record.id) };
+        (getMergeKey(next) === getMergeKey(record) ? rewritten : rekeyed).push([record, next]);
+      });
+
+      if (rewritten.length > 0) {
+        await AsyncStorage.multiSet(rewritten.map(([, next]) => [getItemKey(next.id), JSON.stringify(next)]));
+      }
+      if (rekeyed.length > 0) {
+        await removeEntries(rekeyed.map(([record]) => record));
+        await addEntries(rekeyed.map(([, next]) => next));
+      }
+    });
+  }
+  return { updated, failed };
+};
+
+// Re-translate history entries with the current provider and settings
+// Goes through the index a month and a batch of records at a time, sending each batch through
+// translateBatch grouped by language pair, and only rewrites the records that changed.
+// Resolves to { updated, failed } counts.
+export const retranslateHistory = async () => {
   try {
-    const history = await getHistory();
-    const updatedHistory = history.filter(item => item.timestamp !== timestamp);
-    await AsyncStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(updatedHistory));
+    const settings = await getSettings();
+    if (!settings.saveHistory) {
+      return { updated: 0, failed: 0 };
+    }
+    await ensureMigrated();
+
+    let updated = 0;
+    let failed = 0;
+    const { months } = await readIndex();
+    for (const month of months) {
+      const indexEntries = await readMonth(month);
+      for (let start = 0; start < indexEntries.length; start += SEARCH_BATCH_SIZE) {
+        const records = (await loadEntries(indexEntries.slice(start, start + SEARCH_BATCH_SIZE)))
+          .filter(record => record.sourceText);
+        const result = await retranslateRecords(records);
+        updated += result.updated;
+        failed += result.failed;
+      }
+    }
+    return { updated, failed };
   } catch (error) {
-    console.error('Failed to delete history item:', error);
+    console.error('Failed to re-translate history:', error);
+    return { updated: 0, failed: 0 };
   }
-};
\ No newline at end of file
+};
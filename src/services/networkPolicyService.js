@@ -0,0 +1,249 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import NetInfo from '@react-native-community/netinfo';
+import { getSettings } from './settingsService';
+import { isOfflineModeEnabled } from './offlineService';
+import { createConnectionQualityTracker } from '../utils/connectionQuality';
+import logger from '../utils/logger';
+
+// How translations are made:
+// - online: through the translation provider, with language packs as a fallback
+// - offline-first: language packs first, the provider only for text they can't translate
+// - offline: language packs only
+export const NETWORK_MODES = {
+  ONLINE: 'online',
+  OFFLINE_FIRST: 'offline-first',
+  OFFLINE: 'offline',
+};
+
+export const NETWORK_MODE_LABELS = {
+  [NETWORK_MODES.ONLINE]: 'Online',
+  [NETWORK_MODES.OFFLINE_FIRST]: 'Offline first',
+  [NETWORK_MODES.OFFLINE]: 'Offline',
+};
+
+// Conditions the policy has a rule for (settings.networkPolicy maps each id to a mode)
+// When several apply, the most offline mode wins
+export const NETWORK_CONDITIONS = [
+  { id: 'roaming', name: 'While roaming' },
+  { id: 'cellular', name: 'On cellular data' },
+  { id: 'expensive', name: 'On metered connections' },
+  { id: 'slow', name: 'On slow or unreliable connections' },
+];
+
+// Why the effective mode was chosen: a condition id above or one of these
+export const NETWORK_MODE_REASONS = {
+  MANUAL: 'manual',             // the offline mode switch is on
+  DISCONNECTED: 'disconnected', // no internet connection
+  DEFAULT: 'default',           // no rule applies
+};
+
+// NetInfo doesn't report roaming, so the first mobile carrier seen is remembered as the home
+// network and any other carrier counts as roaming
+const HOME_CARRIER_KEY = 'translator_home_carrier';
+
+// A connection only counts as slow or unreliable once there are enough recent requests to judge
+const MIN_QUALITY_SAMPLES = 3;
+// Share of recent provider requests that must fail for the connection to count as unreliable
+const UNRELIABLE_FAILURE_RATE = 0.5;
+
+const MODE_ORDER = [NETWORK_MODES.ONLINE, NETWORK_MODES.OFFLINE_FIRST, NETWORK_MODES.OFFLINE];
+
+const connectionQuality = createConnectionQualityTracker();
+const listeners = new Set();
+let currentStatus = null;
+let unsubscribeNetInfo = null;
+
+// Get the mode for every condition, with anything not set falling back to online
+const getPolicy = (settings) => {
+  const policy = settings.networkPolicy || {};
+  return NETWORK_CONDITIONS.reduce((rules, condition) => ({
+    ...rules,
+    [condition.id]: MODE_ORDER.includes(policy[condition.id]) ? policy[condition.id] : NETWORK_MODES.ONLINE
+  }), {});
+};
+
+// Check whether a cellular connection is on a carrier other than the home one
+const isRoaming = async (state) => {
+  const carrier = state.type === 'cellular' && state.details ? state.details.carrier : null;
+  if (!carrier) return false;
+
+  try {
+    const homeCarrier = await AsyncStorage.getItem(HOME_CARRIER_KEY);
+    if (!homeCarrier) {
+      await AsyncStorage.setItem(HOME_CARRIER_KEY, carrier);
+      return false;
+    }
+    return homeCarrier !== carrier;
+  } catch (error) {
+    logger.warn('Failed to check home carrier', 'NetworkPolicy', error);
+    return false;
+  }
+};
+
+// Get the carrier treated as the home network, or null before one has been seen
+export const getHomeCarrier = async () => {
+  try {
+    return await AsyncStorage.getItem(HOME_CARRIER_KEY);
+  } catch (error) {
+    logger.error('Failed to load home carrier', 'NetworkPolicy', error);
+    return null;
+  }
+};
+
+// Forget the home carrier; the next mobile carrier seen becomes the home network
+export const resetHomeCarrier = async () => {
+  try {
+    await AsyncStorage.removeItem(HOME_CARRIER_KEY);
+    await refreshNetworkMode();
+  } catch (error) {
+    logger.error('Failed to reset home carrier', 'NetworkPolicy', error);
+    throw error;
+  }
+};
+
+// Record how a provider request went; slow or failing requests make the connection count as slow
+export const recordRequestOutcome = (latencyMs, ok = true) => {
+  connectionQuality.record(latencyMs, ok);
+  if (listeners.size > 0) {
+    refreshNetworkMode();
+  }
+};
+
+// Describe why a mode was chosen, for display
+const describeReason = (reason, network) => {
+  switch (reason) {
+    case NETWORK_MODE_REASONS.MANUAL:
+      return 'Offline mode is switched on';
+    case NETWORK_MODE_REASONS.DISCONNECTED:
+      return 'No internet connection';
+    case 'roaming':
+      return network.carrier ? `Roaming on ${network.carrier}` : 'Roaming';
+    case 'cellular':
+      return 'On cellular data';
+    case 'expensive':
+      return 'On a metered connection';
+    case 'slow':
+      return network.failureRate >= UNRELIABLE_FAILURE_RATE
+        ? `Unreliable connection (${Math.round(network.failureRate * 100)}% of recent requests failed)`
+        : `Slow connection (responses take ${(network.medianLatencyMs / 1000).toFixed(1)}s)`;
+    default:
+      if (network.type === 'wifi') return 'On Wi-Fi';
+      if (network.type === 'cellular') return 'On cellular data';
+      return 'Connected';
+  }
+};
+
+// Work out the effective translation mode from the network and the policy in settings
+// netInfoState is a NetInfo state to use instead of fetching one.
+// Resolves to {
+//   mode,                        // one of NETWORK_MODES
+//   reason, description,         // a NETWORK_MODE_REASONS value or condition id, and text for display
+//   network: { type, isConnected, isExpensive, isRoaming, isSlow, carrier, medianLatencyMs, failureRate }
+// }
+export const getEffectiveNetworkMode = async (netInfoState = null) => {
+  const state = netInfoState || await NetInfo.fetch();
+  const settings = await getSettings();
+  const quality = connectionQuality.getSummary();
+
+  // isInternetReachable is null until it has been checked; only a definite false counts
+  const isConnected = Boolean(state.isConnected) && state.isInternetReachable !== false;
+  const isExpensive = Boolean(state.details && state.details.isConnectionExpensive);
+  const network = {
+    type: state.type,
+    isConnected,
+    isExpensive,
+    isRoaming: isConnected && await isRoaming(state),
+    isSlow: quality.count >= MIN_QUALITY_SAMPLES && (
+      quality.failureRate >= UNRELIABLE_FAILURE_RATE ||
+      (quality.medianLatencyMs !== null && quality.medianLatencyMs > settings.slowNetworkLatencyMs)
+    ),
+    carrier: state.details ? state.details.carrier || null : null,
+    medianLatencyMs: quality.medianLatencyMs,
+    failureRate: quality.failureRate
+  };
+
+  let mode = NETWORK_MODES.ONLINE;
+  let reason = NETWORK_MODE_REASONS.DEFAULT;
+
+  if (await isOfflineModeEnabled()) {
+    mode = NETWORK_MODES.OFFLINE;
+    reason = NETWORK_MODE_REASONS.MANUAL;
+  } else if (!isConnected) {
+    mode = NETWORK_MODES.OFFLINE;
+    reason = NETWORK_MODE_REASONS.DISCONNECTED;
+  } else {
+    const policy = getPolicy(settings);
+    const applies = {
+      roaming: network.isRoaming,
+      cellular: state.type === 'cellular',
+      expensive: isExpensive,
+      slow: network.isSlow
+    };
+
+    NETWORK_CONDITIONS.forEach(condition => {
+      const conditionMode = policy[condition.id];
+      if (applies[condition.id] && MODE_ORDER.indexOf(conditionMode) > MODE_ORDER.indexOf(mode)) {
+        mode = conditionMode;
+        reason = condition.id;
+      }
+    });
+  }
+
+  return { mode, reason, description: describeReason(reason, network), network };
+};
+
+// Tell every subscriber about a new status
+const notify = (status) => {
+  listeners.forEach(listener => {
+    try {
+      listener(status);
+    } catch (error) {
+      logger.warn('Network mode listener failed', 'NetworkPolicy', error);
+    }
+  });
+};
+
+// Work the effective mode out again, e.g. after the policy or the offline switch changed
+// Subscribers are only told when the mode or its reason changed. Resolves to the status.
+export const refreshNetworkMode = async (netInfoState = null) => {
+  try {
+    const status = await getEffectiveNetworkMode(netInfoState);
+    const changed = !currentStatus ||
+      currentStatus.mode !== status.mode ||
+      currentStatus.description !== status.description;
+    currentStatus = status;
+
+    if (changed) {
+      logger.info(`Translation mode is ${status.mode}: ${status.description}`, 'NetworkPolicy');
+      notify(status);
+    }
+    return status;
+  } catch (error) {
+    logger.error('Failed to work out network mode', 'NetworkPolicy', error);
+    return currentStatus;
+  }
+};
+
+// Subscribe to changes of the effective mode; the listener is called with the status from
+// getEffectiveNetworkMode, straight away and whenever it changes. Returns an unsubscribe function.
+// NetInfo is only watched while something is subscribed.
+export const subscribeToNetworkMode = (listener) => {
+  listeners.add(listener);
+
+  if (!unsubscribeNetInfo) {
+    unsubscribeNetInfo = NetInfo.addEventListener(state => refreshNetworkMode(state));
+  }
+
+  if (currentStatus) {
+    listener(currentStatus);
+  }
+  refreshNetworkMode();
+
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0 && unsubscribeNetInfo) {
+      unsubscribeNetInfo();
+      unsubscribeNetInfo = null;
+    }
+  };
+};
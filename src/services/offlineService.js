@@ -1,13 +1,72 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import * as FileSystem from 'expo-file-system';
 import { getSettings } from './settingsService';
+import { 
+  createTranslationResult, 
+  createErrorResult, 
+  TRANSLATION_ERROR_CODES, 
+  OFFLINE_PROVIDER_ID 
+} from './translationResult';
+import {
+  validatePackManifest,
+  validatePackContent,
+  validatePackPatch,
+  applyPackPatch,
+  getCatalogEntry,
+  createPackArchive,
+  readPackArchive,
+  getPackKind,
+  getPairCode,
+  isValidPackCode,
+  PACK_ARCHIVE_EXTENSION,
+  PACK_KINDS
+} from '../utils/languagePackFormat';
+import { scoreTextMatch } from '../utils/textMatching';
+import { glossText } from '../utils/dictionaryGloss';
 
 // Constants for AsyncStorage keys
 const OFFLINE_MODE_KEY = 'translator_offline_mode';
 const DOWNLOADED_LANGUAGES_KEY = 'translator_downloaded_languages';
 
-// Language pack size in MB for different qualities
-const LANGUAGE_PACK_SIZES = {
+// Installed packs live in one directory per language: languages/<code>/{manifest,content}.json
+export const PACKS_DIRECTORY = `${FileSystem.documentDirectory}languages/`;
+// Downloads land here and are only moved into place once they have been validated
+const STAGING_DIRECTORY = `${PACKS_DIRECTORY}.staging/`;
+const MANIFEST_FILE = 'manifest.json';
+const CONTENT_FILE = 'content.json';
+// Lists the latest version of every pack on the server, with the patches available to it
+const CATALOG_FILE = 'catalog.json';
+
+// Pack codes become path segments, so refuse any that could point outside PACKS_DIRECTORY
+const assertPackCode = (languageCode) => {
+  if (!isValidPackCode(languageCode)) {
+    throw new Error(`Invalid language pack code ${JSON.stringify(languageCode)}`);
+  }
+  return languageCode;
+};
+
+// Directory of an installed pack
+const getPackDirectory = (languageCode) => `${PACKS_DIRECTORY}${assertPackCode(languageCode)}`;
+
+// Single-file packs written before the versioned format
+const getLegacyPackPath = (languageCode) => `${PACKS_DIRECTORY}${assertPackCode(languageCode)}.json`;
+
+// Check whether a pack can translate directly to or from another language
+// Packs installed before alignment was recorded are treated as aligned with everything
+const isPackAlignedWith = (pack, languageCode) => {
+  return !pack.alignedLanguages ||
+    pack.alignedLanguages.includes('*') ||
+    pack.alignedLanguages.includes(languageCode);
+};
+
+// Check whether two installed packs share phrase ids
+const arePacksAligned = (firstPack, secondPack) => {
+  return isPackAlignedWith(firstPack, secondPack.code) || isPackAlignedWith(secondPack, firstPack.code);
+};
+
+// Approximate language pack size in MB for different qualities
+// Shown before downloading; the actual size comes from the pack manifest
+export const LANGUAGE_PACK_SIZES = {
   'basic': {
     size: 5,
     features: ['text-only', 'common-phrases']
@@ -55,86 +114,459 @@ export const getDownloadedLanguages = async () => {
   }
 };
 
-// Check if a specific language is downloaded
+// Check if a specific language's own pack is downloaded
+// Pair packs don't count; use isPairAvailableOffline to check a pair
 export const isLanguageDownloaded = async (languageCode) => {
   try {
     const languages = await getDownloadedLanguages();
-    return languages.some(lang => lang.code === languageCode);
+    return languages.some(lang => lang.code === languageCode && getPackKind(lang) === PACK_KINDS.LANGUAGE);
   } catch (error) {
     console.error('Failed to check if language is downloaded:', error);
     return false;
   }
 };
 
-// Download a language pack
-export const downloadLanguagePack = async (languageCode, languageName, quality = 'standard') => {
+// Base URL of the language pack server, without a trailing slash
+const getPackServerUrl = async () => {
+  const settings = await getSettings();
+  const serverUrl = (settings.packServerUrl || '').trim().replace(/\/+$/, '');
+  if (!serverUrl) {
+    throw new Error('No language pack server configured. Set one in Settings.');
+  }
+  return serverUrl;
+};
+
+// Download a file to disk, failing on HTTP errors
+// onProgress is called with the fraction (0-1) downloaded so far
+const downloadFile = async (url, destination, onProgress = null) => {
+  const progressCallback = onProgress
+    ? ({ totalBytesWritten, totalBytesExpectedToWrite }) => {
+        if (totalBytesExpectedToWrite > 0) {
+          onProgress(totalBytesWritten / totalBytesExpectedToWrite);
+        }
+      }
+    : undefined;
+  
+  const download = FileSystem.createDownloadResumable(url, destination, {}, progressCallback);
+  const result = await download.downloadAsync();
+  
+  if (!result) {
+    throw new Error(`Download of ${url} was interrupted`);
+  }
+  if (result.status < 200 || result.status >= 300) {
+    const error = new Error(`Pack server responded with status ${result.status}`);
+    error.status = result.status;
+    throw error;
+  }
+  return result;
+};
+
+// URL of a pack's files on the server
+const getPackUrl = (serverUrl, languageCode, quality) => {
+  return `${serverUrl}/packs/${encodeURIComponent(languageCode)}/${encodeURIComponent(quality)}`;
+};
+
+// Throw if a validator reported problems
+const assertValidPack = (problems, languageCode) => {
+  if (problems.length > 0) {
+    throw new Error(`Invalid language pack for ${languageCode}: ${problems.join('; ')}`);
+  }
+};
+
+// Download a pack's manifest into the staging directory and validate it
+const fetchPackManifest = async (packUrl, stagingPath, languageCode, quality) => {
+  const manifestPath = `${stagingPath}/${MANIFEST_FILE}`;
+  try {
+    await downloadFile(`${packUrl}/${MANIFEST_FILE}`, manifestPath);
+  } catch (error) {
+    if (error.status === 404) {
+      throw new Error('This language pack is not available on the pack server.');
+    }
+    throw error;
+  }
+  
+  let manifest;
   try {
-    // Check available device storage
-    const { freeSizeInBytes } = await FileSystem.getFreeDiskStorageAsync();
-    const freeSizeInMB = freeSizeInBytes / (1024 * 1024);
+    manifest = JSON.parse(await FileSystem.readAsStringAsync(manifestPath));
+  } catch (parseError) {
+    throw new Error(`Invalid language pack for ${languageCode}: manifest is not valid JSON`);
+  }
+  assertValidPack(validatePackManifest(manifest, { code: languageCode, quality }), languageCode);
+  return manifest;
+};
+
+// Check the staged content file against the manifest's size and checksum, then validate it
+const verifyStagedContent = async (stagingPath, manifest, languageCode) => {
+  const contentPath = `${stagingPath}/${CONTENT_FILE}`;
+  const contentInfo = await FileSystem.getInfoAsync(contentPath, { md5: true });
+  if (!contentInfo.exists || contentInfo.size !== manifest.content.size) {
+    throw new Error(`Language pack for ${languageCode} is incomplete. Please try again.`);
+  }
+  if ((contentInfo.md5 || '').toLowerCase() !== manifest.content.checksum.value.toLowerCase()) {
+    throw new Error(`Language pack for ${languageCode} failed its checksum. Please try again.`);
+  }
+  
+  let content;
+  try {
+    content = JSON.parse(await FileSystem.readAsStringAsync(contentPath));
+  } catch (parseError) {
+    throw new Error(`Invalid language pack for ${languageCode}: content is not valid JSON`);
+  }
+  assertValidPack(validatePackContent(content, manifest), languageCode);
+};
+
+// Register an installed pack in DOWNLOADED_LANGUAGES_KEY from its manifest
+const registerInstalledPack = async (manifest, languageCode, languageName, quality) => {
+  const now = new Date().toISOString();
+  const currentLanguages = await getDownloadedLanguages();
+  const updatedLanguages = [
+    ...currentLanguages.filter(lang => lang.code !== languageCode),
+    {
+      code: languageCode,
+      name: languageName || manifest.name,
+      kind: getPackKind(manifest),
+      // The two languages a pair pack covers
+      languages: manifest.languages,
+      quality: quality,
+      features: manifest.features || LANGUAGE_PACK_SIZES[quality].features,
+      alignedLanguages: manifest.alignedLanguages,
+      version: manifest.version,
+      latestVersion: manifest.version,
+      formatVersion: manifest.formatVersion,
+      checksum: manifest.content.checksum.value,
+      size: Math.round((manifest.content.size / (1024 * 1024)) * 100) / 100,
+      downloaded: now,
+      lastChecked: now
+    }
+  ];
+  
+  await AsyncStorage.setItem(DOWNLOADED_LANGUAGES_KEY, JSON.stringify(updatedLanguages));
+};
+
+// Move a verified pack into place and register it
+const installStagedPack = async (stagingPath, manifest, languageCode, languageName, quality) => {
+  // Replace any installed copy, including a legacy single-file pack
+  const packDirectory = getPackDirectory(languageCode);
+  await FileSystem.deleteAsync(packDirectory, { idempotent: true });
+  await FileSystem.deleteAsync(getLegacyPackPath(languageCode), { idempotent: true });
+  await FileSystem.moveAsync({ from: stagingPath, to: packDirectory });
+  
+  await registerInstalledPack(manifest, languageCode, languageName, quality);
+};
+
+// Where a pack is downloaded to before it has been validated
+const getStagingPath = (languageCode) => `${STAGING_DIRECTORY}${assertPackCode(languageCode)}`;
+
+// Start from an empty staging directory for a pack
+const resetStagingDirectory = async (languageCode) => {
+  const stagingPath = getStagingPath(languageCode);
+  await FileSystem.deleteAsync(stagingPath, { idempotent: true });
+  await FileSystem.makeDirectoryAsync(stagingPath, { intermediates: true });
+  return stagingPath;
+};
+
+// Fetch and validate a pack's manifest and check there is room for the pack
+// Resolves to { manifest, contentUrl, contentPath }: the content file is then downloaded
+// to contentPath (by downloadLanguagePack or the download manager) and installed with
+// installDownloadedPack
+export const preparePackDownload = async (languageCode, quality = 'standard') => {
+  const serverUrl = await getPackServerUrl();
+  const packUrl = getPackUrl(serverUrl, languageCode, quality);
+  
+  const stagingPath = await resetStagingDirectory(languageCode);
+  const manifest = await fetchPackManifest(packUrl, stagingPath, languageCode, quality);
+  
+  // Check available device storage
+  const { freeSizeInBytes } = await FileSystem.getFreeDiskStorageAsync();
+  if (freeSizeInBytes < manifest.content.size) {
+    const requiredMB = Math.ceil(manifest.content.size / (1024 * 1024));
+    throw new Error(`Not enough storage space. Requires ${requiredMB}MB but only ${Math.floor(freeSizeInBytes / (1024 * 1024))}MB available.`);
+  }
+  
+  return {
+    manifest,
+    contentUrl: `${packUrl}/${encodeURIComponent(manifest.content.file)}`,
+    contentPath: `${stagingPath}/${CONTENT_FILE}`
+  };
+};
+
+// Check a downloaded content file against the manifest from preparePackDownload, move the
+// pack into place and register it in DOWNLOADED_LANGUAGES_KEY
+export const installDownloadedPack = async (languageCode, languageName, quality, manifest) => {
+  const stagingPath = getStagingPath(languageCode);
+  await verifyStagedContent(stagingPath, manifest, languageCode);
+  await installStagedPack(stagingPath, manifest, languageCode, languageName, quality);
+};
+
+// Remove a pack's partial download
+export const discardPackDownload = async (languageCode) => {
+  if (!isValidPackCode(languageCode)) return;
+  await FileSystem.deleteAsync(getStagingPath(languageCode), { idempotent: true }).catch(() => {});
+};
+
+// Download a language pack in one go
+// The manifest is fetched and validated first, then the content file is downloaded,
+// checked against the manifest's size and checksum, validated and moved into place.
+// Only then is the pack registered in DOWNLOADED_LANGUAGES_KEY.
+// options.onProgress receives the fraction of the content file downloaded.
+// Queued, pausable downloads go through downloadManagerService instead.
+export const downloadLanguagePack = async (languageCode, languageName, quality = 'standard', options = {}) => {
+  try {
+    const { manifest, contentUrl, contentPath } = await preparePackDownload(languageCode, quality);
+    await downloadFile(contentUrl, contentPath, options.onProgress);
+    await installDownloadedPack(languageCode, languageName, quality, manifest);
+    return true;
+  } catch (error) {
+    console.error('Failed to download language pack:', error);
+    await discardPackDownload(languageCode);
+    throw error;
+  }
+};
+
+// Install a pack from an archive file (see createPackArchive), e.g. copied from another device
+// The archive goes through the same checks as a download: manifest, size, checksum and content.
+// An installed pack is replaced unless it is a newer version. Resolves to the pack's manifest.
+export const importLanguagePack = async (fileUri) => {
+  let languageCode = null;
+  try {
+    const { manifest, contentText } = readPackArchive(await FileSystem.readAsStringAsync(fileUri));
+    assertValidPack(validatePackManifest(manifest), isValidPackCode(manifest.code) ? manifest.code : 'unknown language');
+    languageCode = manifest.code;
     
-    // Calculate required size based on quality
-    const requiredSize = LANGUAGE_PACK_SIZES[quality].size;
+    const installed = (await getDownloadedLanguages()).find(lang => lang.code === languageCode);
+    if (installed && installed.version > manifest.version) {
+      throw new Error(`${installed.name} version ${installed.version} is already installed, which is newer than version ${manifest.version} in this file.`);
+    }
     
-    if (freeSizeInMB < requiredSize) {
-      throw new Error(`Not enough storage space. Requires ${requiredSize}MB but only ${Math.floor(freeSizeInMB)}MB available.`);
+    const stagingPath = await resetStagingDirectory(languageCode);
+    await FileSystem.writeAsStringAsync(`${stagingPath}/${MANIFEST_FILE}`, JSON.stringify(manifest));
+    await FileSystem.writeAsStringAsync(`${stagingPath}/${CONTENT_FILE}`, contentText);
+    await installDownloadedPack(languageCode, manifest.name, manifest.quality, manifest);
+    
+    return manifest;
+  } catch (error) {
+    console.error('Failed to import language pack:', error);
+    if (languageCode) {
+      await discardPackDownload(languageCode);
+    }
+    throw error;
+  }
+};
+
+// Write an installed pack to an archive file that can be shared and imported on another device
+// Resolves to the archive's file URI in the cache directory
+export const exportLanguagePack = async (languageCode) => {
+  try {
+    const pack = (await getDownloadedLanguages()).find(lang => lang.code === languageCode);
+    if (!pack) {
+      throw new Error(`The ${languageCode} language pack is not installed`);
     }
     
-    // Create directory if it doesn't exist
-    const dirPath = `${FileSystem.documentDirectory}languages/`;
-    const dirInfo = await FileSystem.getInfoAsync(dirPath);
-    if (!dirInfo.exists) {
-      await FileSystem.makeDirectoryAsync(dirPath, { intermediates: true });
+    const packDirectory = getPackDirectory(languageCode);
+    const manifestInfo = await FileSystem.getInfoAsync(`${packDirectory}/${MANIFEST_FILE}`);
+    if (!manifestInfo.exists) {
+      throw new Error(`${pack.name} was installed in an older format. Update or reinstall it before exporting.`);
+    }
+    if (await checkInstalledPack(pack)) {
+      throw new Error(`${pack.name} is damaged. Reinstall it before exporting.`);
     }
     
-    // In a real app, we would download the actual language model here
-    // For this demo, we'll simulate a download with a timeout
-    await new Promise(resolve => setTimeout(resolve, 2000));
+    const manifest = JSON.parse(await FileSystem.readAsStringAsync(`${packDirectory}/${MANIFEST_FILE}`));
+    const contentText = await FileSystem.readAsStringAsync(`${packDirectory}/${CONTENT_FILE}`);
     
-    // Mock data file creation
-    const filePath = `${dirPath}${languageCode}.json`;
-    const mockData = {
-      code: languageCode,
-      name: languageName,
-      quality: quality,
-      features: LANGUAGE_PACK_SIZES[quality].features,
-      phrases: generateMockPhrases(languageCode),
-      downloaded: new Date().toISOString()
-    };
+    const archiveUri = `${FileSystem.cacheDirectory}${languageCode}-${manifest.quality}-v${manifest.version}${PACK_ARCHIVE_EXTENSION}`;
+    await FileSystem.writeAsStringAsync(archiveUri, createPackArchive(manifest, contentText));
+    return archiveUri;
+  } catch (error) {
+    console.error('Failed to export language pack:', error);
+    throw error;
+  }
+};
+
+// Check whether a newer version of an installed pack is on the server
+export const isPackOutdated = (pack) => {
+  return Boolean(pack && pack.latestVersion) && pack.latestVersion > (pack.version || 0);
+};
+
+// Download the pack server's catalog
+const fetchPackCatalog = async (serverUrl) => {
+  const catalogPath = `${FileSystem.cacheDirectory}pack-catalog.json`;
+  await downloadFile(`${serverUrl}/${CATALOG_FILE}`, catalogPath);
+  
+  try {
+    const catalog = JSON.parse(await FileSystem.readAsStringAsync(catalogPath));
+    if (catalog && catalog.packs && typeof catalog.packs === 'object') {
+      return catalog;
+    }
+  } catch (parseError) {
+    // Reported below
+  }
+  throw new Error('The pack server returned an invalid catalog.');
+};
+
+// List the language-pair packs the server offers
+// Resolves to [{ code, name, languages, qualities }] sorted by name; pair packs aren't
+// in the app's language list, so the catalog is the only place they're known from
+export const getAvailablePairPacks = async () => {
+  try {
+    const catalog = await fetchPackCatalog(await getPackServerUrl());
+    const pairPacks = [];
+    Object.entries(catalog.packs).forEach(([code, qualities]) => {
+      const entry = Object.values(qualities || {})[0];
+      if (entry && entry.kind === PACK_KINDS.PAIR && isValidPackCode(code) && Array.isArray(entry.languages)) {
+        pairPacks.push({ code, name: entry.name || code, languages: entry.languages, qualities: Object.keys(qualities) });
+      }
+    });
+    return pairPacks.sort((a, b) => a.name.localeCompare(b.name));
+  } catch (error) {
+    console.error('Failed to list language-pair packs:', error);
+    throw error;
+  }
+};
+
+// Compare installed packs with the server's catalog
+// Records latestVersion and lastChecked on every installed pack and resolves to the outdated ones
+export const checkForPackUpdates = async () => {
+  try {
+    const languages = await getDownloadedLanguages();
+    if (languages.length === 0) {
+      return [];
+    }
     
-    await FileSystem.writeAsStringAsync(filePath, JSON.stringify(mockData));
+    const catalog = await fetchPackCatalog(await getPackServerUrl());
+    const now = new Date().toISOString();
+    const checkedLanguages = languages.map(lang => {
+      const entry = getCatalogEntry(catalog, lang.code, lang.quality);
+      return {
+        ...lang,
+        latestVersion: entry ? entry.version : (lang.version || null),
+        lastChecked: now
+      };
+    });
     
-    // Update downloaded languages list
-    const currentLanguages = await getDownloadedLanguages();
-    const updatedLanguages = [
-      ...currentLanguages.filter(lang => lang.code !== languageCode),
-      {
-        code: languageCode,
-        name: languageName,
-        quality: quality,
-        features: LANGUAGE_PACK_SIZES[quality].features,
-        size: requiredSize,
-        downloaded: new Date().toISOString()
+    await AsyncStorage.setItem(DOWNLOADED_LANGUAGES_KEY, JSON.stringify(checkedLanguages));
+    return checkedLanguages.filter(isPackOutdated);
+  } catch (error) {
+    console.error('Failed to check for language pack updates:', error);
+    throw error;
+  }
+};
+
+// Update an installed pack by applying the server's patch from its installed version
+// The patched content must match the new manifest's checksum before it replaces the pack
+const applyDeltaUpdate = async (pack, serverUrl, targetVersion) => {
+  const stagingPath = await resetStagingDirectory(pack.code);
+  
+  try {
+    const packUrl = getPackUrl(serverUrl, pack.code, pack.quality);
+    const manifest = await fetchPackManifest(packUrl, stagingPath, pack.code, pack.quality);
+    if (manifest.version !== targetVersion) {
+      throw new Error(`Manifest version ${manifest.version} does not match catalog version ${targetVersion}`);
+    }
+    
+    const patchPath = `${stagingPath}/patch.json`;
+    await downloadFile(`${packUrl}/patches/${pack.version}-${manifest.version}.json`, patchPath);
+    const patch = JSON.parse(await FileSystem.readAsStringAsync(patchPath));
+    await FileSystem.deleteAsync(patchPath, { idempotent: true });
+    assertValidPack(validatePackPatch(patch, {
+      code: pack.code,
+      quality: pack.quality,
+      fromVersion: pack.version,
+      toVersion: manifest.version
+    }), pack.code);
+    
+    // The patch only applies to the exact content it was made from
+    const installedPath = `${getPackDirectory(pack.code)}/${CONTENT_FILE}`;
+    const installedInfo = await FileSystem.getInfoAsync(installedPath, { md5: true });
+    if (!installedInfo.exists || (installedInfo.md5 || '').toLowerCase() !== patch.baseChecksum.toLowerCase()) {
+      throw new Error('Installed pack does not match the patch base');
+    }
+    
+    const installedContent = JSON.parse(await FileSystem.readAsStringAsync(installedPath));
+    const patchedContent = applyPackPatch(installedContent, patch);
+    await FileSystem.writeAsStringAsync(`${stagingPath}/${CONTENT_FILE}`, JSON.stringify(patchedContent));
+    await verifyStagedContent(stagingPath, manifest, pack.code);
+    
+    await installStagedPack(stagingPath, manifest, pack.code, pack.name, pack.quality);
+  } catch (error) {
+    await discardPackDownload(pack.code);
+    throw error;
+  }
+};
+
+// Update an installed pack to the latest version on the server
+// Uses a delta patch when the server has one for the installed version and falls back
+// to a full download otherwise (or when the patch can't be applied).
+// Resolves to { updated, delta }; updated is false when the pack was already current.
+// options.catalog reuses an already fetched catalog; options.onProgress is passed to full downloads
+export const updateLanguagePack = async (languageCode, options = {}) => {
+  try {
+    const languages = await getDownloadedLanguages();
+    const pack = languages.find(lang => lang.code === languageCode);
+    if (!pack) {
+      throw new Error(`The ${languageCode} language pack is not installed.`);
+    }
+    
+    const serverUrl = await getPackServerUrl();
+    const catalog = options.catalog || await fetchPackCatalog(serverUrl);
+    const entry = getCatalogEntry(catalog, pack.code, pack.quality);
+    if (!entry) {
+      throw new Error('This language pack is no longer available on the pack server.');
+    }
+    if (pack.version && entry.version <= pack.version) {
+      return { updated: false, delta: false };
+    }
+    
+    const hasPatch = Boolean(pack.version && pack.checksum) &&
+      entry.patches.some(patch => patch.fromVersion === pack.version);
+    if (hasPatch) {
+      try {
+        await applyDeltaUpdate(pack, serverUrl, entry.version);
+        return { updated: true, delta: true };
+      } catch (patchError) {
+        console.warn(`Delta update of ${languageCode} failed, downloading the full pack:`, patchError);
       }
-    ];
+    }
     
-    await AsyncStorage.setItem(DOWNLOADED_LANGUAGES_KEY, JSON.stringify(updatedLanguages));
-    return true;
+    await downloadLanguagePack(pack.code, pack.name, pack.quality, { onProgress: options.onProgress });
+    return { updated: true, delta: false };
   } catch (error) {
-    console.error('Failed to download language pack:', error);
+    console.error('Failed to update language pack:', error);
     throw error;
   }
 };
 
+// Update every outdated pack, one at a time
+// options.onPackStart is called with each language code before its update starts
+// Resolves to { updated, failed } counts
+export const updateAllLanguagePacks = async (options = {}) => {
+  const outdated = await checkForPackUpdates();
+  if (outdated.length === 0) {
+    return { updated: 0, failed: 0 };
+  }
+  
+  const catalog = await fetchPackCatalog(await getPackServerUrl());
+  let updated = 0;
+  let failed = 0;
+  
+  for (const pack of outdated) {
+    if (options.onPackStart) options.onPackStart(pack.code);
+    try {
+      await updateLanguagePack(pack.code, { catalog, onProgress: options.onProgress });
+      updated += 1;
+    } catch (error) {
+      failed += 1;
+    }
+  }
+  
+  return { updated, failed };
+};
+
 // Delete a language pack
 export const deleteLanguagePack = async (languageCode) => {
   try {
-    const filePath = `${FileSystem.documentDirectory}languages/${languageCode}.json`;
-    const fileInfo = await FileSystem.getInfoAsync(filePath);
-    
-    if (fileInfo.exists) {
-      await FileSystem.deleteAsync(filePath);
-    }
+    await FileSystem.deleteAsync(getPackDirectory(languageCode), { idempotent: true });
+    await FileSystem.deleteAsync(getLegacyPackPath(languageCode), { idempotent: true });
     
     // Update downloaded languages list
     const currentLanguages = await getDownloadedLanguages();
@@ -148,142 +580,526 @@ export const deleteLanguagePack = async (languageCode) => {
   }
 };
 
-// Calculate total size of all downloaded language packs
-export const getTotalStorageUsed = async () => {
+// Check an installed pack's files against its registry entry
+// Resolves to null when the pack is intact, otherwise to 'missing' or 'corrupted'
+const checkInstalledPack = async (pack) => {
+  const contentPath = `${getPackDirectory(pack.code)}/${CONTENT_FILE}`;
+  const contentInfo = await FileSystem.getInfoAsync(contentPath, { md5: true });
+  
+  if (!contentInfo.exists) {
+    // Packs from before the versioned format are a single file with no checksum to compare
+    const legacyPath = getLegacyPackPath(pack.code);
+    const legacyInfo = await FileSystem.getInfoAsync(legacyPath);
+    if (!legacyInfo.exists) {
+      return 'missing';
+    }
+    try {
+      JSON.parse(await FileSystem.readAsStringAsync(legacyPath));
+      return null;
+    } catch (parseError) {
+      return 'corrupted';
+    }
+  }
+  
+  if (pack.checksum && (contentInfo.md5 || '').toLowerCase() !== pack.checksum.toLowerCase()) {
+    return 'corrupted';
+  }
+  return null;
+};
+
+// Register a pack directory that is on disk but missing from the registry
+// Only packs whose content still matches their manifest are restored; resolves to the manifest or null
+const restoreUnregisteredPack = async (languageCode) => {
+  try {
+    const packDirectory = getPackDirectory(languageCode);
+    const manifest = JSON.parse(await FileSystem.readAsStringAsync(`${packDirectory}/${MANIFEST_FILE}`));
+    if (validatePackManifest(manifest, { code: languageCode }).length > 0) {
+      return null;
+    }
+    
+    const contentInfo = await FileSystem.getInfoAsync(`${packDirectory}/${CONTENT_FILE}`, { md5: true });
+    if (!contentInfo.exists || (contentInfo.md5 || '').toLowerCase() !== manifest.content.checksum.value.toLowerCase()) {
+      return null;
+    }
+    
+    await registerInstalledPack(manifest, languageCode, manifest.name, manifest.quality);
+    return manifest;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Reconcile the installed packs registry with the files on disk
+// Registered packs whose files are missing or fail their checksum are removed (files and
+// registry entry); intact pack directories missing from the registry are registered again and
+// anything else unknown is deleted. Partial downloads in the staging directory are left to the
+// download manager.
+// Resolves to {
+//   checked,                                       // number of registered packs checked
+//   broken: [{ code, name, quality, problem }],    // removed; problem is 'missing' or 'corrupted'
+//   restored: [{ code, name }],                    // registered again from disk
+//   removedFiles: [name]                           // unknown entries deleted from the packs directory
+// }
+export const verifyLanguagePacks = async () => {
+  const report = { checked: 0, broken: [], restored: [], removedFiles: [] };
+  
+  try {
+    const languages = await getDownloadedLanguages();
+    report.checked = languages.length;
+    
+    for (const pack of languages) {
+      const problem = await checkInstalledPack(pack);
+      if (problem) {
+        console.warn(`Language pack ${pack.code} is ${problem}, removing it`);
+        await deleteLanguagePack(pack.code);
+        report.broken.push({ code: pack.code, name: pack.name, quality: pack.quality, problem });
+      }
+    }
+    
+    const directoryInfo = await FileSystem.getInfoAsync(PACKS_DIRECTORY);
+    if (directoryInfo.exists) {
+      const registered = (await getDownloadedLanguages()).map(lang => lang.code);
+      const entries = await FileSystem.readDirectoryAsync(PACKS_DIRECTORY);
+      
+      for (const entry of entries) {
+        const code = entry.replace(/\.json$/, '');
+        if (entry.startsWith('.') || registered.includes(code)) continue;
+        
+        const manifest = entry === code ? await restoreUnregisteredPack(code) : null;
+        if (manifest) {
+          report.restored.push({ code, name: manifest.name });
+        } else {
+          await FileSystem.deleteAsync(`${PACKS_DIRECTORY}${entry}`, { idempotent: true });
+          report.removedFiles.push(entry);
+        }
+      }
+    }
+    
+    return report;
+  } catch (error) {
+    console.error('Failed to verify language packs:', error);
+    throw error;
+  }
+};
+
+// How often a pack's lastUsed time is written back; fine enough for least-recently-used eviction
+const USAGE_RECORD_INTERVAL = 60 * 60 * 1000;
+
+// Record that packs were used for a translation (see storageService for eviction)
+const markPacksUsed = async (languageCodes) => {
   try {
+    const now = Date.now();
+    let changed = false;
     const languages = await getDownloadedLanguages();
-    return languages.reduce((total, lang) => total + lang.size, 0);
+    const updatedLanguages = languages.map(lang => {
+      if (!languageCodes.includes(lang.code)) return lang;
+      if (lang.lastUsed && now - new Date(lang.lastUsed).getTime() < USAGE_RECORD_INTERVAL) return lang;
+      changed = true;
+      return { ...lang, lastUsed: new Date(now).toISOString() };
+    });
+    
+    if (changed) {
+      await AsyncStorage.setItem(DOWNLOADED_LANGUAGES_KEY, JSON.stringify(updatedLanguages));
+    }
   } catch (error) {
-    console.error('Failed to calculate total storage used:', error);
-    return 0;
+    console.error('Failed to record language pack use:', error);
   }
 };
 
-// Perform offline translation
-export const translateTextOffline = async (text, sourceLanguage, targetLanguage) => {
+// Work out every way a list of installed packs can translate a pair, best first:
+// 1. a pair pack for exactly these two languages: { type: 'pair', packCode, pivotLanguage: null }
+// 2. the two monolingual packs joined on phrase ids: { type: 'language', pivotLanguage: null }
+// 3. monolingual packs chained through the pivot language: { type: 'language', pivotLanguage }
+const findOfflineRoutes = (installedPacks, sourceLanguage, targetLanguage, pivotLanguage = null) => {
+  const routes = [];
+  
+  const pairCode = getPairCode(sourceLanguage, targetLanguage);
+  if (installedPacks.some(pack => pack.code === pairCode && getPackKind(pack) === PACK_KINDS.PAIR)) {
+    routes.push({ type: PACK_KINDS.PAIR, packCode: pairCode, pivotLanguage: null });
+  }
+  
+  const findPack = (code) => installedPacks.find(pack => pack.code === code && getPackKind(pack) === PACK_KINDS.LANGUAGE);
+  const sourcePack = findPack(sourceLanguage);
+  const targetPack = findPack(targetLanguage);
+  
+  if (sourcePack && targetPack) {
+    if (arePacksAligned(sourcePack, targetPack)) {
+      routes.push({ type: PACK_KINDS.LANGUAGE, pivotLanguage: null });
+    } else {
+      // Chain source -> pivot and pivot -> target
+      const pivotPack = pivotLanguage && pivotLanguage !== sourceLanguage && pivotLanguage !== targetLanguage
+        ? findPack(pivotLanguage)
+        : null;
+      if (pivotPack && arePacksAligned(sourcePack, pivotPack) && arePacksAligned(pivotPack, targetPack)) {
+        routes.push({ type: PACK_KINDS.LANGUAGE, pivotLanguage });
+      }
+    }
+  }
+  
+  return routes;
+};
+
+// Work out every way the installed packs can translate a pair, best first (see findOfflineRoutes)
+export const getOfflineRoutes = async (sourceLanguage, targetLanguage, pivotLanguage = null) => {
+  try {
+    const installedPacks = await getDownloadedLanguages();
+    return findOfflineRoutes(installedPacks, sourceLanguage, targetLanguage, pivotLanguage);
+  } catch (error) {
+    console.error('Failed to resolve offline routes:', error);
+    return [];
+  }
+};
+
+// Work out the best way installed packs can translate a pair
+// Resolves to a route from getOfflineRoutes ({ type, packCode?, pivotLanguage }) or null when
+// the pair isn't covered
+export const getOfflineRoute = async (sourceLanguage, targetLanguage, pivotLanguage = null) => {
+  const routes = await getOfflineRoutes(sourceLanguage, targetLanguage, pivotLanguage);
+  return routes.length > 0 ? routes[0] : null;
+};
+
+// Check whether a pair can be translated offline, through the pivot language from settings if needed
+export const isPairAvailableOffline = async (sourceLanguage, targetLanguage) => {
+  const settings = await getSettings();
+  return Boolean(await getOfflineRoute(sourceLanguage, targetLanguage, settings.pivotLanguage));
+};
+
+// List every pair of installed languages that can be translated offline, in both directions
+// Each item is { languages: [a, b], type, packCode, pivotLanguage } for the best route
+export const getOfflinePairCoverage = async (pivotLanguage = null) => {
   try {
-    // Check if we have both language packs
-    const isSourceDownloaded = await isLanguageDownloaded(sourceLanguage);
-    const isTargetDownloaded = await isLanguageDownloaded(targetLanguage);
+    const installedPacks = await getDownloadedLanguages();
+    const codes = [...new Set(installedPacks.flatMap(pack => (
+      getPackKind(pack) === PACK_KINDS.PAIR ? pack.languages || [] : [pack.code]
+    )))].sort();
     
-    if (!isSourceDownloaded || !isTargetDownloaded) {
-      return {
-        translatedText: "Translation unavailable. Language packs not completely downloaded.",
-        sourceLanguage,
-        targetLanguage,
-        isOfflineMessage: true
-      };
+    const coverage = [];
+    codes.forEach((first, index) => {
+      codes.slice(index + 1).forEach(second => {
+        const [route] = findOfflineRoutes(installedPacks, first, second, pivotLanguage);
+        if (route) {
+          coverage.push({ languages: [first, second], ...route });
+        }
+      });
+    });
+    return coverage;
+  } catch (error) {
+    console.error('Failed to work out offline pair coverage:', error);
+    return [];
+  }
+};
+
+// List the language packs that still need downloading to translate a pair offline
+export const getMissingLanguagePacks = async (sourceLanguage, targetLanguage, pivotLanguage = null) => {
+  try {
+    const languages = await getDownloadedLanguages();
+    const installed = (code) => languages.some(lang => lang.code === code);
+    const missing = [sourceLanguage, targetLanguage].filter(code => !installed(code));
+    
+    // Both packs are present but can't translate directly, so the pivot pack is needed too
+    if (missing.length === 0 && pivotLanguage && !installed(pivotLanguage)) {
+      missing.push(pivotLanguage);
     }
     
-    // Load language data
-    const sourceLangPath = `${FileSystem.documentDirectory}languages/${sourceLanguage}.json`;
-    const targetLangPath = `${FileSystem.documentDirectory}languages/${targetLanguage}.json`;
+    return missing;
+  } catch (error) {
+    console.error('Failed to check missing language packs:', error);
+    return [sourceLanguage, targetLanguage];
+  }
+};
+
+// Read a downloaded language pack's content from disk
+// Falls back to the single-file layout used before versioned packs
+const readLanguagePack = async (languageCode) => {
+  try {
+    const contentPath = `${getPackDirectory(languageCode)}/${CONTENT_FILE}`;
+    const contentInfo = await FileSystem.getInfoAsync(contentPath);
+    const packPath = contentInfo.exists ? contentPath : getLegacyPackPath(languageCode);
+    return JSON.parse(await FileSystem.readAsStringAsync(packPath));
+  } catch (error) {
+    const packError = new Error(`The ${languageCode} language pack is missing or damaged`);
+    packError.languageCode = languageCode;
+    packError.cause = error;
+    throw packError;
+  }
+};
+
+// Get every rendering of a phrase, including its formal and informal variants
+const getPhraseRenderings = (phrase) => {
+  return [phrase.text, ...Object.values(phrase.variants || {})];
+};
+
+// Get every rendering of a pair pack entry in one of its languages, variants included
+const getEntryRenderings = (entry, languageCode) => {
+  const variants = entry.variants && entry.variants[languageCode] ? entry.variants[languageCode] : {};
+  return [entry.texts[languageCode], ...Object.values(variants)];
+};
+
+// Minimum match quality for a phrase to be used as the translation
+const DEFAULT_MATCH_THRESHOLD = 0.8;
+// Weaker matches down to this quality are offered as "closest phrase" suggestions
+const SUGGESTION_THRESHOLD = 0.4;
+const MAX_SUGGESTIONS = 3;
+
+// Languages written without spaces between words; glosses into them aren't spaced either
+const UNSPACED_LANGUAGES = ['ja', 'zh'];
+
+// Score phrases against the text, best match first
+// A phrase scores as well as its closest rendering (getRenderings lists them, variants included)
+const rankPackPhrases = (text, phrases, getRenderings) => {
+  return phrases
+    .map(phrase => {
+      const renderings = getRenderings(phrase);
+      const scores = renderings.map(rendering => scoreTextMatch(text, rendering));
+      const best = scores.indexOf(Math.max(...scores));
+      return { phrase, score: scores[best], matchedText: renderings[best] };
+    })
+    .filter(match => match.score >= SUGGESTION_THRESHOLD)
+    .sort((a, b) => b.score - a.score);
+};
+
+// Render a phrase id in the target pack
+// The target's register variant is used when one exists for the requested formality
+const renderPackPhrase = (phraseId, targetData, formality = null) => {
+  const targetPhrase = targetData.phrases.find(p => p.id === phraseId);
+  if (!targetPhrase) {
+    return null;
+  }
+  
+  const variant = formality && targetPhrase.variants ? targetPhrase.variants[formality] : null;
+  return { text: variant || targetPhrase.text, formality: variant ? formality : null };
+};
+
+// Pivot phrases the target pack shares ids with; the second hop of a chained lookup matches against these
+const getBridgePhrases = (pivotData, targetData) => {
+  const targetIds = new Set(targetData.phrases.map(p => p.id));
+  return pivotData.phrases.filter(p => targetIds.has(p.id));
+};
+
+// Render a source phrase id in the target pack by way of the pivot language
+// The source and target packs don't share ids, so the phrase is first rendered in the pivot pack
+// (which shares ids with the source), and that pivot text is then matched against the bridge phrases
+// (see getBridgePhrases). The match quality of that second hop is returned as bridgeScore.
+const renderThroughPivot = (phraseId, pivotData, bridgePhrases, targetData, formality = null) => {
+  const pivotPhrase = pivotData.phrases.find(p => p.id === phraseId);
+  if (!pivotPhrase) {
+    return null;
+  }
+  
+  const [bridge] = rankPackPhrases(pivotPhrase.text, bridgePhrases, getPhraseRenderings);
+  if (!bridge || bridge.score < DEFAULT_MATCH_THRESHOLD) {
+    return null;
+  }
+  
+  const rendered = renderPackPhrase(bridge.phrase.id, targetData, formality);
+  return rendered && { ...rendered, pivotText: pivotPhrase.text, bridgeScore: bridge.score };
+};
+
+// Render a pair pack entry in the target language
+// Alignments are only kept where both parts appear in the texts that were actually used
+const renderPairEntry = (entry, matchedText, sourceLanguage, targetLanguage, formality = null) => {
+  const variants = entry.variants && entry.variants[targetLanguage];
+  const variant = formality && variants ? variants[formality] : null;
+  const text = variant || entry.texts[targetLanguage];
+  
+  const alignment = (entry.alignment || [])
+    .map(segment => ({ source: segment[sourceLanguage], target: segment[targetLanguage] }))
+    .filter(segment => matchedText.includes(segment.source) && text.includes(segment.target));
+  
+  return {
+    text,
+    formality: variant ? formality : null,
+    alignment: alignment.length > 0 ? alignment : null
+  };
+};
+
+// Turn a pair pack's lexicon into a dictionary for one of its languages, so it can be glossed with
+// Entries keep the lexicon's ids, which is what lines the two languages up
+const getLexiconDictionary = (pairData, languageCode) => {
+  return pairData.lexicon
+    .filter(entry => entry.terms[languageCode])
+    .map(entry => ({ id: entry.id, pos: entry.pos, ...entry.terms[languageCode] }));
+};
+
+// Look text up in the pair pack for a route
+// Resolves to { matches, gloss, packCodes }: matches are ranked entries rendered in the target
+// language and gloss is the word-by-word fallback from the lexicon
+const lookUpWithPairPack = async (text, route, sourceLanguage, targetLanguage, options) => {
+  const pairData = await readLanguagePack(route.packCode);
+  
+  const matches = rankPackPhrases(text, pairData.entries, entry => getEntryRenderings(entry, sourceLanguage))
+    .map(match => ({
+      ...match,
+      rendered: renderPairEntry(match.phrase, match.matchedText, sourceLanguage, targetLanguage, options.formality)
+    }));
+  
+  const gloss = glossText(
+    text,
+    getLexiconDictionary(pairData, sourceLanguage),
+    getLexiconDictionary(pairData, targetLanguage),
+    { joinWithSpaces: !UNSPACED_LANGUAGES.includes(targetLanguage) }
+  );
+  
+  return { matches, gloss, packCodes: [route.packCode] };
+};
+
+// Look text up in the monolingual packs for a route, joined on phrase ids or chained through the pivot
+// Resolves to { matches, gloss, packCodes } like lookUpWithPairPack; gloss is null for packs
+// installed before dictionaries were added
+const lookUpWithLanguagePacks = async (text, route, sourceLanguage, targetLanguage, options) => {
+  // For demo purposes, we'll do a very simple phrase-based translation
+  // In a real app, this would use ML models stored on the device
+  const sourceData = await readLanguagePack(sourceLanguage);
+  const targetData = await readLanguagePack(targetLanguage);
+  const pivotData = route.pivotLanguage ? await readLanguagePack(route.pivotLanguage) : null;
+  
+  // Keep the phrases that can actually be rendered in the target language
+  // A chained match is only as good as both of its hops
+  const bridgePhrases = pivotData ? getBridgePhrases(pivotData, targetData) : null;
+  const matches = rankPackPhrases(text, sourceData.phrases, getPhraseRenderings)
+    .map(match => {
+      const rendered = pivotData
+        ? renderThroughPivot(match.phrase.id, pivotData, bridgePhrases, targetData, options.formality)
+        : renderPackPhrase(match.phrase.id, targetData, options.formality);
+      return rendered && rendered.bridgeScore
+        ? { ...match, rendered, score: match.score * rendered.bridgeScore }
+        : { ...match, rendered };
+    })
+    .filter(match => match.rendered)
+    .sort((a, b) => b.score - a.score);
+  
+  const gloss = Array.isArray(sourceData.dictionary) && Array.isArray(targetData.dictionary)
+    ? glossText(text, sourceData.dictionary, targetData.dictionary, {
+      pivotDictionary: pivotData ? pivotData.dictionary || [] : null,
+      joinWithSpaces: !UNSPACED_LANGUAGES.includes(targetLanguage)
+    })
+    : null;
+  
+  return {
+    matches,
+    gloss,
+    packCodes: [sourceLanguage, targetLanguage, route.pivotLanguage].filter(Boolean)
+  };
+};
+
+// Pick the closest phrases that weren't used, across every route tried
+// The same rendering found through two routes is only suggested once
+const pickSuggestions = (matches, bestMatch = null) => {
+  const seen = new Set();
+  return matches
+    .filter(match => match !== bestMatch)
+    .sort((a, b) => b.score - a.score)
+    .filter(match => {
+      if (seen.has(match.rendered.text)) return false;
+      seen.add(match.rendered.text);
+      return true;
+    })
+    .slice(0, MAX_SUGGESTIONS)
+    .map(match => ({ source: match.matchedText, text: match.rendered.text, matchQuality: match.score }));
+};
+
+// Perform offline translation
+// Always resolves to a TranslationResult (see translationResult.js)
+// Routes are tried best first (see findOfflineRoutes): a pair pack for the two languages, then
+// monolingual packs, chained through options.pivotLanguage when they can't translate directly.
+// options.formality picks the formal or informal variant of a phrase when the pack has one.
+// The text is matched tolerantly against each route's phrases: the first phrase whose match quality
+// reaches options.matchThreshold is used, and weaker matches come back as suggestions.
+// Without a good phrase match the route whose dictionary knows the most words gives a word-by-word gloss
+export const translateTextOffline = async (text, sourceLanguage, targetLanguage, options = {}) => {
+  const resultFields = {
+    provider: OFFLINE_PROVIDER_ID,
+    isOffline: true,
+    sourceLanguage,
+    targetLanguage
+  };
+  
+  try {
+    // Check that the installed packs cover this pair, with a pair pack or through the pivot
+    const routes = await getOfflineRoutes(sourceLanguage, targetLanguage, options.pivotLanguage);
+    
+    if (routes.length === 0) {
+      return createErrorResult(
+        TRANSLATION_ERROR_CODES.MISSING_LANGUAGE_PACK,
+        "Translation unavailable. Language packs not completely downloaded.",
+        resultFields
+      );
+    }
     
     try {
-      const sourceData = JSON.parse(await FileSystem.readAsStringAsync(sourceLangPath));
-      const targetData = JSON.parse(await FileSystem.readAsStringAsync(targetLangPath));
+      const matchThreshold = options.matchThreshold || DEFAULT_MATCH_THRESHOLD;
+      const allMatches = [];
+      let glossLookup = null;
       
-      // For demo purposes, we'll do a very simple phrase-based translation
-      // In a real app, this would use ML models stored on the device
+      for (const route of routes) {
+        const lookup = route.type === PACK_KINDS.PAIR
+          ? await lookUpWithPairPack(text, route, sourceLanguage, targetLanguage, options)
+          : await lookUpWithLanguagePacks(text, route, sourceLanguage, targetLanguage, options);
+        allMatches.push(...lookup.matches);
+        
+        const bestMatch = lookup.matches.length > 0 && lookup.matches[0].score >= matchThreshold
+          ? lookup.matches[0]
+          : null;
+        
+        if (bestMatch) {
+          await markPacksUsed(lookup.packCodes);
+          return createTranslationResult({
+            ...resultFields,
+            text: bestMatch.rendered.text,
+            pivotLanguage: route.pivotLanguage,
+            formality: bestMatch.rendered.formality,
+            matchQuality: bestMatch.score,
+            matchedText: bestMatch.matchedText,
+            suggestions: pickSuggestions(allMatches, bestMatch),
+            packType: route.type,
+            alignment: bestMatch.rendered.alignment || null
+          });
+        }
+        
+        // Keep the gloss that knows the most words in case no route has a phrase match
+        // On a tie the better route wins
+        if (lookup.gloss && lookup.gloss.knownCount > (glossLookup ? glossLookup.gloss.knownCount : 0)) {
+          glossLookup = { ...lookup, route };
+        }
+      }
       
-      // Check if we have an exact phrase match
-      const textLower = text.toLowerCase().trim();
+      const suggestions = pickSuggestions(allMatches);
       
-      for (const phrase of sourceData.phrases) {
-        if (phrase.text.toLowerCase() === textLower) {
-          // Find matching phrase in target language
-          const targetPhrase = targetData.phrases.find(p => p.id === phrase.id);
-          if (targetPhrase) {
-            return targetPhrase.text;
-          }
-        }
+      if (glossLookup) {
+        await markPacksUsed(glossLookup.packCodes);
+        return createTranslationResult({
+          ...resultFields,
+          text: glossLookup.gloss.text,
+          pivotLanguage: glossLookup.route.pivotLanguage,
+          gloss: glossLookup.gloss.tokens,
+          suggestions,
+          packType: glossLookup.route.type
+        });
       }
       
-      // If no exact match, return a fake "offline translation"
-      return `[Offline ${targetLanguage.toUpperCase()} Translation] ${text}`;
+      return createErrorResult(
+        TRANSLATION_ERROR_CODES.NO_OFFLINE_MATCH,
+        suggestions.length > 0
+          ? "No offline phrase matches closely enough. Try one of the closest phrases or connect to the internet."
+          : "This text isn't in the offline phrase tables. Connect to the internet for a full translation.",
+        { ...resultFields, pivotLanguage: routes[0].pivotLanguage, suggestions }
+      );
     } catch (fileError) {
       console.error('Error reading language files:', fileError);
-      return {
-        translatedText: "Error accessing offline translation data. Try reinstalling language packs.",
-        sourceLanguage,
-        targetLanguage,
-        isOfflineMessage: true
-      };
+      return createErrorResult(
+        TRANSLATION_ERROR_CODES.OFFLINE_DATA_UNAVAILABLE,
+        fileError.languageCode
+          ? `${fileError.message}. Reinstall it from Language Packs.`
+          : "Error accessing offline translation data. Try reinstalling language packs.",
+        resultFields
+      );
     }
   } catch (error) {
     console.error('Offline translation failed:', error);
-    return {
-      translatedText: "Offline translation failed. Please try again.",
-      sourceLanguage,
-      targetLanguage,
-      isOfflineMessage: true
-    };
-  }
-};
-
-// Helper function to generate mock phrases for language packs
-const generateMockPhrases = (languageCode) => {
-  const commonPhraseIds = ['greeting', 'thanks', 'goodbye', 'help', 'yes', 'no'];
-  
-  const phrases = {
-    'en': [
-      { id: 'greeting', text: 'Hello' },
-      { id: 'thanks', text: 'Thank you' },
-      { id: 'goodbye', text: 'Goodbye' },
-      { id: 'help', text: 'I need help' },
-      { id: 'yes', text: 'Yes' },
-      { id: 'no', text: 'No' }
-    ],
-    'es': [
-      { id: 'greeting', text: 'Hola' },
-      { id: 'thanks', text: 'Gracias' },
-      { id: 'goodbye', text: 'Adiós' },
-      { id: 'help', text: 'Necesito ayuda' },
-      { id: 'yes', text: 'Sí' },
-      { id: 'no', text: 'No' }
-    ],
-    'fr': [
-      { id: 'greeting', text: 'Bonjour' },
-      { id: 'thanks', text: 'Merci' },
-      { id: 'goodbye', text: 'Au revoir' },
-      { id: 'help', text: "J'ai besoin d'aide" },
-      { id: 'yes', text: 'Oui' },
-      { id: 'no', text: 'Non' }
-    ],
-    'de': [
-      { id: 'greeting', text: 'Hallo' },
-      { id: 'thanks', text: 'Danke' },
-      { id: 'goodbye', text: 'Auf Wiedersehen' },
-      { id: 'help', text: 'Ich brauche Hilfe' },
-      { id: 'yes', text: 'Ja' },
-      { id: 'no', text: 'Nein' }
-    ],
-    'it': [
-      { id: 'greeting', text: 'Ciao' },
-      { id: 'thanks', text: 'Grazie' },
-      { id: 'goodbye', text: 'Arrivederci' },
-      { id: 'help', text: 'Ho bisogno di aiuto' },
-      { id: 'yes', text: 'Sì' },
-      { id: 'no', text: 'No' }
-    ],
-    'ja': [
-      { id: 'greeting', text: 'こんにちは' },
-      { id: 'thanks', text: 'ありがとう' },
-      { id: 'goodbye', text: 'さようなら' },
-      { id: 'help', text: '助けが必要です' },
-      { id: 'yes', text: 'はい' },
-      { id: 'no', text: 'いいえ' }
-    ],
-    'zh': [
-      { id: 'greeting', text: '你好' },
-      { id: 'thanks', text: '谢谢' },
-      { id: 'goodbye', text: '再见' },
-      { id: 'help', text: '我需要帮助' },
-      { id: 'yes', text: '是' },
-      { id: 'no', text: '否' }
-    ]
-  };
-  
-  // Return phrases for requested language, or English as fallback
-  return phrases[languageCode] || phrases['en'];
-};
\ No newline at end of file
+    return createErrorResult(
+      TRANSLATION_ERROR_CODES.OFFLINE_FAILED,
+      "Offline translation failed. Please try again.",
+      resultFields
+    );
+  }
+};
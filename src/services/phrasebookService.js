@@ -1,4 +1,5 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { translateBatch } from './translationService';
 
 const PHRASEBOOK_STORAGE_KEY = 'translator_phrasebook';
 
@@ -16,6 +17,13 @@ export const getPhrasebook = async () => {
   }
 };
 
+// Find a phrase with the same text and language pair
+const findPhraseIndex = (phrasebook, phrase) => phrasebook.findIndex(
+  p => p.sourceText === phrase.sourceText && 
+       p.sourceLanguage === phrase.sourceLanguage &&
+       p.targetLanguage === phrase.targetLanguage
+);
+
 // Save a phrase to phrasebook
 export const saveToPhrasebook = async (phrase) => {
   try {
@@ -23,11 +31,7 @@ export const saveToPhrasebook = async (phrase) => {
     const phrasebook = await getPhrasebook();
     
     // Check if this phrase already exists
-    const existingIndex = phrasebook.findIndex(
-      p => p.sourceText === phrase.sourceText && 
-           p.sourceLanguage === phrase.sourceLanguage &&
-           p.targetLanguage === phrase.targetLanguage
-    );
+    const existingIndex = findPhraseIndex(phrasebook, phrase);
     
     if (existingIndex !== -1) {
       // Update existing phrase
@@ -55,6 +59,35 @@ export const saveToPhrasebook = async (phrase) => {
   }
 };
 
+// Save several phrases in one go, e.g. from history
+// Phrases already in the phrasebook are updated; resolves to { added, updated } counts
+export const saveManyToPhrasebook = async (phrases) => {
+  try {
+    const phrasebook = await getPhrasebook();
+    const now = new Date().toISOString();
+    let added = 0;
+    let updated = 0;
+    
+    phrases.forEach((phrase, index) => {
+      const existingIndex = findPhraseIndex(phrasebook, phrase);
+      if (existingIndex !== -1) {
+        phrasebook[existingIndex] = { ...phrasebook[existingIndex], ...phrase, updatedAt: now };
+        updated += 1;
+      } else {
+        // Ids are the save time, so phrases saved together need a suffix to stay unique
+        phrasebook.push({ ...phrase, id: `${Date.now()}-${index}`, createdAt: now, updatedAt: now });
+        added += 1;
+      }
+    });
+    
+    await AsyncStorage.setItem(PHRASEBOOK_STORAGE_KEY, JSON.stringify(phrasebook));
+    return { added, updated };
+  } catch (error) {
+    console.error('Failed to save to phrasebook:', error);
+    return { added: 0, updated: 0 };
+  }
+};
+
 // Delete a phrase from phrasebook
 export const deletePhraseFromPhrasebook = async (phraseId) => {
   try {
@@ -102,6 +135,75 @@ export const updatePhraseInPhrasebook = async (phraseId, updates) => {
   }
 };
 
+// Pre-translate every phrase that has no translation yet
+// Phrases are grouped by language pair and sent through translateBatch;
+// resolves to { translated, failed } counts
+// The phrasebook is read again before saving and the translations are merged in by phrase id,
+// so phrases added, edited or deleted while translating aren't lost
+export const translateUntranslatedPhrases = async () => {
+  try {
+    const phrasebook = await getPhrasebook();
+    
+    // Group untranslated phrases by language pair
+    const groups = {};
+    phrasebook.forEach(phrase => {
+      if (phrase.targetText || phrase.translatedText || !phrase.sourceText) return;
+      const pairKey = `${phrase.sourceLanguage}-${phrase.targetLanguage}`;
+      if (!groups[pairKey]) {
+        groups[pairKey] = { sourceLanguage: phrase.sourceLanguage, targetLanguage: phrase.targetLanguage, phrases: [] };
+      }
+      groups[pairKey].phrases.push(phrase);
+    });
+    
+    let failed = 0;
+    const translations = new Map();
+    
+    for (const group of Object.values(groups)) {
+      const batch = await translateBatch(
+        group.phrases.map(phrase => phrase.sourceText),
+        group.sourceLanguage,
+        group.targetLanguage
+      );
+      
+      batch.forEach(item => {
+        if (item.error) {
+          failed += 1;
+          return;
+        }
+        const phrase = group.phrases[item.index];
+        translations.set(phrase.id, { phrase, text: item.result.text });
+      });
+    }
+    
+    if (translations.size === 0) {
+      return { translated: 0, failed };
+    }
+    
+    // Only fill in phrases that still exist with the same text and language pair and
+    // haven't been given a translation in the meantime
+    let translated = 0;
+    const now = new Date().toISOString();
+    const current = (await getPhrasebook()).map(phrase => {
+      const translation = translations.get(phrase.id);
+      if (!translation ||
+          phrase.targetText || phrase.translatedText ||
+          findPhraseIndex([translation.phrase], phrase) === -1) {
+        return phrase;
+      }
+      translated += 1;
+      return { ...phrase, targetText: translation.text, translatedText: translation.text, updatedAt: now };
+    });
+    
+    if (translated > 0) {
+      await AsyncStorage.setItem(PHRASEBOOK_STORAGE_KEY, JSON.stringify(current));
+    }
+    return { translated, failed };
+  } catch (error) {
+    console.error('Failed to translate phrasebook entries:', error);
+    return { translated: 0, failed: 0 };
+  }
+};
+
 // Create or update a phrasebook category
 export const createOrUpdateCategory = async (category) => {
   try {
@@ -7,9 +7,43 @@ const API_KEY_STORAGE_KEY = 'translator_api_key_secure'; // Separate key for API
 // Default settings
 const defaultSettings = {
   saveHistory: true,
+  // Days translation history is kept (0 keeps it forever)
+  historyRetentionDays: 0,
   autoTranslate: false,
   darkMode: false,
   useFreeApi: true,
+  // Translation backend: 'mock', 'libretranslate' or 'rest' (see translationProviders)
+  translationProvider: 'mock',
+  // Base URL of the provider, e.g. http://localhost:5000 for a local stand-in server
+  providerEndpoint: '',
+  // Maximum number of translations kept in the translation memory
+  translationCacheSize: 500,
+  // Extra attempts after a failed provider request
+  maxRetries: 2,
+  // Delay before the first retry in milliseconds; doubles with each retry
+  retryBaseDelayMs: 500,
+  // Consecutive provider failures before requests are paused
+  circuitBreakerThreshold: 3,
+  // How long the provider is skipped once the breaker opens, in milliseconds
+  circuitBreakerCooldownMs: 60000,
+  // Bridge language for pairs that can't be translated directly
+  pivotLanguage: 'en',
+  // Default register per target language code: 'default', 'formal' or 'informal'
+  formalityByLanguage: {},
+  // Register overrides per translation context id (e.g. { hotel: 'formal' })
+  formalityByContext: {},
+  // Static file server language packs are downloaded from (see scripts/build-language-packs.js)
+  packServerUrl: 'http://localhost:8080',
+  // Minimum match quality (0-1) for an offline phrase to be used as the translation
+  offlineMatchThreshold: 0.8,
+  // Most disk space language packs may use, in MB (0 for no limit)
+  packStorageBudgetMB: 0,
+  // Delete the least recently used packs when the budget is exceeded instead of only suggesting it
+  autoEvictPacks: false,
+  // Translation mode per network condition: 'online', 'offline-first' or 'offline' (see networkPolicyService)
+  networkPolicy: { roaming: 'online', cellular: 'online', expensive: 'online', slow: 'online' },
+  // Median provider response time above which the connection counts as slow, in milliseconds
+  slowNetworkLatencyMs: 3000,
 };
 
 // Default language preferences
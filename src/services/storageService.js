@@ -0,0 +1,232 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system';
+import { getSettings } from './settingsService';
+import { getDownloadedLanguages, deleteLanguagePack, PACKS_DIRECTORY } from './offlineService';
+import { HISTORY_KEY_PREFIX } from './historyService';
+
+// Storage categories shown in the breakdown, in display order
+export const STORAGE_CATEGORIES = [
+  { id: 'languagePacks', name: 'Language packs' },
+  { id: 'history', name: 'Translation history' },
+  { id: 'conversations', name: 'Conversations' },
+  { id: 'cameraImages', name: 'Camera images' },
+  { id: 'cache', name: 'Caches' },
+  { id: 'other', name: 'Other app data' },
+];
+
+// AsyncStorage keys holding each category's data; everything else counts as other app data
+// (history keys all start with HISTORY_KEY_PREFIX)
+const CONVERSATIONS_KEY = 'translator_conversations';
+const CACHE_KEY_PREFIX = 'translator_cache_';
+
+// expo-image-picker copies captured and picked photos into the cache directory
+const CAMERA_IMAGES_DIRECTORY = `${FileSystem.cacheDirectory}ImagePicker/`;
+
+const BYTES_PER_MB = 1024 * 1024;
+// AsyncStorage values loaded at a time while measuring
+const MEASURE_BATCH_SIZE = 100;
+
+// Convert bytes to MB rounded to two decimals, as pack sizes are shown elsewhere
+export const bytesToMB = (bytes) => Math.round((bytes / BYTES_PER_MB) * 100) / 100;
+
+// Size of a string once stored as UTF-8
+const getByteLength = (text) => {
+  let bytes = 0;
+  for (const char of text || '') {
+    const codePoint = char.codePointAt(0);
+    bytes += codePoint < 0x80 ? 1 : codePoint < 0x800 ? 2 : codePoint < 0x10000 ? 3 : 4;
+  }
+  return bytes;
+};
+
+// Size of a file, or of everything inside a directory, in bytes
+const getPathSize = async (path) => {
+  const info = await FileSystem.getInfoAsync(path);
+  if (!info.exists) return 0;
+  if (!info.isDirectory) return info.size || 0;
+
+  const directory = path.endsWith('/') ? path : `${path}/`;
+  const entries = await FileSystem.readDirectoryAsync(directory);
+  let total = 0;
+  for (const entry of entries) {
+    total += await getPathSize(`${directory}${entry}`);
+  }
+  return total;
+};
+
+// Measure installed packs one by one from the packs directory
+// Resolves to { total, packs: { [code]: bytes } }; partial downloads only count towards the total
+const measureLanguagePacks = async () => {
+  const info = await FileSystem.getInfoAsync(PACKS_DIRECTORY);
+  if (!info.exists) return { total: 0, packs: {} };
+
+  const packs = {};
+  let total = 0;
+  const entries = await FileSystem.readDirectoryAsync(PACKS_DIRECTORY);
+  for (const entry of entries) {
+    const size = await getPathSize(`${PACKS_DIRECTORY}${entry}`);
+    total += size;
+
+    // Skip the staging directory; legacy packs are single <code>.json files
+    if (!entry.startsWith('.')) {
+      const code = entry.replace(/\.json$/, '');
+      packs[code] = (packs[code] || 0) + size;
+    }
+  }
+
+  return { total, packs };
+};
+
+// Measure what AsyncStorage holds per category, counting keys and values
+// Values are read MEASURE_BATCH_SIZE keys at a time, as history alone has one key per entry
+const measureStoredData = async () => {
+  const sizes = { history: 0, conversations: 0, cache: 0, other: 0 };
+  const keys = await AsyncStorage.getAllKeys();
+
+  for (let start = 0; start < keys.length; start += MEASURE_BATCH_SIZE) {
+    const entries = await AsyncStorage.multiGet(keys.slice(start, start + MEASURE_BATCH_SIZE));
+    entries.forEach(([key, value]) => {
+      const size = getByteLength(key) + getByteLength(value);
+      if (key.startsWith(HISTORY_KEY_PREFIX)) {
+        sizes.history += size;
+      } else if (key === CONVERSATIONS_KEY) {
+        sizes.conversations += size;
+      } else if (key.startsWith(CACHE_KEY_PREFIX)) {
+        sizes.cache += size;
+      } else {
+        sizes.other += size;
+      }
+    });
+  }
+
+  return sizes;
+};
+
+// Get the pack storage budget in bytes from settings, or null when there is no limit
+const getPackBudget = (settings) => {
+  const budgetMB = Number(settings.packStorageBudgetMB);
+  return budgetMB > 0 ? budgetMB * BYTES_PER_MB : null;
+};
+
+// When a pack was last used, falling back to when it was downloaded
+const getLastUsedTime = (pack) => new Date(pack.lastUsed || pack.downloaded || 0).getTime();
+
+// Measure how much storage the app uses
+// Resolves to {
+//   total, categories: { languagePacks, history, ... },   // bytes, see STORAGE_CATEGORIES
+//   packs: [{ code, name, size, lastUsed }],              // installed packs, least recently used first
+//   budget, overBudget                                    // pack budget in bytes (null for no limit)
+// }
+export const getStorageUsage = async () => {
+  try {
+    const settings = await getSettings();
+    const packSizes = await measureLanguagePacks();
+    const storedData = await measureStoredData();
+
+    const cameraImages = await getPathSize(CAMERA_IMAGES_DIRECTORY);
+    // The camera images live inside the cache directory, so don't count them twice
+    const cacheFiles = Math.max(0, (await getPathSize(FileSystem.cacheDirectory)) - cameraImages);
+
+    const categories = {
+      languagePacks: packSizes.total,
+      history: storedData.history,
+      conversations: storedData.conversations,
+      cameraImages,
+      cache: storedData.cache + cacheFiles,
+      other: storedData.other,
+    };
+
+    const downloaded = await getDownloadedLanguages();
+    const packs = downloaded
+      .map(pack => ({
+        code: pack.code,
+        name: pack.name,
+        size: packSizes.packs[pack.code] || 0,
+        lastUsed: pack.lastUsed || pack.downloaded || null
+      }))
+      .sort((a, b) => getLastUsedTime(a) - getLastUsedTime(b));
+
+    const budget = getPackBudget(settings);
+
+    return {
+      total: Object.values(categories).reduce((sum, size) => sum + size, 0),
+      categories,
+      packs,
+      budget,
+      overBudget: budget !== null && categories.languagePacks > budget
+    };
+  } catch (error) {
+    console.error('Failed to measure storage usage:', error);
+    throw error;
+  }
+};
+
+// Pick the least recently used packs whose removal brings pack storage back within the budget
+// options.keep lists language codes that must not be picked (e.g. a pack that was just downloaded)
+export const getEvictionCandidates = (usage, options = {}) => {
+  const { keep = [] } = options;
+  if (!usage.overBudget) return [];
+
+  let excess = usage.categories.languagePacks - usage.budget;
+  const candidates = [];
+  for (const pack of usage.packs) {
+    if (excess <= 0) break;
+    if (keep.includes(pack.code)) continue;
+    candidates.push(pack);
+    excess -= pack.size;
+  }
+  return candidates;
+};
+
+// Delete the given packs, skipping any that fail; resolves to the packs that were removed
+export const evictLanguagePacks = async (packs) => {
+  const evicted = [];
+  for (const pack of packs) {
+    try {
+      await deleteLanguagePack(pack.code);
+      evicted.push(pack);
+    } catch (error) {
+      console.error(`Failed to evict ${pack.code} language pack:`, error);
+    }
+  }
+  return evicted;
+};
+
+// Sentence telling the user which packs were removed to stay within the budget, or '' for none
+export const describeEvictedPacks = (evicted) => (
+  evicted && evicted.length > 0
+    ? `To stay within your storage limit, these unused packs were removed: ${evicted.map(pack => pack.name).join(', ')}.`
+    : ''
+);
+
+// Check pack storage against the budget
+// Call after every pack install: the download manager, pack import and pack updates all do.
+// Least recently used packs are deleted when autoEvictPacks is on (or options.autoEvict is set),
+// otherwise they are only suggested. options.keep is passed to getEvictionCandidates.
+// Resolves to { usage, overBudget, evicted, suggestions }
+export const enforceStorageBudget = async (options = {}) => {
+  try {
+    const settings = await getSettings();
+    const autoEvict = options.autoEvict ?? settings.autoEvictPacks;
+
+    let usage = await getStorageUsage();
+    let candidates = getEvictionCandidates(usage, options);
+    let evicted = [];
+
+    if (autoEvict && candidates.length > 0) {
+      evicted = await evictLanguagePacks(candidates);
+      usage = await getStorageUsage();
+      candidates = getEvictionCandidates(usage, options);
+    }
+
+    return {
+      usage,
+      overBudget: usage.overBudget,
+      evicted,
+      suggestions: candidates
+    };
+  } catch (error) {
+    console.error('Failed to enforce storage budget:', error);
+    throw error;
+  }
+};
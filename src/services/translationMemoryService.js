@@ -0,0 +1,154 @@
+import { getCachedData, cacheData, clearCache } from '../utils/cacheUtils';
+import logger from '../utils/logger';
+
+// Translation memory: a persistent LRU cache of successful translations.
+// Entries are keyed by provider (and its endpoint), language pair, context and normalized source text,
+// and kept in a Map whose insertion order doubles as the recency order.
+
+const MEMORY_CACHE_KEY = 'translation_memory';
+// Keep the memory for 30 days after the last write
+const MEMORY_TTL = 30 * 24 * 60 * 60 * 1000;
+// Default cap on the number of remembered translations
+export const DEFAULT_MEMORY_SIZE = 500;
+// Batch writes so rapid lookups don't hammer AsyncStorage
+const PERSIST_DELAY = 1000;
+
+let memory = null;
+let stats = { hits: 0, misses: 0, evictions: 0 };
+let loadPromise = null;
+let persistTimer = null;
+
+// Normalize source text so differences in whitespace share a cache entry
+// Case is kept: "Apple" and "apple" can translate differently
+export const normalizeMemoryText = (text) => {
+  return (text || '').normalize('NFC').trim().replace(/\s+/g, ' ');
+};
+
+// Build the cache key for a translation request
+// Endpoint, glossary and formality parts are only appended when they apply, so other keys stay unchanged
+export const buildMemoryKey = ({ text, sourceLanguage, targetLanguage, context = null, provider = null, endpoint = null, glossary = null, formality = null }) => {
+  const parts = [provider || '', sourceLanguage || '', targetLanguage || '', context || '', normalizeMemoryText(text)];
+  if (endpoint) {
+    parts.push(`endpoint:${endpoint}`);
+  }
+  if (glossary) {
+    parts.push(`glossary:${glossary}`);
+  }
+  if (formality && formality !== 'default') {
+    parts.push(`formality:${formality}`);
+  }
+  return parts.join('|');
+};
+
+// Load the persisted memory once per app session
+const ensureLoaded = async () => {
+  if (memory) return memory;
+
+  if (!loadPromise) {
+    loadPromise = (async () => {
+      const stored = await getCachedData(MEMORY_CACHE_KEY);
+      memory = new Map(stored && Array.isArray(stored.entries) ? stored.entries : []);
+      if (stored && stored.stats) {
+        stats = { ...stats, ...stored.stats };
+      }
+      logger.debug(`Translation memory loaded with ${memory.size} entries`, 'TranslationMemory');
+      return memory;
+    })();
+  }
+
+  return loadPromise;
+};
+
+// Write the memory back to storage after a short delay
+const schedulePersist = () => {
+  if (persistTimer) {
+    clearTimeout(persistTimer);
+  }
+
+  persistTimer = setTimeout(async () => {
+    persistTimer = null;
+    await cacheData(MEMORY_CACHE_KEY, { entries: Array.from(memory.entries()), stats }, MEMORY_TTL);
+  }, PERSIST_DELAY);
+};
+
+// Look up a remembered translation, marking it as most recently used
+export const lookupTranslation = async (request) => {
+  try {
+    await ensureLoaded();
+    const key = buildMemoryKey(request);
+    const entry = memory.get(key);
+
+    if (!entry) {
+      stats.misses += 1;
+      schedulePersist();
+      return null;
+    }
+
+    // Re-insert to move the entry to the most recent position
+    memory.delete(key);
+    memory.set(key, { ...entry, lastUsed: Date.now(), useCount: (entry.useCount || 0) + 1 });
+    stats.hits += 1;
+    schedulePersist();
+
+    return entry.result;
+  } catch (error) {
+    logger.error(`Translation memory lookup failed: ${error.message}`, 'TranslationMemory', error);
+    return null;
+  }
+};
+
+// Remember a successful translation, evicting the least recently used entries over the cap
+export const rememberTranslation = async (request, result, maxEntries = DEFAULT_MEMORY_SIZE) => {
+  try {
+    if (!result || result.errorCode) return;
+
+    await ensureLoaded();
+    const key = buildMemoryKey(request);
+
+    memory.delete(key);
+    memory.set(key, { result, createdAt: Date.now(), lastUsed: Date.now(), useCount: 0 });
+
+    // The first key in the Map is the least recently used
+    while (memory.size > Math.max(1, maxEntries)) {
+      const oldestKey = memory.keys().next().value;
+      memory.delete(oldestKey);
+      stats.evictions += 1;
+    }
+
+    schedulePersist();
+  } catch (error) {
+    logger.error(`Failed to remember translation: ${error.message}`, 'TranslationMemory', error);
+  }
+};
+
+// Get hit/miss statistics for display in settings
+export const getTranslationMemoryStats = async () => {
+  try {
+    await ensureLoaded();
+    const lookups = stats.hits + stats.misses;
+    return {
+      entries: memory.size,
+      hits: stats.hits,
+      misses: stats.misses,
+      evictions: stats.evictions,
+      hitRate: lookups > 0 ? stats.hits / lookups : 0
+    };
+  } catch (error) {
+    logger.error(`Failed to read translation memory stats: ${error.message}`, 'TranslationMemory', error);
+    return { entries: 0, hits: 0, misses: 0, evictions: 0, hitRate: 0 };
+  }
+};
+
+// Remove every remembered translation and reset statistics
+export const clearTranslationMemory = async () => {
+  if (persistTimer) {
+    clearTimeout(persistTimer);
+    persistTimer = null;
+  }
+
+  memory = new Map();
+  loadPromise = Promise.resolve(memory);
+  stats = { hits: 0, misses: 0, evictions: 0 };
+
+  return clearCache(MEMORY_CACHE_KEY);
+};
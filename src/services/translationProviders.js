@@ -0,0 +1,293 @@
+import axios from 'axios';
+import logger from '../utils/logger';
+import { delay } from '../utils/asyncUtils';
+
+/**
+ * Translation provider layer
+ *
+ * Every provider exposes the same interface so translationService can switch
+ * between backends purely from settings:
+ *
+ *   translate(text, sourceLang, targetLang, options) -> Promise<{ translatedText, detectedLanguage, alternatives }>
+ *   detect(text, options)                            -> Promise<Array<{ language, confidence }>>
+ *   listLanguages(options)                           -> Promise<Array<{ code, name, targets? }>>
+ *
+ * Providers that honour `options.formality` ('formal' | 'informal') set
+ * `supportsFormality: true`; others ignore the option. HTTP providers expose
+ * the server they talk to as `endpoint`.
+ *
+ * Every method accepts `options.signal` (an AbortSignal) and rejects with an
+ * abort error when the request is cancelled.
+ */
+
+// Identifiers stored in settings.translationProvider
+export const PROVIDER_IDS = {
+  MOCK: 'mock',
+  LIBRETRANSLATE: 'libretranslate',
+  REST: 'rest',
+};
+
+// Request timeout for HTTP providers in milliseconds
+const DEFAULT_TIMEOUT = 15000;
+
+// Languages offered by the built-in mock provider
+const MOCK_LANGUAGES = [
+  { code: 'en', name: 'English' },
+  { code: 'es', name: 'Spanish' },
+  { code: 'fr', name: 'French' },
+  { code: 'de', name: 'German' },
+  { code: 'it', name: 'Italian' },
+  { code: 'pt', name: 'Portuguese' },
+  { code: 'ru', name: 'Russian' },
+  { code: 'ja', name: 'Japanese' },
+  { code: 'zh', name: 'Chinese' },
+  { code: 'ko', name: 'Korean' },
+  { code: 'ar', name: 'Arabic' },
+];
+
+// Context-aware phrases for better translation
+const contextualPhrases = {
+  'restaurant': {
+    'en-es': {
+      'Can I have the menu?': '¿Puedo ver el menú?',
+      'Check, please': 'La cuenta, por favor',
+      'I would like to make a reservation': 'Me gustaría hacer una reserva',
+      'Is this dish spicy?': '¿Este plato es picante?',
+      'I have a food allergy': 'Tengo alergia alimentaria'
+    },
+    'en-fr': {
+      'Can I have the menu?': 'Puis-je avoir le menu ?',
+      'Check, please': 'L\'addition, s\'il vous plaît',
+      'I would like to make a reservation': 'Je voudrais faire une réservation',
+      'Is this dish spicy?': 'Ce plat est-il épicé ?',
+      'I have a food allergy': 'J\'ai une allergie alimentaire'
+    }
+  },
+  'transportation': {
+    'en-es': {
+      'Where is the train station?': '¿Dónde está la estación de tren?',
+      'How much is a ticket to...?': '¿Cuánto cuesta un billete para...?',
+      'When is the next departure?': '¿Cuándo es la próxima salida?',
+      'Is this seat taken?': '¿Está ocupado este asiento?',
+      'I need to go to this address': 'Necesito ir a esta dirección'
+    },
+    'en-fr': {
+      'Where is the train station?': 'Où est la gare ?',
+      'How much is a ticket to...?': 'Combien coûte un billet pour... ?',
+      'When is the next departure?': 'Quand est le prochain départ ?',
+      'Is this seat taken?': 'Ce siège est-il pris ?',
+      'I need to go to this address': 'Je dois aller à cette adresse'
+    }
+  },
+  'hotel': {
+    'en-es': {
+      'I have a reservation': 'Tengo una reserva',
+      'Is breakfast included?': '¿Está incluido el desayuno?',
+      'What time is check-out?': '¿A qué hora es el check-out?',
+      'Do you have room service?': '¿Tienen servicio de habitación?',
+      'The air conditioning is not working': 'El aire acondicionado no funciona'
+    },
+    'en-fr': {
+      'I have a reservation': 'J\'ai une réservation',
+      'Is breakfast included?': 'Le petit-déjeuner est-il inclus ?',
+      'What time is check-out?': 'À quelle heure est le check-out ?',
+      'Do you have room service?': 'Avez-vous un service de chambre ?',
+      'The air conditioning is not working': 'La climatisation ne fonctionne pas'
+    }
+  },
+  'emergency': {
+    'en-es': {
+      'I need a doctor': 'Necesito un médico',
+      'Call an ambulance': 'Llame a una ambulancia',
+      'This is an emergency': 'Esto es una emergencia',
+      'I lost my passport': 'Perdí mi pasaporte',
+      'I need help': 'Necesito ayuda'
+    },
+    'en-fr': {
+      'I need a doctor': 'J\'ai besoin d\'un médecin',
+      'Call an ambulance': 'Appelez une ambulance',
+      'This is an emergency': 'C\'est une urgence',
+      'I lost my passport': 'J\'ai perdu mon passeport',
+      'I need help': 'J\'ai besoin d\'aide'
+    }
+  }
+};
+
+// Strip trailing slashes so endpoint paths can be appended safely
+const normalizeEndpoint = (endpoint) => (endpoint || '').trim().replace(/\/+$/, '');
+
+// Mock provider used for demos and when no backend is configured
+export const createMockProvider = ({ premium = false } = {}) => ({
+  id: PROVIDER_IDS.MOCK,
+  name: premium ? 'Premium (mock)' : 'Free (mock)',
+  supportsFormality: true,
+
+  translate: async (text, sourceLang, targetLang, options = {}) => {
+    const { context = null, formality = null, signal = null } = options;
+
+    // Add a small delay to simulate network request
+    await delay(500, signal);
+
+    // Check for preset/canned translations
+    const translationKey = `${sourceLang}-${targetLang}`;
+    const translations = (context && contextualPhrases[context] && contextualPhrases[context][translationKey]) || {};
+
+    if (translations[text]) {
+      logger.debug('Using preset translation from context phrases', 'MockProvider');
+      return { translatedText: translations[text], detectedLanguage: null, alternatives: [] };
+    }
+
+    // Premium API would provide more accurate translations with context awareness
+    const register = formality && formality !== 'default' ? `, ${formality}` : '';
+    let translatedText;
+    if (!premium) {
+      translatedText = `[${targetLang.toUpperCase()} Translation${register}] ${text}`;
+    } else if (context) {
+      translatedText = `[Premium ${targetLang.toUpperCase()} Translation for ${context}${register}] ${text}`;
+    } else {
+      translatedText = `[Premium ${targetLang.toUpperCase()} Translation${register}] ${text}`;
+    }
+
+    return { translatedText, detectedLanguage: null, alternatives: [] };
+  },
+
+  // The mock provider cannot detect languages; callers fall back to local detection
+  detect: async () => [],
+
+  listLanguages: async () => MOCK_LANGUAGES,
+});
+
+// Adapter for LibreTranslate-compatible servers (POST /translate, POST /detect, GET /languages)
+export const createLibreTranslateProvider = ({ endpoint, apiKey = '', timeout = DEFAULT_TIMEOUT }) => {
+  const baseUrl = normalizeEndpoint(endpoint);
+
+  return {
+    id: PROVIDER_IDS.LIBRETRANSLATE,
+    name: 'LibreTranslate',
+    endpoint: baseUrl,
+    supportsFormality: false,
+
+    translate: async (text, sourceLang, targetLang, options = {}) => {
+      const url = `${baseUrl}/translate`;
+      const body = {
+        q: text,
+        source: sourceLang || 'auto',
+        target: targetLang,
+        format: 'text',
+        alternatives: options.alternatives || 0,
+      };
+      if (apiKey) body.api_key = apiKey;
+
+      logger.api('POST', url);
+      const { data } = await axios.post(url, body, { timeout, signal: options.signal });
+
+      return {
+        translatedText: data.translatedText,
+        detectedLanguage: data.detectedLanguage ? data.detectedLanguage.language : null,
+        alternatives: data.alternatives || [],
+      };
+    },
+
+    detect: async (text, options = {}) => {
+      const url = `${baseUrl}/detect`;
+      const body = { q: text };
+      if (apiKey) body.api_key = apiKey;
+
+      logger.api('POST', url);
+      const { data } = await axios.post(url, body, { timeout, signal: options.signal });
+
+      // LibreTranslate reports confidence as a percentage
+      return (data || []).map(candidate => ({
+        language: candidate.language,
+        confidence: candidate.confidence > 1 ? candidate.confidence / 100 : candidate.confidence,
+      }));
+    },
+
+    listLanguages: async (options = {}) => {
+      const url = `${baseUrl}/languages`;
+      logger.api('GET', url);
+      const { data } = await axios.get(url, { timeout, signal: options.signal });
+      return (data || []).map(lang => ({ code: lang.code, name: lang.name, targets: lang.targets }));
+    },
+  };
+};
+
+// Adapter for a generic JSON REST backend
+// Expected contract:
+//   POST {endpoint}/translate { text, source, target, context, formality } -> { translatedText, detectedLanguage?, alternatives? }
+//   POST {endpoint}/detect    { text }                          -> { candidates: [{ language, confidence }] } or [{ language, confidence }]
+//   GET  {endpoint}/languages                                   -> { languages: [{ code, name }] } or [{ code, name }]
+export const createRestProvider = ({ endpoint, apiKey = '', timeout = DEFAULT_TIMEOUT }) => {
+  const baseUrl = normalizeEndpoint(endpoint);
+  const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+
+  return {
+    id: PROVIDER_IDS.REST,
+    name: 'REST API',
+    endpoint: baseUrl,
+    supportsFormality: true,
+
+    translate: async (text, sourceLang, targetLang, options = {}) => {
+      const url = `${baseUrl}/translate`;
+      logger.api('POST', url);
+      const { data } = await axios.post(url, {
+        text,
+        source: sourceLang,
+        target: targetLang,
+        context: options.context || null,
+        formality: options.formality && options.formality !== 'default' ? options.formality : null,
+      }, { timeout, headers, signal: options.signal });
+
+      return {
+        translatedText: data.translatedText !== undefined ? data.translatedText : data.translation,
+        detectedLanguage: data.detectedLanguage || null,
+        alternatives: data.alternatives || [],
+      };
+    },
+
+    detect: async (text, options = {}) => {
+      const url = `${baseUrl}/detect`;
+      logger.api('POST', url);
+      const { data } = await axios.post(url, { text }, { timeout, headers, signal: options.signal });
+      return Array.isArray(data) ? data : (data.candidates || []);
+    },
+
+    listLanguages: async (options = {}) => {
+      const url = `${baseUrl}/languages`;
+      logger.api('GET', url);
+      const { data } = await axios.get(url, { timeout, headers, signal: options.signal });
+      return Array.isArray(data) ? data : (data.languages || []);
+    },
+  };
+};
+
+// Build the provider selected in settings
+// Falls back to the mock provider when an HTTP provider has no endpoint configured
+export const getTranslationProvider = (settings, apiKey = '') => {
+  const providerId = settings.translationProvider || PROVIDER_IDS.MOCK;
+  const endpoint = normalizeEndpoint(settings.providerEndpoint);
+
+  if (providerId !== PROVIDER_IDS.MOCK && !endpoint) {
+    logger.warn(`Provider "${providerId}" has no endpoint configured, using mock provider`, 'TranslationProviders');
+    return createMockProvider({ premium: !settings.useFreeApi });
+  }
+
+  switch (providerId) {
+    case PROVIDER_IDS.LIBRETRANSLATE:
+      return createLibreTranslateProvider({ endpoint, apiKey });
+    case PROVIDER_IDS.REST:
+      return createRestProvider({ endpoint, apiKey });
+    case PROVIDER_IDS.MOCK:
+    default:
+      return createMockProvider({ premium: !settings.useFreeApi });
+  }
+};
+
+// Get the providers that can be selected in settings
+export const getAvailableProviders = () => {
+  return [
+    { id: PROVIDER_IDS.MOCK, name: 'Built-in demo', description: 'Offline-safe mock translations for demos', requiresEndpoint: false },
+    { id: PROVIDER_IDS.LIBRETRANSLATE, name: 'LibreTranslate', description: 'Any LibreTranslate-compatible server', requiresEndpoint: true },
+    { id: PROVIDER_IDS.REST, name: 'REST API', description: 'Generic JSON translation endpoint', requiresEndpoint: true },
+  ];
+};
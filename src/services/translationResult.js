@@ -0,0 +1,102 @@
+// Shared result shape for every translation path (online, offline, camera, conversation)
+//
+// TranslationResult: {
+//   text: string,                  // translated text, or a user-facing message when errorCode is set
+//   provider: string | null,       // provider id that produced the text ('mock', 'libretranslate', 'rest', 'offline')
+//   isOffline: boolean,            // true when produced (or attempted) with offline language packs
+//   sourceLanguage: string,
+//   targetLanguage: string,
+//   detectedLanguage: string|null, // source language reported by detection, if any
+//   errorCode: string | null,      // one of TRANSLATION_ERROR_CODES when the translation failed
+//   alternatives: string[],        // alternative renderings, best first
+//   path: string | null,           // which path produced the text, one of TRANSLATION_PATHS
+//   pivotLanguage: string | null,  // bridge language used when the pair had no direct route
+//   glossaryTerms: Array<{ term, rendering }>, // glossary entries enforced in the text
+//   formality: string | null,      // 'formal' or 'informal' when that register was applied
+//   matchQuality: number | null,   // offline only: how closely the input matched a pack phrase (0-1, 1 = exact)
+//   matchedText: string | null,    // offline only: the pack phrase the input was matched to
+//   suggestions: Array<{ source, text, matchQuality }>, // offline only: closest phrases that weren't used
+//   gloss: Array<{ source, text, known, lemma, form }> | null, // offline only: set when the text is a
+//                                  // word-by-word dictionary gloss; unknown words stay in the source language
+//   packType: string | null,       // offline only: 'pair' or 'language', the kind of pack that produced the text
+//   alignment: Array<{ source, target }> | null, // offline only: matching parts of an idiom or phrase
+//                                  // and its translation, from a pair pack
+//   requestId: string|number|null  // caller-supplied id of the request that produced this result
+// }
+
+// Error codes carried by failed translation results
+export const TRANSLATION_ERROR_CODES = {
+  MISSING_LANGUAGE_PACK: 'MISSING_LANGUAGE_PACK',
+  OFFLINE_DATA_UNAVAILABLE: 'OFFLINE_DATA_UNAVAILABLE',
+  OFFLINE_FAILED: 'OFFLINE_FAILED',
+  NO_OFFLINE_MATCH: 'NO_OFFLINE_MATCH',
+  PROVIDER_ERROR: 'PROVIDER_ERROR',
+  CANCELLED: 'CANCELLED',
+};
+
+// How a translation was produced
+export const TRANSLATION_PATHS = {
+  ONLINE: 'online',                     // the configured provider answered
+  OFFLINE: 'offline',                   // offline mode or no connection, served from language packs
+  OFFLINE_FALLBACK: 'offline-fallback', // the provider failed (or its circuit is open) and packs were used instead
+  CACHE: 'cache',                       // served from translation memory
+};
+
+// Provider id used for results produced from offline language packs
+export const OFFLINE_PROVIDER_ID = 'offline';
+
+// Build a translation result with defaults for every field
+export const createTranslationResult = ({
+  text = '',
+  provider = null,
+  isOffline = false,
+  sourceLanguage = null,
+  targetLanguage = null,
+  detectedLanguage = null,
+  errorCode = null,
+  alternatives = [],
+  path = null,
+  pivotLanguage = null,
+  glossaryTerms = [],
+  formality = null,
+  matchQuality = null,
+  matchedText = null,
+  suggestions = [],
+  gloss = null,
+  packType = null,
+  alignment = null,
+  ...extra
+} = {}) => ({
+  text,
+  provider,
+  isOffline,
+  sourceLanguage,
+  targetLanguage,
+  detectedLanguage,
+  errorCode,
+  alternatives,
+  path,
+  pivotLanguage,
+  glossaryTerms,
+  formality,
+  matchQuality,
+  matchedText,
+  suggestions,
+  gloss,
+  packType,
+  alignment,
+  ...extra,
+});
+
+// Build a failed translation result; the message is shown to the user in place of a translation
+export const createErrorResult = (errorCode, message, fields = {}) => createTranslationResult({
+  ...fields,
+  text: message,
+  errorCode,
+});
+
+// Check whether a result belongs to a request that was cancelled by the caller
+export const isCancelledResult = (result) => Boolean(result && result.errorCode === TRANSLATION_ERROR_CODES.CANCELLED);
+
+// Check whether a result represents a failed translation
+export const isTranslationError = (result) => Boolean(result && result.errorCode);
@@ -1,227 +1,485 @@
-import { getSettings } from './settingsService';
+import { getSettings, getApiKey } from './settingsService';
 import { 
   isOfflineModeEnabled, 
   isLanguageDownloaded, 
-  translateTextOffline
+  translateTextOffline,
+  getOfflineRoute,
+  getMissingLanguagePacks
 } from './offlineService';
-import NetInfo from '@react-native-community/netinfo';
+import { getTranslationProvider } from './translationProviders';
+import { 
+  createTranslationResult, 
+  createErrorResult, 
+  TRANSLATION_ERROR_CODES,
+  TRANSLATION_PATHS,
+  OFFLINE_PROVIDER_ID,
+  isTranslationError
+} from './translationResult';
+import { lookupTranslation, rememberTranslation } from './translationMemoryService';
+import { prepareGlossary } from './glossaryService';
+import { getEffectiveNetworkMode, recordRequestOutcome, NETWORK_MODES } from './networkPolicyService';
 import logger from '../utils/logger';
+import { detectLanguageOffline } from '../utils/languageDetector';
+import { mapWithConcurrency, throwIfAborted, isAbortError, retryWithBackoff } from '../utils/asyncUtils';
+import { createCircuitBreaker, CIRCUIT_STATES } from '../utils/circuitBreaker';
 
-// Context-aware phrases for better translation
-const contextualPhrases = {
-  'restaurant': {
-    'en-es': {
-      'Can I have the menu?': '¿Puedo ver el menú?',
-      'Check, please': 'La cuenta, por favor',
-      'I would like to make a reservation': 'Me gustaría hacer una reserva',
-      'Is this dish spicy?': '¿Este plato es picante?',
-      'I have a food allergy': 'Tengo alergia alimentaria'
-    },
-    'en-fr': {
-      'Can I have the menu?': 'Puis-je avoir le menu ?',
-      'Check, please': 'L\'addition, s\'il vous plaît',
-      'I would like to make a reservation': 'Je voudrais faire une réservation',
-      'Is this dish spicy?': 'Ce plat est-il épicé ?',
-      'I have a food allergy': 'J\'ai une allergie alimentaire'
-    }
-  },
-  'transportation': {
-    'en-es': {
-      'Where is the train station?': '¿Dónde está la estación de tren?',
-      'How much is a ticket to...?': '¿Cuánto cuesta un billete para...?',
-      'When is the next departure?': '¿Cuándo es la próxima salida?',
-      'Is this seat taken?': '¿Está ocupado este asiento?',
-      'I need to go to this address': 'Necesito ir a esta dirección'
-    },
-    'en-fr': {
-      'Where is the train station?': 'Où est la gare ?',
-      'How much is a ticket to...?': 'Combien coûte un billet pour... ?',
-      'When is the next departure?': 'Quand est le prochain départ ?',
-      'Is this seat taken?': 'Ce siège est-il pris ?',
-      'I need to go to this address': 'Je dois aller à cette adresse'
-    }
-  },
-  'hotel': {
-    'en-es': {
-      'I have a reservation': 'Tengo una reserva',
-      'Is breakfast included?': '¿Está incluido el desayuno?',
-      'What time is check-out?': '¿A qué hora es el check-out?',
-      'Do you have room service?': '¿Tienen servicio de habitación?',
-      'The air conditioning is not working': 'El aire acondicionado no funciona'
-    },
-    'en-fr': {
-      'I have a reservation': 'J\'ai une réservation',
-      'Is breakfast included?': 'Le petit-déjeuner est-il inclus ?',
-      'What time is check-out?': 'À quelle heure est le check-out ?',
-      'Do you have room service?': 'Avez-vous un service de chambre ?',
-      'The air conditioning is not working': 'La climatisation ne fonctionne pas'
-    }
-  },
-  'emergency': {
-    'en-es': {
-      'I need a doctor': 'Necesito un médico',
-      'Call an ambulance': 'Llame a una ambulancia',
-      'This is an emergency': 'Esto es una emergencia',
-      'I lost my passport': 'Perdí mi pasaporte',
-      'I need help': 'Necesito ayuda'
-    },
-    'en-fr': {
-      'I need a doctor': 'J\'ai besoin d\'un médecin',
-      'Call an ambulance': 'Appelez une ambulance',
-      'This is an emergency': 'C\'est une urgence',
-      'I lost my passport': 'J\'ai perdu mon passeport',
-      'I need help': 'J\'ai besoin d\'aide'
+// Default number of batch segments translated in parallel
+const DEFAULT_BATCH_CONCURRENCY = 4;
+
+// Languages offered throughout the app
+// hasFormality marks languages with distinct formal and informal address (tu/vous, du/Sie, keigo...)
+const SUPPORTED_LANGUAGES = [
+  { code: 'en', name: 'English', hasFormality: false },
+  { code: 'es', name: 'Spanish', hasFormality: true },
+  { code: 'fr', name: 'French', hasFormality: true },
+  { code: 'de', name: 'German', hasFormality: true },
+  { code: 'it', name: 'Italian', hasFormality: true },
+  { code: 'pt', name: 'Portuguese', hasFormality: true },
+  { code: 'ru', name: 'Russian', hasFormality: true },
+  { code: 'ja', name: 'Japanese', hasFormality: true },
+  { code: 'zh', name: 'Chinese', hasFormality: true },
+  { code: 'ko', name: 'Korean', hasFormality: true },
+  { code: 'ar', name: 'Arabic', hasFormality: false },
+];
+
+// Register requested for the target language
+export const FORMALITY_LEVELS = {
+  DEFAULT: 'default',
+  FORMAL: 'formal',
+  INFORMAL: 'informal',
+};
+
+// Pick the formality for a request: an explicit option (e.g. from a conversation participant)
+// wins over the context override, which wins over the target language default
+const resolveFormality = (settings, targetLang, context, requested) => {
+  const language = SUPPORTED_LANGUAGES.find(lang => lang.code === targetLang);
+  if (!language || !language.hasFormality) {
+    return FORMALITY_LEVELS.DEFAULT;
+  }
+  
+  const candidates = [
+    requested,
+    context && settings.formalityByContext ? settings.formalityByContext[context] : null,
+    settings.formalityByLanguage ? settings.formalityByLanguage[targetLang] : null
+  ];
+  return candidates.find(level => level && level !== FORMALITY_LEVELS.DEFAULT) || FORMALITY_LEVELS.DEFAULT;
+};
+
+// Source language value that asks translateText to detect the language first
+export const AUTO_DETECT_LANGUAGE = 'auto';
+
+// Translate text using the active provider, or offline packs when appropriate
+// Always resolves to a TranslationResult (see translationResult.js)
+// options.signal cancels the request (the result then has errorCode CANCELLED);
+// options.requestId is copied onto the result so callers can discard stale responses;
+// options.formality ('formal' | 'informal') overrides the formality configured in settings
+export const translateText = async (text, sourceLang, targetLang, context = null, options = {}) => {
+  const { signal = null, requestId = null, formality = null } = options;
+  const result = await runTranslation(text, sourceLang, targetLang, context, formality, signal);
+  return { ...result, requestId };
+};
+
+// Circuit breakers for online providers, keyed by provider id
+const providerBreakers = new Map();
+
+// Get (or create) the circuit breaker for a provider using the current settings
+const getProviderBreaker = (providerId, settings) => {
+  const key = `${providerId}|${settings.circuitBreakerThreshold}|${settings.circuitBreakerCooldownMs}`;
+  if (!providerBreakers.has(key)) {
+    providerBreakers.set(key, createCircuitBreaker({
+      threshold: settings.circuitBreakerThreshold,
+      cooldownMs: settings.circuitBreakerCooldownMs
+    }));
+  }
+  return providerBreakers.get(key);
+};
+
+// Only retry errors that might succeed next time: network failures, timeouts, 408, 429 and 5xx
+const isRetryableProviderError = (error) => {
+  const status = error && error.response ? error.response.status : null;
+  if (!status) return true;
+  return status === 408 || status === 429 || status >= 500;
+};
+
+// Only failures of the connection itself count against it for slow-network detection: requests
+// that never got a response (network errors, timeouts) and 408s. An error response such as a bad
+// API key, a rejected request or a server error shows the connection works.
+const isConnectionError = (error) => {
+  if (!error) return false;
+  if (error.response) return error.response.status === 408;
+  return Boolean(error.isAxiosError || error.request) ||
+    ['ECONNABORTED', 'ETIMEDOUT', 'ERR_NETWORK'].includes(error.code);
+};
+
+// Languages each provider can translate between, cached per provider and endpoint for the session
+const providerLanguageCache = new Map();
+
+// Decide whether a provider needs to pivot for a pair
+// Resolves to the pivot language, or null when the pair is direct (or coverage is unknown)
+const resolveProviderPivot = async (provider, sourceLang, targetLang, settings, signal) => {
+  const pivotLanguage = settings.pivotLanguage;
+  if (!pivotLanguage || pivotLanguage === sourceLang || pivotLanguage === targetLang) {
+    return null;
+  }
+  
+  const cacheKey = `${provider.id}|${settings.providerEndpoint || ''}`;
+  if (!providerLanguageCache.has(cacheKey)) {
+    try {
+      providerLanguageCache.set(cacheKey, await provider.listLanguages({ signal }));
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      logger.warn(`Could not load ${provider.name} language list: ${error.message}`, 'TranslationService');
+      return null;
     }
   }
+  
+  // Providers that don't report targets are assumed to support every pair
+  const languages = providerLanguageCache.get(cacheKey) || [];
+  const supportsPair = (from, to) => {
+    const language = languages.find(lang => lang.code === from);
+    return !language || !Array.isArray(language.targets) || language.targets.includes(to);
+  };
+  
+  if (supportsPair(sourceLang, targetLang)) {
+    return null;
+  }
+  if (supportsPair(sourceLang, pivotLanguage) && supportsPair(pivotLanguage, targetLang)) {
+    return pivotLanguage;
+  }
+  
+  logger.warn(`${provider.name} has no route from ${sourceLang} to ${targetLang}, trying direct`, 'TranslationService');
+  return null;
 };
 
-// Mock translation for demo purposes
-// In a real app, this would integrate with an actual translation API
-export const translateText = async (text, sourceLang, targetLang, context = null) => {
+// Translate with the provider, chaining two requests through the pivot language when given
+// Formality only applies to the final hop, since the pivot language is an internal detail
+const translateWithProvider = async (provider, text, sourceLang, targetLang, pivotLanguage, context, formality, signal) => {
+  if (!pivotLanguage) {
+    return provider.translate(text, sourceLang, targetLang, { context, formality, signal });
+  }
+  
+  const toPivot = await provider.translate(text, sourceLang, pivotLanguage, { context, signal });
+  const fromPivot = await provider.translate(toPivot.translatedText, pivotLanguage, targetLang, { context, formality, signal });
+  return {
+    translatedText: fromPivot.translatedText,
+    detectedLanguage: toPivot.detectedLanguage,
+    alternatives: fromPivot.alternatives
+  };
+};
+
+// Translate with installed language packs, preferring a pair pack and otherwise chaining
+// monolingual packs through the pivot language if needed
+// Resolves to null when the packs don't cover the pair
+const translateWithLanguagePacks = async (text, sourceLang, targetLang, context, formality, settings, glossary, path, signal) => {
+  const route = await getOfflineRoute(sourceLang, targetLang, settings.pivotLanguage);
+  if (!route) {
+    return null;
+  }
+  
+  // Pack lookups are remembered separately from online results, and pair pack lookups
+  // separately again so installing a pair pack isn't hidden by older monolingual results
+  const offlineMemoryRequest = {
+    text,
+    sourceLanguage: sourceLang,
+    targetLanguage: targetLang,
+    context,
+    provider: route.packCode ? `${OFFLINE_PROVIDER_ID}:${route.packCode}` : OFFLINE_PROVIDER_ID,
+    glossary: glossary.signature,
+    formality
+  };
+  const rememberedOffline = await lookupTranslation(offlineMemoryRequest);
+  if (rememberedOffline) {
+    return { ...rememberedOffline, path: TRANSLATION_PATHS.CACHE, fromCache: true };
+  }
+  
+  const offlineResult = glossary.apply(await translateTextOffline(glossary.text, sourceLang, targetLang, {
+    pivotLanguage: settings.pivotLanguage,
+    formality,
+    matchThreshold: settings.offlineMatchThreshold
+  }));
+  throwIfAborted(signal);
+  await rememberTranslation(offlineMemoryRequest, offlineResult, settings.translationCacheSize);
+  return { ...offlineResult, path };
+};
+
+// Build the error returned when offline translation needs packs that aren't installed
+const createMissingPackResult = async (sourceLang, targetLang, detectedLanguage, pivotLanguage) => {
+  const missingCodes = await getMissingLanguagePacks(sourceLang, targetLang, pivotLanguage);
+  const missingLangs = missingCodes.map(getLanguageName);
+  const pairName = `${getLanguageName(sourceLang)} ↔ ${getLanguageName(targetLang)}`;
+  
+  logger.warn(`Cannot translate offline - missing language pack(s): ${missingLangs.join(', ')}`, 'TranslationService');
+  
+  return createErrorResult(
+    TRANSLATION_ERROR_CODES.MISSING_LANGUAGE_PACK,
+    `Unable to translate - missing offline language pack${missingLangs.length > 1 ? 's' : ''} for ${missingLangs.join(' and ')}. Please download the required language packs, the ${pairName} pair pack if there is one, or connect to the internet.`,
+    { isOffline: true, sourceLanguage: sourceLang, targetLanguage: targetLang, detectedLanguage, path: TRANSLATION_PATHS.OFFLINE }
+  );
+};
+
+// Resolve a single translation request; never throws
+const runTranslation = async (text, sourceLang, targetLang, context, requestedFormality, signal) => {
   try {
+    throwIfAborted(signal);
     logger.debug(`Translating: "${text.substring(0, 30)}${text.length > 30 ? '...' : ''}" from ${sourceLang} to ${targetLang}${context ? ` (context: ${context})` : ''}`, 'TranslationService');
     
-    // Check network connection first
-    const netInfo = await NetInfo.fetch();
-    const isConnected = netInfo.isConnected && netInfo.isInternetReachable;
+    // Resolve an "auto" source language before anything else depends on it
+    let detectedLanguage = null;
+    if (!sourceLang || sourceLang === AUTO_DETECT_LANGUAGE) {
+      const detection = await detectLanguage(text, { signal });
+      throwIfAborted(signal);
+      detectedLanguage = detection.language;
+      sourceLang = detection.language;
+      logger.debug(`Detected source language ${sourceLang} (confidence ${detection.confidence})`, 'TranslationService');
+    }
     
-    // Get user settings
+    // Get user settings and the provider they select
     const settings = await getSettings();
+    const provider = getTranslationProvider(settings, await getApiKey());
     
-    // Check if offline mode is enabled and preferred
-    const offlineMode = await isOfflineModeEnabled();
+    const formality = resolveFormality(settings, targetLang, context, requestedFormality);
     
-    // If offline mode is enabled or no network connection
-    if (offlineMode || !isConnected) {
-      logger.info(`Using offline translation mode (network connected: ${isConnected})`, 'TranslationService');
+    // Protect glossary terms so every path renders them the same way
+    const glossary = await prepareGlossary(text, sourceLang, targetLang);
+    const memoryRequest = {
+      text,
+      sourceLanguage: sourceLang,
+      targetLanguage: targetLang,
+      context,
+      provider: provider.id,
+      // Results from one server aren't reused after switching to another
+      endpoint: provider.endpoint || null,
+      glossary: glossary.signature,
+      formality
+    };
+    
+    // Serve repeated phrases from translation memory, even without a connection
+    const remembered = await lookupTranslation(memoryRequest);
+    if (remembered) {
+      logger.debug('Using translation from translation memory', 'TranslationService');
+      return {
+        ...remembered,
+        detectedLanguage: detectedLanguage || remembered.detectedLanguage,
+        path: TRANSLATION_PATHS.CACHE,
+        fromCache: true
+      };
+    }
+    
+    // Decide between packs and the provider from the connection and the user's network policy
+    const networkMode = await getEffectiveNetworkMode();
+    throwIfAborted(signal);
+    
+    // If offline mode is enabled, there is no connection or the policy says so
+    if (networkMode.mode === NETWORK_MODES.OFFLINE) {
+      logger.info(`Using offline translation mode (${networkMode.description})`, 'TranslationService');
       
-      // Check if both languages are downloaded
-      const sourceDownloaded = await isLanguageDownloaded(sourceLang);
-      const targetDownloaded = await isLanguageDownloaded(targetLang);
+      const offlineResult = await translateWithLanguagePacks(
+        text, sourceLang, targetLang, context, formality, settings, glossary, TRANSLATION_PATHS.OFFLINE, signal
+      );
+      if (offlineResult) {
+        return { ...offlineResult, detectedLanguage };
+      }
+      return createMissingPackResult(sourceLang, targetLang, detectedLanguage, settings.pivotLanguage);
+    }
+    
+    // Offline first: only go to the provider when the packs can't translate the text
+    if (networkMode.mode === NETWORK_MODES.OFFLINE_FIRST) {
+      const packResult = await translateWithLanguagePacks(
+        text, sourceLang, targetLang, context, formality, settings, glossary, TRANSLATION_PATHS.OFFLINE, signal
+      );
+      if (packResult && !isTranslationError(packResult)) {
+        logger.info(`Translated with offline language packs first (${networkMode.description})`, 'TranslationService');
+        return { ...packResult, detectedLanguage };
+      }
+    }
+    
+    // Online translation through the provider selected in settings, unless its circuit is open
+    const breaker = getProviderBreaker(provider.id, settings);
+    let providerError = null;
+    
+    if (breaker.canRequest()) {
+      logger.info(`Using ${provider.name} provider for ${sourceLang} to ${targetLang}`, 'TranslationService');
       
-      if (sourceDownloaded && targetDownloaded) {
-        logger.debug('Both language packs are downloaded, using offline translation', 'TranslationService');
-        // We have offline packs, use them
-        return translateTextOffline(text, sourceLang, targetLang, context);
-      } else {
-        // Return an appropriate offline message
-        const missingLangs = [];
-        if (!sourceDownloaded) missingLangs.push(getLanguageName(sourceLang));
-        if (!targetDownloaded) missingLangs.push(getLanguageName(targetLang));
+      try {
+        const pivotLanguage = await resolveProviderPivot(provider, sourceLang, targetLang, settings, signal);
+        if (pivotLanguage) {
+          logger.info(`Pivoting ${sourceLang} to ${targetLang} through ${pivotLanguage}`, 'TranslationService');
+        }
+        
+        const startedAt = Date.now();
+        const response = await retryWithBackoff(
+          () => translateWithProvider(provider, glossary.text, sourceLang, targetLang, pivotLanguage, context, formality, signal),
+          {
+            retries: settings.maxRetries,
+            baseDelayMs: settings.retryBaseDelayMs,
+            shouldRetry: isRetryableProviderError,
+            onRetry: (error, attempt, delayMs) => logger.warn(`${provider.name} request failed (${error.message}), retry ${attempt} in ${delayMs}ms`, 'TranslationService'),
+            signal
+          }
+        );
+        breaker.recordSuccess();
+        recordRequestOutcome(Date.now() - startedAt, true);
+        
+        const result = glossary.apply(createTranslationResult({
+          text: response.translatedText,
+          provider: provider.id,
+          sourceLanguage: sourceLang,
+          targetLanguage: targetLang,
+          detectedLanguage: detectedLanguage || response.detectedLanguage,
+          alternatives: response.alternatives,
+          path: TRANSLATION_PATHS.ONLINE,
+          pivotLanguage,
+          formality: provider.supportsFormality && formality !== FORMALITY_LEVELS.DEFAULT ? formality : null
+        }));
         
-        logger.warn(`Cannot translate offline - missing language pack(s): ${missingLangs.join(', ')}`, 'TranslationService');
+        await rememberTranslation(memoryRequest, result, settings.translationCacheSize);
+        return result;
+      } catch (error) {
+        if (isAbortError(error)) throw error;
+        logger.error(`${provider.name} provider failed: ${error.message}`, 'TranslationService', error);
         
-        return {
-          translatedText: `Unable to translate - missing offline language pack${missingLangs.length > 1 ? 's' : ''} for ${missingLangs.join(' and ')}. Please download the required language packs or connect to the internet.`,
-          isOfflineMessage: true
-        };
+        // The provider answered but turned the request down (e.g. a bad API key): it is reachable,
+        // so the circuit stays closed, and the error is reported instead of hidden by a fallback
+        if (!isRetryableProviderError(error) && !isConnectionError(error)) {
+          breaker.recordSuccess();
+          throw error;
+        }
+        
+        breaker.recordFailure();
+        if (isConnectionError(error)) {
+          recordRequestOutcome(0, false);
+        }
+        providerError = error;
       }
+    } else {
+      providerError = new Error(`${provider.name} is temporarily unavailable`);
+      logger.warn(breaker.getState() === CIRCUIT_STATES.HALF_OPEN
+        ? `Skipping ${provider.name} provider while a trial request is in flight`
+        : `Skipping ${provider.name} provider, circuit open for another ${Math.ceil(breaker.getRemainingCooldown() / 1000)}s`, 'TranslationService');
     }
     
-    // Online translation - this would call a real API in production
-    logger.info(`Using online translation service for ${sourceLang} to ${targetLang}`, 'TranslationService');
+    // Fall back to installed language packs when the provider can't be used
+    // A pack that can't translate the text would only hide the provider's error, so that is reported instead
+    const fallbackResult = await translateWithLanguagePacks(
+      text, sourceLang, targetLang, context, formality, settings, glossary, TRANSLATION_PATHS.OFFLINE_FALLBACK, signal
+    );
+    if (fallbackResult && !isTranslationError(fallbackResult)) {
+      logger.info('Provider unavailable, translated with offline language packs', 'TranslationService');
+      return { ...fallbackResult, detectedLanguage, path: TRANSLATION_PATHS.OFFLINE_FALLBACK };
+    }
     
-    // Add a small delay to simulate network request
-    await new Promise(resolve => setTimeout(resolve, 500));
+    throw providerError;
+  } catch (error) {
+    if (isAbortError(error)) {
+      logger.debug('Translation cancelled', 'TranslationService');
+      return createErrorResult(
+        TRANSLATION_ERROR_CODES.CANCELLED,
+        'Translation cancelled',
+        { sourceLanguage: sourceLang, targetLanguage: targetLang }
+      );
+    }
     
-    // Check for preset/canned translations
-    const translationKey = `${sourceLang}-${targetLang}`;
+    logger.error(`Translation error: ${error.message}`, 'TranslationService', error);
     
-    // Get translations for this language pair if they exist
-    let translations = {};
-    if (context && contextualPhrases[context]) {
-      translations = contextualPhrases[context][translationKey] || {};
-      logger.debug(`Found contextual translations for ${context}`, 'TranslationService');
+    // Return a user-friendly error in place of the translation
+    return createErrorResult(
+      TRANSLATION_ERROR_CODES.PROVIDER_ERROR,
+      `Translation failed: ${error.message || 'Unknown error'}. Please try again later.`,
+      { sourceLanguage: sourceLang, targetLanguage: targetLang, path: TRANSLATION_PATHS.ONLINE }
+    );
+  }
+};
+
+// Translate many segments at once
+// Identical segments are translated once, at most `concurrency` requests run in parallel,
+// and the returned array is aligned with the input: [{ index, source, result, error }]
+export const translateBatch = async (segments, sourceLang, targetLang, options = {}) => {
+  const { context = null, concurrency = DEFAULT_BATCH_CONCURRENCY, signal = null } = options;
+  
+  // Group input positions by segment so duplicates share one request
+  const uniqueSegments = [];
+  const positionsBySegment = new Map();
+  segments.forEach((segment, index) => {
+    const key = (segment || '').trim();
+    if (!key) return;
+    if (!positionsBySegment.has(key)) {
+      positionsBySegment.set(key, []);
+      uniqueSegments.push(key);
     }
-    
-    // If we have a preset translation, use that
-    if (translations[text]) {
-      logger.debug('Using preset translation from context phrases', 'TranslationService');
-      return translations[text];
+    positionsBySegment.get(key).push(index);
+  });
+  
+  logger.debug(`Batch translating ${segments.length} segments (${uniqueSegments.length} unique) from ${sourceLang} to ${targetLang}`, 'TranslationService');
+  
+  const uniqueResults = await mapWithConcurrency(uniqueSegments, concurrency, async (segment) => {
+    try {
+      return await translateText(segment, sourceLang, targetLang, context, { signal });
+    } catch (error) {
+      return createErrorResult(
+        TRANSLATION_ERROR_CODES.PROVIDER_ERROR,
+        `Translation failed: ${error.message || 'Unknown error'}`,
+        { sourceLanguage: sourceLang, targetLanguage: targetLang }
+      );
     }
+  });
+  
+  const resultsBySegment = new Map();
+  uniqueSegments.forEach((segment, i) => resultsBySegment.set(segment, uniqueResults[i]));
+  
+  return segments.map((segment, index) => {
+    const key = (segment || '').trim();
     
-    // Otherwise generate a simple mock translation
-    if (settings.useFreeApi) {
-      logger.debug('Using free translation API (mock)', 'TranslationService');
-      return `[${targetLang.toUpperCase()} Translation] ${text}`;
-    } else {
-      // Premium API would provide more accurate translations with context awareness
-      logger.debug('Using premium translation API (mock)', 'TranslationService');
-      if (context) {
-        return `[Premium ${targetLang.toUpperCase()} Translation for ${context}] ${text}`;
-      } else {
-        return `[Premium ${targetLang.toUpperCase()} Translation] ${text}`;
-      }
+    // Blank segments are passed through untouched
+    if (!key) {
+      return {
+        index,
+        source: segment,
+        result: createTranslationResult({ text: segment || '', sourceLanguage: sourceLang, targetLanguage: targetLang }),
+        error: null
+      };
     }
-  } catch (error) {
-    logger.error(`Translation error: ${error.message}`, 'TranslationService', error);
     
-    // Return a more user-friendly error as an offline message
+    const result = resultsBySegment.get(key);
     return {
-      translatedText: `Translation failed: ${error.message || 'Unknown error'}. Please try again later.`,
-      isOfflineMessage: true
+      index,
+      source: segment,
+      result,
+      error: result.errorCode ? { code: result.errorCode, message: result.text } : null
     };
-  }
+  });
 };
 
 // Detect language from text
-export const detectLanguage = async (text) => {
+// Resolves to { language, confidence, candidates } with candidates ranked by confidence
+export const detectLanguage = async (text, options = {}) => {
+  const { signal = null } = options;
+  
+  // The offline detector handles every supported script and needs no network
+  const localDetection = detectLanguageOffline(text);
+  
   try {
-    // Check network connection
-    const netInfo = await NetInfo.fetch();
-    const isConnected = netInfo.isConnected && netInfo.isInternetReachable;
-    
-    if (!isConnected) {
-      // Fallback to basic detection when offline
-      return basicLanguageDetection(text);
+    // Only ask the provider when translations go online
+    const networkMode = await getEffectiveNetworkMode();
+    if (networkMode.mode !== NETWORK_MODES.ONLINE) {
+      return localDetection;
     }
     
-    // This would call a language detection API in a real app
-    await new Promise(resolve => setTimeout(resolve, 500));
+    // Ask the active provider first and fall back to local detection
+    const settings = await getSettings();
+    const provider = getTranslationProvider(settings, await getApiKey());
+    const candidates = await provider.detect(text, { signal });
+    if (candidates.length > 0) {
+      const ranked = [...candidates].sort((a, b) => b.confidence - a.confidence);
+      return { language: ranked[0].language, confidence: ranked[0].confidence, candidates: ranked };
+    }
     
-    return basicLanguageDetection(text);
+    return localDetection;
   } catch (error) {
-    console.error('Language detection error:', error);
-    return 'en'; // Default to English on failure
-  }
-};
-
-// Basic language detection helper
-const basicLanguageDetection = (text) => {
-  // Simple language detection mock
-  const languageIndicators = {
-    'en': ['the', 'and', 'is', 'are', 'to', 'in', 'it', 'you', 'that', 'was'],
-    'es': ['el', 'la', 'los', 'las', 'y', 'es', 'son', 'en', 'que', 'por'],
-    'fr': ['le', 'la', 'les', 'et', 'est', 'sont', 'en', 'que', 'qui', 'dans'],
-    'de': ['der', 'die', 'das', 'und', 'ist', 'sind', 'in', 'zu', 'für', 'auf'],
-    'it': ['il', 'la', 'e', 'che', 'di', 'in', 'un', 'una', 'sono', 'per'],
-    'pt': ['o', 'a', 'os', 'as', 'e', 'que', 'em', 'de', 'para', 'com'],
-    'ru': ['и', 'в', 'не', 'на', 'я', 'быть', 'он', 'с', 'что', 'а'],
-  };
-  
-  // Convert text to lowercase and split into words
-  const words = text.toLowerCase().match(/\w+/g) || [];
-  
-  // Count language indicators
-  const counts = {};
-  for (const lang in languageIndicators) {
-    counts[lang] = words.filter(word => 
-      languageIndicators[lang].includes(word)
-    ).length;
-  }
-  
-  // Find the language with the most indicators
-  let detectedLang = 'en';
-  let maxCount = 0;
-  
-  for (const lang in counts) {
-    if (counts[lang] > maxCount) {
-      maxCount = counts[lang];
-      detectedLang = lang;
+    if (!isAbortError(error)) {
+      logger.error(`Language detection error: ${error.message}`, 'TranslationService', error);
     }
+    return localDetection;
   }
-  
-  return detectedLang;
 };
 
 // Get supported languages
@@ -230,19 +488,7 @@ export const getSupportedLanguages = async () => {
   // Now we also include downloadable status
   const offlineMode = await isOfflineModeEnabled();
   
-  const languages = [
-    { code: 'en', name: 'English' },
-    { code: 'es', name: 'Spanish' },
-    { code: 'fr', name: 'French' },
-    { code: 'de', name: 'German' },
-    { code: 'it', name: 'Italian' },
-    { code: 'pt', name: 'Portuguese' },
-    { code: 'ru', name: 'Russian' },
-    { code: 'ja', name: 'Japanese' },
-    { code: 'zh', name: 'Chinese' },
-    { code: 'ko', name: 'Korean' },
-    { code: 'ar', name: 'Arabic' },
-  ];
+  const languages = SUPPORTED_LANGUAGES.map(lang => ({ ...lang }));
   
   // Add downloaded status if offline mode is enabled
   if (offlineMode) {
@@ -316,12 +562,8 @@ export const getContextPhrases = (contextId, sourceLang = 'en') => {
   return contextMap[contextId] || [];
 };
 
-// Define getLanguageName function
-const getLanguageName = (code) => {
-  const languageMap = {
-    en: 'English',
-    es: 'Spanish',
-    // Add other language codes and names as needed
-  };
-  return languageMap[code] || 'Unknown';
+// Get the display name for a language code
+export const getLanguageName = (code) => {
+  const language = SUPPORTED_LANGUAGES.find(lang => lang.code === code);
+  return language ? language.name : code.toUpperCase();
 };
\ No newline at end of file
@@ -0,0 +1,61 @@
+import { retryWithBackoff, createAbortError } from '../asyncUtils';
+
+// Fails the first `failures` calls, then resolves with the attempt number
+const createFlakyFunction = (failures, error = new Error('Network Error')) => jest.fn(async (attempt) => {
+  if (attempt < failures) throw error;
+  return `ok after ${attempt}`;
+});
+
+describe('retryWithBackoff', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('resolves with the first successful attempt', async () => {
+    const fn = createFlakyFunction(2);
+    await expect(retryWithBackoff(fn, { retries: 2, baseDelayMs: 1 })).resolves.toBe('ok after 2');
+    expect(fn).toHaveBeenCalledTimes(3);
+  });
+
+  it('throws the last error once the retries are used up', async () => {
+    const fn = createFlakyFunction(5);
+    await expect(retryWithBackoff(fn, { retries: 2, baseDelayMs: 1 })).rejects.toThrow('Network Error');
+    expect(fn).toHaveBeenCalledTimes(3);
+  });
+
+  it('stops when shouldRetry says no', async () => {
+    const fn = createFlakyFunction(5);
+    const shouldRetry = jest.fn(() => false);
+    await expect(retryWithBackoff(fn, { retries: 3, baseDelayMs: 1, shouldRetry })).rejects.toThrow('Network Error');
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(shouldRetry).toHaveBeenCalledWith(expect.any(Error), 0);
+  });
+
+  it('never retries an abort', async () => {
+    const fn = createFlakyFunction(5, createAbortError());
+    await expect(retryWithBackoff(fn, { retries: 3, baseDelayMs: 1 })).rejects.toThrow('The operation was aborted');
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not start when the signal is already aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const fn = createFlakyFunction(0);
+    await expect(retryWithBackoff(fn, { signal: controller.signal })).rejects.toThrow('The operation was aborted');
+    expect(fn).not.toHaveBeenCalled();
+  });
+
+  it('waits at least half the backoff, doubling it on each retry', async () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    const onRetry = jest.fn();
+    await retryWithBackoff(createFlakyFunction(3), { retries: 3, baseDelayMs: 4, onRetry });
+    expect(onRetry.mock.calls.map(([, attempt, delayMs]) => [attempt, delayMs])).toEqual([[1, 2], [2, 4], [3, 8]]);
+  });
+
+  it('waits at most the full backoff, capped by maxDelayMs', async () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.999999);
+    const onRetry = jest.fn();
+    await retryWithBackoff(createFlakyFunction(3), { retries: 3, baseDelayMs: 4, maxDelayMs: 10, onRetry });
+    expect(onRetry.mock.calls.map(([, , delayMs]) => delayMs)).toEqual([4, 8, 10]);
+  });
+});
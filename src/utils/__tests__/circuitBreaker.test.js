@@ -0,0 +1,101 @@
+import { createCircuitBreaker, CIRCUIT_STATES } from '../circuitBreaker';
+
+// Breaker on a clock the tests move by hand
+const createTestBreaker = (options = {}) => {
+  const clock = { time: 0 };
+  const breaker = createCircuitBreaker({ threshold: 2, cooldownMs: 1000, now: () => clock.time, ...options });
+  return { breaker, clock };
+};
+
+// Open the circuit and wait out the cool-down
+const toHalfOpen = ({ breaker, clock }) => {
+  breaker.recordFailure();
+  breaker.recordFailure();
+  clock.time += 1000;
+};
+
+describe('createCircuitBreaker', () => {
+  it('stays closed until the failure threshold is reached', () => {
+    const { breaker } = createTestBreaker();
+    breaker.recordFailure();
+    expect(breaker.getState()).toBe(CIRCUIT_STATES.CLOSED);
+    expect(breaker.canRequest()).toBe(true);
+
+    breaker.recordFailure();
+    expect(breaker.getState()).toBe(CIRCUIT_STATES.OPEN);
+    expect(breaker.canRequest()).toBe(false);
+  });
+
+  it('counts consecutive failures only', () => {
+    const { breaker } = createTestBreaker();
+    breaker.recordFailure();
+    breaker.recordSuccess();
+    breaker.recordFailure();
+    expect(breaker.getState()).toBe(CIRCUIT_STATES.CLOSED);
+  });
+
+  it('reports the cool-down left while open', () => {
+    const { breaker, clock } = createTestBreaker();
+    breaker.recordFailure();
+    breaker.recordFailure();
+    clock.time += 400;
+    expect(breaker.getRemainingCooldown()).toBe(600);
+  });
+
+  it('goes half-open once the cool-down has passed', () => {
+    const test = createTestBreaker();
+    toHalfOpen(test);
+    expect(test.breaker.getState()).toBe(CIRCUIT_STATES.HALF_OPEN);
+    expect(test.breaker.getRemainingCooldown()).toBe(0);
+  });
+
+  it('lets a single trial request through while half-open', () => {
+    const test = createTestBreaker();
+    toHalfOpen(test);
+    expect(test.breaker.canRequest()).toBe(true);
+    expect(test.breaker.canRequest()).toBe(false);
+    expect(test.breaker.canRequest()).toBe(false);
+  });
+
+  it('closes when the trial succeeds', () => {
+    const test = createTestBreaker();
+    toHalfOpen(test);
+    test.breaker.canRequest();
+    test.breaker.recordSuccess();
+    expect(test.breaker.getState()).toBe(CIRCUIT_STATES.CLOSED);
+    expect(test.breaker.canRequest()).toBe(true);
+    expect(test.breaker.canRequest()).toBe(true);
+  });
+
+  it('re-opens when the trial fails', () => {
+    const test = createTestBreaker();
+    toHalfOpen(test);
+    test.breaker.canRequest();
+    test.breaker.recordFailure();
+    expect(test.breaker.getState()).toBe(CIRCUIT_STATES.OPEN);
+    expect(test.breaker.canRequest()).toBe(false);
+
+    test.clock.time += 1000;
+    expect(test.breaker.canRequest()).toBe(true);
+  });
+
+  it('gives up on a trial that never reports back after another cool-down', () => {
+    const test = createTestBreaker();
+    toHalfOpen(test);
+    test.breaker.canRequest();
+    test.clock.time += 999;
+    expect(test.breaker.canRequest()).toBe(false);
+    test.clock.time += 1;
+    expect(test.breaker.canRequest()).toBe(true);
+  });
+
+  it('closes and forgets failures on reset', () => {
+    const test = createTestBreaker();
+    toHalfOpen(test);
+    test.breaker.canRequest();
+    test.breaker.reset();
+    expect(test.breaker.getState()).toBe(CIRCUIT_STATES.CLOSED);
+    test.breaker.recordFailure();
+    expect(test.breaker.getState()).toBe(CIRCUIT_STATES.CLOSED);
+  });
+});
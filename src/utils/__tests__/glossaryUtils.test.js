@@ -0,0 +1,110 @@
+import {
+  protectGlossaryTerms,
+  restoreGlossaryTerms,
+  splitByGlossaryTerms,
+  isGlossaryPlaceholder,
+} from '../glossaryUtils';
+
+describe('protectGlossaryTerms', () => {
+  it('swaps terms for placeholder tokens', () => {
+    const entry = { term: 'Acme Cloud', translation: 'Acme Cloud' };
+    const { text, placeholders } = protectGlossaryTerms('Sign in to Acme Cloud now', [entry]);
+    expect(text).toBe('Sign in to __G0__ now');
+    expect(placeholders).toEqual([{ token: '__G0__', entry, original: 'Acme Cloud' }]);
+    expect(isGlossaryPlaceholder(placeholders[0].token)).toBe(true);
+  });
+
+  it('ignores case unless the entry is case sensitive', () => {
+    expect(protectGlossaryTerms('the ACME portal', [{ term: 'acme' }]).text).toBe('the __G0__ portal');
+    expect(protectGlossaryTerms('the ACME portal', [{ term: 'acme', caseSensitive: true }]).text).toBe('the ACME portal');
+  });
+
+  it('only matches whole words', () => {
+    expect(protectGlossaryTerms('cart, art and smart', [{ term: 'art' }]).text).toBe('cart, __G0__ and smart');
+  });
+
+  it('matches words with accents and Cyrillic letters as whole words', () => {
+    expect(protectGlossaryTerms('café cafés', [{ term: 'café' }]).text).toBe('__G0__ cafés');
+    expect(protectGlossaryTerms('Москва Москвы', [{ term: 'Москва' }]).text).toBe('__G0__ Москвы');
+  });
+
+  it('replaces the right text after characters that change length when lowercased', () => {
+    const { text, placeholders } = protectGlossaryTerms('İzmir Acme and Acme', [{ term: 'acme' }]);
+    expect(text).toBe('İzmir __G0__ and __G1__');
+    expect(placeholders.map(p => p.original)).toEqual(['Acme', 'Acme']);
+  });
+
+  it('matches terms with regular expression characters literally', () => {
+    expect(protectGlossaryTerms('Use C++ or C', [{ term: 'C++' }]).text).toBe('Use __G0__ or C');
+    expect(protectGlossaryTerms('a.b and axb', [{ term: 'a.b' }]).text).toBe('__G0__ and axb');
+  });
+
+  it('prefers longer terms over shorter ones they contain', () => {
+    const { text, placeholders } = protectGlossaryTerms('New York and York', [{ term: 'York' }, { term: 'New York' }]);
+    expect(text).toBe('__G0__ and __G1__');
+    expect(placeholders.map(p => p.original)).toEqual(['New York', 'York']);
+  });
+
+  it('replaces every occurrence and keeps each original spelling', () => {
+    const { placeholders } = protectGlossaryTerms('Widget or widget', [{ term: 'widget' }]);
+    expect(placeholders.map(p => p.original)).toEqual(['Widget', 'widget']);
+  });
+
+  it('leaves the text alone without entries or text', () => {
+    expect(protectGlossaryTerms('hello', [])).toEqual({ text: 'hello', placeholders: [] });
+    expect(protectGlossaryTerms('', [{ term: 'a' }])).toEqual({ text: '', placeholders: [] });
+    expect(protectGlossaryTerms('hello', [{ term: '  ' }]).text).toBe('hello');
+  });
+});
+
+describe('restoreGlossaryTerms', () => {
+  const protect = (text, entries) => protectGlossaryTerms(text, entries).placeholders;
+
+  it('swaps tokens back for the fixed translation', () => {
+    const placeholders = protect('Open the Dashboard', [{ term: 'Dashboard', translation: 'Panel' }]);
+    expect(restoreGlossaryTerms('Abre el __G0__', placeholders)).toEqual({
+      text: 'Abre el Panel',
+      appliedTerms: [{ term: 'Dashboard', rendering: 'Panel' }],
+    });
+  });
+
+  it('keeps the original spelling for terms without a translation', () => {
+    const placeholders = protect('Use ACME daily', [{ term: 'acme' }]);
+    expect(restoreGlossaryTerms('Usa __G0__ a diario', placeholders).text).toBe('Usa ACME a diario');
+  });
+
+  it('finds tokens a translator spaced out or changed the case of', () => {
+    const placeholders = protect('Dashboard and Panel', [{ term: 'Dashboard', translation: 'X' }, { term: 'Panel', translation: 'Y' }]);
+    expect(restoreGlossaryTerms('_ g0 _ y __g 1__', placeholders).text).toBe('X y Y');
+  });
+
+  it('lists each applied term once', () => {
+    const placeholders = protect('Dashboard, Dashboard', [{ term: 'Dashboard', translation: 'Panel' }]);
+    expect(restoreGlossaryTerms('__G0__, __G1__', placeholders).appliedTerms).toHaveLength(1);
+  });
+
+  it('leaves unknown tokens in place', () => {
+    expect(restoreGlossaryTerms('__G5__', protect('Dashboard', [{ term: 'Dashboard' }])).text).toBe('__G5__');
+  });
+});
+
+describe('splitByGlossaryTerms', () => {
+  it('marks the applied renderings', () => {
+    expect(splitByGlossaryTerms('Abre el Panel ahora', [{ rendering: 'Panel' }])).toEqual([
+      { text: 'Abre el ', isGlossaryTerm: false },
+      { text: 'Panel', isGlossaryTerm: true },
+      { text: ' ahora', isGlossaryTerm: false },
+    ]);
+  });
+
+  it('prefers the longest rendering at the same position', () => {
+    expect(splitByGlossaryTerms('Nueva York', [{ rendering: 'Nueva' }, { rendering: 'Nueva York' }])).toEqual([
+      { text: 'Nueva York', isGlossaryTerm: true },
+    ]);
+  });
+
+  it('returns the whole text as one segment without terms', () => {
+    expect(splitByGlossaryTerms('hola', [])).toEqual([{ text: 'hola', isGlossaryTerm: false }]);
+    expect(splitByGlossaryTerms(null, [{ rendering: 'x' }])).toEqual([{ text: '', isGlossaryTerm: false }]);
+  });
+});
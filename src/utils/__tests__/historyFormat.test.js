@@ -0,0 +1,150 @@
+import {
+  historyToCSV,
+  historyToJSON,
+  historyToAnkiTSV,
+  formatHistoryExport,
+  readHistoryExport,
+  HISTORY_EXPORT_FORMATS,
+} from '../historyFormat';
+
+const createEntry = (overrides = {}) => ({
+  id: 'mvf1-01ab',
+  timestamp: '2026-10-01T09:30:00.000Z',
+  sourceLanguage: 'en',
+  targetLanguage: 'es',
+  sourceText: 'Good morning',
+  translatedText: 'Buenos días',
+  context: null,
+  contextType: 'manual',
+  useCount: 1,
+  lastUsed: '2026-10-01T09:30:00.000Z',
+  ...overrides,
+});
+
+describe('historyToCSV', () => {
+  it('starts with a byte order mark and a header row', () => {
+    const [header] = historyToCSV([]).split('\r\n');
+    expect(header).toBe('\uFEFFid,timestamp,sourceLanguage,targetLanguage,sourceText,translatedText,context,contextType,useCount,lastUsed');
+  });
+
+  it('leaves plain fields unquoted and writes missing ones empty', () => {
+    const [, row] = historyToCSV([createEntry()]).split('\r\n');
+    expect(row).toBe('mvf1-01ab,2026-10-01T09:30:00.000Z,en,es,Good morning,Buenos días,,manual,1,2026-10-01T09:30:00.000Z');
+  });
+
+  it('quotes fields with commas, quotes and line breaks and doubles their quotes', () => {
+    const csv = historyToCSV([createEntry({ sourceText: 'Say "hi",\nplease', translatedText: 'Di hola\r\nporfa' })]);
+    expect(csv).toContain(',"Say ""hi"",\nplease","Di hola\r\nporfa",');
+  });
+
+  it('ends every row with CRLF', () => {
+    expect(historyToCSV([createEntry(), createEntry()]).endsWith('\r\n')).toBe(true);
+    expect(historyToCSV([createEntry(), createEntry()]).split('\r\n')).toHaveLength(4);
+  });
+});
+
+describe('historyToAnkiTSV', () => {
+  it('writes the header lines Anki reads the layout from', () => {
+    expect(historyToAnkiTSV([]).split('\n').slice(0, 3)).toEqual(['#separator:tab', '#html:false', '#tags column:3']);
+  });
+
+  it('writes front, back and tags per card', () => {
+    const [, , , card] = historyToAnkiTSV([createEntry({ context: 'hotel room' })]).split('\n');
+    expect(card).toBe('Good morning\tBuenos días\ten-es hotel_room');
+  });
+
+  it('turns tabs and line breaks inside a field into spaces', () => {
+    const [, , , card] = historyToAnkiTSV([createEntry({ sourceText: 'one\ttwo\r\nthree' })]).split('\n');
+    expect(card.split('\t')).toEqual(['one two three', 'Buenos días', 'en-es']);
+  });
+
+  it('quotes fields with quotes as in CSV', () => {
+    const [, , , card] = historyToAnkiTSV([createEntry({ sourceText: 'Say "hi"' })]).split('\n');
+    expect(card.split('\t')[0]).toBe('"Say ""hi"""');
+  });
+
+  it('skips entries without a translation', () => {
+    expect(historyToAnkiTSV([createEntry({ translatedText: '  ' })]).split('\n')).toHaveLength(4);
+  });
+});
+
+describe('formatHistoryExport', () => {
+  it('writes each export format', () => {
+    const entries = [createEntry()];
+    expect(formatHistoryExport(entries, HISTORY_EXPORT_FORMATS.CSV.id)).toBe(historyToCSV(entries));
+    expect(formatHistoryExport(entries, HISTORY_EXPORT_FORMATS.ANKI.id)).toBe(historyToAnkiTSV(entries));
+    expect(JSON.parse(formatHistoryExport(entries, HISTORY_EXPORT_FORMATS.JSON.id)).entries).toEqual(entries);
+  });
+
+  it('throws for an unknown format', () => {
+    expect(() => formatHistoryExport([], 'xml')).toThrow('Unknown history export format: xml');
+  });
+});
+
+describe('readHistoryExport', () => {
+  const toExport = (entries, overrides = {}) => JSON.stringify({ ...JSON.parse(historyToJSON(entries)), ...overrides });
+
+  it('reads back what historyToJSON wrote', () => {
+    const entries = [createEntry(), createEntry({ id: 'mvf1-02cd', sourceText: 'Thanks', translatedText: 'Gracias' })];
+    expect(readHistoryExport(historyToJSON(entries))).toEqual({ entries, invalid: 0 });
+  });
+
+  it('ignores a byte order mark', () => {
+    expect(readHistoryExport(`\uFEFF${historyToJSON([createEntry()])}`).entries).toHaveLength(1);
+  });
+
+  it('skips and counts entries the store cannot use', () => {
+    const { entries, invalid } = readHistoryExport(toExport([
+      createEntry(),
+      createEntry({ sourceText: '' }),
+      createEntry({ targetLanguage: undefined }),
+      createEntry({ timestamp: 'yesterday' }),
+      null,
+      'entry',
+    ]));
+    expect(entries).toHaveLength(1);
+    expect(invalid).toBe(5);
+  });
+
+  it('drops ids that are not strings so new ones are given', () => {
+    const { entries } = readHistoryExport(toExport([createEntry({ id: 5 }), createEntry({ id: ' ' })]));
+    expect(entries.map(entry => entry.id)).toEqual([undefined, undefined]);
+  });
+
+  it('normalises timestamps to ISO strings', () => {
+    const { entries } = readHistoryExport(toExport([createEntry({ timestamp: '2026-10-01T11:30:00+02:00' })]));
+    expect(entries[0].timestamp).toBe('2026-10-01T09:30:00.000Z');
+  });
+
+  it('normalises last use to an ISO string, falling back to the timestamp', () => {
+    const { entries } = readHistoryExport(toExport([
+      createEntry({ lastUsed: '2026-10-02T11:30:00+02:00' }),
+      createEntry({ lastUsed: 1759311000000 }),
+      createEntry({ lastUsed: 'last week' }),
+      createEntry({ lastUsed: undefined }),
+    ]));
+    expect(entries.map(entry => entry.lastUsed)).toEqual([
+      '2026-10-02T09:30:00.000Z',
+      '2026-10-01T09:30:00.000Z',
+      '2026-10-01T09:30:00.000Z',
+      '2026-10-01T09:30:00.000Z',
+    ]);
+  });
+
+  it('turns use counts into positive whole numbers, defaulting to 1', () => {
+    const { entries } = readHistoryExport(toExport(
+      [3, '4', 0, -2, 1.5, 'many', null, undefined].map(useCount => createEntry({ useCount }))
+    ));
+    expect(entries.map(entry => entry.useCount)).toEqual([3, 4, 1, 1, 1, 1, 1, 1]);
+  });
+
+  it('rejects files that are not history exports', () => {
+    expect(() => readHistoryExport('not json')).toThrow('File is not a translation history export');
+    expect(() => readHistoryExport('{"type":"translator-history"}')).toThrow('File is not a translation history export');
+    expect(() => readHistoryExport('{"type":"other","version":1,"entries":[]}')).toThrow('File is not a translation history export');
+  });
+
+  it('rejects exports from a newer version', () => {
+    expect(() => readHistoryExport(toExport([], { version: 2 }))).toThrow('History export requires a newer version of the app');
+  });
+});
@@ -0,0 +1,198 @@
+import {
+  validatePackManifest,
+  validatePackPatch,
+  applyPackPatch,
+  createPackArchive,
+  readPackArchive,
+  isValidPackCode,
+  getPairCode,
+  PACK_KINDS,
+} from '../languagePackFormat';
+
+const createManifest = (overrides = {}) => ({
+  formatVersion: 1,
+  code: 'es',
+  name: 'Spanish',
+  quality: 'standard',
+  version: 3,
+  alignedLanguages: ['*'],
+  sections: ['phrases', 'dictionary', 'features'],
+  content: {
+    file: 'content.json',
+    size: 1024,
+    checksum: { algorithm: 'md5', value: '0123456789abcdef0123456789abcdef' },
+  },
+  ...overrides,
+});
+
+const createPairManifest = (overrides = {}) => createManifest({
+  kind: PACK_KINDS.PAIR,
+  code: 'en-ja',
+  languages: ['ja', 'en'],
+  alignedLanguages: undefined,
+  sections: ['entries', 'lexicon', 'features'],
+  ...overrides,
+});
+
+describe('isValidPackCode', () => {
+  it('accepts language and pair codes', () => {
+    ['en', 'fil', 'pt-BR', 'zh-Hant', 'en-ja', getPairCode('ja', 'en')].forEach(code => {
+      expect(isValidPackCode(code)).toBe(true);
+    });
+  });
+
+  it('rejects anything that could leave the packs directory', () => {
+    ['..', '.', '', 'en/..', '../en', 'en/../../', 'EN', 'e', 'en-', 'en ja', 'en\\ja', null, undefined, 42, {}].forEach(code => {
+      expect(isValidPackCode(code)).toBe(false);
+    });
+  });
+});
+
+describe('validatePackManifest', () => {
+  it('accepts a valid language pack manifest', () => {
+    expect(validatePackManifest(createManifest())).toEqual([]);
+  });
+
+  it('accepts a valid pair pack manifest', () => {
+    expect(validatePackManifest(createPairManifest())).toEqual([]);
+  });
+
+  it.each(['..', '../..', 'es/../../..', '.staging', 'ES'])('rejects the code %p', code => {
+    const problems = validatePackManifest(createManifest({ code }));
+    expect(problems).toContain(`language code ${JSON.stringify(code)} is invalid`);
+  });
+
+  it('reports a missing code', () => {
+    expect(validatePackManifest(createManifest({ code: '' }))).toContain('missing language code');
+  });
+
+  it('checks the code and quality that were requested', () => {
+    expect(validatePackManifest(createManifest(), { code: 'fr', quality: 'premium' })).toEqual([
+      'pack is for "es" instead of "fr"',
+      'pack quality is "standard" instead of "premium"',
+    ]);
+  });
+
+  it('rejects pair packs whose languages are not language codes', () => {
+    const problems = validatePackManifest(createPairManifest({ code: 'en-xx', languages: ['en', '../xx'] }));
+    expect(problems).toContain('pair packs must list two different languages');
+  });
+
+  it('rejects pair packs whose code does not match their languages', () => {
+    const problems = validatePackManifest(createPairManifest({ code: 'ja-en' }));
+    expect(problems).toContain('pair pack code should be "en-ja"');
+  });
+
+  it('rejects newer format versions', () => {
+    expect(validatePackManifest(createManifest({ formatVersion: 2 }))).toContain(
+      'format version 2 requires a newer version of the app'
+    );
+  });
+
+  it('rejects content file names with path separators', () => {
+    ['../content.json', 'a/b.json', 'a\\b.json', '..'].forEach(file => {
+      const problems = validatePackManifest(createManifest({ content: { ...createManifest().content, file } }));
+      expect(problems).toContain('content file name is invalid');
+    });
+  });
+
+  it('rejects unsupported and malformed checksums', () => {
+    const withChecksum = (checksum) => createManifest({ content: { ...createManifest().content, checksum } });
+    expect(validatePackManifest(withChecksum({ algorithm: 'sha1', value: 'abc' }))).toContain(
+      'content checksum algorithm is not supported'
+    );
+    expect(validatePackManifest(withChecksum({ algorithm: 'md5', value: 'not-a-checksum' }))).toContain(
+      'content checksum is malformed'
+    );
+  });
+
+  it('reports every missing section', () => {
+    expect(validatePackManifest(createManifest({ sections: ['phrases'] }))).toContain(
+      'missing sections: dictionary, features'
+    );
+  });
+
+  it('rejects manifests that are not objects', () => {
+    [null, [], 'manifest', 7].forEach(manifest => {
+      expect(validatePackManifest(manifest)).toEqual(['manifest is not an object']);
+    });
+  });
+});
+
+describe('pack archives', () => {
+  it('reads back what createPackArchive wrote, keeping the content text exactly', () => {
+    const manifest = createManifest();
+    const contentText = '{"code":"es",  "version":3}\n';
+    expect(readPackArchive(createPackArchive(manifest, contentText))).toEqual({ manifest, contentText });
+  });
+
+  it('rejects files that are not pack archives', () => {
+    expect(() => readPackArchive('not json')).toThrow('File is not a language pack archive');
+    expect(() => readPackArchive('{"type":"something-else"}')).toThrow('File is not a language pack archive');
+  });
+
+  it('rejects archives from a newer format', () => {
+    const archive = JSON.stringify({ type: 'language-pack-archive', formatVersion: 2, manifest: {}, content: '' });
+    expect(() => readPackArchive(archive)).toThrow('requires a newer version of the app');
+  });
+
+  it('rejects incomplete archives', () => {
+    const archive = JSON.stringify({ type: 'language-pack-archive', formatVersion: 1, manifest: createManifest() });
+    expect(() => readPackArchive(archive)).toThrow('Language pack archive is incomplete');
+  });
+
+  it('leaves the manifest to be validated like a download', () => {
+    const archive = createPackArchive(createManifest({ code: '..' }), '{}');
+    const { manifest } = readPackArchive(archive);
+    expect(validatePackManifest(manifest)).toContain('language code ".." is invalid');
+  });
+});
+
+describe('delta patches', () => {
+  const expected = { code: 'es', quality: 'standard', fromVersion: 2, toVersion: 3 };
+  const createPatch = (overrides = {}) => ({
+    formatVersion: 1,
+    code: 'es',
+    quality: 'standard',
+    fromVersion: 2,
+    toVersion: 3,
+    baseChecksum: 'fedcba9876543210fedcba9876543210',
+    sections: {
+      phrases: { order: ['b', 'a', 'c'], upsert: [{ id: 'a', text: 'hola' }, { id: 'c', text: 'adiós' }] },
+      features: { replace: { offline: true } },
+    },
+    ...overrides,
+  });
+
+  it('accepts a patch for the installed version', () => {
+    expect(validatePackPatch(createPatch(), expected)).toEqual([]);
+  });
+
+  it('rejects a patch for another pack or version', () => {
+    expect(validatePackPatch(createPatch({ code: 'fr' }), expected)).toContain(
+      'patch is for fr/standard instead of es/standard'
+    );
+    expect(validatePackPatch(createPatch({ fromVersion: 1 }), expected)).toContain(
+      'patch goes from version 1 to 3 instead of 2 to 3'
+    );
+  });
+
+  it('applies upserts in the new order and keeps unchanged entries', () => {
+    const content = {
+      code: 'es',
+      version: 2,
+      phrases: [{ id: 'a', text: 'hola?' }, { id: 'b', text: 'gracias' }],
+      dictionary: [],
+      features: {},
+    };
+    const patched = applyPackPatch(content, createPatch());
+    expect(patched.version).toBe(3);
+    expect(patched.phrases).toEqual([{ id: 'b', text: 'gracias' }, { id: 'a', text: 'hola' }, { id: 'c', text: 'adiós' }]);
+    expect(patched.features).toEqual({ offline: true });
+  });
+
+  it('throws when the order refers to an entry neither side has', () => {
+    const patch = createPatch({ sections: { phrases: { order: ['missing'], upsert: [] } } });
+    expect(() => applyPackPatch({ phrases: [] }, patch)).toThrow('Patch refers to unknown phrases entry "missing"');
+  });
+});
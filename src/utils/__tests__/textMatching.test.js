@@ -0,0 +1,141 @@
+import {
+  normalizeForMatching,
+  splitIntoWords,
+  isUnspacedScript,
+  levenshteinDistance,
+  scoreTextMatch,
+  foldForSearch,
+  getSearchTerms,
+  findSearchMatches,
+  splitBySearchMatches,
+} from '../textMatching';
+
+describe('normalizeForMatching', () => {
+  it('lowercases and drops punctuation, diacritics and extra spaces', () => {
+    expect(normalizeForMatching('  ¿Dónde   está el BAÑO?  ')).toBe('donde esta el bano');
+    expect(normalizeForMatching('«Ça va», merci!')).toBe('ca va merci');
+    expect(normalizeForMatching('你好。谢谢！')).toBe('你好 谢谢');
+  });
+
+  it('keeps diacritics when asked to', () => {
+    expect(normalizeForMatching('Café', { keepDiacritics: true })).toBe('café');
+  });
+
+  it('keeps glossary placeholders whole', () => {
+    expect(normalizeForMatching('Open __G0__!')).toBe('open __g0__');
+  });
+
+  it('returns an empty string for no text', () => {
+    expect(normalizeForMatching('')).toBe('');
+    expect(normalizeForMatching(null)).toBe('');
+  });
+});
+
+describe('splitIntoWords', () => {
+  it('keeps the original spelling of each word', () => {
+    expect(splitIntoWords('Hola, ¿qué tal?')).toEqual(['Hola', 'qué', 'tal']);
+    expect(splitIntoWords('')).toEqual([]);
+  });
+});
+
+describe('isUnspacedScript', () => {
+  it('detects Chinese and Japanese', () => {
+    expect(isUnspacedScript('ありがとう')).toBe(true);
+    expect(isUnspacedScript('谢谢')).toBe(true);
+    expect(isUnspacedScript('thank you')).toBe(false);
+  });
+});
+
+describe('levenshteinDistance', () => {
+  it('counts single-character edits', () => {
+    expect(levenshteinDistance('kitten', 'sitting')).toBe(3);
+    expect(levenshteinDistance('', 'abc')).toBe(3);
+    expect(levenshteinDistance('abc', '')).toBe(3);
+    expect(levenshteinDistance('same', 'same')).toBe(0);
+  });
+
+  it('counts code points rather than UTF-16 units', () => {
+    expect(levenshteinDistance('😀a', '😃a')).toBe(1);
+  });
+});
+
+describe('scoreTextMatch', () => {
+  it('scores texts that only differ in case, punctuation or accents as exact', () => {
+    expect(scoreTextMatch('hello!', 'Hello')).toBe(1);
+    expect(scoreTextMatch('donde esta el bano', '¿Dónde está el baño?')).toBe(1);
+  });
+
+  it('forgives small typos', () => {
+    expect(scoreTextMatch('thnak you', 'thank you')).toBeGreaterThanOrEqual(0.75);
+    expect(scoreTextMatch('thnak you', 'thank you')).toBeLessThan(1);
+  });
+
+  it('finds a phrase inside a longer text by its shared words', () => {
+    // 2 shared tokens of 2 + 4
+    expect(scoreTextMatch('thank you very much', 'Thank you')).toBeCloseTo(0.67);
+  });
+
+  it('compares Chinese and Japanese character by character', () => {
+    expect(scoreTextMatch('非常感谢', '感谢')).toBeCloseTo(0.67);
+  });
+
+  it('scores unrelated and empty texts low', () => {
+    expect(scoreTextMatch('good night', 'where is the station')).toBeLessThan(0.5);
+    expect(scoreTextMatch('', 'hello')).toBe(0);
+    expect(scoreTextMatch('?!', 'hello')).toBe(0);
+  });
+
+  it('rounds to two decimals', () => {
+    const score = scoreTextMatch('good morning', 'good evening');
+    expect(Math.round(score * 100) / 100).toBe(score);
+  });
+});
+
+describe('getSearchTerms', () => {
+  it('folds the query and drops duplicate terms', () => {
+    expect(getSearchTerms('  Café  cafe BAÑO ')).toEqual(['cafe', 'bano']);
+    expect(getSearchTerms('')).toEqual([]);
+  });
+});
+
+describe('foldForSearch', () => {
+  it('keeps punctuation and spacing', () => {
+    expect(foldForSearch('¿Qué  tal?')).toBe('¿que  tal?');
+  });
+});
+
+describe('findSearchMatches', () => {
+  it('finds terms regardless of case and diacritics', () => {
+    expect(findSearchMatches('Un Café, por favor', getSearchTerms('cafe'))).toEqual([[3, 7]]);
+  });
+
+  it('refers to the original text when folding changes its length', () => {
+    const text = 'İstanbul';
+    const [[start, end]] = findSearchMatches(text, getSearchTerms('istanbul'));
+    expect(text.slice(start, end)).toBe(text);
+  });
+
+  it('merges overlapping and adjacent matches', () => {
+    expect(findSearchMatches('banana', ['ana'])).toEqual([[1, 4]]);
+    expect(findSearchMatches('good morning', ['good', 'od mor'])).toEqual([[0, 8]]);
+  });
+
+  it('finds nothing without text or terms', () => {
+    expect(findSearchMatches('', ['a'])).toEqual([]);
+    expect(findSearchMatches('abc', [])).toEqual([]);
+  });
+});
+
+describe('splitBySearchMatches', () => {
+  it('marks the matched parts', () => {
+    expect(splitBySearchMatches('Un Café, por favor', [[3, 7]])).toEqual([
+      { text: 'Un ', isMatch: false },
+      { text: 'Café', isMatch: true },
+      { text: ', por favor', isMatch: false },
+    ]);
+  });
+
+  it('returns the whole text as one segment without matches', () => {
+    expect(splitBySearchMatches('hola')).toEqual([{ text: 'hola', isMatch: false }]);
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Run an async worker over a list with at most `limit` calls in flight
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent workers
+ * @param {Function} worker - Async function called with (item, index)
+ * @returns {Promise<Array>} - Worker results in the same order as the items
+ */
+export const mapWithConcurrency = async (items, limit, worker) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runNext = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex;
+      nextIndex += 1;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runNext));
+
+  return results;
+};
+
+/**
+ * Create the error thrown when an operation is aborted through an AbortSignal
+ * @returns {Error} - Error named 'AbortError'
+ */
+export const createAbortError = () => {
+  const error = new Error('The operation was aborted');
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * Check whether an error came from an aborted operation (including cancelled axios requests)
+ * @param {Error} error - Error to inspect
+ * @returns {boolean} - True if the error represents a cancellation
+ */
+export const isAbortError = (error) => {
+  return Boolean(error) && (error.name === 'AbortError' || error.name === 'CanceledError' || error.code === 'ERR_CANCELED');
+};
+
+/**
+ * Throw an AbortError if the signal has already been aborted
+ * @param {AbortSignal} [signal] - Optional abort signal
+ */
+export const throwIfAborted = (signal) => {
+  if (signal && signal.aborted) {
+    throw createAbortError();
+  }
+};
+
+/**
+ * Wait for a number of milliseconds, rejecting early if the signal is aborted
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Optional abort signal
+ * @returns {Promise<void>}
+ */
+export const delay = (ms, signal) => {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(createAbortError());
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    if (signal) signal.addEventListener('abort', onAbort);
+  });
+};
+
+/**
+ * Call an async function, retrying failures with exponential backoff and jitter
+ * Aborts are never retried.
+ * @param {Function} fn - Async function called with the attempt number (0-based)
+ * @param {Object} [options]
+ * @param {number} [options.retries=2] - Number of retries after the first attempt
+ * @param {number} [options.baseDelayMs=500] - Delay before the first retry; doubled on each retry
+ * @param {number} [options.maxDelayMs=8000] - Upper bound for a single delay
+ * @param {Function} [options.shouldRetry] - Called with (error, attempt); return false to stop retrying
+ * @param {Function} [options.onRetry] - Called with (error, attempt, delayMs) before each retry
+ * @param {AbortSignal} [options.signal] - Cancels pending retries
+ * @returns {Promise<*>} - Result of the first successful attempt
+ */
+export const retryWithBackoff = async (fn, options = {}) => {
+  const {
+    retries = 2,
+    baseDelayMs = 500,
+    maxDelayMs = 8000,
+    shouldRetry = () => true,
+    onRetry = null,
+    signal = null
+  } = options;
+
+  let attempt = 0;
+  while (true) {
+    throwIfAborted(signal);
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (isAbortError(error) || attempt >= retries || !shouldRetry(error, attempt)) {
+        throw error;
+      }
+
+      // Equal jitter: half the backoff is kept and the other half is random, so clients
+      // don't retry in lockstep but still wait at least half the backoff
+      const backoff = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt));
+      const delayMs = Math.round(backoff / 2 + Math.random() * (backoff / 2));
+      if (onRetry) onRetry(error, attempt + 1, delayMs);
+
+      await delay(delayMs, signal);
+      attempt += 1;
+    }
+  }
+};
+
+/**
+ * Create a queue that runs async tasks one at a time, in the order they were added
+ * Useful when several read-modify-write cycles on the same storage must not interleave.
+ * @returns {Function} - Call with an async task; resolves or rejects with the task's result
+ */
+export const createSerialQueue = () => {
+  let tail = Promise.resolve();
+
+  return (task) => {
+    const result = tail.then(() => task());
+    tail = result.catch(() => {});
+    return result;
+  };
+};
@@ -0,0 +1,87 @@
+/**
+ * Circuit breaker states
+ * - closed: requests flow normally
+ * - open: requests are rejected until the cool-down has passed
+ * - half-open: a single trial request is allowed; success closes the circuit, failure re-opens it
+ */
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open',
+};
+
+/**
+ * Create a circuit breaker that stops calling a failing dependency for a while
+ * @param {Object} [options]
+ * @param {number} [options.threshold=3] - Consecutive failures that open the circuit
+ * @param {number} [options.cooldownMs=60000] - How long the circuit stays open
+ * @param {Function} [options.now=Date.now] - Clock, injectable for testing
+ * @returns {Object} - Breaker with canRequest, recordSuccess, recordFailure, getState and reset
+ */
+export const createCircuitBreaker = ({ threshold = 3, cooldownMs = 60000, now = Date.now } = {}) => {
+  let state = CIRCUIT_STATES.CLOSED;
+  let failures = 0;
+  let openedAt = 0;
+  // When the half-open trial request started; null while no trial is in flight
+  let trialStartedAt = null;
+
+  const getState = () => {
+    if (state === CIRCUIT_STATES.OPEN && now() - openedAt >= cooldownMs) {
+      state = CIRCUIT_STATES.HALF_OPEN;
+    }
+    return state;
+  };
+
+  return {
+    getState,
+
+    /**
+     * Check whether a request may be attempted right now
+     * While half-open only the first caller gets through; the others are turned away until
+     * its outcome is recorded. A trial that never reports back (e.g. it was cancelled) is
+     * given up after another cool-down so the circuit can't stay stuck.
+     * @returns {boolean}
+     */
+    canRequest: () => {
+      const currentState = getState();
+      if (currentState === CIRCUIT_STATES.OPEN) {
+        return false;
+      }
+      if (currentState === CIRCUIT_STATES.HALF_OPEN) {
+        if (trialStartedAt !== null && now() - trialStartedAt < cooldownMs) {
+          return false;
+        }
+        trialStartedAt = now();
+      }
+      return true;
+    },
+
+    /**
+     * Milliseconds until an open circuit allows a trial request again
+     * @returns {number}
+     */
+    getRemainingCooldown: () => (getState() === CIRCUIT_STATES.OPEN ? cooldownMs - (now() - openedAt) : 0),
+
+    recordSuccess: () => {
+      state = CIRCUIT_STATES.CLOSED;
+      failures = 0;
+      trialStartedAt = null;
+    },
+
+    recordFailure: () => {
+      failures += 1;
+      trialStartedAt = null;
+      if (getState() === CIRCUIT_STATES.HALF_OPEN || failures >= threshold) {
+        state = CIRCUIT_STATES.OPEN;
+        openedAt = now();
+      }
+    },
+
+    reset: () => {
+      state = CIRCUIT_STATES.CLOSED;
+      failures = 0;
+      openedAt = 0;
+      trialStartedAt = null;
+    },
+  };
+};
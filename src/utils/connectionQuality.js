@@ -0,0 +1,58 @@
+/**
+ * Track how recent network requests went, to tell slow or flaky connections apart
+ * from ones that merely report being connected
+ */
+
+/**
+ * Create a tracker for recent request outcomes
+ * @param {Object} [options]
+ * @param {number} [options.windowMs=300000] - Only requests this recent are counted
+ * @param {number} [options.maxSamples=20] - Most requests kept
+ * @param {Function} [options.now=Date.now] - Clock, injectable for testing
+ * @returns {Object} - Tracker with record, getSummary and reset
+ */
+export const createConnectionQualityTracker = ({ windowMs = 5 * 60 * 1000, maxSamples = 20, now = Date.now } = {}) => {
+  let samples = [];
+
+  const getRecentSamples = () => samples.filter(sample => now() - sample.at <= windowMs);
+
+  return {
+    /**
+     * Record the outcome of a request
+     * @param {number} latencyMs - How long the request took, including retries
+     * @param {boolean} [ok=true] - Whether it succeeded
+     */
+    record: (latencyMs, ok = true) => {
+      samples = [...getRecentSamples(), { at: now(), latencyMs, ok }].slice(-maxSamples);
+    },
+
+    /**
+     * Summarize the recent requests
+     * @returns {{ count: number, medianLatencyMs: number|null, failureRate: number }}
+     *   medianLatencyMs only counts successful requests and is null without any
+     */
+    getSummary: () => {
+      const recent = getRecentSamples();
+      const latencies = recent
+        .filter(sample => sample.ok)
+        .map(sample => sample.latencyMs)
+        .sort((a, b) => a - b);
+      const middle = Math.floor(latencies.length / 2);
+      const medianLatencyMs = latencies.length === 0
+        ? null
+        : latencies.length % 2 === 1
+          ? latencies[middle]
+          : Math.round((latencies[middle - 1] + latencies[middle]) / 2);
+
+      return {
+        count: recent.length,
+        medianLatencyMs,
+        failureRate: recent.length > 0 ? recent.filter(sample => !sample.ok).length / recent.length : 0
+      };
+    },
+
+    reset: () => {
+      samples = [];
+    },
+  };
+};
@@ -0,0 +1,180 @@
+/**
+ * Word-by-word gloss from language pack dictionaries
+ * Dictionary entries are aligned across packs by id, like phrases. Each entry
+ * has a lemma and an optional inflection table ({ plural: 'trains' },
+ * { '1sg': 'quiero', '3sg': 'quiere' }, ...). Source words are looked up by
+ * lemma or inflected form and rendered with the same form in the target.
+ */
+import { normalizeForMatching, splitIntoWords, isUnspacedScript } from './textMatching';
+import { isGlossaryPlaceholder } from './glossaryUtils';
+
+// Longest multi-word entry looked up (e.g. "how much", "s'il vous plaît")
+const MAX_PHRASE_WORDS = 4;
+// Longest run of characters tried when segmenting text written without spaces
+const MAX_UNSPACED_LENGTH = 6;
+
+/**
+ * Index a pack dictionary by every lemma and inflected form
+ * Exact spellings win over matches that only agree once accents are removed.
+ * @param {Array<Object>} dictionary - Dictionary section of a pack
+ * @returns {{ exact: Map, loose: Map }} Maps from normalized text to { entry, form }
+ */
+export const buildDictionaryIndex = (dictionary = []) => {
+  const exact = new Map();
+  const loose = new Map();
+
+  const add = (surface, entry, form) => {
+    const exactKey = normalizeForMatching(surface, { keepDiacritics: true });
+    const looseKey = normalizeForMatching(surface);
+    if (exactKey && !exact.has(exactKey)) exact.set(exactKey, { entry, form });
+    if (looseKey && !loose.has(looseKey)) loose.set(looseKey, { entry, form });
+  };
+
+  dictionary.forEach(entry => {
+    add(entry.lemma, entry, null);
+    Object.keys(entry.forms || {}).forEach(form => add(entry.forms[form], entry, form));
+  });
+
+  return { exact, loose };
+};
+
+/**
+ * Find a word or phrase in a dictionary index
+ * @param {Object} index - Index from buildDictionaryIndex
+ * @param {string} text - Word or phrase as written
+ * @returns {{ entry: Object, form: string|null }|null}
+ */
+const lookupWord = (index, text) => {
+  return index.exact.get(normalizeForMatching(text, { keepDiacritics: true })) ||
+    index.loose.get(normalizeForMatching(text)) ||
+    null;
+};
+
+/**
+ * Split a run of unspaced text (Chinese, Japanese) into dictionary words by longest match
+ * Characters no entry covers are grouped into unknown segments.
+ * @param {string} word - Text without spaces
+ * @param {Object} index - Source dictionary index
+ * @returns {Array<{ source: string, match: Object|null }>}
+ */
+const segmentUnspaced = (word, index) => {
+  const chars = Array.from(word);
+  const segments = [];
+  let unknown = '';
+
+  let position = 0;
+  while (position < chars.length) {
+    let found = null;
+    for (let length = Math.min(MAX_UNSPACED_LENGTH, chars.length - position); length > 0; length--) {
+      const candidate = chars.slice(position, position + length).join('');
+      const match = lookupWord(index, candidate);
+      if (match) {
+        found = { source: candidate, match, length };
+        break;
+      }
+    }
+
+    if (found) {
+      if (unknown) {
+        segments.push({ source: unknown, match: null });
+        unknown = '';
+      }
+      segments.push({ source: found.source, match: found.match });
+      position += found.length;
+    } else {
+      unknown += chars[position];
+      position += 1;
+    }
+  }
+
+  if (unknown) {
+    segments.push({ source: unknown, match: null });
+  }
+  return segments;
+};
+
+/**
+ * Split source text into dictionary matches, longest phrase first
+ * @param {string} text - Source text
+ * @param {Object} index - Source dictionary index
+ * @returns {Array<{ source: string, match: Object|null }>}
+ */
+const segmentText = (text, index) => {
+  const words = splitIntoWords(text);
+  const segments = [];
+
+  let position = 0;
+  while (position < words.length) {
+    let found = null;
+    for (let length = Math.min(MAX_PHRASE_WORDS, words.length - position); length > 0; length--) {
+      const candidate = words.slice(position, position + length).join(' ');
+      const match = lookupWord(index, candidate);
+      if (match) {
+        found = { source: candidate, match, length };
+        break;
+      }
+    }
+
+    if (found) {
+      segments.push({ source: found.source, match: found.match });
+      position += found.length;
+    } else if (isUnspacedScript(words[position])) {
+      segments.push(...segmentUnspaced(words[position], index));
+      position += 1;
+    } else {
+      segments.push({ source: words[position], match: null });
+      position += 1;
+    }
+  }
+
+  return segments;
+};
+
+/**
+ * Gloss text word by word using two aligned pack dictionaries
+ * @param {string} text - Source text
+ * @param {Array<Object>} sourceDictionary - Dictionary section of the source pack
+ * @param {Array<Object>} targetDictionary - Dictionary section of the target pack
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.pivotDictionary] - Dictionary of the pivot pack, when the packs aren't aligned
+ * @param {boolean} [options.joinWithSpaces=true] - Separate target words with spaces
+ * @returns {{ text: string, tokens: Array<{ source: string, text: string, known: boolean, lemma: string|null, form: string|null }>, knownCount: number }}
+ *   Unknown words are kept in the source language and marked with brackets in the text
+ */
+export const glossText = (text, sourceDictionary, targetDictionary, options = {}) => {
+  const { pivotDictionary = null, joinWithSpaces = true } = options;
+  const index = buildDictionaryIndex(sourceDictionary);
+  const targetEntries = new Map(targetDictionary.map(entry => [entry.id, entry]));
+  const pivotIds = pivotDictionary ? new Set(pivotDictionary.map(entry => entry.id)) : null;
+
+  const tokens = segmentText(text, index).map(({ source, match }) => {
+    // Glossary placeholders are restored to their fixed rendering after translation
+    if (isGlossaryPlaceholder(source)) {
+      return { source, text: source, known: true, lemma: null, form: null };
+    }
+
+    const targetEntry = match && (!pivotIds || pivotIds.has(match.entry.id))
+      ? targetEntries.get(match.entry.id)
+      : null;
+
+    if (!targetEntry) {
+      return { source, text: source, known: false, lemma: null, form: null };
+    }
+
+    // Carry the inflection over when the target has the same form, otherwise use the lemma
+    const inflected = match.form && targetEntry.forms ? targetEntry.forms[match.form] : null;
+    return {
+      source,
+      text: inflected || targetEntry.lemma,
+      known: true,
+      lemma: targetEntry.lemma,
+      form: inflected ? match.form : null
+    };
+  });
+
+  return {
+    text: tokens.map(token => (token.known ? token.text : `[${token.text}]`)).join(joinWithSpaces ? ' ' : ''),
+    tokens,
+    knownCount: tokens.filter(token => token.known).length
+  };
+};
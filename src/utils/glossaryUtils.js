@@ -0,0 +1,163 @@
+/**
+ * Glossary term protection
+ * Glossary terms are swapped for placeholder tokens before text reaches a
+ * translator, so they can't be translated, and swapped back for their fixed
+ * rendering afterwards.
+ */
+
+// Characters that count as part of a word when checking term boundaries
+const WORD_CHAR = /[A-Za-z0-9\u00C0-\u024F\u0400-\u04FF]/;
+
+// Placeholder tokens look like __G0__; translators tend to leave them alone
+const createToken = (index) => `__G${index}__`;
+
+// Translators occasionally add spaces or change case inside tokens, so match loosely
+const TOKEN_PATTERN = /_{1,2}\s*g\s*(\d+)\s*_{1,2}/gi;
+
+// Escape a term so it matches literally inside a regular expression
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Check whether a word is a placeholder token created by protectGlossaryTerms
+ * @param {string} word - Word to check
+ * @returns {boolean}
+ */
+export const isGlossaryPlaceholder = (word) => /^__G\d+__$/.test(word);
+
+/**
+ * Check that a match isn't part of a longer word (only relevant for scripts with spaces)
+ * @param {string} text - Full text
+ * @param {number} start - Match start index
+ * @param {number} end - Match end index (exclusive)
+ * @returns {boolean}
+ */
+const isWholeWord = (text, start, end) => {
+  const before = start > 0 ? text[start - 1] : '';
+  const after = end < text.length ? text[end] : '';
+  const startsWithWordChar = WORD_CHAR.test(text[start]);
+  const endsWithWordChar = WORD_CHAR.test(text[end - 1]);
+  return !(startsWithWordChar && before && WORD_CHAR.test(before)) &&
+    !(endsWithWordChar && after && WORD_CHAR.test(after));
+};
+
+/**
+ * Get the text a glossary entry should appear as in the translation
+ * @param {Object} entry - Glossary entry
+ * @param {string} original - Term as it appeared in the source text
+ * @returns {string}
+ */
+const getRendering = (entry, original) => {
+  return entry.translation ? entry.translation : original;
+};
+
+/**
+ * Replace glossary terms in the text with placeholder tokens
+ * Longer terms win over shorter ones they contain.
+ * @param {string} text - Source text
+ * @param {Array<Object>} entries - Glossary entries ({ term, translation, caseSensitive })
+ * @returns {{ text: string, placeholders: Array<{ token: string, entry: Object, original: string }> }}
+ */
+export const protectGlossaryTerms = (text, entries = []) => {
+  const placeholders = [];
+  if (!text || entries.length === 0) {
+    return { text, placeholders };
+  }
+
+  const sortedEntries = [...entries]
+    .filter(entry => entry.term && entry.term.trim())
+    .sort((a, b) => b.term.length - a.term.length);
+
+  let protectedText = text;
+  sortedEntries.forEach(entry => {
+    // Match on the text itself: lowercasing it first can change its length (e.g. "İ")
+    // and shift every later match
+    const pattern = new RegExp(escapeRegExp(entry.term.trim()), entry.caseSensitive ? 'gu' : 'giu');
+
+    let result = '';
+    let cursor = 0;
+    let match = pattern.exec(protectedText);
+    while (match) {
+      const index = match.index;
+      const end = index + match[0].length;
+      if (isWholeWord(protectedText, index, end)) {
+        const token = createToken(placeholders.length);
+        placeholders.push({ token, entry, original: match[0] });
+        result += protectedText.slice(cursor, index) + token;
+        cursor = end;
+      }
+      match = pattern.exec(protectedText);
+    }
+
+    protectedText = result + protectedText.slice(cursor);
+  });
+
+  return { text: protectedText, placeholders };
+};
+
+/**
+ * Replace placeholder tokens in translated text with the fixed glossary renderings
+ * @param {string} text - Translated text containing tokens
+ * @param {Array<Object>} placeholders - Placeholders returned by protectGlossaryTerms
+ * @returns {{ text: string, appliedTerms: Array<{ term: string, rendering: string }> }}
+ */
+export const restoreGlossaryTerms = (text, placeholders = []) => {
+  if (!text || placeholders.length === 0) {
+    return { text, appliedTerms: [] };
+  }
+
+  const applied = new Map();
+  const restoredText = text.replace(TOKEN_PATTERN, (match, index) => {
+    const placeholder = placeholders[Number(index)];
+    if (!placeholder) return match;
+
+    const rendering = getRendering(placeholder.entry, placeholder.original);
+    applied.set(`${placeholder.entry.term}|${rendering}`, { term: placeholder.entry.term, rendering });
+    return rendering;
+  });
+
+  return { text: restoredText, appliedTerms: Array.from(applied.values()) };
+};
+
+/**
+ * Split text into segments, marking the parts that match applied glossary renderings
+ * Used to highlight glossary terms in the UI.
+ * @param {string} text - Translated text
+ * @param {Array<{ rendering: string }>} appliedTerms - Terms applied to the translation
+ * @returns {Array<{ text: string, isGlossaryTerm: boolean }>}
+ */
+export const splitByGlossaryTerms = (text, appliedTerms = []) => {
+  const renderings = appliedTerms
+    .map(term => term.rendering)
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length);
+
+  if (!text || renderings.length === 0) {
+    return [{ text: text || '', isGlossaryTerm: false }];
+  }
+
+  const segments = [];
+  let cursor = 0;
+  while (cursor < text.length) {
+    // Find the earliest rendering occurring from the cursor (longest wins on ties)
+    let best = null;
+    renderings.forEach(rendering => {
+      const index = text.indexOf(rendering, cursor);
+      if (index !== -1 && (!best || index < best.index)) {
+        best = { index, rendering };
+      }
+    });
+
+    if (!best) {
+      segments.push({ text: text.slice(cursor), isGlossaryTerm: false });
+      break;
+    }
+
+    if (best.index > cursor) {
+      segments.push({ text: text.slice(cursor, best.index), isGlossaryTerm: false });
+    }
+    segments.push({ text: best.rendering, isGlossaryTerm: true });
+    cursor = best.index + best.rendering.length;
+  }
+
+  return segments;
+};
@@ -0,0 +1,179 @@
+/**
+ * Translation history export formats
+ * History can be written as CSV (for spreadsheets), JSON (the app's own format,
+ * which can be imported again) or a tab-separated Anki deck with the original on
+ * the front of each card and the translation on the back.
+ */
+
+export const HISTORY_EXPORT_FORMATS = {
+  CSV: { id: 'csv', name: 'CSV', extension: '.csv', mimeType: 'text/csv' },
+  JSON: { id: 'json', name: 'JSON', extension: '.json', mimeType: 'application/json' },
+  ANKI: { id: 'anki', name: 'Anki deck', extension: '.txt', mimeType: 'text/plain' },
+};
+
+const HISTORY_EXPORT_TYPE = 'translator-history';
+const HISTORY_EXPORT_VERSION = 1;
+
+// Columns of the CSV export, in order
+const CSV_COLUMNS = [
+  'id',
+  'timestamp',
+  'sourceLanguage',
+  'targetLanguage',
+  'sourceText',
+  'translatedText',
+  'context',
+  'contextType',
+  'useCount',
+  'lastUsed',
+];
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+/**
+ * Quote a CSV field when it holds a separator, quote or line break
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+const toCSVField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write history entries as CSV with a header row
+ * Starts with a byte order mark so spreadsheet apps read it as UTF-8.
+ * @param {Array<Object>} entries - History entries
+ * @returns {string}
+ */
+export const historyToCSV = (entries) => {
+  const rows = [CSV_COLUMNS, ...entries.map(entry => CSV_COLUMNS.map(column => entry[column]))];
+  return `\uFEFF${rows.map(row => row.map(toCSVField).join(',')).join('\r\n')}\r\n`;
+};
+
+/**
+ * Write history entries as a JSON export that readHistoryExport can read back
+ * @param {Array<Object>} entries - History entries
+ * @returns {string}
+ */
+export const historyToJSON = (entries) => {
+  return JSON.stringify({
+    type: HISTORY_EXPORT_TYPE,
+    version: HISTORY_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    entries
+  }, null, 2);
+};
+
+// Anki's plain text import takes one note per line, so tabs and line breaks inside a field become
+// spaces; fields with quotes are quoted as in CSV so Anki doesn't take them for the field's own quotes
+const toAnkiField = (value) => {
+  const text = String(value || '').replace(/[\t\r\n]+/g, ' ').trim();
+  return text.includes('"') ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Anki tags can't contain spaces
+const toAnkiTag = (value) => String(value).trim().replace(/\s+/g, '_');
+
+/**
+ * Write history entries as a tab-separated Anki deck: front, back and tags per line
+ * Tags are the language pair (e.g. "en-es") and the translation context, if any.
+ * The header lines tell Anki's importer the separator and which column holds the tags.
+ * @param {Array<Object>} entries - History entries
+ * @returns {string}
+ */
+export const historyToAnkiTSV = (entries) => {
+  const header = ['#separator:tab', '#html:false', '#tags column:3'];
+  const lines = entries
+    .filter(entry => isNonEmptyString(entry.sourceText) && isNonEmptyString(entry.translatedText))
+    .map(entry => {
+      const tags = [`${entry.sourceLanguage}-${entry.targetLanguage}`, entry.context]
+        .filter(Boolean)
+        .map(toAnkiTag);
+      return [toAnkiField(entry.sourceText), toAnkiField(entry.translatedText), tags.join(' ')].join('\t');
+    });
+  return `${[...header, ...lines].join('\n')}\n`;
+};
+
+/**
+ * Write history entries in an export format
+ * @param {Array<Object>} entries - History entries
+ * @param {string} formatId - Id from HISTORY_EXPORT_FORMATS
+ * @returns {string} File contents
+ * @throws {Error} For an unknown format
+ */
+export const formatHistoryExport = (entries, formatId) => {
+  switch (formatId) {
+    case HISTORY_EXPORT_FORMATS.CSV.id:
+      return historyToCSV(entries);
+    case HISTORY_EXPORT_FORMATS.JSON.id:
+      return historyToJSON(entries);
+    case HISTORY_EXPORT_FORMATS.ANKI.id:
+      return historyToAnkiTSV(entries);
+    default:
+      throw new Error(`Unknown history export format: ${formatId}`);
+  }
+};
+
+/**
+ * Convert a date string to an ISO timestamp
+ * @param {*} value - Date from an export file
+ * @returns {string|null} ISO timestamp, or null if the value is not a date string
+ */
+const toISOTimestamp = (value) => {
+  if (!isNonEmptyString(value)) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * Check that an imported entry has what the history store needs
+ * @param {Object} entry - Entry from an export file
+ * @returns {boolean}
+ */
+const isValidImportedEntry = (entry) => (
+  Boolean(entry) && typeof entry === 'object' &&
+  isNonEmptyString(entry.sourceText) &&
+  typeof entry.translatedText === 'string' &&
+  isNonEmptyString(entry.sourceLanguage) &&
+  isNonEmptyString(entry.targetLanguage) &&
+  toISOTimestamp(entry.timestamp) !== null
+);
+
+/**
+ * Read a JSON export produced by historyToJSON
+ * @param {string} text - File contents
+ * @returns {{ entries: Array<Object>, invalid: number }} Usable entries and how many were skipped
+ * @throws {Error} If the file is not a history export this app can read
+ */
+export const readHistoryExport = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text.replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw new Error('File is not a translation history export');
+  }
+
+  if (!data || data.type !== HISTORY_EXPORT_TYPE || !Array.isArray(data.entries)) {
+    throw new Error('File is not a translation history export');
+  }
+  if (!Number.isInteger(data.version) || data.version > HISTORY_EXPORT_VERSION) {
+    throw new Error('History export requires a newer version of the app');
+  }
+
+  const entries = data.entries.filter(isValidImportedEntry).map(entry => {
+    // Stored timestamps are compared as strings, so they must all be in the same format
+    const timestamp = toISOTimestamp(entry.timestamp);
+    const useCount = Number(entry.useCount);
+    return {
+      ...entry,
+      // Entries without a usable id get a new one when they are stored
+      id: isNonEmptyString(entry.id) ? entry.id : undefined,
+      timestamp,
+      lastUsed: toISOTimestamp(entry.lastUsed) || timestamp,
+      // Use counts are added up when entries are merged, so they must be numbers
+      useCount: Number.isInteger(useCount) && useCount > 0 ? useCount : 1
+    };
+  });
+  return { entries, invalid: data.entries.length - entries.length };
+};
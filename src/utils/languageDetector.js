@@ -0,0 +1,255 @@
+/**
+ * Offline language detector
+ * Combines Unicode script analysis with a character n-gram model so it works
+ * for both Latin-script languages and the CJK, Korean, Arabic and Cyrillic
+ * languages the app supports. No network access is required.
+ */
+
+// Scripts that identify a single supported language on their own
+const SCRIPT_RANGES = [
+  { script: 'hiragana', language: 'ja', pattern: /[\u3040-\u309F]/ },
+  { script: 'katakana', language: 'ja', pattern: /[\u30A0-\u30FF\u31F0-\u31FF]/ },
+  { script: 'hangul', language: 'ko', pattern: /[\uAC00-\uD7AF\u1100-\u11FF\u3130-\u318F]/ },
+  { script: 'han', language: 'zh', pattern: /[\u4E00-\u9FFF\u3400-\u4DBF]/ },
+  { script: 'arabic', language: 'ar', pattern: /[\u0600-\u06FF\u0750-\u077F\uFB50-\uFDFF\uFE70-\uFEFF]/ },
+  { script: 'cyrillic', language: 'ru', pattern: /[\u0400-\u04FF]/ },
+  { script: 'latin', language: null, pattern: /[A-Za-z\u00C0-\u024F]/ },
+];
+
+// Small training samples for Latin-script languages. Profiles are built from
+// these once, on first use, so adding a language only needs a new sample.
+const LATIN_SAMPLES = {
+  en: `Where is the train station? I would like to make a reservation for two people tonight.
+    The hotel is near the old town and the museum opens at nine in the morning. Can you help me
+    find my way to the airport? Thank you very much for your help. How much does this ticket cost?
+    We have been waiting for the bus for an hour and it is still not here. This is the best
+    restaurant in the city, and they also serve breakfast. Please speak more slowly, I do not
+    understand. What time does the shop close on Sunday? I think that it was there yesterday.`,
+  es: `¿Dónde está la estación de tren? Me gustaría hacer una reserva para dos personas esta noche.
+    El hotel está cerca del casco antiguo y el museo abre a las nueve de la mañana. ¿Puede ayudarme
+    a encontrar el camino al aeropuerto? Muchas gracias por su ayuda. ¿Cuánto cuesta este billete?
+    Llevamos una hora esperando el autobús y todavía no ha llegado. Este es el mejor restaurante
+    de la ciudad, y también sirven el desayuno. Por favor, hable más despacio, no entiendo.
+    ¿A qué hora cierra la tienda el domingo? Creo que estaba allí ayer con los niños.`,
+  fr: `Où est la gare ? Je voudrais faire une réservation pour deux personnes ce soir.
+    L'hôtel est près de la vieille ville et le musée ouvre à neuf heures du matin. Pouvez-vous
+    m'aider à trouver le chemin de l'aéroport ? Merci beaucoup pour votre aide. Combien coûte ce
+    billet ? Nous attendons le bus depuis une heure et il n'est toujours pas là. C'est le meilleur
+    restaurant de la ville, et ils servent aussi le petit-déjeuner. Parlez plus lentement, s'il
+    vous plaît, je ne comprends pas. À quelle heure le magasin ferme-t-il le dimanche ?`,
+  de: `Wo ist der Bahnhof? Ich möchte für heute Abend einen Tisch für zwei Personen reservieren.
+    Das Hotel liegt in der Nähe der Altstadt und das Museum öffnet um neun Uhr morgens. Können Sie
+    mir helfen, den Weg zum Flughafen zu finden? Vielen Dank für Ihre Hilfe. Wie viel kostet diese
+    Fahrkarte? Wir warten schon seit einer Stunde auf den Bus und er ist immer noch nicht da. Das
+    ist das beste Restaurant der Stadt, und sie servieren auch Frühstück. Bitte sprechen Sie
+    langsamer, ich verstehe das nicht. Wann schließt das Geschäft am Sonntag? Ich glaube, es war gestern dort.`,
+  it: `Dov'è la stazione dei treni? Vorrei fare una prenotazione per due persone stasera.
+    L'albergo è vicino al centro storico e il museo apre alle nove del mattino. Può aiutarmi a
+    trovare la strada per l'aeroporto? Grazie mille per il suo aiuto. Quanto costa questo
+    biglietto? Aspettiamo l'autobus da un'ora e non è ancora arrivato. Questo è il miglior
+    ristorante della città, e servono anche la colazione. Per favore, parli più lentamente, non
+    capisco. A che ora chiude il negozio la domenica? Penso che fosse lì ieri con i bambini.`,
+  pt: `Onde fica a estação de comboios? Gostaria de fazer uma reserva para duas pessoas esta noite.
+    O hotel fica perto do centro histórico e o museu abre às nove horas da manhã. Pode ajudar-me a
+    encontrar o caminho para o aeroporto? Muito obrigado pela sua ajuda. Quanto custa este
+    bilhete? Estamos à espera do autocarro há uma hora e ainda não chegou. Este é o melhor
+    restaurante da cidade, e também servem o pequeno-almoço. Por favor, fale mais devagar, não
+    percebo. A que horas fecha a loja ao domingo? Acho que estava lá ontem com as crianças.`,
+};
+
+// N-gram sizes used by the model
+const NGRAM_SIZES = [1, 2, 3];
+// Additive smoothing for unseen n-grams
+const SMOOTHING = 0.5;
+
+let latinProfiles = null;
+
+/**
+ * Lowercase text, keep letters and apostrophes, and pad words with spaces
+ * @param {string} text - Raw input text
+ * @returns {string} Normalized text
+ */
+const normalizeForNgrams = (text) => {
+  return ` ${text.toLowerCase().replace(/[^a-z\u00C0-\u024F']+/g, ' ').replace(/\s+/g, ' ').trim()} `;
+};
+
+/**
+ * Count character n-grams in normalized text
+ * @param {string} text - Normalized text
+ * @returns {Object} Map of n-gram to count, plus the total number of n-grams
+ */
+const countNgrams = (text) => {
+  const counts = {};
+  let total = 0;
+
+  NGRAM_SIZES.forEach(size => {
+    for (let i = 0; i <= text.length - size; i++) {
+      const gram = text.substr(i, size);
+      if (gram.trim().length === 0) continue;
+      counts[gram] = (counts[gram] || 0) + 1;
+      total += 1;
+    }
+  });
+
+  return { counts, total };
+};
+
+/**
+ * Build n-gram profiles for every Latin-script sample (lazily, once)
+ * @returns {Object} Map of language code to { counts, total }
+ */
+const getLatinProfiles = () => {
+  if (!latinProfiles) {
+    latinProfiles = {};
+    Object.keys(LATIN_SAMPLES).forEach(language => {
+      latinProfiles[language] = countNgrams(normalizeForNgrams(LATIN_SAMPLES[language]));
+    });
+  }
+  return latinProfiles;
+};
+
+/**
+ * Count the characters of each script in the text
+ * @param {string} text - Input text
+ * @returns {{ counts: Object, letters: number }} Script counts and the number of letters classified
+ */
+const countScripts = (text) => {
+  const counts = {};
+  let letters = 0;
+
+  for (const char of text) {
+    const range = SCRIPT_RANGES.find(r => r.pattern.test(char));
+    if (range) {
+      counts[range.script] = (counts[range.script] || 0) + 1;
+      letters += 1;
+    }
+  }
+
+  return { counts, letters };
+};
+
+/**
+ * Turn log-likelihood scores into probabilities that sum to 1
+ * @param {Object} scores - Map of language code to log-likelihood
+ * @returns {Object} Map of language code to probability
+ */
+const softmax = (scores) => {
+  const languages = Object.keys(scores);
+  const max = Math.max(...languages.map(lang => scores[lang]));
+  const exps = {};
+  let sum = 0;
+
+  languages.forEach(lang => {
+    exps[lang] = Math.exp(scores[lang] - max);
+    sum += exps[lang];
+  });
+
+  const probabilities = {};
+  languages.forEach(lang => {
+    probabilities[lang] = exps[lang] / sum;
+  });
+  return probabilities;
+};
+
+/**
+ * Score Latin-script text against every Latin profile
+ * @param {string} text - Input text
+ * @returns {Object} Map of language code to probability
+ */
+const scoreLatinText = (text) => {
+  const profiles = getLatinProfiles();
+  const { counts, total } = countNgrams(normalizeForNgrams(text));
+
+  if (total === 0) {
+    return {};
+  }
+
+  // Vocabulary size across all profiles, for smoothing
+  const vocabulary = new Set();
+  Object.values(profiles).forEach(profile => {
+    Object.keys(profile.counts).forEach(gram => vocabulary.add(gram));
+  });
+
+  const scores = {};
+  Object.keys(profiles).forEach(language => {
+    const profile = profiles[language];
+    const denominator = profile.total + SMOOTHING * vocabulary.size;
+    let logLikelihood = 0;
+
+    Object.keys(counts).forEach(gram => {
+      const probability = ((profile.counts[gram] || 0) + SMOOTHING) / denominator;
+      logLikelihood += counts[gram] * Math.log(probability);
+    });
+
+    // Scale by input length so confidence doesn't saturate on long texts
+    scores[language] = logLikelihood / Math.sqrt(total);
+  });
+
+  return softmax(scores);
+};
+
+/**
+ * Detect the language of a text
+ * @param {string} text - Text to analyze
+ * @param {Object} [options]
+ * @param {number} [options.limit=5] - Maximum number of candidates to return
+ * @returns {Array<{ language: string, confidence: number, script: string }>} Candidates, most likely first
+ */
+export const detectLanguages = (text, { limit = 5 } = {}) => {
+  if (!text || !text.trim()) {
+    return [];
+  }
+
+  const { counts, letters } = countScripts(text);
+  if (letters === 0) {
+    return [];
+  }
+
+  const candidates = {};
+  const addCandidate = (language, confidence, script) => {
+    if (confidence <= 0) return;
+    if (!candidates[language]) {
+      candidates[language] = { language, confidence, script };
+    } else {
+      // Japanese spans several scripts; their shares add up
+      candidates[language].confidence += confidence;
+    }
+  };
+
+  const kanaCount = (counts.hiragana || 0) + (counts.katakana || 0);
+
+  SCRIPT_RANGES.forEach(({ script, language }) => {
+    const count = counts[script] || 0;
+    if (count === 0) return;
+    const share = count / letters;
+
+    if (script === 'latin') {
+      const latinScores = scoreLatinText(text);
+      Object.keys(latinScores).forEach(lang => addCandidate(lang, share * latinScores[lang], 'latin'));
+    } else if (script === 'han' && kanaCount > 0) {
+      // Kanji mixed with kana is Japanese
+      addCandidate('ja', share, 'han');
+    } else {
+      addCandidate(language, share, script);
+    }
+  });
+
+  return Object.values(candidates)
+    .map(candidate => ({ ...candidate, confidence: Math.min(1, Math.round(candidate.confidence * 1000) / 1000) }))
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, limit);
+};
+
+/**
+ * Get the single most likely language of a text
+ * @param {string} text - Text to analyze
+ * @param {string} [fallback='en'] - Language to return when nothing can be detected
+ * @returns {{ language: string, confidence: number, candidates: Array }} Best guess with all candidates
+ */
+export const detectLanguageOffline = (text, fallback = 'en') => {
+  const candidates = detectLanguages(text);
+  if (candidates.length === 0) {
+    return { language: fallback, confidence: 0, candidates };
+  }
+  return { language: candidates[0].language, confidence: candidates[0].confidence, candidates };
+};
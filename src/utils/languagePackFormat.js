@@ -0,0 +1,421 @@
+/**
+ * Language pack format
+ * A pack is a manifest plus one content file. The manifest describes the pack
+ * (version, quality, alignment) and carries the size and checksum of the content
+ * file; the content file holds the phrase table, dictionary and feature data.
+ * Dictionary entries are { id, lemma, pos, forms? } where forms is an inflection
+ * table such as { plural: 'trains' } or { '1sg': 'quiero', '3sg': 'quiere' }.
+ * Besides these monolingual packs, which translate by joining two packs on
+ * shared ids, there are pair packs covering exactly two languages in both
+ * directions (code "en-ja"). Their entries hold the text in both languages
+ * and can carry pair-specific data that ids alone can't express: idioms and
+ * alignments between parts of the two texts. Their lexicon lists word pairs
+ * ({ id, pos, terms: { en: { lemma, forms? }, ja: { lemma } } }).
+ * Updates are described by the server's catalog and can be applied as delta
+ * patches: a patch replaces changed entries of the list sections and gives the
+ * new order of ids, so unchanged entries never need downloading again.
+ * Installed packs can be shared between devices as a single archive file
+ * holding the manifest and the content file's exact text, so the checksum
+ * still verifies after import.
+ * See scripts/build-language-packs.js for how packs are produced.
+ */
+
+// Newest pack format this app can read
+export const LANGUAGE_PACK_FORMAT_VERSION = 1;
+
+// Kinds of pack; manifests without a kind are monolingual packs
+export const PACK_KINDS = {
+  LANGUAGE: 'language',
+  PAIR: 'pair',
+};
+
+// Sections every pack's content file must provide
+export const LANGUAGE_PACK_SECTIONS = ['phrases', 'dictionary', 'features'];
+export const PAIR_PACK_SECTIONS = ['entries', 'lexicon', 'features'];
+
+// File extension and type marker of pack archives
+export const PACK_ARCHIVE_EXTENSION = '.langpack';
+const PACK_ARCHIVE_TYPE = 'language-pack-archive';
+
+// Content sections that are lists of entries keyed by id (the rest are replaced whole)
+const LIST_SECTIONS = ['phrases', 'dictionary', 'entries', 'lexicon'];
+
+// Checksum algorithms the app can verify on device
+const CHECKSUM_ALGORITHMS = ['md5'];
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+const isStringMap = (value) => isPlainObject(value) && Object.values(value).every(isNonEmptyString);
+
+// Language codes ("en", "pt-BR") and pair codes ("en-ja")
+const PACK_CODE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+/**
+ * Check that a pack code is a language or pair code
+ * Codes name the pack's directory on the device, so anything else (such as "..")
+ * must be rejected before it reaches the file system.
+ * @param {*} code - Code from a manifest, catalog or archive
+ * @returns {boolean}
+ */
+export const isValidPackCode = (code) => typeof code === 'string' && PACK_CODE_PATTERN.test(code);
+
+/**
+ * Get the kind of a pack from its manifest or registry entry
+ * @param {Object} pack - Manifest or installed pack
+ * @returns {string} One of PACK_KINDS
+ */
+export const getPackKind = (pack) => (pack && pack.kind) || PACK_KINDS.LANGUAGE;
+
+/**
+ * Code of the pair pack for two languages; the same whichever way round they are given
+ * @param {string} firstLanguage - Language code
+ * @param {string} secondLanguage - Language code
+ * @returns {string} e.g. "en-ja"
+ */
+export const getPairCode = (firstLanguage, secondLanguage) => [firstLanguage, secondLanguage].sort().join('-');
+
+/**
+ * Check a pack manifest before anything else is downloaded
+ * @param {Object} manifest - Parsed manifest.json
+ * @param {Object} [expected] - Values the manifest must match
+ * @param {string} [expected.code] - Language code that was requested
+ * @param {string} [expected.quality] - Quality level that was requested
+ * @returns {Array<string>} Problems found; empty when the manifest is valid
+ */
+export const validatePackManifest = (manifest, expected = {}) => {
+  if (!isPlainObject(manifest)) {
+    return ['manifest is not an object'];
+  }
+
+  const problems = [];
+
+  if (!isPositiveInteger(manifest.formatVersion)) {
+    problems.push('missing format version');
+  } else if (manifest.formatVersion > LANGUAGE_PACK_FORMAT_VERSION) {
+    problems.push(`format version ${manifest.formatVersion} requires a newer version of the app`);
+  }
+
+  const kind = getPackKind(manifest);
+  if (!Object.values(PACK_KINDS).includes(kind)) {
+    problems.push(`unknown pack kind "${kind}"`);
+  }
+
+  if (!isNonEmptyString(manifest.code)) {
+    problems.push('missing language code');
+  } else if (!isValidPackCode(manifest.code)) {
+    problems.push(`language code ${JSON.stringify(manifest.code)} is invalid`);
+  } else if (expected.code && manifest.code !== expected.code) {
+    problems.push(`pack is for "${manifest.code}" instead of "${expected.code}"`);
+  }
+
+  if (expected.quality && manifest.quality !== expected.quality) {
+    problems.push(`pack quality is "${manifest.quality}" instead of "${expected.quality}"`);
+  }
+
+  if (!isPositiveInteger(manifest.version)) {
+    problems.push('missing pack version');
+  }
+
+  if (kind === PACK_KINDS.PAIR) {
+    const languages = manifest.languages;
+    if (!Array.isArray(languages) || languages.length !== 2 || !languages.every(isValidPackCode) || languages[0] === languages[1]) {
+      problems.push('pair packs must list two different languages');
+    } else if (manifest.code !== getPairCode(languages[0], languages[1])) {
+      problems.push(`pair pack code should be "${getPairCode(languages[0], languages[1])}"`);
+    }
+  } else if (!Array.isArray(manifest.alignedLanguages) || !manifest.alignedLanguages.every(isNonEmptyString)) {
+    problems.push('alignedLanguages must be a list of language codes');
+  }
+
+  const sections = Array.isArray(manifest.sections) ? manifest.sections : [];
+  const requiredSections = kind === PACK_KINDS.PAIR ? PAIR_PACK_SECTIONS : LANGUAGE_PACK_SECTIONS;
+  const missingSections = requiredSections.filter(section => !sections.includes(section));
+  if (missingSections.length > 0) {
+    problems.push(`missing sections: ${missingSections.join(', ')}`);
+  }
+
+  const content = manifest.content;
+  if (!isPlainObject(content)) {
+    problems.push('missing content description');
+  } else {
+    // The file name is joined onto the server URL, so keep it to a single path segment
+    if (!isNonEmptyString(content.file) || /[\\/]|\.\./.test(content.file)) {
+      problems.push('content file name is invalid');
+    }
+    if (!isPositiveInteger(content.size)) {
+      problems.push('content size is invalid');
+    }
+    const checksum = content.checksum;
+    if (!isPlainObject(checksum) || !CHECKSUM_ALGORITHMS.includes(checksum.algorithm)) {
+      problems.push('content checksum algorithm is not supported');
+    } else if (!/^[0-9a-f]{32}$/i.test(checksum.value || '')) {
+      problems.push('content checksum is malformed');
+    }
+  }
+
+  return problems;
+};
+
+/**
+ * Check a pack's content file against its manifest
+ * Call after the checksum has been verified.
+ * @param {Object} content - Parsed content file
+ * @param {Object} manifest - Manifest that passed validatePackManifest
+ * @returns {Array<string>} Problems found; empty when the content is valid
+ */
+export const validatePackContent = (content, manifest) => {
+  if (!isPlainObject(content)) {
+    return ['content is not an object'];
+  }
+
+  const problems = [];
+
+  if (content.code !== manifest.code) {
+    problems.push(`content is for "${content.code}" instead of "${manifest.code}"`);
+  }
+  if (content.version !== manifest.version) {
+    problems.push(`content version ${content.version} does not match manifest version ${manifest.version}`);
+  }
+
+  if (getPackKind(manifest) === PACK_KINDS.PAIR) {
+    validatePairSections(content, manifest.languages, problems);
+  } else {
+    validateLanguageSections(content, problems);
+  }
+
+  if (!isPlainObject(content.features)) {
+    problems.push('features section is missing');
+  }
+
+  return problems;
+};
+
+/**
+ * Check the phrase and dictionary sections of a monolingual pack
+ * @param {Object} content - Parsed content file
+ * @param {Array<string>} problems - Problems found so far; added to
+ */
+const validateLanguageSections = (content, problems) => {
+  if (!Array.isArray(content.phrases)) {
+    problems.push('phrases section is missing');
+  } else {
+    const badPhrase = content.phrases.find(phrase =>
+      !isPlainObject(phrase) ||
+      !isNonEmptyString(phrase.id) ||
+      !isNonEmptyString(phrase.text) ||
+      (phrase.variants !== undefined && (
+        !isPlainObject(phrase.variants) || !Object.values(phrase.variants).every(isNonEmptyString)
+      ))
+    );
+    if (badPhrase) {
+      problems.push(`invalid phrase entry ${JSON.stringify(badPhrase)}`);
+    }
+  }
+
+  if (!Array.isArray(content.dictionary)) {
+    problems.push('dictionary section is missing');
+  } else {
+    const badEntry = content.dictionary.find(entry =>
+      !isPlainObject(entry) ||
+      !isNonEmptyString(entry.id) ||
+      !isNonEmptyString(entry.lemma) ||
+      (entry.forms !== undefined && (
+        !isPlainObject(entry.forms) || !Object.values(entry.forms).every(isNonEmptyString)
+      ))
+    );
+    if (badEntry) {
+      problems.push(`invalid dictionary entry ${JSON.stringify(badEntry)}`);
+    }
+  }
+};
+
+/**
+ * Check the entry and lexicon sections of a pair pack
+ * Every entry and word pair must have text in both languages.
+ * @param {Object} content - Parsed content file
+ * @param {Array<string>} languages - The pack's two languages
+ * @param {Array<string>} problems - Problems found so far; added to
+ */
+const validatePairSections = (content, languages, problems) => {
+  const hasBothLanguages = (map, isValid) => isPlainObject(map) && languages.every(code => isValid(map[code]));
+
+  if (!Array.isArray(content.entries)) {
+    problems.push('entries section is missing');
+  } else {
+    const badEntry = content.entries.find(entry =>
+      !isPlainObject(entry) ||
+      !isNonEmptyString(entry.id) ||
+      !hasBothLanguages(entry.texts, isNonEmptyString) ||
+      (entry.variants !== undefined && (
+        !isPlainObject(entry.variants) || !Object.values(entry.variants).every(isStringMap)
+      )) ||
+      (entry.alignment !== undefined && (
+        !Array.isArray(entry.alignment) || !entry.alignment.every(segment => hasBothLanguages(segment, isNonEmptyString))
+      ))
+    );
+    if (badEntry) {
+      problems.push(`invalid pair entry ${JSON.stringify(badEntry)}`);
+    }
+  }
+
+  if (!Array.isArray(content.lexicon)) {
+    problems.push('lexicon section is missing');
+  } else {
+    const isTerm = (term) => isPlainObject(term) &&
+      isNonEmptyString(term.lemma) &&
+      (term.forms === undefined || isStringMap(term.forms));
+    const badEntry = content.lexicon.find(entry =>
+      !isPlainObject(entry) || !isNonEmptyString(entry.id) || !hasBothLanguages(entry.terms, isTerm)
+    );
+    if (badEntry) {
+      problems.push(`invalid lexicon entry ${JSON.stringify(badEntry)}`);
+    }
+  }
+};
+
+/**
+ * Look up the latest version of a pack in the pack server's catalog
+ * @param {Object} catalog - Parsed catalog.json ({ packs: { [code]: { [quality]: entry } } })
+ * @param {string} code - Language code
+ * @param {string} quality - Quality level
+ * @returns {{ version: number, size: number, checksum: string, patches: Array<{ fromVersion: number, size: number }> }|null}
+ */
+export const getCatalogEntry = (catalog, code, quality) => {
+  const entry = catalog && isPlainObject(catalog.packs) && isPlainObject(catalog.packs[code])
+    ? catalog.packs[code][quality]
+    : null;
+  if (!isPlainObject(entry) || !isPositiveInteger(entry.version)) {
+    return null;
+  }
+  return { ...entry, patches: Array.isArray(entry.patches) ? entry.patches : [] };
+};
+
+/**
+ * Check a delta patch before applying it
+ * @param {Object} patch - Parsed patch file
+ * @param {Object} expected - Pack the patch must apply to
+ * @param {string} expected.code - Language code
+ * @param {string} expected.quality - Quality level
+ * @param {number} expected.fromVersion - Installed version
+ * @param {number} expected.toVersion - Version being installed
+ * @returns {Array<string>} Problems found; empty when the patch is valid
+ */
+export const validatePackPatch = (patch, expected) => {
+  if (!isPlainObject(patch)) {
+    return ['patch is not an object'];
+  }
+
+  const problems = [];
+
+  if (!isPositiveInteger(patch.formatVersion) || patch.formatVersion > LANGUAGE_PACK_FORMAT_VERSION) {
+    problems.push('patch format is not supported');
+  }
+  if (patch.code !== expected.code || patch.quality !== expected.quality) {
+    problems.push(`patch is for ${patch.code}/${patch.quality} instead of ${expected.code}/${expected.quality}`);
+  }
+  if (patch.fromVersion !== expected.fromVersion || patch.toVersion !== expected.toVersion) {
+    problems.push(`patch goes from version ${patch.fromVersion} to ${patch.toVersion} instead of ${expected.fromVersion} to ${expected.toVersion}`);
+  }
+  if (!/^[0-9a-f]{32}$/i.test(patch.baseChecksum || '')) {
+    problems.push('patch base checksum is malformed');
+  }
+
+  const sections = isPlainObject(patch.sections) ? patch.sections : null;
+  if (!sections) {
+    problems.push('patch has no sections');
+    return problems;
+  }
+
+  LIST_SECTIONS.forEach(section => {
+    const change = sections[section];
+    if (change === undefined) return;
+    if (!isPlainObject(change) || !Array.isArray(change.order) || !Array.isArray(change.upsert)) {
+      problems.push(`${section} change must have order and upsert lists`);
+    } else if (!change.upsert.every(entry => isPlainObject(entry) && isNonEmptyString(entry.id))) {
+      problems.push(`${section} change contains entries without an id`);
+    }
+  });
+
+  if (sections.features !== undefined && !isPlainObject(sections.features.replace)) {
+    problems.push('features change must replace the whole section');
+  }
+
+  return problems;
+};
+
+/**
+ * Apply a validated delta patch to installed pack content
+ * @param {Object} content - Installed content (at patch.fromVersion)
+ * @param {Object} patch - Patch that passed validatePackPatch
+ * @returns {Object} Content at patch.toVersion
+ * @throws {Error} If the patch refers to entries the installed content doesn't have
+ */
+export const applyPackPatch = (content, patch) => {
+  const patched = { ...content, version: patch.toVersion };
+
+  LIST_SECTIONS.forEach(section => {
+    const change = patch.sections[section];
+    if (!change) return;
+
+    const existing = new Map((content[section] || []).map(entry => [entry.id, entry]));
+    const replacements = new Map(change.upsert.map(entry => [entry.id, entry]));
+
+    patched[section] = change.order.map(id => {
+      const entry = replacements.get(id) || existing.get(id);
+      if (!entry) {
+        throw new Error(`Patch refers to unknown ${section} entry "${id}"`);
+      }
+      return entry;
+    });
+  });
+
+  if (patch.sections.features) {
+    patched.features = patch.sections.features.replace;
+  }
+
+  return patched;
+};
+
+/**
+ * Bundle an installed pack into an archive for sharing
+ * @param {Object} manifest - The pack's manifest
+ * @param {string} contentText - The content file exactly as stored on disk
+ * @returns {string} Archive file contents
+ */
+export const createPackArchive = (manifest, contentText) => {
+  return JSON.stringify({
+    type: PACK_ARCHIVE_TYPE,
+    formatVersion: LANGUAGE_PACK_FORMAT_VERSION,
+    manifest,
+    content: contentText
+  });
+};
+
+/**
+ * Read a pack archive produced by createPackArchive
+ * The manifest and content still need validating like a downloaded pack.
+ * @param {string} archiveText - Archive file contents
+ * @returns {{ manifest: Object, contentText: string }}
+ * @throws {Error} If the file is not a pack archive this app can read
+ */
+export const readPackArchive = (archiveText) => {
+  let archive;
+  try {
+    archive = JSON.parse(archiveText);
+  } catch (error) {
+    throw new Error('File is not a language pack archive');
+  }
+
+  if (!isPlainObject(archive) || archive.type !== PACK_ARCHIVE_TYPE) {
+    throw new Error('File is not a language pack archive');
+  }
+  if (!isPositiveInteger(archive.formatVersion) || archive.formatVersion > LANGUAGE_PACK_FORMAT_VERSION) {
+    throw new Error('Language pack archive requires a newer version of the app');
+  }
+  if (!isPlainObject(archive.manifest) || typeof archive.content !== 'string') {
+    throw new Error('Language pack archive is incomplete');
+  }
+
+  return { manifest: archive.manifest, contentText: archive.content };
+};
@@ -0,0 +1,242 @@
+/**
+ * Tolerant text matching for the offline phrase tables
+ * Text is normalized (case, punctuation, diacritics) and then scored with
+ * edit distance and token overlap, so "hello!" matches "Hello" and
+ * "thank you very much" still finds "Thank you".
+ */
+
+// Punctuation removed before matching, including Spanish, French and CJK marks
+// Underscores are kept so glossary placeholders (__G0__) survive as single words
+const PUNCTUATION_PATTERN = /[!-\/:-@[-^`{-~\u00A1\u00AB\u00B7\u00BB\u00BF\u2010-\u2027\u3000-\u3003\u3008-\u3011\uFF01-\uFF0F\uFF1A-\uFF20\uFF3B-\uFF40\uFF5B-\uFF65]/g;
+
+// Combining marks left over once accented letters are decomposed
+const COMBINING_MARKS_PATTERN = /[\u0300-\u036F]/g;
+
+// Scripts written without spaces between words
+const CJK_PATTERN = /[\u3040-\u30FF\u3400-\u4DBF\u4E00-\u9FFF]/;
+
+/**
+ * Normalize text for matching: lowercase, strip punctuation and diacritics, collapse whitespace
+ * @param {string} text - Text to normalize
+ * @param {Object} [options]
+ * @param {boolean} [options.keepDiacritics=false] - Leave accents in place
+ * @returns {string} Normalized text
+ */
+export const normalizeForMatching = (text, { keepDiacritics = false } = {}) => {
+  if (!text) return '';
+
+  let normalized = text.toLowerCase();
+  if (!keepDiacritics && typeof normalized.normalize === 'function') {
+    normalized = normalized.normalize('NFD').replace(COMBINING_MARKS_PATTERN, '');
+  }
+
+  return normalized
+    .replace(PUNCTUATION_PATTERN, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Split text into words, dropping punctuation but keeping the original spelling
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Words in order
+ */
+export const splitIntoWords = (text) => {
+  if (!text) return [];
+  return text.replace(PUNCTUATION_PATTERN, ' ').split(/\s+/).filter(Boolean);
+};
+
+/**
+ * Check whether text contains characters from scripts written without spaces
+ * @param {string} text - Text to check
+ * @returns {boolean}
+ */
+export const isUnspacedScript = (text) => CJK_PATTERN.test(text);
+
+/**
+ * Levenshtein distance between two strings, counted in code points
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits
+ */
+export const levenshteinDistance = (a, b) => {
+  const first = Array.from(a);
+  const second = Array.from(b);
+  if (first.length === 0) return second.length;
+  if (second.length === 0) return first.length;
+
+  let previous = Array.from({ length: second.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= first.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= second.length; j++) {
+      const cost = first[i - 1] === second[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[second.length];
+};
+
+/**
+ * Similarity from edit distance, scaled to 0-1 by the longer string
+ * @param {string} a - First normalized string
+ * @param {string} b - Second normalized string
+ * @returns {number} 1 for identical strings, 0 for nothing in common
+ */
+const editSimilarity = (a, b) => {
+  const longest = Math.max(Array.from(a).length, Array.from(b).length);
+  return longest === 0 ? 0 : 1 - levenshteinDistance(a, b) / longest;
+};
+
+/**
+ * Split normalized text into tokens
+ * Words are separated by spaces; Chinese and Japanese, which don't use spaces,
+ * are split into single characters.
+ * @param {string} text - Normalized text
+ * @returns {Array<string>} Tokens
+ */
+const tokenize = (text) => {
+  return text.split(' ').reduce((tokens, word) => {
+    return tokens.concat(CJK_PATTERN.test(word) ? Array.from(word) : [word]);
+  }, []);
+};
+
+/**
+ * Dice coefficient of the two texts' token sets
+ * @param {string} a - First normalized string
+ * @param {string} b - Second normalized string
+ * @returns {number} Share of tokens in common, 0-1
+ */
+const tokenOverlap = (a, b) => {
+  const first = new Set(tokenize(a));
+  const second = new Set(tokenize(b));
+  if (first.size === 0 || second.size === 0) return 0;
+
+  let shared = 0;
+  first.forEach(token => {
+    if (second.has(token)) shared += 1;
+  });
+  return (2 * shared) / (first.size + second.size);
+};
+
+/**
+ * Score how well two texts match
+ * Both texts are normalized first; the better of edit similarity and token overlap wins.
+ * @param {string} text - Input text
+ * @param {string} candidate - Phrase to compare against
+ * @returns {number} Match quality from 0 (unrelated) to 1 (same after normalization)
+ */
+export const scoreTextMatch = (text, candidate) => {
+  const a = normalizeForMatching(text);
+  const b = normalizeForMatching(candidate);
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const score = Math.max(editSimilarity(a, b), tokenOverlap(a, b));
+  return Math.round(score * 100) / 100;
+};
+
+/**
+ * Fold a single character for search: lowercase without diacritics
+ * May return more or fewer characters than it was given (e.g. "İ" folds to "i")
+ * @param {string} char - One code point
+ * @returns {string}
+ */
+const foldCharacter = (char) => {
+  const lower = char.toLowerCase();
+  return typeof lower.normalize === 'function'
+    ? lower.normalize('NFD').replace(COMBINING_MARKS_PATTERN, '')
+    : lower;
+};
+
+/**
+ * Fold text for search: lowercase and strip diacritics, keeping punctuation and spacing
+ * @param {string} text - Text to fold
+ * @returns {string} Folded text
+ */
+export const foldForSearch = (text) => Array.from(text || '').map(foldCharacter).join('');
+
+/**
+ * Split a search query into folded terms
+ * @param {string} query - What the user typed
+ * @returns {Array<string>} Terms, without duplicates
+ */
+export const getSearchTerms = (query) => (
+  [...new Set(foldForSearch(query).split(/\s+/).filter(Boolean))]
+);
+
+/**
+ * Find where search terms occur in text, ignoring case and diacritics
+ * "cafe" finds "Café"; ranges refer to the original text so it can be highlighted as typed.
+ * @param {string} text - Text to search
+ * @param {Array<string>} terms - Terms from getSearchTerms
+ * @returns {Array<[number, number]>} Sorted, non-overlapping [start, end) ranges
+ */
+export const findSearchMatches = (text, terms) => {
+  if (!text || terms.length === 0) return [];
+
+  // Fold character by character, remembering which original characters each folded one came from
+  let folded = '';
+  const starts = [];
+  const ends = [];
+  let offset = 0;
+  for (const char of text) {
+    const foldedChar = foldCharacter(char);
+    for (let i = 0; i < foldedChar.length; i++) {
+      starts.push(offset);
+      ends.push(offset + char.length);
+    }
+    folded += foldedChar;
+    offset += char.length;
+  }
+
+  const ranges = [];
+  terms.forEach(term => {
+    let index = folded.indexOf(term);
+    while (index !== -1) {
+      ranges.push([starts[index], ends[index + term.length - 1]]);
+      index = folded.indexOf(term, index + term.length);
+    }
+  });
+
+  // Merge overlapping ranges so every character is highlighted once
+  return ranges
+    .sort((a, b) => a[0] - b[0])
+    .reduce((merged, range) => {
+      const last = merged[merged.length - 1];
+      if (last && range[0] <= last[1]) {
+        last[1] = Math.max(last[1], range[1]);
+      } else {
+        merged.push([...range]);
+      }
+      return merged;
+    }, []);
+};
+
+/**
+ * Split text into segments, marking the parts found by findSearchMatches
+ * Used to highlight search matches in the UI.
+ * @param {string} text - Text the ranges refer to
+ * @param {Array<[number, number]>} ranges - Ranges from findSearchMatches
+ * @returns {Array<{ text: string, isMatch: boolean }>}
+ */
+export const splitBySearchMatches = (text, ranges = []) => {
+  if (!text || ranges.length === 0) {
+    return [{ text: text || '', isMatch: false }];
+  }
+
+  const segments = [];
+  let cursor = 0;
+  ranges.forEach(([start, end]) => {
+    if (start > cursor) {
+      segments.push({ text: text.slice(cursor, start), isMatch: false });
+    }
+    segments.push({ text: text.slice(start, end), isMatch: true });
+    cursor = end;
+  });
+  if (cursor < text.length) {
+    segments.push({ text: text.slice(cursor), isMatch: false });
+  }
+  return segments;
+};